@@ -12,17 +12,27 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const rdsRoutes = require('./routes/rds');
 const recoveryRoutes = require('./routes/recovery');
+const scheduleRoutes = require('./routes/schedules');
 const auditRoutes = require('./routes/audit');
 const reportRoutes = require('./routes/report');
 const agentRoutes = require('./routes/agent');
+const credentialProfileRoutes = require('./routes/credentialProfiles');
+const backupPolicyRoutes = require('./routes/backupPolicies');
 
 // 导入中间件
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./middleware/logger');
+const { requestContext } = require('./middleware/requestContext');
 
 // 导入数据库
 const db = require('./config/database');
 
+// 导入服务
+const recoveryService = require('./services/recoveryService');
+const auditChainService = require('./services/auditChainService');
+const auditExportService = require('./services/auditExportService');
+require('./services/changeTrackingService');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -52,6 +62,7 @@ app.use(helmet()); // 安全头
 app.use(cors()); // 跨域
 app.use(express.json({ limit: '10mb' })); // JSON解析
 app.use(express.urlencoded({ extended: true })); // URL编码解析
+app.use(requestContext); // 请求上下文与追踪ID
 app.use(logger); // 日志中间件
 
 // API文档
@@ -60,10 +71,13 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 // 路由配置
 app.use('/api/auth', authRoutes);
 app.use('/api/rds', rdsRoutes);
+app.use('/api/recovery/schedules', scheduleRoutes);
 app.use('/api/recovery', recoveryRoutes);
 app.use('/api/audit', auditRoutes);
 app.use('/api/report', reportRoutes);
 app.use('/api/agent', agentRoutes);
+app.use('/api/credential-profiles', credentialProfileRoutes);
+app.use('/api/backup-policies', backupPolicyRoutes);
 
 // 健康检查
 app.get('/health', (req, res) => {
@@ -105,6 +119,15 @@ async function startServer() {
     await db.sync({ alter: true });
     console.log('数据库模型同步完成');
     
+    // 启用哈希链前的审计日志接入链
+    await auditChainService.backfill();
+
+    // 恢复服务重启前中断的恢复任务
+    await recoveryService.recoverInterruptedTasks();
+
+    // 重新执行重启前未完成的审计日志后台导出
+    await auditExportService.recoverInterruptedExports();
+    
     // 启动服务
     app.listen(PORT, () => {
       console.log(`服务器运行在端口 ${PORT}`);
@@ -1,5 +1,16 @@
 const winston = require('winston');
 const path = require('path');
+const { redact } = require('../utils/redaction');
+
+// 按审计脱敏策略遮盖日志消息与附加字段中的敏感内容
+const redactFormat = winston.format((info) => {
+  Object.keys(info).forEach(key => {
+    if (key !== 'level') {
+      info[key] = redact({ [key]: info[key] })[key];
+    }
+  });
+  return info;
+});
 
 // 创建日志格式
 const logFormat = winston.format.combine(
@@ -7,6 +18,7 @@ const logFormat = winston.format.combine(
     format: 'YYYY-MM-DD HH:mm:ss'
   }),
   winston.format.errors({ stack: true }),
+  redactFormat(),
   winston.format.json()
 );
 
@@ -0,0 +1,30 @@
+/**
+ * 敏感字段脱敏策略
+ * 审计日志的请求参数、修改前后的值以及 winston 日志输出在持久化前按此策略脱敏
+ */
+module.exports = {
+  // 字段名(忽略大小写、下划线与连字符)包含以下任一片段时视为敏感字段
+  // 可通过 AUDIT_REDACT_FIELDS(逗号分隔)追加
+  fields: [
+    'password',
+    'passwd',
+    'pwd',
+    'secret',
+    'token',
+    'accesskey',
+    'privatekey',
+    'apikey',
+    'authorization',
+    'cookie'
+  ],
+
+  // 敏感值保留的末尾字符数，值长度不足其两倍时全部遮盖
+  keepLast: 4,
+
+  // 按路由覆盖，键为 "方法 路由路径"：
+  // fields 追加敏感字段，allow 豁免默认敏感字段，keepLast 调整保留的末尾字符数(0 为全部遮盖)
+  routes: {
+    'POST /api/credential-profiles': { keepLast: 0 },
+    'PUT /api/credential-profiles/:id': { keepLast: 0 }
+  }
+};
\ No newline at end of file
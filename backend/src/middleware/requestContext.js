@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * 为每个请求建立上下文并分配追踪ID(沿用请求头 X-Trace-Id)
+ * 请求触发的后续异步操作均可取得发起请求的用户与追踪ID；
+ * 调度启动的恢复任务另建以执行人为用户的上下文，不沿用触发调度的请求
+ */
+const requestContext = (req, res, next) => {
+  req.traceId = req.headers['x-trace-id'] || crypto.randomUUID();
+  res.setHeader('X-Trace-Id', req.traceId);
+  storage.run({ req, traceId: req.traceId }, next);
+};
+
+/**
+ * 当前异步调用链所属请求的上下文
+ * @returns {Object|null} 请求的 { req, traceId } 或后台任务的 { user, traceId }，定时任务等非请求触发时为空
+ */
+const getRequestContext = () => storage.getStore() || null;
+
+/**
+ * 在指定上下文中执行
+ * @param {Object} context { req, traceId } 或 { user, traceId }
+ * @param {Function} fn 执行的函数
+ * @returns {*} 函数返回值
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+module.exports = {
+  requestContext,
+  getRequestContext,
+  runWithContext
+};
\ No newline at end of file
@@ -0,0 +1,118 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AuditArchive = sequelize.define('AuditArchive', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  month: {
+    type: DataTypes.STRING(7),
+    allowNull: false,
+    comment: '归档月份(YYYY-MM，UTC)'
+  },
+  period_start: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '归档记录的最早时间'
+  },
+  period_end: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '归档记录的最晚时间'
+  },
+  storage: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '归档存储(local/s3)'
+  },
+  object_key: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: '归档文件对象键(gzip 压缩的 NDJSON)'
+  },
+  manifest_key: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    comment: '清单对象键'
+  },
+  record_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '归档记录数'
+  },
+  first_sequence: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '第一条记录的哈希链序号'
+  },
+  last_sequence: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '最后一条记录的哈希链序号'
+  },
+  first_prev_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '第一条记录的前一哈希'
+  },
+  last_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '最后一条记录的哈希，下一段记录的前一哈希'
+  },
+  file_size: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '归档文件大小(字节)'
+  },
+  file_sha256: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '归档文件的 SHA-256'
+  },
+  manifest: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '清单内容(含签名)'
+  },
+  verify_status: {
+    type: DataTypes.ENUM('Unverified', 'Valid', 'Invalid'),
+    defaultValue: 'Unverified',
+    comment: '最近一次校验结果'
+  },
+  verify_result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '最近一次校验详情'
+  },
+  verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次校验时间'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '发起者ID，定时归档为空'
+  }
+}, {
+  tableName: 'audit_archives',
+  comment: '审计日志月度归档表',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['month']
+    },
+    {
+      unique: true,
+      fields: ['first_sequence']
+    },
+    {
+      fields: ['last_sequence']
+    }
+  ]
+});
+
+module.exports = AuditArchive;
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AuditCheckpoint = sequelize.define('AuditCheckpoint', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sequence: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    comment: '检查点覆盖到的审计日志序号'
+  },
+  hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '该序号记录的哈希'
+  },
+  record_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '自上一检查点以来新增的记录数'
+  },
+  algorithm: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '签名算法(ed25519/rsa/ec)'
+  },
+  key_id: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: '签名公钥指纹'
+  },
+  public_key: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '签名公钥(PEM)'
+  },
+  signature: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: '检查点签名(Base64)'
+  },
+  superseded_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '脱敏迁移重写哈希链后被取代的时间'
+  },
+  supersedes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '重写哈希链后签名确认取代的检查点 [{ sequence, hash }]'
+  }
+}, {
+  tableName: 'audit_checkpoints',
+  comment: '审计日志签名检查点表',
+  paranoid: false,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['sequence']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AuditCheckpoint;
\ No newline at end of file
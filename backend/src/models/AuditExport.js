@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const AuditExport = sequelize.define('AuditExport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  format: {
+    type: DataTypes.ENUM('csv', 'excel', 'pdf', 'json'),
+    allowNull: false,
+    comment: '导出格式'
+  },
+  status: {
+    type: DataTypes.ENUM('Queued', 'Running', 'Completed', 'Failed'),
+    defaultValue: 'Queued',
+    comment: '导出状态'
+  },
+  filters: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: '导出条件 { startDate, endDate, action, resourceType, status, riskLevel }'
+  },
+  record_count: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '导出记录数'
+  },
+  content_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '导出记录规范内容的 SHA-256'
+  },
+  file_name: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: '文件名'
+  },
+  file_path: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '文件路径'
+  },
+  file_size: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: '文件大小(字节)'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '错误信息'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '开始时间'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '完成时间'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '发起者ID'
+  }
+}, {
+  tableName: 'audit_exports',
+  comment: '审计日志后台导出任务表',
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_by']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = AuditExport;
\ No newline at end of file
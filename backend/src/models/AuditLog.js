@@ -23,7 +23,7 @@ const AuditLog = sequelize.define('AuditLog', {
     comment: '操作动作'
   },
   resource_type: {
-    type: DataTypes.ENUM('User', 'RDSInstance', 'RecoveryTask', 'Report', 'System'),
+    type: DataTypes.ENUM('User', 'RDSInstance', 'RecoveryTask', 'RecoverySchedule', 'CredentialProfile', 'BackupPolicy', 'Report', 'AuditLog', 'System'),
     allowNull: false,
     comment: '资源类型'
   },
@@ -116,6 +116,21 @@ const AuditLog = sequelize.define('AuditLog', {
     type: DataTypes.STRING(100),
     allowNull: true,
     comment: '追踪ID'
+  },
+  sequence: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: '哈希链序号'
+  },
+  prev_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '前一条记录的哈希'
+  },
+  hash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: '本记录哈希(前一哈希与规范内容的SHA-256)'
   }
 }, {
   tableName: 'audit_logs',
@@ -144,6 +159,10 @@ const AuditLog = sequelize.define('AuditLog', {
     },
     {
       fields: ['ip_address']
+    },
+    {
+      unique: true,
+      fields: ['sequence']
     }
   ]
 });
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BackupPolicy = sequelize.define('BackupPolicy', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  policy_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: '备份策略名称'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '策略描述'
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: '是否默认策略，未指定策略的实例按默认策略检查'
+  },
+  min_retention_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '最短备份保留天数，为空不检查'
+  },
+  require_log_backup: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: '是否要求开启日志备份'
+  },
+  min_backups_per_week: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '每周最少备份次数，为空不检查'
+  },
+  require_encryption: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: '是否要求开启加密'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '创建者ID'
+  }
+}, {
+  tableName: 'backup_policies',
+  comment: '备份策略表',
+  indexes: [
+    {
+      fields: ['policy_name']
+    },
+    {
+      fields: ['is_default']
+    }
+  ]
+});
+
+module.exports = BackupPolicy;
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const BackupRecord = sequelize.define('BackupRecord', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rds_instance_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'RDS实例ID'
+  },
+  backup_id: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    comment: '云端备份集ID'
+  },
+  backup_type: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: '备份类型：FullBackup/IncrementalBackup'
+  },
+  backup_method: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: '备份方式：Physical/Logical/Snapshot'
+  },
+  backup_mode: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: '备份模式：Automated/Manual'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: '备份状态：Success/Failed'
+  },
+  backup_size: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    comment: '备份大小(字节)'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '备份开始时间'
+  },
+  ended_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '备份结束时间'
+  },
+  duration_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '备份耗时(秒)'
+  },
+  consistent_time: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '备份一致性时间点'
+  },
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '最近一次在云端备份列表中出现的时间，超出保留期的备份保留目录记录'
+  }
+}, {
+  tableName: 'backup_records',
+  comment: '实例备份目录表',
+  indexes: [
+    {
+      unique: true,
+      fields: ['rds_instance_id', 'backup_id']
+    },
+    {
+      fields: ['rds_instance_id', 'started_at']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = BackupRecord;
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CloudCredentialProfile = sequelize.define('CloudCredentialProfile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  profile_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true,
+    comment: '凭据配置名称'
+  },
+  provider: {
+    type: DataTypes.ENUM('aliyun'),
+    defaultValue: 'aliyun',
+    comment: '云服务提供方'
+  },
+  account_id: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: '云账号ID'
+  },
+  access_key_id_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'AccessKey ID(加密)'
+  },
+  access_key_secret_encrypted: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    comment: 'AccessKey Secret(加密)'
+  },
+  access_key_hint: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'AccessKey ID遮盖显示'
+  },
+  default_region: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: '默认地域'
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: '是否启用'
+  },
+  last_verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近验证时间'
+  },
+  last_verify_result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '最近验证结果'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '描述'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '创建者ID'
+  }
+}, {
+  tableName: 'cloud_credential_profiles',
+  comment: '云账号凭据配置表',
+  // 默认不查询加密字段，解密时使用 withSecrets 作用域
+  defaultScope: {
+    attributes: {
+      exclude: ['access_key_id_encrypted', 'access_key_secret_encrypted']
+    }
+  },
+  scopes: {
+    withSecrets: {}
+  },
+  indexes: [
+    {
+      fields: ['profile_name']
+    }
+  ]
+});
+
+module.exports = CloudCredentialProfile;
\ No newline at end of file
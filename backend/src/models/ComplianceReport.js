@@ -87,6 +87,26 @@ const ComplianceReport = sequelize.define('ComplianceReport', {
     allowNull: true,
     comment: '平均恢复时间(秒)'
   },
+  sla_compliance_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: 'RTO/RPO达标率(%)，仅统计设置了目标的实例'
+  },
+  sla_summary: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '各实例RTO/RPO达成情况'
+  },
+  backup_compliance_rate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    comment: '备份策略合规率(%)，仅统计可确认结果的实例'
+  },
+  backup_compliance_summary: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '各实例备份策略检查结果'
+  },
   data_summary: {
     type: DataTypes.JSON,
     allowNull: true,
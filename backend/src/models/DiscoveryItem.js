@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DiscoveryItem = sequelize.define('DiscoveryItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  run_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '发现运行ID'
+  },
+  change_type: {
+    type: DataTypes.ENUM('New', 'Changed', 'Disappeared'),
+    allowNull: false,
+    comment: '差异类型：云端新增未登记/属性变化/云端已不存在'
+  },
+  instance_id: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '云端实例ID'
+  },
+  region: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: '所在地区'
+  },
+  credential_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '云账号凭据配置ID，为空时为默认账号'
+  },
+  rds_instance_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '已登记的RDS实例ID'
+  },
+  cloud_attributes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '云端实例属性(按实例表字段)'
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '属性变化 [{ field, from, to }]'
+  },
+  resolution: {
+    type: DataTypes.ENUM('Pending', 'Imported', 'Updated', 'Archived', 'Ignored'),
+    defaultValue: 'Pending',
+    comment: '处理结果'
+  },
+  resolved_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '处理人ID'
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '处理时间'
+  }
+}, {
+  tableName: 'discovery_items',
+  comment: '实例发现差异表',
+  indexes: [
+    {
+      fields: ['run_id', 'change_type']
+    },
+    {
+      fields: ['instance_id']
+    }
+  ]
+});
+
+module.exports = DiscoveryItem;
\ No newline at end of file
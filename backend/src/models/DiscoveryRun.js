@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const DiscoveryRun = sequelize.define('DiscoveryRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  status: {
+    type: DataTypes.ENUM('Running', 'Completed', 'Failed'),
+    defaultValue: 'Running',
+    comment: '运行状态'
+  },
+  trigger_type: {
+    type: DataTypes.ENUM('Manual', 'Scheduled'),
+    defaultValue: 'Manual',
+    comment: '触发方式'
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '扫描范围(账号与地域)及各范围的扫描结果'
+  },
+  summary: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '差异汇总 { new, changed, disappeared, unchanged, cloudInstances }'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '错误信息'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '开始时间'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '完成时间'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '发起者ID，定时发现为空'
+  }
+}, {
+  tableName: 'discovery_runs',
+  comment: '实例发现运行记录表',
+  indexes: [
+    {
+      fields: ['status']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = DiscoveryRun;
\ No newline at end of file
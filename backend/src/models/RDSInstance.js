@@ -11,7 +11,12 @@ const RDSInstance = sequelize.define('RDSInstance', {
     type: DataTypes.STRING(100),
     allowNull: false,
     unique: true,
-    comment: '阿里云RDS实例ID'
+    comment: '实例ID(阿里云RDS实例ID或自建数据库备份目录名)'
+  },
+  provider: {
+    type: DataTypes.ENUM('aliyun', 'selfManaged', 'simulator'),
+    defaultValue: 'aliyun',
+    comment: '服务提供方'
   },
   instance_name: {
     type: DataTypes.STRING(100),
@@ -34,6 +39,11 @@ const RDSInstance = sequelize.define('RDSInstance', {
     default: 'cn-shenzhen',
     comment: '所在地区'
   },
+  credential_profile_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '云账号凭据配置ID，为空时使用默认账号'
+  },
   zone: {
     type: DataTypes.STRING(50),
     allowNull: true,
@@ -94,6 +104,76 @@ const RDSInstance = sequelize.define('RDSInstance', {
     defaultValue: true,
     comment: '是否监控'
   },
+  last_synced_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次同步云端信息的时间'
+  },
+  last_sync_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '最近一次同步失败的错误信息，成功后清空'
+  },
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '归档时间，云端已不存在的实例归档后保留历史记录'
+  },
+  backup_policy_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '备份策略ID，为空时按默认策略检查'
+  },
+  backup_config: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '最近一次同步的云端备份配置'
+  },
+  backup_compliance_status: {
+    type: DataTypes.ENUM('Compliant', 'NonCompliant', 'Unverified', 'NoPolicy'),
+    allowNull: true,
+    comment: '备份策略合规状态：合规/不合规/无法确认/未配置策略'
+  },
+  backup_compliance_violations: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '备份策略违规项与无法确认的检查项'
+  },
+  backup_compliance_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次备份策略检查时间'
+  },
+  backup_catalog_refreshed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '最近一次刷新备份目录的时间'
+  },
+  backup_catalog_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '最近一次刷新备份目录失败的错误信息，成功后清空'
+  },
+  clone_retention_policy: {
+    type: DataTypes.ENUM('Immediate', 'KeepHours', 'Manual'),
+    defaultValue: 'Immediate',
+    comment: '克隆实例保留策略'
+  },
+  clone_retention_hours: {
+    type: DataTypes.INTEGER,
+    defaultValue: 24,
+    comment: '克隆实例保留小时数'
+  },
+  target_rto_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '目标RTO(分钟)'
+  },
+  target_rpo_minutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '目标RPO(分钟)'
+  },
   description: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -119,6 +199,9 @@ const RDSInstance = sequelize.define('RDSInstance', {
     },
     {
       fields: ['is_monitored']
+    },
+    {
+      fields: ['backup_compliance_status']
     }
   ]
 });
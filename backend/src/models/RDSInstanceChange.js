@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RDSInstanceChange = sequelize.define('RDSInstanceChange', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rds_instance_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'RDS实例ID'
+  },
+  field: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '变更字段'
+  },
+  old_value: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '变更前的值'
+  },
+  new_value: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '变更后的值'
+  },
+  source: {
+    type: DataTypes.ENUM('Sync', 'Manual', 'Discovery'),
+    allowNull: false,
+    comment: '变更来源：定时同步/手动操作/实例发现'
+  },
+  changed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '操作人ID，定时同步为空'
+  }
+}, {
+  tableName: 'rds_instance_changes',
+  comment: 'RDS实例字段变更历史表',
+  indexes: [
+    {
+      fields: ['rds_instance_id', 'created_at']
+    },
+    {
+      fields: ['field']
+    }
+  ]
+});
+
+module.exports = RDSInstanceChange;
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RecoverySchedule = sequelize.define('RecoverySchedule', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  schedule_name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: '调度名称'
+  },
+  rds_instance_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'RDS实例ID'
+  },
+  schedule_type: {
+    type: DataTypes.ENUM('Cron', 'Interval'),
+    allowNull: false,
+    comment: '调度类型'
+  },
+  cron_expression: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'cron表达式'
+  },
+  interval_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '间隔天数'
+  },
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '起始时间(间隔调度锚点)'
+  },
+  timezone: {
+    type: DataTypes.STRING(50),
+    defaultValue: 'Asia/Shanghai',
+    comment: '时区'
+  },
+  task_template: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '任务模板'
+  },
+  status: {
+    type: DataTypes.ENUM('Active', 'Paused'),
+    defaultValue: 'Active',
+    comment: '调度状态'
+  },
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '下次运行时间'
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '上次运行时间'
+  },
+  last_task_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '上次生成的任务ID'
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '上次生成任务的错误信息'
+  },
+  run_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: '已生成任务次数'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '描述'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '创建者ID'
+  }
+}, {
+  tableName: 'recovery_schedules',
+  comment: '恢复验证调度表',
+  indexes: [
+    {
+      fields: ['rds_instance_id']
+    },
+    {
+      fields: ['status', 'next_run_at']
+    }
+  ]
+});
+
+module.exports = RecoverySchedule;
\ No newline at end of file
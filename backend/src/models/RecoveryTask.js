@@ -27,6 +27,11 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     allowNull: true,
     comment: '备份集ID'
   },
+  backup_metadata: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '备份集元数据(大小、起止时间、一致性时间、选择策略)'
+  },
   backup_type: {
     type: DataTypes.ENUM('FullBackup', 'IncrementalBackup', 'LogBackup'),
     defaultValue: 'FullBackup',
@@ -42,6 +47,16 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     defaultValue: 'BackupSet',
     comment: '恢复类型'
   },
+  recovery_window: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '时间点恢复的可恢复窗口、请求时间点及校正情况'
+  },
+  consistency_point: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '实际恢复到的数据一致性时间点'
+  },
   target_instance_name: {
     type: DataTypes.STRING(100),
     allowNull: false,
@@ -52,6 +67,11 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     allowNull: true,
     comment: '目标实例ID'
   },
+  target_region: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    comment: '恢复目标地域，为空时与源实例相同'
+  },
   task_type: {
     type: DataTypes.ENUM('Manual', 'Scheduled', 'Annual'),
     defaultValue: 'Manual',
@@ -63,7 +83,7 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     comment: '优先级'
   },
   status: {
-    type: DataTypes.ENUM('Pending', 'Running', 'Success', 'Failed', 'Cancelled', 'Timeout'),
+    type: DataTypes.ENUM('Pending', 'Queued', 'Running', 'Success', 'Failed', 'Cancelled', 'Timeout'),
     defaultValue: 'Pending',
     comment: '任务状态'
   },
@@ -72,6 +92,56 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     defaultValue: 0,
     comment: '进度百分比'
   },
+  progress_message: {
+    type: DataTypes.STRING(500),
+    allowNull: true,
+    comment: '最近一条进度说明'
+  },
+  current_phase: {
+    type: DataTypes.ENUM('Pending', 'SnapshotSource', 'CloneRequested', 'InstanceReady', 'Verifying', 'Teardown', 'Completed'),
+    defaultValue: 'Pending',
+    comment: '当前执行阶段'
+  },
+  queued_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '加入执行队列时间'
+  },
+  requested_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '发起执行时间(自动重试不重置)，作为RTO起点'
+  },
+  attempt_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: '累计执行尝试次数'
+  },
+  retry_count: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: '本轮自动重试次数'
+  },
+  retry_policy: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '重试策略(为空时使用全局默认值)'
+  },
+  next_retry_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '下次自动重试时间'
+  },
+  error_category: {
+    type: DataTypes.ENUM('Retryable', 'Permanent', 'Unknown'),
+    allowNull: true,
+    comment: '最近一次失败的错误分类'
+  },
+  executed_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '执行者ID'
+  },
   started_at: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -87,6 +157,31 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     allowNull: true,
     comment: '持续时间(秒)'
   },
+  achieved_rto_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '实际RTO(秒)，发起执行到克隆实例验证可用'
+  },
+  achieved_rpo_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '实际RPO(秒)，恢复一致性时间点与源实例最新数据的差距'
+  },
+  rto_breakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'RTO按执行阶段分解(秒)'
+  },
+  sla_status: {
+    type: DataTypes.ENUM('Met', 'Breached', 'NoTarget', 'Unmeasured'),
+    allowNull: true,
+    comment: 'RTO/RPO目标达成状态'
+  },
+  sla_result: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'RTO/RPO目标及各项达成情况'
+  },
   error_message: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -102,6 +197,46 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     allowNull: true,
     comment: '验证结果'
   },
+  source_snapshot: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '源实例结构快照'
+  },
+  clone_retention_policy: {
+    type: DataTypes.ENUM('Immediate', 'KeepHours', 'Manual'),
+    allowNull: true,
+    comment: '克隆实例保留策略(为空时继承RDS实例配置)'
+  },
+  clone_retention_hours: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '克隆实例保留小时数'
+  },
+  clone_expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '克隆实例到期释放时间'
+  },
+  teardown_status: {
+    type: DataTypes.ENUM('NotRequired', 'Pending', 'Retained', 'Deleting', 'Deleted', 'Failed'),
+    defaultValue: 'NotRequired',
+    comment: '克隆实例释放状态'
+  },
+  teardown_attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0,
+    comment: '克隆实例释放尝试次数'
+  },
+  teardown_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '克隆实例释放错误信息'
+  },
+  torn_down_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '克隆实例释放时间'
+  },
   compliance_year: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -112,6 +247,11 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     defaultValue: false,
     comment: '是否年度任务'
   },
+  schedule_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: '来源调度ID'
+  },
   scheduled_at: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -137,6 +277,9 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     {
       fields: ['status']
     },
+    {
+      fields: ['status', 'priority', 'scheduled_at']
+    },
     {
       fields: ['task_type']
     },
@@ -146,6 +289,9 @@ const RecoveryTask = sequelize.define('RecoveryTask', {
     {
       fields: ['is_annual_task']
     },
+    {
+      fields: ['teardown_status', 'clone_expires_at']
+    },
     {
       fields: ['created_at']
     }
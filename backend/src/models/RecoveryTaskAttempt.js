@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RecoveryTaskAttempt = sequelize.define('RecoveryTaskAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  task_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '恢复任务ID'
+  },
+  attempt_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: '尝试序号'
+  },
+  is_retry: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: '是否为自动重试'
+  },
+  status: {
+    type: DataTypes.ENUM('Running', 'Success', 'Failed', 'Cancelled', 'Timeout'),
+    defaultValue: 'Running',
+    comment: '尝试结果'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '开始时间'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '结束时间'
+  },
+  duration_seconds: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '持续时间(秒)'
+  },
+  target_instance_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '本次尝试创建的克隆实例ID'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '错误信息'
+  },
+  error_code: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '错误码'
+  },
+  error_category: {
+    type: DataTypes.ENUM('Retryable', 'Permanent', 'Unknown'),
+    allowNull: true,
+    comment: '错误分类'
+  },
+  next_retry_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '下次重试时间'
+  }
+}, {
+  tableName: 'recovery_task_attempts',
+  comment: '恢复任务执行尝试表',
+  paranoid: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['task_id', 'attempt_number']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = RecoveryTaskAttempt;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// 执行日志作为恢复证据只允许追加
+const rejectChange = () => {
+  throw new Error('任务执行日志只允许追加，不能修改或删除');
+};
+
+const RecoveryTaskLog = sequelize.define('RecoveryTaskLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  task_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '恢复任务ID'
+  },
+  attempt_number: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: '执行尝试序号'
+  },
+  phase: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: '记录时的执行阶段'
+  },
+  level: {
+    type: DataTypes.ENUM('Info', 'Warn', 'Error'),
+    defaultValue: 'Info',
+    comment: '日志级别'
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: '事件类型'
+  },
+  message: {
+    type: DataTypes.STRING(1000),
+    allowNull: false,
+    comment: '日志内容'
+  },
+  request_id: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: '云端接口请求ID'
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '结构化详情(云端返回、验证结果等)'
+  },
+  logged_at: {
+    type: DataTypes.DATE(3),
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: '记录时间'
+  }
+}, {
+  tableName: 'recovery_task_logs',
+  comment: '恢复任务执行日志表',
+  paranoid: false,
+  updatedAt: false,
+  hooks: {
+    beforeUpdate: rejectChange,
+    beforeBulkUpdate: rejectChange,
+    beforeDestroy: rejectChange,
+    beforeBulkDestroy: rejectChange
+  },
+  indexes: [
+    {
+      fields: ['task_id', 'logged_at']
+    },
+    {
+      fields: ['request_id']
+    }
+  ]
+});
+
+module.exports = RecoveryTaskLog;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const RecoveryTaskStep = sequelize.define('RecoveryTaskStep', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  task_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: '恢复任务ID'
+  },
+  phase: {
+    type: DataTypes.ENUM('SnapshotSource', 'CloneRequested', 'InstanceReady', 'Verifying', 'Teardown', 'Completed'),
+    allowNull: false,
+    comment: '执行阶段'
+  },
+  status: {
+    type: DataTypes.ENUM('Running', 'Completed', 'Failed'),
+    defaultValue: 'Running',
+    comment: '阶段状态'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: '阶段开始时间'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: '阶段结束时间'
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: '阶段详情'
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: '错误信息'
+  },
+  resumed: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: '是否为重启后恢复执行'
+  }
+}, {
+  tableName: 'recovery_task_steps',
+  comment: '恢复任务执行阶段表',
+  paranoid: false,
+  indexes: [
+    {
+      fields: ['task_id']
+    },
+    {
+      fields: ['phase']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = RecoveryTaskStep;
\ No newline at end of file
@@ -2,7 +2,20 @@ const User = require('./User');
 const RDSInstance = require('./RDSInstance');
 const RecoveryTask = require('./RecoveryTask');
 const AuditLog = require('./AuditLog');
+const AuditCheckpoint = require('./AuditCheckpoint');
+const AuditExport = require('./AuditExport');
+const AuditArchive = require('./AuditArchive');
 const ComplianceReport = require('./ComplianceReport');
+const RecoveryTaskStep = require('./RecoveryTaskStep');
+const RecoveryTaskAttempt = require('./RecoveryTaskAttempt');
+const RecoveryTaskLog = require('./RecoveryTaskLog');
+const RecoverySchedule = require('./RecoverySchedule');
+const CloudCredentialProfile = require('./CloudCredentialProfile');
+const DiscoveryRun = require('./DiscoveryRun');
+const DiscoveryItem = require('./DiscoveryItem');
+const RDSInstanceChange = require('./RDSInstanceChange');
+const BackupPolicy = require('./BackupPolicy');
+const BackupRecord = require('./BackupRecord');
 
 // 用户与RDS实例关系
 User.hasMany(RDSInstance, {
@@ -34,6 +47,138 @@ RecoveryTask.belongsTo(User, {
   as: 'creator'
 });
 
+// 恢复任务与执行阶段关系
+RecoveryTask.hasMany(RecoveryTaskStep, {
+  foreignKey: 'task_id',
+  as: 'steps'
+});
+RecoveryTaskStep.belongsTo(RecoveryTask, {
+  foreignKey: 'task_id',
+  as: 'task'
+});
+
+// 恢复任务与执行尝试关系
+RecoveryTask.hasMany(RecoveryTaskAttempt, {
+  foreignKey: 'task_id',
+  as: 'attempts'
+});
+RecoveryTaskAttempt.belongsTo(RecoveryTask, {
+  foreignKey: 'task_id',
+  as: 'task'
+});
+
+// 恢复任务与执行日志关系
+RecoveryTask.hasMany(RecoveryTaskLog, {
+  foreignKey: 'task_id',
+  as: 'logs'
+});
+RecoveryTaskLog.belongsTo(RecoveryTask, {
+  foreignKey: 'task_id',
+  as: 'task'
+});
+
+// 恢复调度关系
+RDSInstance.hasMany(RecoverySchedule, {
+  foreignKey: 'rds_instance_id',
+  as: 'recoverySchedules'
+});
+RecoverySchedule.belongsTo(RDSInstance, {
+  foreignKey: 'rds_instance_id',
+  as: 'rdsInstance'
+});
+RecoverySchedule.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+RecoverySchedule.hasMany(RecoveryTask, {
+  foreignKey: 'schedule_id',
+  as: 'tasks'
+});
+RecoveryTask.belongsTo(RecoverySchedule, {
+  foreignKey: 'schedule_id',
+  as: 'schedule'
+});
+
+// 云账号凭据配置与RDS实例关系
+CloudCredentialProfile.hasMany(RDSInstance, {
+  foreignKey: 'credential_profile_id',
+  as: 'instances'
+});
+RDSInstance.belongsTo(CloudCredentialProfile, {
+  foreignKey: 'credential_profile_id',
+  as: 'credentialProfile'
+});
+CloudCredentialProfile.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+// RDS实例字段变更历史
+RDSInstance.hasMany(RDSInstanceChange, {
+  foreignKey: 'rds_instance_id',
+  as: 'changes'
+});
+RDSInstanceChange.belongsTo(RDSInstance, {
+  foreignKey: 'rds_instance_id',
+  as: 'rdsInstance'
+});
+RDSInstanceChange.belongsTo(User, {
+  foreignKey: 'changed_by',
+  as: 'changer'
+});
+
+// 备份策略与RDS实例关系
+BackupPolicy.hasMany(RDSInstance, {
+  foreignKey: 'backup_policy_id',
+  as: 'instances'
+});
+RDSInstance.belongsTo(BackupPolicy, {
+  foreignKey: 'backup_policy_id',
+  as: 'backupPolicy'
+});
+BackupPolicy.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+// RDS实例备份目录
+RDSInstance.hasMany(BackupRecord, {
+  foreignKey: 'rds_instance_id',
+  as: 'backupRecords'
+});
+BackupRecord.belongsTo(RDSInstance, {
+  foreignKey: 'rds_instance_id',
+  as: 'rdsInstance'
+});
+
+// 实例发现运行与差异关系
+DiscoveryRun.hasMany(DiscoveryItem, {
+  foreignKey: 'run_id',
+  as: 'items'
+});
+DiscoveryItem.belongsTo(DiscoveryRun, {
+  foreignKey: 'run_id',
+  as: 'run'
+});
+DiscoveryItem.belongsTo(RDSInstance, {
+  foreignKey: 'rds_instance_id',
+  as: 'rdsInstance'
+});
+DiscoveryItem.belongsTo(CloudCredentialProfile, {
+  foreignKey: 'credential_profile_id',
+  as: 'credentialProfile'
+});
+DiscoveryRun.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
+// 恢复任务执行者关系
+RecoveryTask.belongsTo(User, {
+  foreignKey: 'executed_by',
+  as: 'executor'
+});
+
 // 用户与审计日志关系
 User.hasMany(AuditLog, {
   foreignKey: 'user_id',
@@ -44,6 +189,12 @@ AuditLog.belongsTo(User, {
   as: 'user'
 });
 
+// 用户与审计日志导出任务关系
+AuditExport.belongsTo(User, {
+  foreignKey: 'created_by',
+  as: 'creator'
+});
+
 // 用户与合规报告关系
 User.hasMany(ComplianceReport, {
   foreignKey: 'generated_by',
@@ -68,5 +219,18 @@ module.exports = {
   RDSInstance,
   RecoveryTask,
   AuditLog,
-  ComplianceReport
+  AuditCheckpoint,
+  AuditExport,
+  AuditArchive,
+  ComplianceReport,
+  RecoveryTaskStep,
+  RecoveryTaskAttempt,
+  RecoveryTaskLog,
+  RecoverySchedule,
+  CloudCredentialProfile,
+  DiscoveryRun,
+  DiscoveryItem,
+  RDSInstanceChange,
+  BackupPolicy,
+  BackupRecord
 };
\ No newline at end of file
@@ -1,8 +1,14 @@
+const fs = require('fs');
+const path = require('path');
 const express = require('express');
-const { AuditLog } = require('../models');
+const { AuditLog, AuditCheckpoint, AuditExport, AuditArchive } = require('../models');
 const { authenticateToken, authorize } = require('../middleware/auth');
-const { validate, commonSchemas } = require('../utils/validation');
+const { validate, auditSchemas, commonSchemas } = require('../utils/validation');
 const { createAuditMiddleware } = require('../utils/audit');
+const auditChainService = require('../services/auditChainService');
+const auditRedactionService = require('../services/auditRedactionService');
+const auditExportService = require('../services/auditExportService');
+const auditArchiveService = require('../services/auditArchiveService');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -130,6 +136,7 @@ router.get('/logs',
  * /api/audit/logs/{id}:
  *   get:
  *     summary: 获取审计日志详情
+ *     description: relatedChanges 为同一请求(追踪ID)引起的数据变更记录，含字段级的修改前后值
  *     tags: [审计管理]
  *     security:
  *       - bearerAuth: []
@@ -170,7 +177,19 @@ router.get('/logs/:id',
         });
       }
 
-      res.json({ log });
+      const relatedChanges = log.trace_id
+        ? await AuditLog.findAll({
+          where: {
+            trace_id: log.trace_id,
+            id: { [require('sequelize').Op.ne]: log.id },
+            operation_type: ['Create', 'Update', 'Delete']
+          },
+          order: [['sequence', 'ASC']],
+          limit: 100
+        })
+        : [];
+
+      res.json({ log, relatedChanges });
     } catch (error) {
       logger.error('获取审计日志详情失败', { error: error.message });
       next(error);
@@ -321,6 +340,10 @@ router.get('/statistics',
  * /api/audit/export:
  *   get:
  *     summary: 导出审计日志
+ *     description: |
+ *       按条件分批读取并流式写出导出文件；记录数超过 AUDIT_EXPORT_ASYNC_THRESHOLD(默认100000)时转为后台导出，
+ *       返回 202 及下载地址。excel 每种资源类型一个工作表，csv 符合 RFC 4180，
+ *       pdf 为含封面(导出条件、记录数、内容哈希及签名)的证据文件，json 为含哈希链规范内容与签名检查点的校验证据包
  *     tags: [审计管理]
  *     security:
  *       - bearerAuth: []
@@ -343,99 +366,572 @@ router.get('/statistics',
  *         name: format
  *         schema:
  *           type: string
- *           enum: [csv, excel]
+ *           enum: [csv, excel, pdf, json]
  *           default: excel
  *         description: 导出格式
  *     responses:
  *       200:
- *         description: 导出成功
+ *         description: 导出文件
+ *       202:
+ *         description: 记录较多，已转为后台导出
  *       400:
  *         description: 参数错误
  */
 router.get('/export',
   authorize('admin', 'auditor'),
+  validate(auditSchemas.export, 'query'),
   createAuditMiddleware('导出审计日志', 'AuditLog', 'Read', 'Medium'),
   async (req, res, next) => {
     try {
-      const { startDate, endDate, format = 'excel', ...filters } = req.query;
+      const { format, ...filters } = req.query;
+
+      const count = await auditExportService.count(filters);
+      if (count > auditExportService.asyncThreshold) {
+        const job = await auditExportService.startJob(req.query, req.user);
+        return res.status(202).json({
+          message: `共 ${count} 条记录，已转为后台导出，完成后可下载`,
+          export: job,
+          downloadUrl: `/api/audit/exports/${job.id}/download`
+        });
+      }
+
+      const { fileName, contentType } = auditExportService.getFileInfo(format, filters);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      await auditExportService.write(format, filters, res, { exportedBy: req.user.username });
+    } catch (error) {
+      logger.error('导出审计日志失败', { error: error.message });
+      // 文件已开始输出时无法再返回错误信息，直接断开连接
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/exports:
+ *   get:
+ *     summary: 获取审计日志后台导出任务
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，最近50个导出任务
+ */
+router.get('/exports',
+  authorize('admin', 'auditor'),
+  async (req, res, next) => {
+    try {
+      const jobs = await AuditExport.findAll({
+        attributes: { exclude: ['file_path'] },
+        include: [{ association: 'creator', attributes: ['username', 'real_name'], required: false }],
+        order: [['created_at', 'DESC']],
+        limit: 50
+      });
 
-      if (!startDate || !endDate) {
+      res.json({ exports: jobs });
+    } catch (error) {
+      logger.error('获取审计日志导出任务失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/exports/{id}/download:
+ *   get:
+ *     summary: 下载后台导出的审计日志文件
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 导出文件
+ *       400:
+ *         description: 导出尚未完成
+ *       404:
+ *         description: 导出任务或文件不存在
+ */
+router.get('/exports/:id/download',
+  authorize('admin', 'auditor'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('下载审计日志导出文件', 'AuditLog', 'Read', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const job = await AuditExport.findByPk(req.params.id);
+      if (!job) {
+        return res.status(404).json({
+          error: true,
+          message: '导出任务不存在'
+        });
+      }
+
+      if (job.status !== 'Completed') {
         return res.status(400).json({
           error: true,
-          message: '开始日期和结束日期是必填的'
+          message: '导出尚未完成'
         });
       }
 
-      // 构建查询条件
-      const where = {
-        created_at: {
-          [require('sequelize').Op.gte]: new Date(startDate),
-          [require('sequelize').Op.lte]: new Date(endDate + ' 23:59:59')
-        }
-      };
+      if (!job.file_path || !fs.existsSync(job.file_path)) {
+        return res.status(404).json({
+          error: true,
+          message: '导出文件已被删除'
+        });
+      }
 
-      if (filters.action) where.action = { [require('sequelize').Op.like]: `%${filters.action}%` };
-      if (filters.resourceType) where.resource_type = filters.resourceType;
-      if (filters.status) where.status = filters.status;
-      if (filters.riskLevel) where.risk_level = filters.riskLevel;
+      const { contentType } = auditExportService.getFileInfo(job.format, job.filters);
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${job.file_name}"`);
+      res.sendFile(path.resolve(job.file_path));
+    } catch (error) {
+      logger.error('下载审计日志导出文件失败', { error: error.message });
+      next(error);
+    }
+  }
+);
 
-      const logs = await AuditLog.findAll({
+/**
+ * @swagger
+ * /api/audit/verify:
+ *   get:
+ *     summary: 校验审计日志哈希链
+ *     description: |
+ *       按序号遍历时间范围内的审计日志，逐条重算哈希并检查与前一条记录的链接，
+ *       同时校验范围内签名检查点的签名与对应记录，返回链断开的确切位置
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 开始时间
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 结束时间
+ *     responses:
+ *       200:
+ *         description: 校验完成，valid 为 false 时 breaks 列出断点(MissingRecords/BrokenLink/HashMismatch/Deleted)
+ */
+router.get('/verify',
+  authorize('admin', 'auditor'),
+  validate(auditSchemas.verify, 'query'),
+  createAuditMiddleware('校验审计日志哈希链', 'AuditLog', 'Read', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const verification = await auditChainService.verify(req.query);
+
+      res.json({ verification });
+    } catch (error) {
+      logger.error('校验审计日志哈希链失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/checkpoints:
+ *   get:
+ *     summary: 获取审计日志签名检查点
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 开始时间
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 结束时间
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *         description: 返回数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/checkpoints',
+  authorize('admin', 'auditor'),
+  validate(auditSchemas.checkpoints, 'query'),
+  createAuditMiddleware('查看审计检查点', 'AuditLog', 'Read'),
+  async (req, res, next) => {
+    try {
+      const { startDate, endDate, limit } = req.query;
+
+      const where = {};
+      if (startDate || endDate) {
+        where.created_at = {};
+        if (startDate) where.created_at[require('sequelize').Op.gte] = startDate;
+        if (endDate) where.created_at[require('sequelize').Op.lte] = endDate;
+      }
+
+      const checkpoints = await AuditCheckpoint.findAll({
         where,
-        order: [['created_at', 'DESC']],
-        include: [
-          {
-            association: 'user',
-            attributes: ['username', 'real_name'],
-            required: false
-          }
-        ]
+        order: [['sequence', 'DESC']],
+        limit
       });
 
-      // 如果请求CSV格式
-      if (format === 'csv') {
-        const csvData = logs.map(log => ({
-          '时间': log.created_at,
-          '用户': log.username || '',
-          '操作': log.action,
-          '资源类型': log.resource_type,
-          '操作类型': log.operation_type,
-          '状态': log.status,
-          '风险级别': log.risk_level,
-          'IP地址': log.ip_address || '',
-          '描述': log.description || ''
-        }));
-
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="audit_logs_${startDate}_${endDate}.csv"`);
-        
-        // 简单的CSV生成（实际项目中建议使用专门的CSV库）
-        const headers = Object.keys(csvData[0] || {});
-        let csv = headers.join(',') + '\n';
-        csvData.forEach(row => {
-          csv += headers.map(header => `"${row[header] || ''}"`).join(',') + '\n';
-        });
-        
-        res.send(csv);
-      } else {
-        // Excel格式（需要实现Excel生成逻辑）
-        // 这里返回JSON数据，实际项目中应该生成Excel文件
-        res.json({
-          message: 'Excel导出功能待实现',
-          data: logs.map(log => ({
-            时间: log.created_at,
-            用户: log.username || '',
-            操作: log.action,
-            资源类型: log.resource_type,
-            操作类型: log.operation_type,
-            状态: log.status,
-            风险级别: log.risk_level,
-            IP地址: log.ip_address || '',
-            描述: log.description || ''
-          }))
+      res.json({ checkpoints });
+    } catch (error) {
+      logger.error('获取审计检查点失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/checkpoints:
+ *   post:
+ *     summary: 立即为当前链尾创建签名检查点
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       200:
+ *         description: 自上一检查点以来没有新的审计日志
+ *       400:
+ *         description: 未配置签名私钥
+ */
+router.post('/checkpoints',
+  authorize('admin'),
+  createAuditMiddleware('创建审计检查点', 'AuditLog', 'Create', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const checkpoint = await auditChainService.createCheckpoint();
+
+      if (!checkpoint) {
+        return res.json({
+          message: '自上一检查点以来没有新的审计日志',
+          checkpoint: null
         });
       }
+
+      res.status(201).json({
+        message: '审计检查点创建成功',
+        checkpoint
+      });
     } catch (error) {
-      logger.error('导出审计日志失败', { error: error.message });
+      logger.error('创建审计检查点失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/scrub:
+ *   get:
+ *     summary: 获取审计日志脱敏迁移状态
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，包含最近一次迁移的结果
+ */
+router.get('/scrub',
+  authorize('admin', 'auditor'),
+  (req, res) => {
+    res.json(auditRedactionService.getStatus());
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/scrub:
+ *   post:
+ *     summary: 按当前脱敏策略清理历史审计日志
+ *     description: |
+ *       在后台重写历史记录的请求参数、修改前后的值与描述，并重新计算哈希链；
+ *       仅在哈希链完整时执行，重写位置之后的检查点标记为已取代并生成新检查点
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: 迁移已开始
+ *       400:
+ *         description: 已有签名检查点但未配置签名私钥
+ *       409:
+ *         description: 迁移正在运行
+ */
+router.post('/scrub',
+  authorize('admin'),
+  createAuditMiddleware('发起审计日志脱敏迁移', 'AuditLog', 'Update', 'High'),
+  async (req, res, next) => {
+    try {
+      const { startedAt } = await auditRedactionService.startScrub(req.user);
+
+      res.status(202).json({
+        message: '审计日志脱敏迁移已开始',
+        startedAt
+      });
+    } catch (error) {
+      logger.error('发起审计日志脱敏迁移失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/archives:
+ *   get:
+ *     summary: 获取审计日志归档
+ *     description: 超出在线保留期的审计日志按月归档为压缩文件与签名清单，返回归档列表与归档运行状态
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/archives',
+  authorize('admin', 'auditor'),
+  async (req, res, next) => {
+    try {
+      const archives = await AuditArchive.findAll({
+        attributes: { exclude: ['manifest', 'verify_result'] },
+        order: [['first_sequence', 'DESC']]
+      });
+
+      res.json({
+        archives,
+        status: auditArchiveService.getStatus()
+      });
+    } catch (error) {
+      logger.error('获取审计日志归档失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/archives:
+ *   post:
+ *     summary: 立即归档超出在线保留期的审计日志
+ *     description: |
+ *       在后台按月归档早于保留期起点的记录：写入 gzip 压缩的 NDJSON 文件与签名清单，
+ *       读回校验一致后从在线表删除；哈希链不完整时不归档
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: 归档已开始
+ *       409:
+ *         description: 归档正在运行
+ */
+router.post('/archives',
+  authorize('admin'),
+  createAuditMiddleware('发起审计日志归档', 'AuditLog', 'Delete', 'High'),
+  async (req, res, next) => {
+    try {
+      const { startedAt, cutoff } = await auditArchiveService.startArchive(req.user);
+
+      res.status(202).json({
+        message: '审计日志归档已开始',
+        startedAt,
+        cutoff
+      });
+    } catch (error) {
+      logger.error('发起审计日志归档失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/archives/search:
+ *   get:
+ *     summary: 检索已归档的审计日志
+ *     description: 逐个读取与时间范围重叠的归档文件并按条件过滤，单次检索的时间范围不超过92天
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: keyword
+ *         schema:
+ *           type: string
+ *         description: 在操作、用户名、资源名称、请求路径与描述中匹配
+ *       - in: query
+ *         name: username
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: traceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: 检索完成，truncated 为 true 时结果达到返回上限
+ *       400:
+ *         description: 时间范围超过92天
+ */
+router.get('/archives/search',
+  authorize('admin', 'auditor'),
+  validate(auditSchemas.archiveSearch, 'query'),
+  createAuditMiddleware('检索归档审计日志', 'AuditLog', 'Read', 'Medium'),
+  async (req, res, next) => {
+    try {
+      res.json(await auditArchiveService.search(req.query));
+    } catch (error) {
+      logger.error('检索归档审计日志失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/archives/{id}/verify:
+ *   post:
+ *     summary: 校验审计日志归档
+ *     description: |
+ *       校验清单签名、归档文件摘要、与前一段归档的链接，
+ *       并逐条重算归档记录的哈希链与检查点，结果保存到归档记录
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: 校验完成
+ *       404:
+ *         description: 归档不存在
+ */
+router.post('/archives/:id/verify',
+  authorize('admin', 'auditor'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('校验审计日志归档', 'AuditLog', 'Read', 'Medium'),
+  async (req, res, next) => {
+    try {
+      res.json(await auditArchiveService.verifyArchive(req.params.id));
+    } catch (error) {
+      logger.error('校验审计日志归档失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/audit/archives/{id}/download:
+ *   get:
+ *     summary: 下载审计日志归档文件或清单
+ *     tags: [审计管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [data, manifest]
+ *           default: data
+ *     responses:
+ *       200:
+ *         description: 归档文件(gzip 压缩的 NDJSON)或清单(JSON)
+ *       404:
+ *         description: 归档不存在
+ */
+router.get('/archives/:id/download',
+  authorize('admin', 'auditor'),
+  validate(commonSchemas.uuid, 'params'),
+  validate(auditSchemas.archiveDownload, 'query'),
+  createAuditMiddleware('下载审计日志归档', 'AuditLog', 'Read', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const { stream, fileName, contentType } = await auditArchiveService.openArchiveFile(req.params.id, req.query.type);
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      stream.on('error', error => {
+        logger.error('下载审计日志归档失败', { error: error.message });
+        res.destroy();
+      });
+      stream.pipe(res);
+    } catch (error) {
+      logger.error('下载审计日志归档失败', { error: error.message });
       next(error);
     }
   }
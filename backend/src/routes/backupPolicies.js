@@ -0,0 +1,339 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { BackupPolicy, RDSInstance } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, backupPolicySchemas, commonSchemas } = require('../utils/validation');
+const { createAuditMiddleware } = require('../utils/audit');
+const backupComplianceService = require('../services/backupComplianceService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// 所有路由都需要认证
+router.use(authenticateToken);
+
+/**
+ * 请求字段转换为备份策略表字段，过滤未提供的字段
+ * @param {Object} body 请求体
+ * @returns {Object} 备份策略字段
+ */
+const toPolicyData = (body) => {
+  const data = {
+    policy_name: body.policyName,
+    description: body.description,
+    is_default: body.isDefault,
+    min_retention_days: body.minRetentionDays,
+    require_log_backup: body.requireLogBackup,
+    min_backups_per_week: body.minBackupsPerWeek,
+    require_encryption: body.requireEncryption
+  };
+
+  Object.keys(data).forEach(key => {
+    if (data[key] === undefined) {
+      delete data[key];
+    }
+  });
+
+  return data;
+};
+
+/**
+ * 设为默认策略时取消其他策略的默认标记
+ * @param {Object} policy 备份策略
+ */
+const ensureSingleDefault = async (policy) => {
+  if (policy.is_default) {
+    await BackupPolicy.update(
+      { is_default: false },
+      { where: { is_default: true, id: { [Op.ne]: policy.id } } }
+    );
+  }
+};
+
+/**
+ * 查找备份策略，不存在时返回404
+ */
+const loadPolicy = async (req, res, next) => {
+  try {
+    const policy = await BackupPolicy.findByPk(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        error: true,
+        message: '备份策略不存在'
+      });
+    }
+
+    req.policy = policy;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/backup-policies:
+ *   get:
+ *     summary: 获取备份策略列表
+ *     tags: [备份策略]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/',
+  createAuditMiddleware('查看备份策略列表', 'BackupPolicy', 'Read'),
+  async (req, res, next) => {
+    try {
+      const policies = await BackupPolicy.findAll({
+        order: [['is_default', 'DESC'], ['policy_name', 'ASC']],
+        include: [
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          }
+        ]
+      });
+
+      res.json({ policies });
+    } catch (error) {
+      logger.error('获取备份策略列表失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/backup-policies/compliance:
+ *   get:
+ *     summary: 获取实例备份策略合规汇总
+ *     description: 按最近一次同步的云端备份配置统计，未归档实例参与统计
+ *     tags: [备份策略]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/compliance',
+  createAuditMiddleware('查看备份策略合规汇总', 'BackupPolicy', 'Read'),
+  async (req, res, next) => {
+    try {
+      const instances = await RDSInstance.findAll({
+        where: { archived_at: null },
+        order: [['instance_name', 'ASC']]
+      });
+
+      res.json({ compliance: backupComplianceService.summarize(instances) });
+    } catch (error) {
+      logger.error('获取备份策略合规汇总失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/backup-policies:
+ *   post:
+ *     summary: 创建备份策略
+ *     description: 创建后按实例最近一次同步的备份配置重新检查合规
+ *     tags: [备份策略]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - policyName
+ *             properties:
+ *               policyName:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *                 description: 是否默认策略，未指定策略的实例按默认策略检查
+ *               minRetentionDays:
+ *                 type: integer
+ *                 description: 最短备份保留天数
+ *               requireLogBackup:
+ *                 type: boolean
+ *                 description: 是否要求开启日志备份
+ *               minBackupsPerWeek:
+ *                 type: integer
+ *                 description: 每周最少备份次数
+ *               requireEncryption:
+ *                 type: boolean
+ *                 description: 是否要求开启加密
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       409:
+ *         description: 策略名称已存在
+ */
+router.post('/',
+  authorize('admin'),
+  validate(backupPolicySchemas.create),
+  createAuditMiddleware('创建备份策略', 'BackupPolicy', 'Create', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const existing = await BackupPolicy.findOne({
+        where: { policy_name: req.body.policyName }
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: true,
+          message: '策略名称已存在'
+        });
+      }
+
+      const policy = await BackupPolicy.create({
+        ...toPolicyData(req.body),
+        created_by: req.user.id
+      });
+      await ensureSingleDefault(policy);
+
+      const evaluatedCount = await backupComplianceService.reevaluate();
+
+      res.status(201).json({
+        message: '备份策略创建成功',
+        policy,
+        evaluatedCount
+      });
+    } catch (error) {
+      logger.error('创建备份策略失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/backup-policies/{id}:
+ *   put:
+ *     summary: 更新备份策略
+ *     description: 更新后按实例最近一次同步的备份配置重新检查合规
+ *     tags: [备份策略]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 备份策略ID
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       404:
+ *         description: 备份策略不存在
+ *       409:
+ *         description: 策略名称已存在
+ */
+router.put('/:id',
+  authorize('admin'),
+  validate(commonSchemas.uuid, 'params'),
+  validate(backupPolicySchemas.update),
+  createAuditMiddleware('更新备份策略', 'BackupPolicy', 'Update', 'Medium'),
+  loadPolicy,
+  async (req, res, next) => {
+    try {
+      const { policy } = req;
+
+      if (req.body.policyName && req.body.policyName !== policy.policy_name) {
+        const existing = await BackupPolicy.findOne({
+          where: { policy_name: req.body.policyName }
+        });
+        if (existing) {
+          return res.status(409).json({
+            error: true,
+            message: '策略名称已存在'
+          });
+        }
+      }
+
+      const oldValues = policy.toJSON();
+
+      await policy.update(toPolicyData(req.body));
+      await ensureSingleDefault(policy);
+
+      const evaluatedCount = await backupComplianceService.reevaluate();
+
+      req.auditOldValues = oldValues;
+      req.auditNewValues = policy.toJSON();
+
+      res.json({
+        message: '备份策略更新成功',
+        policy,
+        evaluatedCount
+      });
+    } catch (error) {
+      logger.error('更新备份策略失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/backup-policies/{id}:
+ *   delete:
+ *     summary: 删除备份策略
+ *     tags: [备份策略]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 备份策略ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       409:
+ *         description: 仍有实例指定该策略
+ */
+router.delete('/:id',
+  authorize('admin'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('删除备份策略', 'BackupPolicy', 'Delete', 'High'),
+  loadPolicy,
+  async (req, res, next) => {
+    try {
+      const instanceCount = await RDSInstance.count({
+        where: { backup_policy_id: req.policy.id }
+      });
+      if (instanceCount > 0) {
+        return res.status(409).json({
+          error: true,
+          message: `仍有 ${instanceCount} 个实例指定该备份策略，无法删除`
+        });
+      }
+
+      await req.policy.destroy();
+
+      // 删除默认策略后未指定策略的实例变为未配置策略
+      if (req.policy.is_default) {
+        await backupComplianceService.reevaluate({ backup_policy_id: null });
+      }
+
+      res.json({
+        message: '备份策略删除成功'
+      });
+    } catch (error) {
+      logger.error('删除备份策略失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,346 @@
+const express = require('express');
+const { CloudCredentialProfile, RDSInstance } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, credentialProfileSchemas, commonSchemas } = require('../utils/validation');
+const { createAuditMiddleware } = require('../utils/audit');
+const credentialProfileService = require('../services/credentialProfileService');
+const rdsService = require('../services/rdsService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// 凭据配置仅管理员可管理
+router.use(authenticateToken);
+router.use(authorize('admin'));
+
+/**
+ * 查找凭据配置，不存在时返回404
+ */
+const loadProfile = async (req, res, next) => {
+  try {
+    const profile = await CloudCredentialProfile.findByPk(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        error: true,
+        message: '云账号凭据配置不存在'
+      });
+    }
+
+    req.profile = profile;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/credential-profiles:
+ *   get:
+ *     summary: 获取云账号凭据配置列表
+ *     description: 仅返回 AccessKey 掩码，不返回密文
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/',
+  createAuditMiddleware('查看云账号凭据配置列表', 'CredentialProfile', 'Read'),
+  async (req, res, next) => {
+    try {
+      const profiles = await CloudCredentialProfile.findAll({
+        order: [['profile_name', 'ASC']],
+        include: [
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          }
+        ]
+      });
+
+      res.json({ profiles });
+    } catch (error) {
+      logger.error('获取云账号凭据配置列表失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/credential-profiles/{id}:
+ *   get:
+ *     summary: 获取云账号凭据配置详情
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 凭据配置ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 凭据配置不存在
+ */
+router.get('/:id',
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('查看云账号凭据配置详情', 'CredentialProfile', 'Read'),
+  loadProfile,
+  async (req, res, next) => {
+    try {
+      const instanceCount = await RDSInstance.count({
+        where: { credential_profile_id: req.profile.id }
+      });
+
+      res.json({ profile: req.profile, instanceCount });
+    } catch (error) {
+      logger.error('获取云账号凭据配置详情失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/credential-profiles:
+ *   post:
+ *     summary: 创建云账号凭据配置
+ *     description: AccessKey 使用 CREDENTIAL_ENCRYPTION_KEY 加密后保存
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - profileName
+ *               - accessKeyId
+ *               - accessKeySecret
+ *             properties:
+ *               profileName:
+ *                 type: string
+ *               accountId:
+ *                 type: string
+ *                 description: 云账号ID
+ *               accessKeyId:
+ *                 type: string
+ *               accessKeySecret:
+ *                 type: string
+ *               defaultRegion:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       409:
+ *         description: 配置名称已存在
+ */
+router.post('/',
+  validate(credentialProfileSchemas.create),
+  createAuditMiddleware('创建云账号凭据配置', 'CredentialProfile', 'Create', 'High'),
+  async (req, res, next) => {
+    try {
+      const existing = await CloudCredentialProfile.findOne({
+        where: { profile_name: req.body.profileName }
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: true,
+          message: '配置名称已存在'
+        });
+      }
+
+      const profile = await credentialProfileService.createProfile(req.body, req.user);
+
+      res.status(201).json({
+        message: '云账号凭据配置创建成功',
+        profile
+      });
+    } catch (error) {
+      logger.error('创建云账号凭据配置失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/credential-profiles/{id}:
+ *   put:
+ *     summary: 更新云账号凭据配置
+ *     description: 轮换 AccessKey 时需同时提供 accessKeyId 与 accessKeySecret
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 凭据配置ID
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       404:
+ *         description: 凭据配置不存在
+ */
+router.put('/:id',
+  validate(commonSchemas.uuid, 'params'),
+  validate(credentialProfileSchemas.update),
+  createAuditMiddleware('更新云账号凭据配置', 'CredentialProfile', 'Update', 'High'),
+  loadProfile,
+  async (req, res, next) => {
+    try {
+      const oldValues = req.profile.toJSON();
+
+      const profile = await credentialProfileService.updateProfile(req.profile, req.body);
+
+      // 凭据或地域变化后重新创建客户端
+      rdsService.evictProfile(profile.id);
+
+      req.auditOldValues = oldValues;
+      req.auditNewValues = profile.toJSON();
+
+      res.json({
+        message: '云账号凭据配置更新成功',
+        profile
+      });
+    } catch (error) {
+      logger.error('更新云账号凭据配置失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/credential-profiles/{id}/verify:
+ *   post:
+ *     summary: 验证云账号凭据
+ *     description: 使用凭据调用实例列表接口，记录验证结果
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 凭据配置ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               regionId:
+ *                 type: string
+ *                 description: 验证使用的地域，默认为配置的默认地域
+ *     responses:
+ *       200:
+ *         description: 验证完成
+ */
+router.post('/:id/verify',
+  validate(commonSchemas.uuid, 'params'),
+  validate(credentialProfileSchemas.verify),
+  createAuditMiddleware('验证云账号凭据', 'CredentialProfile', 'Read'),
+  loadProfile,
+  async (req, res, next) => {
+    try {
+      const { profile } = req;
+      const regionId = req.body.regionId || profile.default_region || undefined;
+
+      let result;
+      try {
+        const rds = await rdsService.forInstance({
+          provider: 'aliyun',
+          credential_profile_id: profile.id,
+          region: regionId
+        });
+        const { totalCount } = await rds.getInstances({ pageSize: 1 });
+
+        result = { success: true, regionId: rds.provider.regionId, totalCount };
+      } catch (error) {
+        result = { success: false, regionId, message: error.message };
+      }
+
+      await profile.update({
+        last_verified_at: new Date(),
+        last_verify_result: result
+      });
+
+      res.json({
+        message: result.success ? '凭据验证成功' : '凭据验证失败',
+        result
+      });
+    } catch (error) {
+      logger.error('验证云账号凭据失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/credential-profiles/{id}:
+ *   delete:
+ *     summary: 删除云账号凭据配置
+ *     tags: [云账号凭据]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 凭据配置ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       409:
+ *         description: 仍有实例使用该凭据配置
+ */
+router.delete('/:id',
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('删除云账号凭据配置', 'CredentialProfile', 'Delete', 'High'),
+  loadProfile,
+  async (req, res, next) => {
+    try {
+      const instanceCount = await RDSInstance.count({
+        where: { credential_profile_id: req.profile.id }
+      });
+      if (instanceCount > 0) {
+        return res.status(409).json({
+          error: true,
+          message: `仍有 ${instanceCount} 个实例使用该凭据配置，无法删除`
+        });
+      }
+
+      await req.profile.destroy();
+      rdsService.evictProfile(req.profile.id);
+
+      res.json({
+        message: '云账号凭据配置删除成功'
+      });
+    } catch (error) {
+      logger.error('删除云账号凭据配置失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
@@ -1,462 +1,1191 @@
-const express = require('express');
-const { RDSInstance } = require('../models');
-const { authenticateToken, authorize } = require('../middleware/auth');
-const { validate, rdsSchemas, commonSchemas } = require('../utils/validation');
-const { createAuditMiddleware } = require('../utils/audit');
-const rdsService = require('../services/rdsService');
-const logger = require('../config/logger');
-
-const router = express.Router();
-
-// 所有路由都需要认证
-router.use(authenticateToken);
-
-/**
- * @swagger
- * /api/rds/instances:
- *   get:
- *     summary: 获取RDS实例列表
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *         description: 页码
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *         description: 每页数量
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *         description: 实例状态
- *     responses:
- *       200:
- *         description: 获取成功
- */
-router.get('/instances', 
-  validate(commonSchemas.pagination, 'query'),
-  createAuditMiddleware('查看RDS实例列表', 'RDSInstance', 'Read'),
-  async (req, res, next) => {
-    try {
-      const { page, limit, sortBy, sortOrder, ...filters } = req.query;
-      
-      const offset = (page - 1) * limit;
-      const order = sortBy ? [[sortBy, sortOrder]] : [['created_at', 'DESC']];
-
-      // 查询数据库中的RDS实例
-      const { rows: instances, count: total } = await RDSInstance.findAndCountAll({
-        where: filters,
-        offset,
-        limit,
-        order,
-        include: [
-          {
-            association: 'creator',
-            attributes: ['id', 'username', 'real_name']
-          }
-        ]
-      });
-
-      res.json({
-        instances,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit)
-        }
-      });
-    } catch (error) {
-      logger.error('获取RDS实例列表失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/rds/instances/{id}:
- *   get:
- *     summary: 获取RDS实例详情
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 实例ID
- *     responses:
- *       200:
- *         description: 获取成功
- *       404:
- *         description: 实例不存在
- */
-router.get('/instances/:id',
-  validate(commonSchemas.uuid, 'params'),
-  createAuditMiddleware('查看RDS实例详情', 'RDSInstance', 'Read'),
-  async (req, res, next) => {
-    try {
-      const { id } = req.params;
-
-      const instance = await RDSInstance.findByPk(id, {
-        include: [
-          {
-            association: 'creator',
-            attributes: ['id', 'username', 'real_name']
-          },
-          {
-            association: 'recoveryTasks',
-            limit: 10,
-            order: [['created_at', 'DESC']],
-            attributes: ['id', 'task_name', 'status', 'created_at']
-          }
-        ]
-      });
-
-      if (!instance) {
-        return res.status(404).json({
-          error: true,
-          message: 'RDS实例不存在'
-        });
-      }
-
-      // 获取阿里云实例的实时状态
-      try {
-        const cloudInstance = await rdsService.getInstance(instance.instance_id);
-        if (cloudInstance) {
-          // 更新本地实例状态
-          await instance.update({
-            status: cloudInstance.dbInstanceStatus,
-            connection_string: cloudInstance.connectionString,
-            port: cloudInstance.port
-          });
-        }
-      } catch (cloudError) {
-        logger.warn('获取云端实例状态失败', {
-          instanceId: instance.instance_id,
-          error: cloudError.message
-        });
-      }
-
-      res.json({ instance });
-    } catch (error) {
-      logger.error('获取RDS实例详情失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/rds/instances:
- *   post:
- *     summary: 添加RDS实例
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - instanceId
- *               - instanceName
- *               - engine
- *               - engineVersion
- *             properties:
- *               instanceId:
- *                 type: string
- *                 description: 阿里云实例ID
- *               instanceName:
- *                 type: string
- *                 description: 实例名称
- *               engine:
- *                 type: string
- *                 enum: [MySQL, PostgreSQL, SQLServer, PPAS, MariaDB]
- *                 description: 数据库引擎
- *               engineVersion:
- *                 type: string
- *                 description: 引擎版本
- *     responses:
- *       201:
- *         description: 添加成功
- *       409:
- *         description: 实例已存在
- */
-router.post('/instances',
-  authorize('admin', 'operator'),
-  validate(rdsSchemas.create),
-  createAuditMiddleware('添加RDS实例', 'RDSInstance', 'Create', 'Medium'),
-  async (req, res, next) => {
-    try {
-      const instanceData = {
-        ...req.body,
-        instance_id: req.body.instanceId,
-        instance_name: req.body.instanceName,
-        engine: req.body.engine,
-        engine_version: req.body.engineVersion,
-        region: req.body.region || 'cn-shenzhen',
-        zone: req.body.zone,
-        instance_class: req.body.instanceClass,
-        storage_type: req.body.storageType,
-        storage_size: req.body.storageSize,
-        vpc_id: req.body.vpcId,
-        vswitch_id: req.body.vswitchId,
-        connection_string: req.body.connectionString,
-        port: req.body.port,
-        backup_retention_period: req.body.backupRetentionPeriod,
-        backup_time: req.body.backupTime,
-        description: req.body.description,
-        created_by: req.user.id
-      };
-
-      // 检查实例是否已存在
-      const existingInstance = await RDSInstance.findOne({
-        where: { instance_id: instanceData.instance_id }
-      });
-
-      if (existingInstance) {
-        return res.status(409).json({
-          error: true,
-          message: 'RDS实例已存在'
-        });
-      }
-
-      // 从阿里云获取实例详情
-      try {
-        const cloudInstance = await rdsService.getInstance(instanceData.instance_id);
-        if (cloudInstance) {
-          // 使用云端数据补充实例信息
-          instanceData.status = cloudInstance.dbInstanceStatus;
-          instanceData.instance_class = cloudInstance.dbInstanceClass;
-          instanceData.storage_size = cloudInstance.dbInstanceStorage;
-          instanceData.connection_string = cloudInstance.connectionString;
-          instanceData.port = cloudInstance.port;
-          instanceData.vpc_id = cloudInstance.vpcId;
-          instanceData.vswitch_id = cloudInstance.vSwitchId;
-        }
-      } catch (cloudError) {
-        logger.warn('获取云端实例信息失败，使用用户提供的信息', {
-          instanceId: instanceData.instance_id,
-          error: cloudError.message
-        });
-      }
-
-      const instance = await RDSInstance.create(instanceData);
-
-      res.status(201).json({
-        message: 'RDS实例添加成功',
-        instance
-      });
-    } catch (error) {
-      logger.error('添加RDS实例失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/rds/instances/{id}:
- *   put:
- *     summary: 更新RDS实例
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 实例ID
- *     responses:
- *       200:
- *         description: 更新成功
- *       404:
- *         description: 实例不存在
- */
-router.put('/instances/:id',
-  authorize('admin', 'operator'),
-  validate(commonSchemas.uuid, 'params'),
-  validate(rdsSchemas.update),
-  createAuditMiddleware('更新RDS实例', 'RDSInstance', 'Update', 'Medium'),
-  async (req, res, next) => {
-    try {
-      const { id } = req.params;
-
-      const instance = await RDSInstance.findByPk(id);
-      if (!instance) {
-        return res.status(404).json({
-          error: true,
-          message: 'RDS实例不存在'
-        });
-      }
-
-      const oldValues = instance.toJSON();
-      
-      const updateData = {
-        instance_name: req.body.instanceName,
-        description: req.body.description,
-        backup_retention_period: req.body.backupRetentionPeriod,
-        backup_time: req.body.backupTime,
-        is_monitored: req.body.isMonitored
-      };
-
-      // 过滤undefined值
-      Object.keys(updateData).forEach(key => {
-        if (updateData[key] === undefined) {
-          delete updateData[key];
-        }
-      });
-
-      await instance.update(updateData);
-
-      // 记录变更详情
-      req.auditOldValues = oldValues;
-      req.auditNewValues = instance.toJSON();
-
-      res.json({
-        message: 'RDS实例更新成功',
-        instance
-      });
-    } catch (error) {
-      logger.error('更新RDS实例失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/rds/instances/{id}:
- *   delete:
- *     summary: 删除RDS实例记录
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 实例ID
- *     responses:
- *       200:
- *         description: 删除成功
- *       404:
- *         description: 实例不存在
- */
-router.delete('/instances/:id',
-  authorize('admin'),
-  validate(commonSchemas.uuid, 'params'),
-  createAuditMiddleware('删除RDS实例记录', 'RDSInstance', 'Delete', 'High'),
-  async (req, res, next) => {
-    try {
-      const { id } = req.params;
-
-      const instance = await RDSInstance.findByPk(id);
-      if (!instance) {
-        return res.status(404).json({
-          error: true,
-          message: 'RDS实例不存在'
-        });
-      }
-
-      // 检查是否有关联的恢复任务
-      const taskCount = await instance.countRecoveryTasks();
-      if (taskCount > 0) {
-        return res.status(400).json({
-          error: true,
-          message: '无法删除：存在关联的恢复任务'
-        });
-      }
-
-      await instance.destroy();
-
-      res.json({
-        message: 'RDS实例记录删除成功'
-      });
-    } catch (error) {
-      logger.error('删除RDS实例记录失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
-/**
- * @swagger
- * /api/rds/instances/{id}/sync:
- *   post:
- *     summary: 同步RDS实例状态
- *     tags: [RDS管理]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 实例ID
- *     responses:
- *       200:
- *         description: 同步成功
- */
-router.post('/instances/:id/sync',
-  validate(commonSchemas.uuid, 'params'),
-  createAuditMiddleware('同步RDS实例状态', 'RDSInstance', 'Update'),
-  async (req, res, next) => {
-    try {
-      const { id } = req.params;
-
-      const instance = await RDSInstance.findByPk(id);
-      if (!instance) {
-        return res.status(404).json({
-          error: true,
-          message: 'RDS实例不存在'
-        });
-      }
-
-      // 从阿里云同步实例信息
-      const cloudInstance = await rdsService.getInstance(instance.instance_id);
-      
-      if (cloudInstance) {
-        await instance.update({
-          status: cloudInstance.dbInstanceStatus,
-          instance_class: cloudInstance.dbInstanceClass,
-          storage_size: cloudInstance.dbInstanceStorage,
-          connection_string: cloudInstance.connectionString,
-          port: cloudInstance.port,
-          vpc_id: cloudInstance.vpcId,
-          vswitch_id: cloudInstance.vSwitchId
-        });
-      }
-
-      res.json({
-        message: 'RDS实例状态同步成功',
-        instance
-      });
-    } catch (error) {
-      logger.error('同步RDS实例状态失败', { error: error.message });
-      next(error);
-    }
-  }
-);
-
+const express = require('express');
+const { Op } = require('sequelize');
+const { RDSInstance, RDSInstanceChange, CloudCredentialProfile, BackupPolicy, BackupRecord, DiscoveryRun, DiscoveryItem } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, rdsSchemas, commonSchemas } = require('../utils/validation');
+const { createAuditMiddleware } = require('../utils/audit');
+const rdsService = require('../services/rdsService');
+const discoveryService = require('../services/discoveryService');
+const instanceSyncService = require('../services/instanceSyncService');
+const backupComplianceService = require('../services/backupComplianceService');
+const backupCatalogService = require('../services/backupCatalogService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+/**
+ * 校验凭据配置存在
+ * @param {String} profileId 凭据配置ID
+ * @returns {Promise<Boolean>}
+ */
+const credentialProfileExists = async (profileId) => {
+  return !profileId || Boolean(await CloudCredentialProfile.findByPk(profileId));
+};
+
+/**
+ * 校验备份策略存在
+ * @param {String} policyId 备份策略ID
+ * @returns {Promise<Boolean>}
+ */
+const backupPolicyExists = async (policyId) => {
+  return !policyId || Boolean(await BackupPolicy.findByPk(policyId));
+};
+
+// 所有路由都需要认证
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/rds/instances:
+ *   get:
+ *     summary: 获取RDS实例列表
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: 每页数量
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: 实例状态
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *         description: 是否包含已归档的实例
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/instances', 
+  validate(rdsSchemas.list, 'query'),
+  createAuditMiddleware('查看RDS实例列表', 'RDSInstance', 'Read'),
+  async (req, res, next) => {
+    try {
+      const { page, limit, sortBy, sortOrder, includeArchived, ...filters } = req.query;
+      if (!includeArchived) {
+        filters.archived_at = null;
+      }
+      
+      const offset = (page - 1) * limit;
+      const order = sortBy ? [[sortBy, sortOrder]] : [['created_at', 'DESC']];
+
+      // 查询数据库中的RDS实例
+      const { rows: instances, count: total } = await RDSInstance.findAndCountAll({
+        where: filters,
+        offset,
+        limit,
+        order,
+        include: [
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          },
+          {
+            association: 'credentialProfile',
+            attributes: ['id', 'profile_name', 'account_id']
+          },
+          {
+            association: 'backupPolicy',
+            attributes: ['id', 'policy_name']
+          }
+        ]
+      });
+
+      res.json({
+        instances,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('获取RDS实例列表失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}:
+ *   get:
+ *     summary: 获取RDS实例详情
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 实例不存在
+ */
+router.get('/instances/:id',
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('查看RDS实例详情', 'RDSInstance', 'Read'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const instance = await RDSInstance.findByPk(id, {
+        include: [
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          },
+          {
+            association: 'recoveryTasks',
+            limit: 10,
+            order: [['created_at', 'DESC']],
+            attributes: ['id', 'task_name', 'status', 'created_at']
+          }
+        ]
+      });
+
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      // 获取阿里云实例的实时状态
+      try {
+        const rds = await rdsService.forInstance(instance);
+        const cloudInstance = await rds.getInstance(instance.instance_id);
+        if (cloudInstance) {
+          // 更新本地实例状态
+          await instance.update({
+            status: cloudInstance.dbInstanceStatus,
+            connection_string: cloudInstance.connectionString,
+            port: cloudInstance.port
+          });
+        }
+      } catch (cloudError) {
+        logger.warn('获取云端实例状态失败', {
+          instanceId: instance.instance_id,
+          error: cloudError.message
+        });
+      }
+
+      res.json({ instance });
+    } catch (error) {
+      logger.error('获取RDS实例详情失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances:
+ *   post:
+ *     summary: 添加RDS实例
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instanceId
+ *               - instanceName
+ *               - engine
+ *               - engineVersion
+ *             properties:
+ *               instanceId:
+ *                 type: string
+ *                 description: 阿里云实例ID，自建数据库为备份目录名
+ *               instanceName:
+ *                 type: string
+ *                 description: 实例名称
+ *               engine:
+ *                 type: string
+ *                 enum: [MySQL, PostgreSQL, SQLServer, PPAS, MariaDB]
+ *                 description: 数据库引擎
+ *               engineVersion:
+ *                 type: string
+ *                 description: 引擎版本
+ *               provider:
+ *                 type: string
+ *                 enum: [aliyun, selfManaged, simulator]
+ *                 description: 服务提供方，默认 aliyun；simulator 仅在非生产环境配置 RDS_PROVIDER=simulator 时可用
+ *               region:
+ *                 type: string
+ *                 description: 实例所在地域
+ *               credentialProfileId:
+ *                 type: string
+ *                 description: 云账号凭据配置ID，为空时使用默认账号
+ *               backupPolicyId:
+ *                 type: string
+ *                 description: 备份策略ID，为空时按默认策略检查
+ *               targetRtoMinutes:
+ *                 type: integer
+ *                 description: 目标RTO(分钟)
+ *               targetRpoMinutes:
+ *                 type: integer
+ *                 description: 目标RPO(分钟)
+ *     responses:
+ *       201:
+ *         description: 添加成功
+ *       409:
+ *         description: 实例已存在
+ */
+router.post('/instances',
+  authorize('admin', 'operator'),
+  validate(rdsSchemas.create),
+  createAuditMiddleware('添加RDS实例', 'RDSInstance', 'Create', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const instanceData = {
+        ...req.body,
+        instance_id: req.body.instanceId,
+        instance_name: req.body.instanceName,
+        engine: req.body.engine,
+        engine_version: req.body.engineVersion,
+        provider: req.body.provider,
+        region: req.body.region || 'cn-shenzhen',
+        credential_profile_id: req.body.credentialProfileId,
+        backup_policy_id: req.body.backupPolicyId,
+        zone: req.body.zone,
+        instance_class: req.body.instanceClass,
+        storage_type: req.body.storageType,
+        storage_size: req.body.storageSize,
+        vpc_id: req.body.vpcId,
+        vswitch_id: req.body.vswitchId,
+        connection_string: req.body.connectionString,
+        port: req.body.port,
+        backup_retention_period: req.body.backupRetentionPeriod,
+        backup_time: req.body.backupTime,
+        description: req.body.description,
+        clone_retention_policy: req.body.cloneRetentionPolicy,
+        clone_retention_hours: req.body.cloneRetentionHours,
+        target_rto_minutes: req.body.targetRtoMinutes,
+        target_rpo_minutes: req.body.targetRpoMinutes,
+        created_by: req.user.id
+      };
+
+      if (!await credentialProfileExists(instanceData.credential_profile_id)) {
+        return res.status(400).json({
+          error: true,
+          message: '云账号凭据配置不存在'
+        });
+      }
+
+      if (!await backupPolicyExists(instanceData.backup_policy_id)) {
+        return res.status(400).json({
+          error: true,
+          message: '备份策略不存在'
+        });
+      }
+
+      // 检查实例是否已存在
+      const existingInstance = await RDSInstance.findOne({
+        where: { instance_id: instanceData.instance_id }
+      });
+
+      if (existingInstance) {
+        return res.status(409).json({
+          error: true,
+          message: 'RDS实例已存在'
+        });
+      }
+
+      // 从阿里云获取实例详情
+      try {
+        const rds = await rdsService.forInstance(instanceData);
+        const cloudInstance = await rds.getInstance(instanceData.instance_id);
+        if (cloudInstance) {
+          // 使用云端数据补充实例信息
+          instanceData.status = cloudInstance.dbInstanceStatus;
+          instanceData.instance_class = cloudInstance.dbInstanceClass;
+          instanceData.storage_size = cloudInstance.dbInstanceStorage;
+          instanceData.connection_string = cloudInstance.connectionString;
+          instanceData.port = cloudInstance.port;
+          instanceData.vpc_id = cloudInstance.vpcId;
+          instanceData.vswitch_id = cloudInstance.vSwitchId;
+        }
+      } catch (cloudError) {
+        logger.warn('获取云端实例信息失败，使用用户提供的信息', {
+          instanceId: instanceData.instance_id,
+          error: cloudError.message
+        });
+      }
+
+      const instance = await RDSInstance.create(instanceData);
+
+      // 首次同步前无法获取备份配置，启用的检查项记为无法确认
+      await instance.update(await backupComplianceService.evaluate(instance));
+
+      res.status(201).json({
+        message: 'RDS实例添加成功',
+        instance
+      });
+    } catch (error) {
+      logger.error('添加RDS实例失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}:
+ *   put:
+ *     summary: 更新RDS实例
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       404:
+ *         description: 实例不存在
+ */
+router.put('/instances/:id',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.update),
+  createAuditMiddleware('更新RDS实例', 'RDSInstance', 'Update', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const instance = await RDSInstance.findByPk(id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      if (!await credentialProfileExists(req.body.credentialProfileId)) {
+        return res.status(400).json({
+          error: true,
+          message: '云账号凭据配置不存在'
+        });
+      }
+
+      if (!await backupPolicyExists(req.body.backupPolicyId)) {
+        return res.status(400).json({
+          error: true,
+          message: '备份策略不存在'
+        });
+      }
+
+      const oldValues = instance.toJSON();
+      
+      const updateData = {
+        instance_name: req.body.instanceName,
+        description: req.body.description,
+        backup_retention_period: req.body.backupRetentionPeriod,
+        backup_time: req.body.backupTime,
+        is_monitored: req.body.isMonitored,
+        region: req.body.region,
+        credential_profile_id: req.body.credentialProfileId,
+        backup_policy_id: req.body.backupPolicyId,
+        clone_retention_policy: req.body.cloneRetentionPolicy,
+        clone_retention_hours: req.body.cloneRetentionHours,
+        target_rto_minutes: req.body.targetRtoMinutes,
+        target_rpo_minutes: req.body.targetRpoMinutes
+      };
+
+      // 过滤undefined值
+      Object.keys(updateData).forEach(key => {
+        if (updateData[key] === undefined) {
+          delete updateData[key];
+        }
+      });
+
+      const changes = await instanceSyncService.applyChanges(instance, updateData, {
+        source: 'Manual',
+        userId: req.user.id
+      });
+
+      // 更换备份策略后按最近一次同步的备份配置重新检查
+      if (changes.some(change => change.field === 'backup_policy_id')) {
+        await instance.update(await backupComplianceService.evaluate(instance));
+      }
+
+      // 记录变更详情
+      req.auditOldValues = oldValues;
+      req.auditNewValues = instance.toJSON();
+
+      res.json({
+        message: 'RDS实例更新成功',
+        instance
+      });
+    } catch (error) {
+      logger.error('更新RDS实例失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}:
+ *   delete:
+ *     summary: 删除RDS实例记录
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 实例不存在
+ */
+router.delete('/instances/:id',
+  authorize('admin'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('删除RDS实例记录', 'RDSInstance', 'Delete', 'High'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const instance = await RDSInstance.findByPk(id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      // 检查是否有关联的恢复任务
+      const taskCount = await instance.countRecoveryTasks();
+      if (taskCount > 0) {
+        return res.status(400).json({
+          error: true,
+          message: '无法删除：存在关联的恢复任务'
+        });
+      }
+
+      await instance.destroy();
+
+      res.json({
+        message: 'RDS实例记录删除成功'
+      });
+    } catch (error) {
+      logger.error('删除RDS实例记录失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/sync:
+ *   post:
+ *     summary: 同步RDS实例状态
+ *     description: 同步状态、规格、存储与备份策略并检查备份策略合规，字段变化记入变更历史
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 同步成功
+ */
+router.post('/instances/:id/sync',
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('同步RDS实例状态', 'RDSInstance', 'Update'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const instance = await RDSInstance.findByPk(id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      // 从实例所属提供方同步实例信息，自建数据库等提供方未返回的字段保留原值
+      const changes = await instanceSyncService.syncInstance(instance, {
+        source: 'Manual',
+        userId: req.user.id
+      });
+
+      res.json({
+        message: 'RDS实例状态同步成功',
+        instance,
+        changes
+      });
+    } catch (error) {
+      logger.error('同步RDS实例状态失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/recovery-window:
+ *   get:
+ *     summary: 获取RDS实例的可恢复时间窗口
+ *     description: 根据保留期内的全量备份和连续的日志备份计算可进行时间点恢复的范围
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 获取成功，无可用备份时 window 为 null
+ *       404:
+ *         description: 实例不存在
+ */
+router.get('/instances/:id/recovery-window',
+  validate(commonSchemas.uuid, 'params'),
+  async (req, res, next) => {
+    try {
+      const instance = await RDSInstance.findByPk(req.params.id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      const rds = await rdsService.forInstance(instance);
+      const { window } = await rds.getRecoveryWindow(instance.instance_id, {
+        retentionDays: instance.backup_retention_period
+      });
+
+      res.json({ window });
+    } catch (error) {
+      logger.error('获取可恢复时间窗口失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/history:
+ *   get:
+ *     summary: 获取RDS实例字段变更历史
+ *     description: 定时同步、手动同步、编辑与实例发现产生的字段变化，如备份保留期被缩短
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: 只查看指定字段，如 backup_retention_period
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 实例不存在
+ */
+router.get('/instances/:id/history',
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.history, 'query'),
+  async (req, res, next) => {
+    try {
+      const instance = await RDSInstance.findByPk(req.params.id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      const { page, limit, field } = req.query;
+      const where = { rds_instance_id: instance.id };
+      if (field) where.field = field;
+
+      const { rows: changes, count: total } = await RDSInstanceChange.findAndCountAll({
+        where,
+        offset: (page - 1) * limit,
+        limit,
+        order: [['created_at', 'DESC']],
+        include: [
+          {
+            association: 'changer',
+            attributes: ['id', 'username', 'real_name']
+          }
+        ]
+      });
+
+      res.json({
+        changes,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('获取RDS实例变更历史失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/backups:
+ *   get:
+ *     summary: 获取实例备份目录
+ *     description: 定时从云端刷新的备份记录，超出云端保留期的备份仍保留在目录中
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Success, Failed]
+ *       - in: query
+ *         name: backupType
+ *         schema:
+ *           type: string
+ *           enum: [FullBackup, IncrementalBackup]
+ *       - in: query
+ *         name: startTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 备份开始时间不早于该时间
+ *       - in: query
+ *         name: endTime
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 备份开始时间不晚于该时间
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 实例不存在
+ */
+router.get('/instances/:id/backups',
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.backups, 'query'),
+  async (req, res, next) => {
+    try {
+      const instance = await RDSInstance.findByPk(req.params.id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      const { page, limit, status, backupType, startTime, endTime } = req.query;
+      const where = { rds_instance_id: instance.id };
+      if (status) where.status = status;
+      if (backupType) where.backup_type = backupType;
+      if (startTime || endTime) {
+        where.started_at = {};
+        if (startTime) where.started_at[Op.gte] = startTime;
+        if (endTime) where.started_at[Op.lte] = endTime;
+      }
+
+      const { rows: backups, count: total } = await BackupRecord.findAndCountAll({
+        where,
+        offset: (page - 1) * limit,
+        limit,
+        order: [['started_at', 'DESC']]
+      });
+
+      res.json({
+        backups,
+        catalogRefreshedAt: instance.backup_catalog_refreshed_at,
+        catalogError: instance.backup_catalog_error,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('获取实例备份目录失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/backups/refresh:
+ *   post:
+ *     summary: 立即刷新实例备份目录
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *     responses:
+ *       200:
+ *         description: 刷新成功，返回新增与更新的备份数
+ *       404:
+ *         description: 实例不存在
+ */
+router.post('/instances/:id/backups/refresh',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('刷新实例备份目录', 'RDSInstance', 'Update'),
+  async (req, res, next) => {
+    try {
+      const instance = await RDSInstance.findByPk(req.params.id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      const result = await backupCatalogService.refreshInstance(instance);
+
+      res.json({
+        message: `备份目录刷新成功，新增 ${result.added} 个备份`,
+        ...result
+      });
+    } catch (error) {
+      logger.error('刷新实例备份目录失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/instances/{id}/backups/health:
+ *   get:
+ *     summary: 获取实例备份健康分析
+ *     description: 统计期内的漏备份、失败备份、备份大小异常(突然缩小可能意味着数据丢失)与备份耗时趋势
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 实例ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *         description: 统计最近天数，默认30天
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 实例不存在
+ *       409:
+ *         description: 备份目录尚未刷新
+ */
+router.get('/instances/:id/backups/health',
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.backupHealth, 'query'),
+  async (req, res, next) => {
+    try {
+      const instance = await RDSInstance.findByPk(req.params.id);
+      if (!instance) {
+        return res.status(404).json({
+          error: true,
+          message: 'RDS实例不存在'
+        });
+      }
+
+      const health = await backupCatalogService.getHealth(instance, { days: req.query.days });
+
+      res.json({ health });
+    } catch (error) {
+      logger.error('获取实例备份健康分析失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/sync:
+ *   get:
+ *     summary: 获取实例定时同步状态
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功，包含最近一次同步的汇总
+ */
+router.get('/sync',
+  (req, res) => {
+    res.json(instanceSyncService.getStatus());
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/sync:
+ *   post:
+ *     summary: 立即同步所有受监控的实例
+ *     description: 在后台按限流依次同步，与定时同步使用同一流程
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: 同步已开始
+ *       409:
+ *         description: 同步正在运行
+ */
+router.post('/sync',
+  authorize('admin', 'operator'),
+  createAuditMiddleware('同步全部RDS实例', 'RDSInstance', 'Execute'),
+  async (req, res, next) => {
+    try {
+      const { startedAt } = await instanceSyncService.startSync();
+
+      res.status(202).json({
+        message: '实例同步已开始',
+        startedAt
+      });
+    } catch (error) {
+      logger.error('发起实例同步失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/discovery:
+ *   post:
+ *     summary: 发起实例发现
+ *     description: 在后台分页扫描默认账号与各凭据配置在配置地域内的云端实例，与已登记实例比对生成差异
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               regions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 扫描的地域，默认使用 DISCOVERY_REGIONS 或凭据配置的默认地域
+ *     responses:
+ *       202:
+ *         description: 发现已开始
+ *       409:
+ *         description: 已有发现正在运行
+ */
+router.post('/discovery',
+  authorize('admin', 'operator'),
+  validate(rdsSchemas.discover),
+  createAuditMiddleware('发起RDS实例发现', 'RDSInstance', 'Execute'),
+  async (req, res, next) => {
+    try {
+      const run = await discoveryService.startRun(req.user, { regions: req.body.regions });
+
+      res.status(202).json({
+        message: '实例发现已开始',
+        run
+      });
+    } catch (error) {
+      logger.error('发起RDS实例发现失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/discovery:
+ *   get:
+ *     summary: 获取实例发现记录
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/discovery',
+  validate(commonSchemas.pagination, 'query'),
+  async (req, res, next) => {
+    try {
+      const { page, limit } = req.query;
+
+      const { rows: runs, count: total } = await DiscoveryRun.findAndCountAll({
+        offset: (page - 1) * limit,
+        limit,
+        order: [['created_at', 'DESC']],
+        include: [
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          }
+        ]
+      });
+
+      res.json({
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('获取实例发现记录失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/discovery/coverage-gaps:
+ *   get:
+ *     summary: 获取合规覆盖缺口
+ *     description: 最近一次完成的实例发现中，云端存在但未登记、因而未纳入恢复验证的实例
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/discovery/coverage-gaps',
+  async (req, res, next) => {
+    try {
+      const coverage = await discoveryService.getCoverageGaps();
+
+      res.json(coverage);
+    } catch (error) {
+      logger.error('获取合规覆盖缺口失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/discovery/{id}:
+ *   get:
+ *     summary: 获取实例发现详情及差异
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 发现记录ID
+ *       - in: query
+ *         name: changeType
+ *         schema:
+ *           type: string
+ *           enum: [New, Changed, Disappeared]
+ *       - in: query
+ *         name: resolution
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Imported, Updated, Archived, Ignored]
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 发现记录不存在
+ */
+router.get('/discovery/:id',
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.discoveryItems, 'query'),
+  async (req, res, next) => {
+    try {
+      const run = await DiscoveryRun.findByPk(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          error: true,
+          message: '实例发现记录不存在'
+        });
+      }
+
+      const where = { run_id: run.id };
+      if (req.query.changeType) where.change_type = req.query.changeType;
+      if (req.query.resolution) where.resolution = req.query.resolution;
+
+      const items = await DiscoveryItem.findAll({
+        where,
+        order: [['change_type', 'ASC'], ['instance_id', 'ASC']],
+        include: [
+          {
+            association: 'rdsInstance',
+            attributes: ['id', 'instance_name', 'instance_id']
+          },
+          {
+            association: 'credentialProfile',
+            attributes: ['id', 'profile_name']
+          }
+        ]
+      });
+
+      res.json({ run, items });
+    } catch (error) {
+      logger.error('获取实例发现详情失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/rds/discovery/{id}/apply:
+ *   post:
+ *     summary: 批量处理发现差异
+ *     description: import 导入新实例，update 应用属性变化，archive 归档云端已不存在的实例，ignore 忽略
+ *     tags: [RDS管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 发现记录ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - itemIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [import, update, archive, ignore]
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: 处理完成，返回已处理与跳过的差异
+ *       404:
+ *         description: 发现记录不存在
+ */
+router.post('/discovery/:id/apply',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  validate(rdsSchemas.applyDiscovery),
+  createAuditMiddleware('处理RDS实例发现差异', 'RDSInstance', 'Update', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const run = await DiscoveryRun.findByPk(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          error: true,
+          message: '实例发现记录不存在'
+        });
+      }
+
+      const result = await discoveryService.applyItems(run, req.body, req.user);
+
+      req.auditNewValues = { action: req.body.action, ...result };
+
+      res.json({
+        message: `已处理 ${result.applied.length} 项差异，跳过 ${result.skipped.length} 项`,
+        ...result
+      });
+    } catch (error) {
+      logger.error('处理RDS实例发现差异失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
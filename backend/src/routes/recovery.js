@@ -1,9 +1,11 @@
 const express = require('express');
-const { RecoveryTask, RDSInstance } = require('../models');
+const { RecoveryTask, RecoveryTaskStep, RecoveryTaskAttempt, RDSInstance } = require('../models');
 const { authenticateToken, authorize } = require('../middleware/auth');
 const { validate, recoverySchemas, commonSchemas } = require('../utils/validation');
 const { createAuditMiddleware } = require('../utils/audit');
 const recoveryService = require('../services/recoveryService');
+const taskEventService = require('../services/taskEventService');
+const taskLogService = require('../services/taskLogService');
 const logger = require('../config/logger');
 
 const router = express.Router();
@@ -72,7 +74,7 @@ router.get('/tasks',
         include: [
           {
             association: 'rdsInstance',
-            attributes: ['id', 'instance_name', 'instance_id', 'engine']
+            attributes: ['id', 'instance_name', 'instance_id', 'engine', 'region']
           },
           {
             association: 'creator',
@@ -134,7 +136,21 @@ router.get('/tasks/:id',
           {
             association: 'creator',
             attributes: ['id', 'username', 'real_name']
+          },
+          {
+            association: 'executor',
+            attributes: ['id', 'username', 'real_name']
+          },
+          {
+            association: 'steps'
+          },
+          {
+            association: 'attempts'
           }
+        ],
+        order: [
+          [{ model: RecoveryTaskStep, as: 'steps' }, 'started_at', 'ASC'],
+          [{ model: RecoveryTaskAttempt, as: 'attempts' }, 'attempt_number', 'ASC']
         ]
       });
 
@@ -145,7 +161,11 @@ router.get('/tasks/:id',
         });
       }
 
-      res.json({ task });
+      // 此前保存的任务配置可能带有连接密码，不随详情返回
+      const taskData = task.toJSON();
+      taskData.config = recoveryService.withoutConnectionPassword(taskData.config);
+
+      res.json({ task: taskData });
     } catch (error) {
       logger.error('获取恢复任务详情失败', { error: error.message });
       next(error);
@@ -153,6 +173,64 @@ router.get('/tasks/:id',
   }
 );
 
+/**
+ * @swagger
+ * /api/recovery/tasks/{id}/logs:
+ *   get:
+ *     summary: 获取恢复任务执行日志
+ *     description: 按时间顺序返回任务的结构化执行日志，包含执行阶段、云端请求ID与验证输出，只追加不修改
+ *     tags: [恢复任务]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *       - in: query
+ *         name: attempt
+ *         schema:
+ *           type: integer
+ *         description: 执行尝试序号
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [Info, Warn, Error]
+ *         description: 日志级别
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 任务不存在
+ */
+router.get('/tasks/:id/logs',
+  validate(commonSchemas.uuid, 'params'),
+  validate(recoverySchemas.logs, 'query'),
+  createAuditMiddleware('查看恢复任务执行日志', 'RecoveryTask', 'Read'),
+  async (req, res, next) => {
+    try {
+      const task = await RecoveryTask.findByPk(req.params.id, { attributes: ['id'] });
+
+      if (!task) {
+        return res.status(404).json({
+          error: true,
+          message: '恢复任务不存在'
+        });
+      }
+
+      const logs = await taskLogService.list(task.id, req.query);
+
+      res.json({ logs });
+    } catch (error) {
+      logger.error('获取恢复任务执行日志失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/recovery/tasks:
@@ -185,11 +263,25 @@ router.get('/tasks/:id',
  *               targetInstanceName:
  *                 type: string
  *                 description: 目标实例名称
+ *               targetRegion:
+ *                 type: string
+ *                 description: 恢复目标地域，与源实例不同时使用跨地域备份恢复
+ *               restoreType:
+ *                 type: string
+ *                 enum: [BackupSet, PointInTime]
+ *               restoreTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: 时间点恢复的目标时间，未指定时恢复到可恢复窗口终点
+ *               restoreTimePolicy:
+ *                 type: string
+ *                 enum: [Reject, Clamp]
+ *                 description: 时间点超出可恢复窗口时拒绝创建或校正到窗口边界
  *     responses:
  *       201:
  *         description: 创建成功
  *       400:
- *         description: 参数错误
+ *         description: 参数错误或恢复时间点不在可恢复窗口内
  */
 router.post('/tasks',
   authorize('admin', 'operator'),
@@ -262,7 +354,10 @@ router.put('/tasks/:id',
         task_name: req.body.taskName,
         priority: req.body.priority,
         scheduled_at: req.body.scheduledAt,
-        config: req.body.config
+        config: req.body.config,
+        clone_retention_policy: req.body.cloneRetentionPolicy,
+        clone_retention_hours: req.body.cloneRetentionHours,
+        retry_policy: req.body.retryPolicy
       };
 
       // 过滤undefined值
@@ -306,7 +401,7 @@ router.put('/tasks/:id',
  *         description: 任务ID
  *     responses:
  *       200:
- *         description: 执行成功
+ *         description: 已开始执行或已加入执行队列
  *       400:
  *         description: 任务状态不允许执行
  *       404:
@@ -374,6 +469,56 @@ router.post('/tasks/:id/cancel',
   }
 );
 
+/**
+ * @swagger
+ * /api/recovery/tasks/{id}/release:
+ *   post:
+ *     summary: 手动释放克隆实例
+ *     tags: [恢复任务]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 释放请求已处理
+ *       400:
+ *         description: 克隆实例状态不允许释放
+ */
+router.post('/tasks/:id/release',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('释放克隆实例', 'RecoveryTask', 'Delete', 'High'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const task = await recoveryService.releaseClone(id, req.user);
+
+      if (task.teardown_status === 'Failed') {
+        return res.status(502).json({
+          error: true,
+          message: `克隆实例释放失败: ${task.teardown_error}`,
+          task
+        });
+      }
+
+      res.json({
+        message: '克隆实例已释放',
+        task
+      });
+    } catch (error) {
+      logger.error('释放克隆实例失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/recovery/tasks/{id}:
@@ -433,6 +578,98 @@ router.delete('/tasks/:id',
   }
 );
 
+/**
+ * @swagger
+ * /api/recovery/queue:
+ *   get:
+ *     summary: 查看恢复任务执行队列
+ *     description: 返回并发限制、运行中任务分布，以及按优先级和计划时间排序的排队任务
+ *     tags: [恢复任务]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/queue',
+  createAuditMiddleware('查看恢复任务执行队列', 'RecoveryTask', 'Read'),
+  async (req, res, next) => {
+    try {
+      const queue = await recoveryService.getQueueStatus();
+
+      res.json({ queue });
+    } catch (error) {
+      logger.error('获取恢复任务执行队列失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/events:
+ *   get:
+ *     summary: 订阅恢复任务实时事件
+ *     description: |
+ *       以 Server-Sent Events 推送任务创建、状态变化、进度百分比与阶段说明。
+ *       事件类型为 task.created / task.updated，data 为 { taskId, fields, occurredAt }，
+ *       fields 仅包含变化的任务字段。断线重连时携带 Last-Event-ID 可补发最近的事件。
+ *     tags: [恢复任务]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: taskId
+ *         schema:
+ *           type: string
+ *         description: 仅订阅指定任务
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: 最后收到的事件ID
+ *     responses:
+ *       200:
+ *         description: 事件流
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/events',
+  validate(recoverySchemas.events, 'query'),
+  (req, res) => {
+    const { taskId } = req.query;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // 禁止反向代理缓冲事件流
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = taskEventService.subscribe((event) => {
+      if (taskId && event.taskId !== taskId) {
+        return;
+      }
+      const { id, type, ...data } = event;
+      res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }, { lastEventId: req.get('Last-Event-ID') });
+
+    // 定期发送注释行，避免空闲连接被代理断开
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, parseInt(process.env.RECOVERY_EVENTS_HEARTBEAT_MS) || 25000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
+
 /**
  * @swagger
  * /api/recovery/statistics:
@@ -506,23 +743,32 @@ router.get('/statistics',
  *                 items:
  *                   type: string
  *                 description: RDS实例ID列表
+ *               backupSelection:
+ *                 type: object
+ *                 description: 备份集选择策略，默认选择最新全量备份
+ *                 properties:
+ *                   policy:
+ *                     type: string
+ *                     enum: [LatestFull, OldestInRetention, RandomInWindow, ClosestToDate]
+ *                   targetDate:
+ *                     type: string
+ *                     format: date-time
+ *               config:
+ *                 type: object
+ *                 description: 任务配置(验证规则、对比模式)，未配置验证规则且未启用对比时任务判定为验证失败
  *     responses:
  *       201:
  *         description: 创建成功
+ *       400:
+ *         description: 请求参数错误
  */
 router.post('/annual-tasks',
   authorize('admin', 'operator'),
+  validate(recoverySchemas.annual),
   createAuditMiddleware('批量创建年度合规任务', 'RecoveryTask', 'Create', 'Medium'),
   async (req, res, next) => {
     try {
-      const { year, instanceIds } = req.body;
-
-      if (!year || !Array.isArray(instanceIds) || instanceIds.length === 0) {
-        return res.status(400).json({
-          error: true,
-          message: '年份和实例ID列表是必填的'
-        });
-      }
+      const { year, instanceIds, backupSelection, config } = req.body;
 
       const createdTasks = [];
       const errors = [];
@@ -547,7 +793,9 @@ router.post('/annual-tasks',
             complianceYear: year,
             isAnnualTask: true,
             restoreType: 'BackupSet',
-            backupType: 'FullBackup'
+            backupType: 'FullBackup',
+            backupSelection,
+            config
           };
 
           const task = await recoveryService.createTask(taskData, req.user);
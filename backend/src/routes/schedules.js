@@ -0,0 +1,442 @@
+const express = require('express');
+const { RecoverySchedule } = require('../models');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validate, scheduleSchemas, commonSchemas } = require('../utils/validation');
+const { createAuditMiddleware } = require('../utils/audit');
+const scheduleService = require('../services/scheduleService');
+const logger = require('../config/logger');
+
+const router = express.Router();
+
+// 所有路由都需要认证
+router.use(authenticateToken);
+
+/**
+ * 查找调度，不存在时返回404
+ */
+const loadSchedule = async (req, res, next) => {
+  try {
+    const schedule = await RecoverySchedule.findByPk(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        error: true,
+        message: '恢复调度不存在'
+      });
+    }
+
+    req.schedule = schedule;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/recovery/schedules:
+ *   get:
+ *     summary: 获取恢复调度列表
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: 页码
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *         description: 每页数量
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ */
+router.get('/',
+  validate(commonSchemas.pagination, 'query'),
+  createAuditMiddleware('查看恢复调度列表', 'RecoverySchedule', 'Read'),
+  async (req, res, next) => {
+    try {
+      const { page, limit, sortBy, sortOrder } = req.query;
+
+      const offset = (page - 1) * limit;
+      const order = sortBy ? [[sortBy, sortOrder]] : [['created_at', 'DESC']];
+
+      const { rows: schedules, count: total } = await RecoverySchedule.findAndCountAll({
+        offset,
+        limit,
+        order,
+        include: [
+          {
+            association: 'rdsInstance',
+            attributes: ['id', 'instance_name', 'instance_id', 'engine', 'region']
+          },
+          {
+            association: 'creator',
+            attributes: ['id', 'username', 'real_name']
+          }
+        ]
+      });
+
+      res.json({
+        schedules,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('获取恢复调度列表失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/preview:
+ *   post:
+ *     summary: 预览调度规则的运行时间
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduleType
+ *             properties:
+ *               scheduleType:
+ *                 type: string
+ *                 enum: [Cron, Interval]
+ *               cronExpression:
+ *                 type: string
+ *                 description: cron表达式，如 0 2 1 *\/3 * 表示每季度首日凌晨2点
+ *               intervalDays:
+ *                 type: integer
+ *                 description: 间隔天数
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               timezone:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *                 description: 预览次数
+ *     responses:
+ *       200:
+ *         description: 预览成功
+ *       400:
+ *         description: 调度规则无效
+ */
+router.post('/preview',
+  validate(scheduleSchemas.preview),
+  async (req, res, next) => {
+    try {
+      const { count, ...rule } = req.body;
+
+      const runs = scheduleService.previewRuns({
+        schedule_type: rule.scheduleType,
+        cron_expression: rule.cronExpression,
+        interval_days: rule.intervalDays,
+        start_at: rule.startAt,
+        timezone: rule.timezone
+      }, count);
+
+      res.json({ runs });
+    } catch (error) {
+      res.status(400).json({
+        error: true,
+        message: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/{id}:
+ *   get:
+ *     summary: 获取恢复调度详情及接下来的运行时间
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 调度ID
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       404:
+ *         description: 调度不存在
+ */
+router.get('/:id',
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('查看恢复调度详情', 'RecoverySchedule', 'Read'),
+  loadSchedule,
+  async (req, res, next) => {
+    try {
+      const { schedule } = req;
+
+      const upcomingRuns = schedule.status === 'Active'
+        ? scheduleService.previewRuns(schedule, 5)
+        : [];
+
+      res.json({ schedule, upcomingRuns });
+    } catch (error) {
+      logger.error('获取恢复调度详情失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules:
+ *   post:
+ *     summary: 创建恢复调度
+ *     description: 按cron表达式或每N天为RDS实例自动生成恢复验证任务
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scheduleName
+ *               - rdsInstanceId
+ *               - scheduleType
+ *             properties:
+ *               scheduleName:
+ *                 type: string
+ *               rdsInstanceId:
+ *                 type: string
+ *               scheduleType:
+ *                 type: string
+ *                 enum: [Cron, Interval]
+ *               cronExpression:
+ *                 type: string
+ *               intervalDays:
+ *                 type: integer
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *               timezone:
+ *                 type: string
+ *               taskTemplate:
+ *                 type: object
+ *                 description: 任务模板（恢复类型、实例规格、验证规则等）
+ *     responses:
+ *       201:
+ *         description: 创建成功
+ *       400:
+ *         description: 参数错误
+ */
+router.post('/',
+  authorize('admin', 'operator'),
+  validate(scheduleSchemas.create),
+  createAuditMiddleware('创建恢复调度', 'RecoverySchedule', 'Create', 'Medium'),
+  async (req, res, next) => {
+    try {
+      const schedule = await scheduleService.createSchedule(req.body, req.user);
+
+      res.status(201).json({
+        message: '恢复调度创建成功',
+        schedule
+      });
+    } catch (error) {
+      logger.error('创建恢复调度失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/{id}:
+ *   put:
+ *     summary: 更新恢复调度
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 调度ID
+ *     responses:
+ *       200:
+ *         description: 更新成功
+ *       404:
+ *         description: 调度不存在
+ */
+router.put('/:id',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  validate(scheduleSchemas.update),
+  createAuditMiddleware('更新恢复调度', 'RecoverySchedule', 'Update', 'Medium'),
+  loadSchedule,
+  async (req, res, next) => {
+    try {
+      const oldValues = req.schedule.toJSON();
+
+      const schedule = await scheduleService.updateSchedule(req.schedule, req.body);
+
+      // 记录变更详情
+      req.auditOldValues = oldValues;
+      req.auditNewValues = schedule.toJSON();
+
+      res.json({
+        message: '恢复调度更新成功',
+        schedule
+      });
+    } catch (error) {
+      logger.error('更新恢复调度失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/{id}/pause:
+ *   post:
+ *     summary: 暂停恢复调度
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 调度ID
+ *     responses:
+ *       200:
+ *         description: 暂停成功
+ *       400:
+ *         description: 调度已暂停
+ */
+router.post('/:id/pause',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('暂停恢复调度', 'RecoverySchedule', 'Update', 'Medium'),
+  loadSchedule,
+  async (req, res, next) => {
+    try {
+      const schedule = await scheduleService.pauseSchedule(req.schedule);
+
+      res.json({
+        message: '恢复调度已暂停',
+        schedule
+      });
+    } catch (error) {
+      logger.error('暂停恢复调度失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/{id}/resume:
+ *   post:
+ *     summary: 恢复已暂停的调度
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 调度ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *       400:
+ *         description: 调度已在运行
+ */
+router.post('/:id/resume',
+  authorize('admin', 'operator'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('恢复调度运行', 'RecoverySchedule', 'Update', 'Medium'),
+  loadSchedule,
+  async (req, res, next) => {
+    try {
+      const schedule = await scheduleService.resumeSchedule(req.schedule);
+
+      res.json({
+        message: '恢复调度已恢复运行',
+        schedule
+      });
+    } catch (error) {
+      logger.error('恢复调度运行失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/recovery/schedules/{id}:
+ *   delete:
+ *     summary: 删除恢复调度
+ *     description: 已生成的恢复任务不受影响
+ *     tags: [恢复调度]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 调度ID
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       404:
+ *         description: 调度不存在
+ */
+router.delete('/:id',
+  authorize('admin'),
+  validate(commonSchemas.uuid, 'params'),
+  createAuditMiddleware('删除恢复调度', 'RecoverySchedule', 'Delete', 'High'),
+  loadSchedule,
+  async (req, res, next) => {
+    try {
+      await req.schedule.destroy();
+
+      res.json({
+        message: '恢复调度删除成功'
+      });
+    } catch (error) {
+      logger.error('删除恢复调度失败', { error: error.message });
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
\ No newline at end of file
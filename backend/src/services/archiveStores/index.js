@@ -0,0 +1,28 @@
+const LocalArchiveStore = require('./localStore');
+const S3ArchiveStore = require('./s3Store');
+
+// 可用的审计日志归档存储
+const STORES = {
+  local: LocalArchiveStore,
+  s3: S3ArchiveStore
+};
+
+/**
+ * 创建归档存储
+ * 存储需实现 put(key, 文件路径或Buffer, { sha256, contentType }) / get(key) 返回可读流 / head(key) 返回 { size } 或 null
+ * @param {String} name 存储名称，默认 local
+ * @param {Object} options 存储配置
+ * @returns {Object} 存储实例
+ */
+const createArchiveStore = (name, options = {}) => {
+  const Store = STORES[name || 'local'];
+  if (!Store) {
+    throw new Error(`不支持的审计日志归档存储: ${name}`);
+  }
+  return new Store(options);
+};
+
+module.exports = {
+  STORES,
+  createArchiveStore
+};
\ No newline at end of file
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 本地磁盘归档存储，对象键对应存储目录下的相对路径
+ */
+class LocalArchiveStore {
+  /**
+   * @param {Object} options { dir: 存储目录 }
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.dir = path.resolve(options.dir || path.join(process.cwd(), 'archives'));
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.dir, key);
+    if (!target.startsWith(this.dir + path.sep)) {
+      throw new Error(`无效的归档对象键: ${key}`);
+    }
+    return target;
+  }
+
+  /**
+   * 写入对象，先写临时文件再改名，避免留下不完整的文件
+   * @param {String} key 对象键
+   * @param {String|Buffer} source 文件路径或内容
+   */
+  async put(key, source) {
+    const target = this.resolve(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    if (Buffer.isBuffer(source)) {
+      await fs.promises.writeFile(temp, source);
+    } else {
+      await fs.promises.copyFile(source, temp);
+    }
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * 读取对象
+   * @param {String} key 对象键
+   * @returns {Promise<Readable>}
+   */
+  async get(key) {
+    const target = this.resolve(key);
+    await fs.promises.access(target);
+    return fs.createReadStream(target);
+  }
+
+  /**
+   * 对象信息
+   * @param {String} key 对象键
+   * @returns {Promise} { size }，不存在时为 null
+   */
+  async head(key) {
+    try {
+      const { size } = await fs.promises.stat(this.resolve(key));
+      return { size };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = LocalArchiveStore;
\ No newline at end of file
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { encodePath, signRequest } = require('../../utils/s3Signer');
+
+/**
+ * S3 兼容对象存储归档(AWS S3、MinIO 等)，使用路径风格地址与 Signature V4 签名
+ */
+class S3ArchiveStore {
+  /**
+   * @param {Object} options { endpoint, bucket, region, accessKeyId, secretAccessKey, prefix }
+   */
+  constructor(options = {}) {
+    if (!options.endpoint || !options.bucket) {
+      throw new Error('S3归档存储需要配置 AUDIT_ARCHIVE_S3_ENDPOINT 与 AUDIT_ARCHIVE_S3_BUCKET');
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(options.endpoint);
+    this.bucket = options.bucket;
+    this.prefix = options.prefix || '';
+    this.credentials = {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey,
+      region: options.region || 'us-east-1'
+    };
+  }
+
+  /**
+   * 发送签名请求
+   * @param {String} method 请求方法
+   * @param {String} key 对象键
+   * @param {Object} options { body: Buffer 或可读流, size, payloadHash, contentType }
+   * @returns {Promise<IncomingMessage>} 响应，非 2xx 时抛出
+   */
+  request(method, key, { body, size, payloadHash, contentType } = {}) {
+    const path = `/${encodePath(this.bucket)}/${encodePath(`${this.prefix}${key}`)}`;
+    const headers = {};
+    if (body) {
+      headers['content-length'] = size;
+      if (contentType) {
+        headers['content-type'] = contentType;
+      }
+    }
+    const signed = signRequest({ method, host: this.endpoint.host, path, headers, payloadHash }, this.credentials);
+
+    const client = this.endpoint.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        method,
+        protocol: this.endpoint.protocol,
+        hostname: this.endpoint.hostname,
+        port: this.endpoint.port || undefined,
+        path,
+        headers: { ...headers, ...signed }
+      }, (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const code = /<Code>([^<]+)<\/Code>/.exec(Buffer.concat(chunks).toString())?.[1];
+          const error = new Error(`对象存储请求失败: ${method} ${key} ${res.statusCode}${code ? ` ${code}` : ''}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        });
+      });
+      req.on('error', reject);
+
+      if (body && !Buffer.isBuffer(body)) {
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  /**
+   * 写入对象，请求体摘要参与签名，存储端据此校验上传内容
+   * @param {String} key 对象键
+   * @param {String|Buffer} source 文件路径或内容
+   * @param {Object} options { sha256: 文件内容的 SHA-256, contentType }
+   */
+  async put(key, source, { sha256, contentType } = {}) {
+    const isBuffer = Buffer.isBuffer(source);
+    const size = isBuffer ? source.length : (await fs.promises.stat(source)).size;
+    const res = await this.request('PUT', key, {
+      body: isBuffer ? source : fs.createReadStream(source),
+      size,
+      payloadHash: sha256 || (isBuffer ? crypto.createHash('sha256').update(source).digest('hex') : undefined),
+      contentType
+    });
+    res.resume();
+  }
+
+  /**
+   * 读取对象
+   * @param {String} key 对象键
+   * @returns {Promise<Readable>}
+   */
+  get(key) {
+    return this.request('GET', key);
+  }
+
+  /**
+   * 对象信息
+   * @param {String} key 对象键
+   * @returns {Promise} { size }，不存在时为 null
+   */
+  async head(key) {
+    try {
+      const res = await this.request('HEAD', key);
+      res.resume();
+      return { size: Number(res.headers['content-length']) };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = S3ArchiveStore;
\ No newline at end of file
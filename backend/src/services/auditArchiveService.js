@@ -0,0 +1,627 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { AuditLog, AuditCheckpoint, AuditArchive } = require('../models');
+const auditChainService = require('./auditChainService');
+const { createArchiveStore } = require('./archiveStores');
+const { GENESIS_HASH, canonicalize, verifyRecords, verifyPayloadSignature } = require('../utils/auditChain');
+const { logAudit } = require('../utils/audit');
+const logger = require('../config/logger');
+
+// 每批读取与删除的记录数
+const BATCH_SIZE = 1000;
+
+// 校验结果中最多列出的断点数
+const MAX_BREAKS = 100;
+
+// 检索结果的默认条数与上限
+const DEFAULT_SEARCH_LIMIT = 100;
+const MAX_SEARCH_LIMIT = 500;
+
+// 单次检索的最大时间跨度(天)，检索在请求内逐行解压归档，跨度过大会长时间占用服务
+const MAX_SEARCH_DAYS = 92;
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// UTC 月份 YYYY-MM
+const monthOf = (date) => new Date(date).toISOString().slice(0, 7);
+
+// 对象键中的序号补零，按键名排序即按序号排序
+const padSequence = (sequence) => String(sequence).padStart(12, '0');
+
+/**
+ * 边读边计算 SHA-256 与字节数的直通流
+ * @returns {Object} { stream, result: () => { sha256, size } }
+ */
+const createDigest = () => {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  return { stream, result: () => ({ sha256: hash.digest('hex'), size }) };
+};
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+class AuditArchiveService {
+  constructor() {
+    // 在线表保留当月及之前 N 个完整自然月，更早的记录按月归档
+    this.hotMonths = Math.max(parseInt(process.env.AUDIT_HOT_RETENTION_MONTHS, 10) || 12, 1);
+    this.stores = {};
+    this.running = null;
+    this.lastRun = null;
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时归档，默认每天 02:30 归档超出在线保留期的月份
+   */
+  initScheduler() {
+    const expression = process.env.AUDIT_ARCHIVE_CRON || '30 2 * * *';
+    if (!cron.validate(expression)) {
+      logger.warn('审计日志归档cron表达式无效，定时归档未启用', { cron: expression });
+      return;
+    }
+
+    cron.schedule(expression, () => {
+      this.startArchive(null).catch(error => {
+        logger.warn('定时审计日志归档未执行', { error: error.message });
+      });
+    });
+
+    logger.info('审计日志归档调度器初始化完成', { cron: expression, hotMonths: this.hotMonths });
+  }
+
+  /**
+   * 归档存储，归档记录按写入时的存储读取
+   * @param {String} name local/s3，默认 AUDIT_ARCHIVE_STORAGE
+   * @returns {Object} 存储实例
+   */
+  getStore(name = process.env.AUDIT_ARCHIVE_STORAGE || 'local') {
+    if (!this.stores[name]) {
+      this.stores[name] = createArchiveStore(name, name === 's3'
+        ? {
+          endpoint: process.env.AUDIT_ARCHIVE_S3_ENDPOINT,
+          bucket: process.env.AUDIT_ARCHIVE_S3_BUCKET,
+          region: process.env.AUDIT_ARCHIVE_S3_REGION,
+          accessKeyId: process.env.AUDIT_ARCHIVE_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AUDIT_ARCHIVE_S3_SECRET_ACCESS_KEY,
+          prefix: process.env.AUDIT_ARCHIVE_S3_PREFIX ?? 'audit-logs/'
+        }
+        : { dir: process.env.AUDIT_ARCHIVE_DIR });
+    }
+    return this.stores[name];
+  }
+
+  /**
+   * 在线保留期的起点，早于该时间的记录可归档
+   * @param {Date} now 当前时间
+   * @returns {Date}
+   */
+  getCutoff(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - this.hotMonths, 1));
+  }
+
+  /**
+   * 在后台执行归档
+   * @param {Object} user 发起用户，定时归档为空
+   * @returns {Promise} { startedAt, cutoff }
+   */
+  async startArchive(user) {
+    if (this.running) {
+      throw statusError('审计日志归档正在运行，请稍后再试', 409);
+    }
+
+    const startedAt = new Date();
+    const cutoff = this.getCutoff(startedAt);
+    this.running = this.archiveDue(user, cutoff)
+      .then(archives => {
+        this.lastRun = {
+          startedAt,
+          completedAt: new Date(),
+          cutoff,
+          archives: archives.map(archive => ({ month: archive.month, recordCount: archive.record_count }))
+        };
+        if (archives.length > 0) {
+          logger.info('审计日志归档完成', this.lastRun);
+        }
+      })
+      .catch(error => {
+        this.lastRun = { startedAt, completedAt: new Date(), cutoff, error: error.message };
+        logger.error('审计日志归档失败', { error: error.message });
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return { startedAt, cutoff };
+  }
+
+  /**
+   * 按月归档早于保留期起点的记录，与脱敏迁移等改动历史记录的操作互斥
+   * @param {Object} user 发起用户
+   * @param {Date} cutoff 保留期起点
+   * @returns {Promise<Array>} 本次生成的归档
+   */
+  archiveDue(user, cutoff = this.getCutoff()) {
+    return auditChainService.exclusive('审计日志归档', async () => {
+      const archives = [];
+      for (;;) {
+        const archive = await this.archiveNextMonth(cutoff, user);
+        if (!archive) {
+          return archives;
+        }
+        archives.push(archive);
+      }
+    });
+  }
+
+  /**
+   * 删除已归档范围内仍留在在线表中的记录(归档后删除未完成时遗留)
+   * @param {Number} sequence 归档链尾序号
+   * @returns {Promise<Number>} 删除的记录数
+   */
+  async purgeArchivedRows(sequence) {
+    let removed = 0;
+    for (;;) {
+      const count = await AuditLog.destroy({
+        where: { sequence: { [Op.lte]: sequence } },
+        limit: BATCH_SIZE,
+        force: true
+      });
+      removed += count;
+      if (count < BATCH_SIZE) {
+        return removed;
+      }
+    }
+  }
+
+  /**
+   * 归档在线表中最早的一个月：该月最后一条记录之前的连续序号段写入压缩文件与签名清单，
+   * 上传并读回校验一致后从在线表删除。序号段内存在保留期内的记录或链不完整时不归档
+   * @param {Date} cutoff 保留期起点
+   * @param {Object} user 发起用户
+   * @returns {Promise} 归档记录，无可归档的月份时为 null
+   */
+  async archiveNextMonth(cutoff, user) {
+    const boundary = await auditChainService.getArchiveBoundary();
+    if (boundary) {
+      await this.purgeArchivedRows(boundary.sequence);
+    }
+
+    const afterBoundary = { [Op.gt]: boundary ? boundary.sequence : 0 };
+    const first = await AuditLog.findOne({ where: { sequence: afterBoundary }, order: [['sequence', 'ASC']], paranoid: false });
+    if (!first || new Date(first.created_at) >= cutoff) {
+      return null;
+    }
+
+    const month = monthOf(first.created_at);
+    const [year, monthIndex] = month.split('-').map(Number);
+    const monthEnd = new Date(Date.UTC(year, monthIndex, 1));
+    const last = await AuditLog.findOne({
+      where: { sequence: afterBoundary, created_at: { [Op.lt]: monthEnd } },
+      order: [['sequence', 'DESC']],
+      paranoid: false
+    });
+    const range = { ...afterBoundary, [Op.lte]: Number(last.sequence) };
+
+    // 记录时间与序号顺序不一致时，序号段内可能混有仍在保留期内的记录
+    const recent = await AuditLog.count({ where: { sequence: range, created_at: { [Op.gte]: cutoff } }, paranoid: false });
+    if (recent > 0) {
+      logger.warn('待归档序号段内有保留期内的记录，暂不归档', { month, lastSequence: Number(last.sequence), recent });
+      return null;
+    }
+
+    // 只跳过经签名确认已被取代的检查点
+    const supersessions = await auditChainService.getSignedSupersessions(auditChainService.getTrustedKeyIds());
+    const checkpoints = (await AuditCheckpoint.findAll({ where: { sequence: range }, order: [['sequence', 'ASC']] }))
+      .filter(checkpoint => !supersessions.has(`${Number(checkpoint.sequence)}:${checkpoint.hash}`));
+
+    const store = this.getStore();
+    const tempFile = path.join(os.tmpdir(), `audit-archive-${month}-${process.pid}-${Date.now()}.ndjson.gz`);
+    const stats = { recordCount: 0, periodStart: null, periodEnd: null, first: null, last: null };
+
+    try {
+      const digest = createDigest();
+      await pipeline(
+        this.readRange(range, boundary, checkpoints, stats),
+        zlib.createGzip(),
+        digest.stream,
+        fs.createWriteStream(tempFile)
+      );
+      const file = digest.result();
+
+      const baseKey = `${month.slice(0, 4)}/${month}_${padSequence(stats.first.sequence)}-${padSequence(stats.last.sequence)}`;
+      const manifest = {
+        version: 1,
+        month,
+        storage: store.name,
+        objectKey: `${baseKey}.ndjson.gz`,
+        recordFormat: 'gzip 压缩的 NDJSON，每行一条记录：哈希链规范内容字段、prev_hash、hash 与 deleted_at，哈希算法同 JSON 校验证据',
+        recordCount: stats.recordCount,
+        firstSequence: stats.first.sequence,
+        lastSequence: stats.last.sequence,
+        firstPrevHash: stats.first.prev_hash,
+        lastHash: stats.last.hash,
+        periodStart: stats.periodStart,
+        periodEnd: stats.periodEnd,
+        file,
+        checkpoints: checkpoints.map(checkpoint => ({
+          sequence: Number(checkpoint.sequence),
+          hash: checkpoint.hash,
+          keyId: checkpoint.key_id,
+          createdAt: checkpoint.created_at
+        })),
+        createdAt: new Date().toISOString()
+      };
+      const document = { ...manifest, signature: auditChainService.signExport(canonicalize(manifest)) };
+
+      await store.put(manifest.objectKey, tempFile, { sha256: file.sha256, contentType: 'application/gzip' });
+      await store.put(`${baseKey}.manifest.json`, Buffer.from(JSON.stringify(document, null, 2)), { contentType: 'application/json' });
+
+      // 读回校验，确认存储中的文件完整后才删除在线记录
+      const storedFile = await this.digestObject(store, manifest.objectKey);
+      if (storedFile.sha256 !== file.sha256 || storedFile.size !== file.size) {
+        throw new Error(`归档文件 ${manifest.objectKey} 写入存储后校验不一致`);
+      }
+
+      const archive = await AuditArchive.create({
+        month,
+        period_start: stats.periodStart,
+        period_end: stats.periodEnd,
+        storage: store.name,
+        object_key: manifest.objectKey,
+        manifest_key: `${baseKey}.manifest.json`,
+        record_count: stats.recordCount,
+        first_sequence: stats.first.sequence,
+        last_sequence: stats.last.sequence,
+        first_prev_hash: stats.first.prev_hash,
+        last_hash: stats.last.hash,
+        file_size: file.size,
+        file_sha256: file.sha256,
+        manifest: document,
+        created_by: user?.id
+      });
+      await this.purgeArchivedRows(stats.last.sequence);
+
+      await logAudit({
+        userId: user?.id,
+        username: user?.username || 'system',
+        action: '归档审计日志',
+        resourceType: 'AuditLog',
+        resourceId: archive.id,
+        resourceName: month,
+        operationType: 'Delete',
+        status: 'Success',
+        newValues: {
+          month,
+          recordCount: stats.recordCount,
+          firstSequence: stats.first.sequence,
+          lastSequence: stats.last.sequence,
+          storage: store.name,
+          objectKey: manifest.objectKey,
+          fileSha256: file.sha256
+        },
+        description: `${month} 的 ${stats.recordCount} 条审计日志(序号 ${stats.first.sequence} - ${stats.last.sequence})已归档至${store.name === 's3' ? '对象存储' : '本地磁盘'}并从在线表移除`,
+        riskLevel: 'Medium'
+      });
+
+      logger.info('审计日志月度归档完成', { month, recordCount: stats.recordCount, objectKey: manifest.objectKey });
+      return archive;
+    } finally {
+      await fs.promises.rm(tempFile, { force: true });
+    }
+  }
+
+  /**
+   * 读取存储中的对象并计算摘要
+   * @param {Object} store 归档存储
+   * @param {String} key 对象键
+   * @returns {Promise} { sha256, size }
+   */
+  async digestObject(store, key) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    for await (const chunk of await store.get(key)) {
+      hash.update(chunk);
+      size += chunk.length;
+    }
+    return { sha256: hash.digest('hex'), size };
+  }
+
+  /**
+   * 按序号分批读取待归档记录并逐行输出，读取时校验哈希链与检查点
+   * @param {Object} range 序号范围
+   * @param {Object} boundary 归档链尾 { sequence, hash }
+   * @param {Array} checkpoints 范围内的检查点
+   * @param {Object} stats 统计，读取过程中更新
+   */
+  async *readRange(range, boundary, checkpoints, stats) {
+    const checkpointHashes = new Map(checkpoints.map(checkpoint => [Number(checkpoint.sequence), checkpoint.hash]));
+    let previous = boundary;
+    let cursor = range[Op.gt];
+
+    for (;;) {
+      const records = await AuditLog.findAll({
+        where: { sequence: { [Op.gt]: cursor, [Op.lte]: range[Op.lte] } },
+        order: [['sequence', 'ASC']],
+        limit: BATCH_SIZE,
+        paranoid: false
+      });
+      if (records.length === 0) {
+        return;
+      }
+
+      const firstBreak = verifyRecords(records, previous).find(item => item.type !== 'Deleted');
+      if (firstBreak) {
+        throw statusError(`哈希链校验未通过：${firstBreak.message}，请先核查后再归档`, 409);
+      }
+
+      for (const record of records) {
+        const line = this.toArchiveRecord(record);
+        const expected = checkpointHashes.get(line.sequence);
+        if (expected && expected !== line.hash) {
+          throw statusError(`序号 ${line.sequence} 的记录与签名检查点不一致，请先核查后再归档`, 409);
+        }
+
+        stats.first = stats.first || line;
+        stats.last = line;
+        stats.recordCount++;
+        stats.periodStart = stats.periodStart && stats.periodStart < line.created_at ? stats.periodStart : line.created_at;
+        stats.periodEnd = stats.periodEnd && stats.periodEnd > line.created_at ? stats.periodEnd : line.created_at;
+        yield `${JSON.stringify(line)}\n`;
+      }
+
+      previous = records[records.length - 1];
+      cursor = Number(previous.sequence);
+    }
+  }
+
+  /**
+   * 归档行：规范内容、前一哈希与哈希，保留被软删除记录的删除时间以便校验时仍能发现
+   * @param {Object} log 审计日志
+   * @returns {Object}
+   */
+  toArchiveRecord(log) {
+    return {
+      ...auditChainService.toEvidenceRecord(log),
+      deleted_at: log.deleted_at ? new Date(log.deleted_at).toISOString() : null
+    };
+  }
+
+  /**
+   * 逐行读取归档文件
+   * @param {Object} archive 归档记录
+   * @param {Object} digest 可选，读取时计算压缩文件的摘要
+   */
+  async *readArchive(archive, digest = null) {
+    const source = await this.getStore(archive.storage).get(archive.object_key);
+    const gunzip = zlib.createGunzip();
+    gunzip.setEncoding('utf8');
+    // 提前结束读取时流被销毁，管道的提前关闭错误无需处理
+    const piping = pipeline(...[source, digest?.stream, gunzip].filter(Boolean));
+    piping.catch(() => {});
+
+    let rest = '';
+    for await (const chunk of gunzip) {
+      const lines = (rest + chunk).split('\n');
+      rest = lines.pop();
+      for (const line of lines.filter(Boolean)) {
+        yield JSON.parse(line);
+      }
+    }
+    if (rest) {
+      yield JSON.parse(rest);
+    }
+    await piping;
+  }
+
+  /**
+   * 校验归档：文件摘要、清单与签名、与前一段归档的链接，并逐条重算哈希链与检查点
+   * @param {String} id 归档ID
+   * @returns {Promise} 校验结果
+   */
+  async verifyArchive(id) {
+    const archive = await AuditArchive.findByPk(id);
+    if (!archive) {
+      throw statusError('归档不存在', 404);
+    }
+
+    const store = this.getStore(archive.storage);
+    const firstSequence = Number(archive.first_sequence);
+    const lastSequence = Number(archive.last_sequence);
+
+    const document = JSON.parse((await readAll(await store.get(archive.manifest_key))).toString('utf8'));
+    const { signature, ...manifest } = document;
+    const trustedKeyIds = auditChainService.getTrustedKeyIds();
+
+    const previousArchive = firstSequence > 1
+      ? await AuditArchive.findOne({ where: { last_sequence: firstSequence - 1 } })
+      : null;
+    // 前一段归档缺失时无法确认链接，视为链断开
+    const expectedPrevHash = firstSequence === 1 ? GENESIS_HASH : previousArchive?.last_hash;
+
+    const result = {
+      archiveId: archive.id,
+      month: archive.month,
+      verifiedAt: new Date(),
+      manifestMatches: canonicalize(document) === canonicalize(archive.manifest),
+      signatureValid: signature ? verifyPayloadSignature(canonicalize(manifest), signature.signature, signature.publicKey) : null,
+      keyTrusted: signature && trustedKeyIds.length > 0 ? trustedKeyIds.includes(signature.keyId) : null,
+      linkValid: Boolean(expectedPrevHash) && archive.first_prev_hash === expectedPrevHash,
+      previousArchiveMissing: firstSequence > 1 && !previousArchive,
+      fileHashValid: false,
+      recordCount: 0,
+      breakCount: 0,
+      breaks: [],
+      checkpoints: []
+    };
+
+    const digest = createDigest();
+    const checkpointHashes = new Map((manifest.checkpoints || []).map(checkpoint => [checkpoint.sequence, checkpoint.hash]));
+    const recordHashes = new Map();
+    let previous = { sequence: firstSequence - 1, hash: archive.first_prev_hash };
+    let batch = [];
+    let last = null;
+
+    const check = () => {
+      const breaks = verifyRecords(batch, previous);
+      result.breakCount += breaks.length;
+      result.breaks.push(...breaks.slice(0, MAX_BREAKS - result.breaks.length));
+      previous = batch[batch.length - 1];
+      batch = [];
+    };
+
+    for await (const record of this.readArchive(archive, digest)) {
+      if (checkpointHashes.has(record.sequence)) {
+        recordHashes.set(record.sequence, record.hash);
+      }
+      batch.push(record);
+      last = record;
+      result.recordCount++;
+      if (batch.length >= BATCH_SIZE) {
+        check();
+      }
+    }
+    if (batch.length > 0) {
+      check();
+    }
+
+    const file = digest.result();
+    result.fileHashValid = file.sha256 === archive.file_sha256 && file.size === Number(archive.file_size);
+    result.rangeMatches = result.recordCount === archive.record_count &&
+      last?.sequence === lastSequence && last?.hash === archive.last_hash;
+    result.checkpoints = [...checkpointHashes].map(([sequence, hash]) => ({
+      sequence,
+      valid: recordHashes.get(sequence) === hash
+    }));
+
+    result.valid = result.manifestMatches && result.fileHashValid && result.rangeMatches &&
+      result.signatureValid !== false && result.keyTrusted !== false && result.linkValid &&
+      result.breakCount === 0 && result.checkpoints.every(checkpoint => checkpoint.valid);
+
+    await archive.update({
+      verify_status: result.valid ? 'Valid' : 'Invalid',
+      verify_result: result,
+      verified_at: result.verifiedAt
+    });
+
+    if (!result.valid) {
+      logger.warn('审计日志归档校验未通过', { archiveId: archive.id, month: archive.month, breakCount: result.breakCount });
+    }
+    return result;
+  }
+
+  /**
+   * 检索归档中的审计日志，按序号顺序逐个读取时间范围内的归档
+   * 时间跨度不超过 MAX_SEARCH_DAYS 天，返回条数不超过 MAX_SEARCH_LIMIT
+   * @param {Object} params { startDate, endDate, keyword, username, action, resourceType, resourceId, traceId, limit }
+   * @returns {Promise} { records, scanned, archives, truncated }
+   */
+  async search(params) {
+    const startDate = new Date(params.startDate);
+    const endDate = new Date(params.endDate);
+    if (!(endDate >= startDate)) {
+      throw statusError('结束日期不能早于开始日期', 400);
+    }
+    if (endDate - startDate > MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000) {
+      throw statusError(`单次检索的时间范围不能超过 ${MAX_SEARCH_DAYS} 天`, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+
+    const archives = await AuditArchive.findAll({
+      where: { period_start: { [Op.lte]: endDate }, period_end: { [Op.gte]: startDate } },
+      order: [['first_sequence', 'ASC']]
+    });
+
+    const keyword = params.keyword?.toLowerCase();
+    const matches = (record) => {
+      const createdAt = new Date(record.created_at);
+      if (createdAt < startDate || createdAt > endDate) return false;
+      if (params.username && record.username !== params.username) return false;
+      if (params.resourceType && record.resource_type !== params.resourceType) return false;
+      if (params.resourceId && record.resource_id !== params.resourceId) return false;
+      if (params.traceId && record.trace_id !== params.traceId) return false;
+      if (params.action && !(record.action || '').includes(params.action)) return false;
+      if (keyword) {
+        const text = [record.action, record.username, record.resource_name, record.request_path, record.description]
+          .filter(Boolean).join('\n').toLowerCase();
+        return text.includes(keyword);
+      }
+      return true;
+    };
+
+    const records = [];
+    let scanned = 0;
+    for (const archive of archives) {
+      for await (const record of this.readArchive(archive)) {
+        scanned++;
+        if (matches(record)) {
+          records.push({ ...record, archive_month: archive.month });
+          if (records.length >= limit) {
+            return { records, scanned, archives: archives.length, truncated: true };
+          }
+        }
+      }
+    }
+
+    return { records, scanned, archives: archives.length, truncated: false };
+  }
+
+  /**
+   * 读取归档文件或清单，供外部独立校验
+   * @param {String} id 归档ID
+   * @param {String} type data/manifest
+   * @returns {Promise} { stream, fileName, contentType }
+   */
+  async openArchiveFile(id, type) {
+    const archive = await AuditArchive.findByPk(id);
+    if (!archive) {
+      throw statusError('归档不存在', 404);
+    }
+
+    const key = type === 'manifest' ? archive.manifest_key : archive.object_key;
+    return {
+      stream: await this.getStore(archive.storage).get(key),
+      fileName: path.posix.basename(key),
+      contentType: type === 'manifest' ? 'application/json' : 'application/gzip'
+    };
+  }
+
+  /**
+   * 归档运行状态与配置
+   * @returns {Object} { running, lastRun, hotMonths, cutoff, storage }
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.running),
+      lastRun: this.lastRun,
+      hotMonths: this.hotMonths,
+      cutoff: this.getCutoff(),
+      storage: process.env.AUDIT_ARCHIVE_STORAGE || 'local'
+    };
+  }
+}
+
+module.exports = new AuditArchiveService();
\ No newline at end of file
@@ -0,0 +1,670 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { AuditLog, AuditCheckpoint, AuditArchive } = require('../models');
+const {
+  GENESIS_HASH,
+  CHAINED_FIELDS,
+  computeHash,
+  toCanonicalRecord,
+  verifyRecords,
+  signPayload,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  keyFingerprint
+} = require('../utils/auditChain');
+const logger = require('../config/logger');
+
+// 校验与补链时每批读取的记录数
+const BATCH_SIZE = 1000;
+
+// 校验报告中最多列出的断点数
+const MAX_BREAKS = 100;
+
+// 数据库按字符串保存的字段，哈希前统一转为字符串，保证读回后重算一致
+const STRING_TYPES = ['STRING', 'TEXT', 'ENUM', 'UUID'];
+
+// 链尾被其他进程推进导致序号冲突时，重新加载链尾后重试的次数
+const APPEND_CONFLICT_RETRIES = 5;
+
+// 数据库时间精度为秒
+const truncateToSeconds = (date) => new Date(Math.floor(date.getTime() / 1000) * 1000);
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AuditChainService {
+  constructor() {
+    this.head = null;
+    this.queue = Promise.resolve();
+    this.signingKey = undefined;
+    this.maintenance = null;
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时检查点，默认每小时一次，未配置签名私钥时不启用
+   */
+  initScheduler() {
+    const expression = process.env.AUDIT_CHECKPOINT_CRON || '0 * * * *';
+    if (!cron.validate(expression)) {
+      logger.warn('审计检查点cron表达式无效，定时检查点未启用', { cron: expression });
+      return;
+    }
+    if (!this.getSigningKey()) {
+      logger.warn('未配置审计检查点签名私钥 AUDIT_SIGNING_PRIVATE_KEY，定时检查点未启用');
+      return;
+    }
+
+    cron.schedule(expression, () => {
+      this.createCheckpoint().catch(error => {
+        logger.error('创建审计检查点失败', { error: error.message });
+      });
+    });
+
+    logger.info('审计检查点调度器初始化完成', { cron: expression });
+  }
+
+  /**
+   * 读取检查点签名私钥，来自 AUDIT_SIGNING_PRIVATE_KEY(PEM) 或 AUDIT_SIGNING_PRIVATE_KEY_FILE
+   * @returns {KeyObject|null} 未配置时为空
+   */
+  getSigningKey() {
+    if (this.signingKey === undefined) {
+      const file = process.env.AUDIT_SIGNING_PRIVATE_KEY_FILE;
+      const pem = file ? fs.readFileSync(file, 'utf8') : (process.env.AUDIT_SIGNING_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+      this.signingKey = pem.trim() ? crypto.createPrivateKey(pem) : null;
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * 受信任的签名公钥指纹：当前签名密钥及 AUDIT_TRUSTED_KEY_IDS 中轮换前的密钥
+   * @returns {Array<String>}
+   */
+  getTrustedKeyIds() {
+    const keyIds = (process.env.AUDIT_TRUSTED_KEY_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    const signingKey = this.getSigningKey();
+    if (signingKey) {
+      keyIds.push(keyFingerprint(crypto.createPublicKey(signingKey)));
+    }
+    return keyIds;
+  }
+
+  /**
+   * 使用检查点签名私钥签名导出文件的清单
+   * @param {String} payload 签名内容
+   * @returns {Object|null} { algorithm, keyId, publicKey, signature }，未配置私钥时为空
+   */
+  signExport(payload) {
+    const signingKey = this.getSigningKey();
+    if (!signingKey) {
+      return null;
+    }
+
+    const publicKey = crypto.createPublicKey(signingKey);
+    return {
+      algorithm: signingKey.asymmetricKeyType,
+      keyId: keyFingerprint(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      signature: signPayload(payload, signingKey)
+    };
+  }
+
+  /**
+   * 串行执行写链操作，保证序号连续、前一哈希指向上一条记录
+   * @param {Function} job 写链操作
+   * @returns {Promise}
+   */
+  serialize(job) {
+    const run = this.queue.then(job);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * 独占执行重写或归档等批量维护操作，两者都会改动历史记录，不能同时进行
+   * @param {String} name 操作名称
+   * @param {Function} job 操作
+   * @returns {Promise} 操作结果，已有维护操作运行时抛出 409
+   */
+  async exclusive(name, job) {
+    if (this.maintenance) {
+      throw statusError(`${this.maintenance}正在运行，请稍后再试`, 409);
+    }
+
+    this.maintenance = name;
+    try {
+      return await job();
+    } finally {
+      this.maintenance = null;
+    }
+  }
+
+  /**
+   * 已归档部分的链尾，数据库中的链从其后一条记录开始
+   * @returns {Promise} { sequence, hash }，未归档时为 null
+   */
+  async getArchiveBoundary() {
+    const archive = await AuditArchive.findOne({ order: [['last_sequence', 'DESC']] });
+    return archive ? { sequence: Number(archive.last_sequence), hash: archive.last_hash } : null;
+  }
+
+  /**
+   * 包含指定序号记录的归档
+   * @param {Number} sequence 哈希链序号
+   * @returns {Promise} 归档，未归档时为 null
+   */
+  findArchive(sequence) {
+    return AuditArchive.findOne({
+      where: { first_sequence: { [Op.lte]: sequence }, last_sequence: { [Op.gte]: sequence } }
+    });
+  }
+
+  /**
+   * 读取链尾，首次使用时从数据库加载
+   * @returns {Promise} { sequence, hash }
+   */
+  async loadHead() {
+    if (!this.head) {
+      const last = await AuditLog.findOne({
+        attributes: ['sequence', 'hash'],
+        where: { sequence: { [Op.ne]: null } },
+        order: [['sequence', 'DESC']],
+        paranoid: false
+      });
+      this.head = last
+        ? { sequence: Number(last.sequence), hash: last.hash }
+        : { sequence: 0, hash: GENESIS_HASH };
+    }
+    return this.head;
+  }
+
+  /**
+   * 按字段类型规范化待写入的值，使写入前计算的哈希与读回后重算一致
+   * @param {Object} values 审计日志字段
+   * @returns {Object}
+   */
+  normalize(values) {
+    const normalized = {};
+    CHAINED_FIELDS.forEach(field => {
+      const value = values[field];
+      if (value === undefined || value === null) {
+        normalized[field] = null;
+        return;
+      }
+      const typeKey = AuditLog.rawAttributes[field]?.type?.key;
+      if (STRING_TYPES.includes(typeKey)) {
+        normalized[field] = String(value);
+      } else if (typeKey === 'INTEGER') {
+        normalized[field] = Number(value);
+      } else {
+        normalized[field] = value;
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * 写入一条审计日志并接入哈希链
+   * 其他进程已写入同一序号时，从数据库重新加载链尾后重试，审计记录不丢弃
+   * @param {Object} values 审计日志字段(不含序号与哈希)
+   * @returns {Promise} 审计日志记录
+   */
+  append(values) {
+    return this.serialize(async () => {
+      for (let attempt = 0; ; attempt++) {
+        const head = await this.loadHead();
+        const record = this.normalize({
+          ...values,
+          id: crypto.randomUUID(),
+          sequence: head.sequence + 1,
+          created_at: truncateToSeconds(new Date())
+        });
+        record.prev_hash = head.hash;
+        record.hash = computeHash(head.hash, record);
+
+        try {
+          const log = await AuditLog.create(record);
+          this.head = { sequence: record.sequence, hash: record.hash };
+          return log;
+        } catch (error) {
+          // 链尾可能已被其他进程推进，重新加载
+          this.head = null;
+          if (error.name !== 'SequelizeUniqueConstraintError' || attempt >= APPEND_CONFLICT_RETRIES) {
+            throw error;
+          }
+          logger.warn('审计日志序号冲突，重新加载链尾后重试', { sequence: record.sequence, attempt: attempt + 1 });
+        }
+      }
+    });
+  }
+
+  /**
+   * 将启用哈希链前的历史记录按时间顺序接入链，服务启动时执行
+   * @returns {Promise<Number>} 接入的记录数
+   */
+  backfill() {
+    return this.serialize(async () => {
+      let count = 0;
+
+      for (;;) {
+        const logs = await AuditLog.findAll({
+          where: { sequence: null },
+          order: [['created_at', 'ASC'], ['id', 'ASC']],
+          limit: BATCH_SIZE,
+          paranoid: false
+        });
+        if (logs.length === 0) {
+          break;
+        }
+
+        const head = await this.loadHead();
+        for (const log of logs) {
+          log.sequence = head.sequence + 1;
+          const prevHash = head.hash;
+          const hash = computeHash(prevHash, log);
+          await log.update({ sequence: log.sequence, prev_hash: prevHash, hash }, { silent: true });
+          head.sequence = log.sequence;
+          head.hash = hash;
+          count++;
+        }
+      }
+
+      if (count > 0) {
+        logger.info('历史审计日志已接入哈希链', { count });
+      }
+      return count;
+    });
+  }
+
+  /**
+   * 确认数据库中的整条哈希链完整(自归档链尾之后)，已删除的记录除外
+   * @returns {Promise} 链不完整时抛出，指出第一个断点
+   */
+  async assertIntact() {
+    let previous = await this.getArchiveBoundary();
+    for (;;) {
+      const records = await AuditLog.findAll({
+        where: { sequence: { [Op.gt]: previous ? Number(previous.sequence) : 0 } },
+        order: [['sequence', 'ASC']],
+        limit: BATCH_SIZE,
+        paranoid: false
+      });
+      if (records.length === 0) {
+        return;
+      }
+
+      const firstBreak = verifyRecords(records, previous).find(item => item.type !== 'Deleted');
+      if (firstBreak) {
+        throw statusError(`哈希链校验未通过：${firstBreak.message}，请先核查后再重写`, 409);
+      }
+      previous = records[records.length - 1];
+    }
+  }
+
+  /**
+   * 重写历史记录内容并重新计算其后的哈希链，用于脱敏迁移
+   * 仅在整条链完整时执行，避免重新计算哈希掩盖已有的篡改；
+   * 按批在写链队列中执行，期间新写入的记录接在重写后的链尾。
+   * 已归档的记录不可变，从归档链尾之后开始重写。
+   * 重写位置之后的检查点标记为已取代，并为新的链尾创建在签名中列出这些检查点的新检查点；
+   * 已有检查点而未配置签名私钥时无法签署取代关系，不执行重写
+   * @param {Function} transform (log) => 需更新的字段，无需更新时返回 null
+   * @returns {Promise} { scanned, changed, rechained, firstSequence, checkpoint }
+   */
+  rewrite(transform) {
+    return this.exclusive('哈希链重写', () => this.rewriteChain(transform));
+  }
+
+  /**
+   * 确认可以重写哈希链：重写后的链须由新的签名检查点确认，并签署被取代的检查点，
+   * 未生成过检查点时同样需要签名私钥，否则重写无从证明
+   * @returns {Promise} 不可重写时抛出 400
+   */
+  async assertRewritable() {
+    if (!this.getSigningKey()) {
+      throw statusError('重写哈希链前需配置签名私钥 AUDIT_SIGNING_PRIVATE_KEY，以签名检查点确认重写结果及被取代的检查点', 400);
+    }
+  }
+
+  async rewriteChain(transform) {
+    await this.assertIntact();
+    await this.assertRewritable();
+
+    const boundary = await this.getArchiveBoundary();
+    const result = { scanned: 0, changed: 0, rechained: 0, firstSequence: null, checkpoint: null };
+    let cursor = boundary ? boundary.sequence : 0;
+    let prevHash = boundary ? boundary.hash : GENESIS_HASH;
+
+    for (;;) {
+      const count = await this.serialize(async () => {
+        const logs = await AuditLog.findAll({
+          where: { sequence: { [Op.gt]: cursor } },
+          order: [['sequence', 'ASC']],
+          limit: BATCH_SIZE,
+          paranoid: false
+        });
+
+        for (const log of logs) {
+          const changes = transform(log);
+          if (changes) {
+            log.set(changes);
+            result.changed++;
+            if (result.firstSequence === null) {
+              result.firstSequence = Number(log.sequence);
+            }
+          }
+
+          if (changes || log.prev_hash !== prevHash) {
+            const hash = computeHash(prevHash, log);
+            await log.update({ ...changes, prev_hash: prevHash, hash }, { silent: true });
+            if (!changes) {
+              result.rechained++;
+            }
+          }
+
+          prevHash = log.hash;
+          cursor = Number(log.sequence);
+          result.scanned++;
+        }
+
+        // 链尾可能已被重写，下次写入时重新加载
+        this.head = null;
+        return logs.length;
+      });
+
+      if (count === 0) {
+        break;
+      }
+    }
+
+    if (result.firstSequence !== null) {
+      const superseded = await AuditCheckpoint.findAll({
+        where: { sequence: { [Op.gte]: result.firstSequence }, superseded_at: null },
+        order: [['sequence', 'ASC']]
+      });
+      await AuditCheckpoint.update(
+        { superseded_at: new Date() },
+        { where: { sequence: { [Op.gte]: result.firstSequence }, superseded_at: null } }
+      );
+      result.checkpoint = await this.createCheckpoint({
+        supersedes: superseded.map(checkpoint => ({ sequence: Number(checkpoint.sequence), hash: checkpoint.hash }))
+      });
+
+      logger.warn('审计日志哈希链已重写', {
+        changed: result.changed,
+        rechained: result.rechained,
+        firstSequence: result.firstSequence
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 为当前链尾创建签名检查点，自上一检查点以来无新记录时不创建
+   * @param {Object} options { supersedes: 签名确认取代的检查点 [{ sequence, hash }] }
+   * @returns {Promise} 检查点，无新记录时为 null
+   */
+  async createCheckpoint(options = {}) {
+    const signingKey = this.getSigningKey();
+    if (!signingKey) {
+      throw statusError('未配置审计检查点签名私钥 AUDIT_SIGNING_PRIVATE_KEY', 400);
+    }
+
+    return this.serialize(async () => {
+      const head = await this.loadHead();
+      const last = await AuditCheckpoint.findOne({ where: { superseded_at: null }, order: [['sequence', 'DESC']] });
+      const lastSequence = last ? Number(last.sequence) : 0;
+      if (head.sequence <= lastSequence) {
+        return null;
+      }
+
+      const publicKey = crypto.createPublicKey(signingKey);
+      const checkpoint = {
+        sequence: head.sequence,
+        hash: head.hash,
+        record_count: head.sequence - lastSequence,
+        algorithm: signingKey.asymmetricKeyType,
+        key_id: keyFingerprint(publicKey),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        created_at: truncateToSeconds(new Date()),
+        supersedes: options.supersedes?.length ? options.supersedes : null
+      };
+      checkpoint.signature = signCheckpoint(checkpoint, signingKey);
+
+      const created = await AuditCheckpoint.create(checkpoint);
+      logger.info('审计检查点已创建', { sequence: checkpoint.sequence, keyId: checkpoint.key_id });
+      return created;
+    });
+  }
+
+  /**
+   * 时间范围内的检查点，另含范围结束后的第一个检查点以覆盖范围末尾的记录
+   * @param {Date} startDate 开始时间
+   * @param {Date} endDate 结束时间
+   * @returns {Promise<Array>} 检查点
+   */
+  async getCheckpoints(startDate, endDate) {
+    const checkpoints = await AuditCheckpoint.findAll({
+      where: { created_at: { [Op.gte]: startDate, [Op.lte]: endDate } },
+      order: [['sequence', 'ASC']]
+    });
+    const next = await AuditCheckpoint.findOne({
+      where: { created_at: { [Op.gt]: endDate }, superseded_at: null },
+      order: [['sequence', 'ASC']]
+    });
+    return next ? [...checkpoints, next] : checkpoints;
+  }
+
+  /**
+   * 经签名确认的取代关系：取代检查点的签名有效且由受信任的公钥签名时，
+   * 其签名中列出的检查点才视为已取代，superseded_at 字段本身不作为依据；
+   * 未配置受信任公钥时无法确认签名来源，不认可任何取代关系
+   * @param {Array<String>} trustedKeyIds 受信任的公钥指纹
+   * @returns {Promise<Set<String>>} 被取代检查点的 `${sequence}:${hash}`
+   */
+  async getSignedSupersessions(trustedKeyIds) {
+    const replacements = await AuditCheckpoint.findAll({ where: { supersedes: { [Op.ne]: null } } });
+    return new Set(replacements
+      .filter(replacement => trustedKeyIds.includes(replacement.key_id) &&
+        verifyCheckpointSignature(replacement, replacement.public_key))
+      .flatMap(replacement => (replacement.supersedes || []).map(item => `${Number(item.sequence)}:${item.hash}`)));
+  }
+
+  /**
+   * 校验检查点：签名、签名公钥是否受信任、对应记录的哈希是否一致
+   * 被脱敏迁移后的检查点签名取代的检查点记为已取代，不再比对记录哈希；
+   * 对应记录已归档的检查点在归档时比对过，随归档文件校验；
+   * 未配置受信任公钥时，检查点所存公钥可能由任何人生成，哈希一致的检查点记为未确认(Unverified)而非有效
+   * @param {Object} checkpoint 检查点
+   * @param {Array<String>} trustedKeyIds 受信任的公钥指纹
+   * @param {Set<String>} supersessions 经签名确认的取代关系
+   * @returns {Promise} 校验结果
+   */
+  async verifyCheckpoint(checkpoint, trustedKeyIds, supersessions = new Set()) {
+    const record = await AuditLog.findOne({ where: { sequence: checkpoint.sequence }, paranoid: false });
+    const signatureValid = verifyCheckpointSignature(checkpoint, checkpoint.public_key);
+    const keyTrusted = trustedKeyIds.length > 0 ? trustedKeyIds.includes(checkpoint.key_id) : null;
+
+    let status = 'Valid';
+    if (!signatureValid) {
+      status = 'InvalidSignature';
+    } else if (keyTrusted === false) {
+      status = 'UntrustedKey';
+    } else if (supersessions.has(`${Number(checkpoint.sequence)}:${checkpoint.hash}`)) {
+      status = 'Superseded';
+    } else if (!record && await this.findArchive(checkpoint.sequence)) {
+      status = 'Archived';
+    } else if (!record) {
+      status = 'RecordMissing';
+    } else if (record.hash !== checkpoint.hash || computeHash(record.prev_hash, record) !== checkpoint.hash) {
+      status = 'HashMismatch';
+    } else if (keyTrusted === null) {
+      status = 'Unverified';
+    }
+
+    return {
+      id: checkpoint.id,
+      sequence: Number(checkpoint.sequence),
+      hash: checkpoint.hash,
+      createdAt: checkpoint.created_at,
+      keyId: checkpoint.key_id,
+      signatureValid,
+      keyTrusted,
+      supersededAt: checkpoint.superseded_at || null,
+      status
+    };
+  }
+
+  /**
+   * 校验时间范围内的哈希链与检查点，报告链断开的位置
+   * @param {Object} params { startDate, endDate }
+   * @returns {Promise} 校验报告
+   */
+  async verify({ startDate, endDate }) {
+    const range = { [Op.gte]: startDate, [Op.lte]: endDate };
+    const [first, last, unchained] = await Promise.all([
+      AuditLog.findOne({ where: { created_at: range, sequence: { [Op.ne]: null } }, order: [['sequence', 'ASC']], paranoid: false }),
+      AuditLog.findOne({ where: { created_at: range, sequence: { [Op.ne]: null } }, order: [['sequence', 'DESC']], paranoid: false }),
+      AuditLog.count({ where: { created_at: range, sequence: null }, paranoid: false })
+    ]);
+
+    const breaks = [];
+    let checked = 0;
+
+    if (first) {
+      const firstSequence = Number(first.sequence);
+      const lastSequence = Number(last.sequence);
+
+      // 范围内第一条记录需与前一条记录相连，前一条记录已归档时取归档的链尾
+      let previous = null;
+      if (firstSequence > 1) {
+        previous = await AuditLog.findOne({ where: { sequence: firstSequence - 1 }, paranoid: false });
+        if (!previous) {
+          const archive = await AuditArchive.findOne({ where: { last_sequence: firstSequence - 1 } });
+          previous = archive ? { sequence: Number(archive.last_sequence), hash: archive.last_hash } : null;
+        }
+        if (!previous) {
+          breaks.push({
+            type: 'MissingRecords',
+            sequence: firstSequence,
+            id: first.id,
+            createdAt: first.created_at,
+            expected: firstSequence - 1,
+            actual: null,
+            message: `序号 ${firstSequence - 1} 的记录缺失，无法确认范围内第一条记录的前一哈希`
+          });
+        }
+      }
+
+      // 按序号而非时间遍历，范围内被删除的记录表现为序号缺口
+      let cursor = firstSequence - 1;
+      while (cursor < lastSequence) {
+        const records = await AuditLog.findAll({
+          where: { sequence: { [Op.gt]: cursor, [Op.lte]: lastSequence } },
+          order: [['sequence', 'ASC']],
+          limit: BATCH_SIZE,
+          paranoid: false
+        });
+        if (records.length === 0) {
+          break;
+        }
+
+        breaks.push(...verifyRecords(records, previous));
+        checked += records.length;
+        previous = records[records.length - 1];
+        cursor = Number(previous.sequence);
+      }
+    }
+
+    const trustedKeyIds = this.getTrustedKeyIds();
+    const supersessions = await this.getSignedSupersessions(trustedKeyIds);
+    const checkpoints = [];
+    for (const checkpoint of await this.getCheckpoints(startDate, endDate)) {
+      checkpoints.push(await this.verifyCheckpoint(checkpoint, trustedKeyIds, supersessions));
+    }
+
+    const valid = breaks.length === 0 && unchained === 0 &&
+      checkpoints.every(checkpoint => ['Valid', 'Superseded', 'Archived'].includes(checkpoint.status));
+
+    // 范围内已归档的记录不在数据库中，需通过归档校验
+    const archives = await AuditArchive.findAll({
+      attributes: ['id', 'month', 'first_sequence', 'last_sequence', 'verify_status', 'verified_at'],
+      where: { period_start: { [Op.lte]: endDate }, period_end: { [Op.gte]: startDate } },
+      order: [['first_sequence', 'ASC']]
+    });
+
+    if (!valid) {
+      logger.warn('审计日志哈希链校验未通过', {
+        startDate,
+        endDate,
+        breakCount: breaks.length,
+        firstBreak: breaks[0]?.sequence
+      });
+    }
+
+    return {
+      startDate,
+      endDate,
+      verifiedAt: new Date(),
+      valid,
+      firstSequence: first ? Number(first.sequence) : null,
+      lastSequence: last ? Number(last.sequence) : null,
+      checked,
+      unchained,
+      breakCount: breaks.length,
+      firstBreak: breaks[0] || null,
+      breaks: breaks.slice(0, MAX_BREAKS),
+      checkpoints,
+      archives
+    };
+  }
+
+  /**
+   * 证据记录：规范内容及前一哈希与哈希，外部审计可独立重算
+   * @param {Object} log 审计日志
+   * @returns {Object}
+   */
+  toEvidenceRecord(log) {
+    return { ...toCanonicalRecord(log), prev_hash: log.prev_hash, hash: log.hash };
+  }
+
+  /**
+   * 证据包中记录以外的部分：校验说明与范围内的检查点，记录由导出逐批写出
+   * @param {Object} params { startDate, endDate }
+   * @returns {Promise} { algorithm, checkpoints }
+   */
+  async getEvidenceContext({ startDate, endDate }) {
+    const checkpoints = await this.getCheckpoints(startDate, endDate);
+
+    return {
+      algorithm: {
+        hash: 'SHA-256(prev_hash + "\\n" + canonical(record))，链首 prev_hash 为64个0',
+        canonical: '记录取 fields 中的字段，对象键按字典序排列的紧凑JSON，时间为ISO 8601 UTC',
+        fields: CHAINED_FIELDS,
+        checkpointPayload: 'canonical({ sequence, hash, recordCount, createdAt[, supersedes] })，Ed25519 签名或 RSA/EC SHA-256 签名，Base64 编码',
+        supersedes: '重写哈希链后生成的检查点在签名中列出被取代检查点的 { sequence, hash }，只有被有效签名列出的检查点视为已取代'
+      },
+      checkpoints: checkpoints.map(checkpoint => ({
+        sequence: Number(checkpoint.sequence),
+        hash: checkpoint.hash,
+        recordCount: checkpoint.record_count,
+        createdAt: checkpoint.created_at,
+        algorithm: checkpoint.algorithm,
+        keyId: checkpoint.key_id,
+        publicKey: checkpoint.public_key,
+        signature: checkpoint.signature,
+        supersedes: checkpoint.supersedes || null,
+        supersededAt: checkpoint.superseded_at || null
+      }))
+    };
+  }
+}
+
+module.exports = new AuditChainService();
\ No newline at end of file
@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { finished } = require('stream/promises');
+const ExcelJS = require('exceljs');
+const { Op, fn, col } = require('sequelize');
+const { AuditLog, AuditExport } = require('../models');
+const auditChainService = require('./auditChainService');
+const { canonicalize, toCanonicalRecord } = require('../utils/auditChain');
+const { PdfDocument, writeChunk } = require('../utils/pdf');
+const logger = require('../config/logger');
+
+// 每批读取的记录数
+const BATCH_SIZE = 1000;
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8; header=present' },
+  excel: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// 导出的列，CSV 与 Excel 共用
+const COLUMNS = [
+  { header: '序号', key: 'sequence', width: 10 },
+  { header: '时间', key: 'createdAt', width: 22 },
+  { header: '用户', key: 'username', width: 16 },
+  { header: '操作', key: 'action', width: 30 },
+  { header: '资源类型', key: 'resourceType', width: 16 },
+  { header: '资源', key: 'resource', width: 30 },
+  { header: '操作类型', key: 'operationType', width: 10 },
+  { header: '状态', key: 'status', width: 10 },
+  { header: '风险级别', key: 'riskLevel', width: 10 },
+  { header: 'IP地址', key: 'ipAddress', width: 16 },
+  { header: '请求', key: 'request', width: 40 },
+  { header: '追踪ID', key: 'traceId', width: 38 },
+  { header: '描述', key: 'description', width: 60 },
+  { header: '哈希', key: 'hash', width: 66 }
+];
+
+const RESOURCE_TYPE_TEXT = {
+  User: '用户',
+  RDSInstance: 'RDS实例',
+  RecoveryTask: '恢复任务',
+  RecoverySchedule: '恢复调度',
+  CredentialProfile: '云账号凭据',
+  BackupPolicy: '备份策略',
+  Report: '报告',
+  AuditLog: '审计日志',
+  System: '系统'
+};
+
+const FILTER_TEXT = {
+  action: '操作',
+  resourceType: '资源类型',
+  status: '状态',
+  riskLevel: '风险级别'
+};
+
+// 只有日期的结束时间包含当天全天
+const toEndDate = (value) => new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 23:59:59` : value);
+
+/**
+ * RFC 4180 字段：含逗号、双引号或换行时加双引号，内部双引号写两次
+ * @param {*} value 值
+ * @returns {String}
+ */
+const csvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRecord = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+class AuditExportService {
+  constructor() {
+    this.exportsDir = path.join(process.cwd(), 'exports');
+    this.asyncThreshold = parseInt(process.env.AUDIT_EXPORT_ASYNC_THRESHOLD, 10) || 100000;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 导出条件对应的查询条件
+   * @param {Object} filters { startDate, endDate, action, resourceType, status, riskLevel }
+   * @returns {Object}
+   */
+  buildWhere(filters) {
+    const where = {
+      created_at: {
+        [Op.gte]: new Date(filters.startDate),
+        [Op.lte]: toEndDate(filters.endDate)
+      }
+    };
+
+    if (filters.action) where.action = { [Op.like]: `%${filters.action}%` };
+    if (filters.resourceType) where.resource_type = filters.resourceType;
+    if (filters.status) where.status = filters.status;
+    if (filters.riskLevel) where.risk_level = filters.riskLevel;
+
+    return where;
+  }
+
+  /**
+   * 导出记录数
+   * @param {Object} filters 导出条件
+   * @returns {Promise<Number>}
+   */
+  count(filters) {
+    return AuditLog.count({ where: this.buildWhere(filters) });
+  }
+
+  /**
+   * 导出文件名与类型
+   * @param {String} format 导出格式
+   * @param {Object} filters 导出条件
+   * @returns {Object} { fileName, contentType }
+   */
+  getFileInfo(format, filters) {
+    const { extension, contentType } = FORMATS[format];
+    const day = (value) => String(value).slice(0, 10);
+    return {
+      fileName: `audit_logs_${day(filters.startDate)}_${day(filters.endDate)}.${extension}`,
+      contentType
+    };
+  }
+
+  /**
+   * 按时间顺序分批读取审计日志，按 (created_at, id) 或哈希链序号翻页，不一次读入全部记录
+   * @param {Object} where 查询条件
+   * @param {Object} options { chainedOnly: 只读取已接入哈希链的记录并按序号排列 }
+   */
+  async *iterate(where, { chainedOnly = false } = {}) {
+    let last = null;
+
+    while (true) {
+      const conditions = [where];
+      if (chainedOnly) {
+        conditions.push({ sequence: last ? { [Op.gt]: last.sequence } : { [Op.ne]: null } });
+      } else if (last) {
+        conditions.push({
+          [Op.or]: [
+            { created_at: { [Op.gt]: last.created_at } },
+            { created_at: last.created_at, id: { [Op.gt]: last.id } }
+          ]
+        });
+      }
+
+      const logs = await AuditLog.findAll({
+        where: { [Op.and]: conditions },
+        order: chainedOnly ? [['sequence', 'ASC']] : [['created_at', 'ASC'], ['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      for (const log of logs) {
+        yield log;
+      }
+      if (logs.length < BATCH_SIZE) {
+        return;
+      }
+      last = logs[logs.length - 1];
+    }
+  }
+
+  /**
+   * 导出行
+   * @param {Object} log 审计日志
+   * @returns {Object}
+   */
+  toRow(log) {
+    return {
+      sequence: log.sequence ? Number(log.sequence) : null,
+      createdAt: log.created_at,
+      username: log.username,
+      action: log.action,
+      resourceType: log.resource_type,
+      resource: log.resource_name || log.resource_id,
+      operationType: log.operation_type,
+      status: log.status,
+      riskLevel: log.risk_level,
+      ipAddress: log.ip_address,
+      request: log.request_method ? `${log.request_method} ${log.request_path}` : null,
+      traceId: log.trace_id,
+      description: log.description,
+      hash: log.hash
+    };
+  }
+
+  /**
+   * 按格式写出导出文件
+   * @param {String} format csv/excel/pdf/json
+   * @param {Object} filters 导出条件
+   * @param {Writable} stream 输出流，写完后结束
+   * @param {Object} meta { exportedBy }
+   * @returns {Promise} { recordCount, contentHash }，内容哈希为按导出顺序逐条 SHA-256(规范内容 + "\n")
+   */
+  async write(format, filters, stream, meta = {}) {
+    const where = this.buildWhere(filters);
+    const writers = {
+      csv: () => this.writeCsv(where, stream),
+      excel: () => this.writeExcel(where, filters, stream),
+      pdf: () => this.writePdf(where, filters, stream, meta),
+      json: () => this.writeJson(where, filters, stream)
+    };
+    return writers[format]();
+  }
+
+  async writeCsv(where, stream) {
+    const hash = crypto.createHash('sha256');
+    let recordCount = 0;
+
+    await writeChunk(stream, csvRecord(COLUMNS.map(column => column.header)));
+    for await (const log of this.iterate(where)) {
+      const row = this.toRow(log);
+      await writeChunk(stream, csvRecord(COLUMNS.map(column => row[column.key])));
+      hash.update(`${canonicalize(toCanonicalRecord(log))}\n`);
+      recordCount++;
+    }
+    stream.end();
+
+    return { recordCount, contentHash: hash.digest('hex') };
+  }
+
+  /**
+   * 流式写出 Excel：首页为导出信息，每种资源类型一个工作表，逐表写完提交
+   */
+  async writeExcel(where, filters, stream) {
+    const hash = crypto.createHash('sha256');
+    let recordCount = 0;
+
+    const groups = await AuditLog.findAll({
+      attributes: ['resource_type', [fn('COUNT', col('id')), 'count']],
+      where,
+      group: ['resource_type'],
+      order: [['resource_type', 'ASC']],
+      raw: true
+    });
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+
+    const summary = workbook.addWorksheet('导出信息');
+    summary.columns = [
+      { header: '项目', key: 'label', width: 20 },
+      { header: '内容', key: 'value', width: 60 }
+    ];
+    summary.getRow(1).font = { bold: true };
+    summary.addRow({ label: '导出时间', value: new Date() }).commit();
+    this.describeFilters(filters).forEach(([label, value]) => summary.addRow({ label, value }).commit());
+    groups.forEach(group => {
+      summary.addRow({ label: RESOURCE_TYPE_TEXT[group.resource_type] || group.resource_type, value: Number(group.count) }).commit();
+    });
+    summary.commit();
+
+    for (const group of groups) {
+      const sheet = workbook.addWorksheet(RESOURCE_TYPE_TEXT[group.resource_type] || group.resource_type);
+      sheet.columns = COLUMNS;
+      sheet.getRow(1).font = { bold: true };
+      for await (const log of this.iterate({ ...where, resource_type: group.resource_type })) {
+        sheet.addRow(this.toRow(log)).commit();
+        hash.update(`${canonicalize(toCanonicalRecord(log))}\n`);
+        recordCount++;
+      }
+      sheet.commit();
+    }
+
+    await workbook.commit();
+    return { recordCount, contentHash: hash.digest('hex') };
+  }
+
+  /**
+   * 写出 PDF 证据：正文逐条列出记录，写完后补入封面(导出条件、记录数、内容哈希及签名)
+   */
+  async writePdf(where, filters, stream, meta) {
+    const hash = crypto.createHash('sha256');
+    let recordCount = 0;
+    let firstSequence = null;
+    let lastSequence = null;
+
+    const pdf = new PdfDocument(stream);
+    await pdf.begin();
+
+    for await (const log of this.iterate(where)) {
+      const row = this.toRow(log);
+      await pdf.text(`#${row.sequence || '-'}  ${row.createdAt.toISOString()}  ${row.username || '-'}  ` +
+        `${row.operationType}  ${row.status}  ${row.riskLevel}`);
+      await pdf.text(`${row.action} | ${RESOURCE_TYPE_TEXT[row.resourceType] || row.resourceType} ${row.resource || ''}`, { indent: 12 });
+      if (row.description) {
+        await pdf.text(row.description, { indent: 12 });
+      }
+      if (row.hash) {
+        await pdf.text(`hash ${row.hash}`, { indent: 12, size: 7 });
+      }
+      pdf.moveDown(4);
+
+      hash.update(`${canonicalize(toCanonicalRecord(log))}\n`);
+      recordCount++;
+      if (row.sequence) {
+        firstSequence = firstSequence ?? row.sequence;
+        lastSequence = row.sequence;
+      }
+    }
+    if (recordCount === 0) {
+      await pdf.text('无符合条件的审计日志');
+    }
+
+    const contentHash = hash.digest('hex');
+    const exportedAt = new Date();
+    const manifest = canonicalize({
+      format: 'pdf',
+      exportedAt: exportedAt.toISOString(),
+      exportedBy: meta.exportedBy || null,
+      filters: Object.fromEntries(Object.entries(filters).filter(([key]) => key !== 'format')),
+      recordCount,
+      contentHash
+    });
+    const signature = auditChainService.signExport(manifest);
+
+    await pdf.addCover([
+      { text: '审计日志导出证据', size: 20, gap: 16 },
+      { text: `导出时间：${exportedAt.toISOString()}` },
+      { text: `导出人：${meta.exportedBy || '-'}` },
+      ...this.describeFilters(filters).map(([label, value]) => ({ text: `${label}：${value}` })),
+      { text: `记录数：${recordCount}` },
+      { text: `哈希链序号：${firstSequence ? `${firstSequence} - ${lastSequence}` : '-'}` },
+      { text: `内容哈希(SHA-256)：${contentHash}`, gap: 12 },
+      { text: '内容哈希按正文顺序对每条记录计算 SHA-256(规范内容 + "\\n")，规范内容与 JSON 校验证据的记录字段一致', size: 8 },
+      { text: signature
+        ? `签名：${signature.algorithm}，公钥指纹 ${signature.keyId}，签名内容为以下清单`
+        : '签名：未配置签名私钥，本文件未签名', size: 8, gap: 12 },
+      ...(signature ? [
+        { text: manifest, size: 7 },
+        { text: `签名(Base64)：${signature.signature}`, size: 7 },
+        { text: signature.publicKey, size: 7 }
+      ] : [])
+    ]);
+    await pdf.end({ title: '审计日志导出证据', subject: contentHash });
+
+    return { recordCount, contentHash };
+  }
+
+  /**
+   * 写出 JSON 校验证据：已接入哈希链的记录按序号逐批写出，附范围内的签名检查点
+   */
+  async writeJson(where, filters, stream) {
+    const hash = crypto.createHash('sha256');
+    let recordCount = 0;
+
+    const { algorithm, checkpoints } = await auditChainService.getEvidenceContext({
+      startDate: where.created_at[Op.gte],
+      endDate: where.created_at[Op.lte]
+    });
+    const header = {
+      exportedAt: new Date(),
+      startDate: filters.startDate,
+      endDate: filters.endDate,
+      // 按条件筛选时记录不连续，只能逐条重算哈希，无法校验链接
+      filtered: Object.keys(FILTER_TEXT).some(key => filters[key]),
+      algorithm
+    };
+
+    await writeChunk(stream, `${JSON.stringify(header).slice(0, -1)},"records":[`);
+    for await (const log of this.iterate(where, { chainedOnly: true })) {
+      await writeChunk(stream, `${recordCount > 0 ? ',' : ''}\n${JSON.stringify(auditChainService.toEvidenceRecord(log))}`);
+      hash.update(`${canonicalize(toCanonicalRecord(log))}\n`);
+      recordCount++;
+    }
+    await writeChunk(stream, `\n],"checkpoints":${JSON.stringify(checkpoints)}}\n`);
+    stream.end();
+
+    return { recordCount, contentHash: hash.digest('hex') };
+  }
+
+  /**
+   * 导出条件的文字说明
+   * @param {Object} filters 导出条件
+   * @returns {Array} [[名称, 值]]
+   */
+  describeFilters(filters) {
+    return [
+      ['时间范围', `${filters.startDate} 至 ${filters.endDate}`],
+      ...Object.entries(FILTER_TEXT)
+        .filter(([key]) => filters[key])
+        .map(([key, label]) => [label, key === 'resourceType' ? (RESOURCE_TYPE_TEXT[filters[key]] || filters[key]) : filters[key]])
+    ];
+  }
+
+  /**
+   * 创建后台导出任务，任务依次执行
+   * @param {Object} filters 导出条件(含 format)
+   * @param {Object} user 发起用户
+   * @returns {Promise} 导出任务
+   */
+  async startJob(filters, user) {
+    const { format, ...conditions } = filters;
+    const job = await AuditExport.create({
+      format,
+      filters: conditions,
+      status: 'Queued',
+      created_by: user?.id
+    });
+
+    this.enqueue(job.id);
+    logger.info('审计日志后台导出已排队', { exportId: job.id, format });
+    return job;
+  }
+
+  enqueue(id) {
+    this.queue = this.queue.then(() => this.runJob(id));
+  }
+
+  /**
+   * 执行后台导出，文件写入导出目录
+   * @param {String} id 导出任务ID
+   */
+  async runJob(id) {
+    const job = await AuditExport.findByPk(id, {
+      include: [{ association: 'creator', attributes: ['username'], required: false }]
+    });
+    if (!job) {
+      return;
+    }
+
+    const { fileName } = this.getFileInfo(job.format, job.filters);
+    const filePath = path.join(this.exportsDir, `${job.id}_${fileName}`);
+    let output = null;
+
+    try {
+      await job.update({ status: 'Running', started_at: new Date(), error_message: null });
+      await fs.promises.mkdir(this.exportsDir, { recursive: true });
+
+      output = fs.createWriteStream(filePath);
+      const result = await this.write(job.format, job.filters, output, { exportedBy: job.creator?.username });
+      await finished(output);
+      const { size } = await fs.promises.stat(filePath);
+
+      await job.update({
+        status: 'Completed',
+        record_count: result.recordCount,
+        content_hash: result.contentHash,
+        file_name: fileName,
+        file_path: filePath,
+        file_size: size,
+        completed_at: new Date()
+      });
+      logger.info('审计日志后台导出完成', { exportId: job.id, recordCount: result.recordCount });
+    } catch (error) {
+      output?.destroy();
+      await fs.promises.rm(filePath, { force: true }).catch(() => {});
+      await job.update({ status: 'Failed', error_message: error.message, completed_at: new Date() }).catch(() => {});
+      logger.error('审计日志后台导出失败', { exportId: job.id, error: error.message });
+    }
+  }
+
+  /**
+   * 服务重启前未完成的后台导出重新执行
+   */
+  async recoverInterruptedExports() {
+    const jobs = await AuditExport.findAll({
+      where: { status: { [Op.in]: ['Queued', 'Running'] } },
+      order: [['created_at', 'ASC']]
+    });
+    jobs.forEach(job => this.enqueue(job.id));
+
+    if (jobs.length > 0) {
+      logger.info('重新执行中断的审计日志导出', { count: jobs.length });
+    }
+  }
+}
+
+module.exports = new AuditExportService();
\ No newline at end of file
@@ -0,0 +1,113 @@
+const auditChainService = require('./auditChainService');
+const { redactAuditValues, getRoutePolicy } = require('../utils/redaction');
+const { canonicalize } = require('../utils/auditChain');
+const { logAudit } = require('../utils/audit');
+const logger = require('../config/logger');
+
+// 脱敏迁移处理的审计日志字段
+const SCRUBBED_FIELDS = ['request_params', 'old_values', 'new_values', 'description'];
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AuditRedactionService {
+  constructor() {
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * 按当前脱敏策略计算历史记录需更新的字段，路由覆盖配置按记录的请求方法与路径匹配
+   * @param {Object} log 审计日志
+   * @returns {Object|null} 需更新的字段，已符合策略时为 null
+   */
+  scrubLog(log) {
+    const values = Object.fromEntries(SCRUBBED_FIELDS.map(field => [field, log.get(field)]));
+    const redacted = redactAuditValues(values, getRoutePolicy(log.request_method, log.request_path));
+
+    const changes = {};
+    SCRUBBED_FIELDS.forEach(field => {
+      if (canonicalize(redacted[field]) !== canonicalize(values[field])) {
+        changes[field] = redacted[field];
+      }
+    });
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * 在后台执行脱敏迁移
+   * @param {Object} user 发起用户
+   * @returns {Promise} { startedAt }
+   */
+  async startScrub(user) {
+    if (this.running) {
+      throw statusError('审计日志脱敏迁移正在运行，请稍后再试', 409);
+    }
+    await auditChainService.assertRewritable();
+
+    const startedAt = new Date();
+    this.running = this.scrub(user, startedAt)
+      .catch(error => {
+        this.lastRun = { startedAt, completedAt: new Date(), error: error.message };
+        logger.error('审计日志脱敏迁移失败', { error: error.message });
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return { startedAt };
+  }
+
+  /**
+   * 按当前脱敏策略重写历史审计日志并重新计算哈希链，迁移结果记入审计日志
+   * @param {Object} user 发起用户
+   * @param {Date} startedAt 开始时间
+   * @returns {Promise} 迁移结果
+   */
+  async scrub(user, startedAt = new Date()) {
+    const result = await auditChainService.rewrite(log => this.scrubLog(log));
+
+    this.lastRun = {
+      startedAt,
+      completedAt: new Date(),
+      scanned: result.scanned,
+      changed: result.changed,
+      rechained: result.rechained,
+      firstSequence: result.firstSequence,
+      checkpointSequence: result.checkpoint ? Number(result.checkpoint.sequence) : null
+    };
+
+    await logAudit({
+      userId: user?.id,
+      username: user?.username,
+      action: '审计日志脱敏迁移',
+      resourceType: 'AuditLog',
+      operationType: 'Update',
+      status: 'Success',
+      newValues: this.lastRun,
+      description: result.changed > 0
+        ? `脱敏迁移更新 ${result.changed} 条审计日志，自序号 ${result.firstSequence} 起重新计算哈希链，此后的检查点已被取代`
+        : `脱敏迁移检查 ${result.scanned} 条审计日志，均已符合脱敏策略`,
+      riskLevel: 'High'
+    });
+
+    logger.info('审计日志脱敏迁移完成', this.lastRun);
+    return this.lastRun;
+  }
+
+  /**
+   * 脱敏迁移运行状态
+   * @returns {Object} { running, lastRun }
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.running),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new AuditRedactionService();
\ No newline at end of file
@@ -0,0 +1,248 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { RDSInstance, BackupRecord } = require('../models');
+const rdsService = require('./rdsService');
+const instanceSyncService = require('./instanceSyncService');
+const { analyzeBackupHealth } = require('../utils/backupHealth');
+const logger = require('../config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 增量刷新时向前多查询的时间，覆盖刷新时仍在进行的备份
+const REFRESH_OVERLAP_MS = 2 * DAY_MS;
+
+// 计算大小基线时向统计期之前多取的天数
+const BASELINE_LOOKBACK_DAYS = 14;
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * 云端备份条目转换为备份目录字段
+ * @param {Object} backup 云端备份(DescribeBackups 条目)
+ * @returns {Object} 备份目录字段
+ */
+const toRecordFields = (backup) => {
+  const startedAt = backup.backupStartTime ? new Date(backup.backupStartTime) : null;
+  const endedAt = backup.backupEndTime ? new Date(backup.backupEndTime) : null;
+
+  return {
+    backup_id: String(backup.backupId),
+    backup_type: backup.backupType || null,
+    backup_method: backup.backupMethod || null,
+    backup_mode: backup.backupMode || null,
+    status: backup.backupStatus || 'Unknown',
+    backup_size: backup.backupSize !== undefined && backup.backupSize !== null ? Number(backup.backupSize) : null,
+    started_at: startedAt,
+    ended_at: endedAt,
+    duration_seconds: startedAt && endedAt ? Math.round((endedAt - startedAt) / 1000) : null,
+    // 一致性时间点为秒级时间戳
+    consistent_time: backup.consistentTime ? new Date(Number(backup.consistentTime) * 1000) : null
+  };
+};
+
+// 云端可能更新的字段
+const MUTABLE_FIELDS = ['status', 'backup_size', 'ended_at', 'duration_seconds', 'consistent_time'];
+
+class BackupCatalogService {
+  constructor() {
+    this.running = null;
+    this.lastRun = null;
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时刷新，默认每6小时刷新一次受监控实例的备份目录
+   */
+  initScheduler() {
+    const expression = process.env.BACKUP_CATALOG_CRON || '20 */6 * * *';
+    if (!cron.validate(expression)) {
+      logger.warn('备份目录cron表达式无效，定时刷新未启用', { cron: expression });
+      return;
+    }
+
+    cron.schedule(expression, () => {
+      this.startRefresh().catch(error => {
+        logger.warn('定时备份目录刷新未启动', { error: error.message });
+      });
+    });
+
+    logger.info('备份目录刷新调度器初始化完成', { cron: expression });
+  }
+
+  /**
+   * 从云端拉取实例备份并写入备份目录
+   * 首次刷新覆盖保留期内的全部备份，之后从上次刷新时间向前2天开始增量拉取
+   * @param {Object} instance RDS实例
+   * @returns {Promise} { added, updated, fetched }
+   */
+  async refreshInstance(instance) {
+    const now = new Date();
+    const startTime = instance.backup_catalog_refreshed_at
+      ? new Date(new Date(instance.backup_catalog_refreshed_at).getTime() - REFRESH_OVERLAP_MS)
+      : new Date(now.getTime() - (instance.backup_retention_period || 7) * DAY_MS);
+
+    try {
+      const rds = await rdsService.forInstance(instance);
+      const backups = await instanceSyncService.callCloud(() => rds.getAllBackups(instance.instance_id, {
+        startTime,
+        endTime: now
+      }));
+
+      const fields = backups.filter(backup => backup.backupId !== undefined && backup.backupId !== null).map(toRecordFields);
+      const existing = await BackupRecord.findAll({
+        where: { rds_instance_id: instance.id, backup_id: fields.map(item => item.backup_id) }
+      });
+      const byBackupId = new Map(existing.map(record => [record.backup_id, record]));
+
+      const created = fields.filter(item => !byBackupId.has(item.backup_id));
+      await BackupRecord.bulkCreate(created.map(item => ({
+        ...item,
+        rds_instance_id: instance.id,
+        last_seen_at: now
+      })));
+
+      let updated = 0;
+      for (const item of fields.filter(field => byBackupId.has(field.backup_id))) {
+        const record = byBackupId.get(item.backup_id);
+        const changed = MUTABLE_FIELDS.some(field => String(record[field] ?? '') !== String(item[field] ?? ''));
+        await record.update(changed ? { ...item, last_seen_at: now } : { last_seen_at: now });
+        if (changed) {
+          updated++;
+        }
+      }
+
+      await instance.update({ backup_catalog_refreshed_at: now, backup_catalog_error: null });
+
+      return { fetched: fields.length, added: created.length, updated };
+    } catch (error) {
+      await instance.update({ backup_catalog_error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 在后台刷新所有受监控实例的备份目录
+   * @returns {Promise} { startedAt }
+   */
+  async startRefresh() {
+    if (this.running) {
+      throw statusError('备份目录刷新正在运行，请稍后再试', 409);
+    }
+
+    const startedAt = new Date();
+    this.running = this.refreshAll(startedAt)
+      .catch(error => {
+        logger.error('备份目录刷新失败', { error: error.message });
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return { startedAt };
+  }
+
+  /**
+   * 依次刷新所有受监控且未归档实例的备份目录，单个实例失败不影响其他实例
+   * @param {Date} startedAt 开始时间
+   * @returns {Promise} 刷新结果汇总
+   */
+  async refreshAll(startedAt = new Date()) {
+    const instances = await RDSInstance.findAll({
+      where: { is_monitored: true, archived_at: null }
+    });
+
+    const result = {
+      startedAt,
+      completedAt: null,
+      total: instances.length,
+      refreshed: 0,
+      failed: 0,
+      added: 0,
+      errors: []
+    };
+
+    for (const instance of instances) {
+      try {
+        const { added } = await this.refreshInstance(instance);
+        result.refreshed++;
+        result.added += added;
+      } catch (error) {
+        result.failed++;
+        result.errors.push({ instanceId: instance.instance_id, error: error.message });
+        logger.warn('刷新实例备份目录失败', { instanceId: instance.instance_id, error: error.message });
+      }
+    }
+
+    result.completedAt = new Date();
+    this.lastRun = result;
+
+    logger.info('备份目录刷新完成', {
+      total: result.total,
+      refreshed: result.refreshed,
+      failed: result.failed,
+      added: result.added
+    });
+
+    return result;
+  }
+
+  /**
+   * 刷新运行状态
+   * @returns {Object} { running, lastRun }
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.running),
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * 分析实例最近若干天的备份健康状况
+   * 统计期不早于备份目录中最早的备份，避免把目录建立前的日期计为漏备份
+   * @param {Object} instance RDS实例
+   * @param {Object} options { days }
+   * @returns {Promise} 备份健康分析结果
+   */
+  async getHealth(instance, options = {}) {
+    if (!instance.backup_catalog_refreshed_at) {
+      throw statusError('备份目录尚未刷新，请先刷新备份目录', 409);
+    }
+
+    const until = new Date();
+    let since = new Date(until.getTime() - (options.days || 30) * DAY_MS);
+
+    const records = await BackupRecord.findAll({
+      where: {
+        rds_instance_id: instance.id,
+        started_at: { [Op.gte]: new Date(since.getTime() - BASELINE_LOOKBACK_DAYS * DAY_MS) }
+      },
+      order: [['started_at', 'ASC']]
+    });
+
+    const earliest = await BackupRecord.min('started_at', { where: { rds_instance_id: instance.id } });
+    if (earliest && new Date(earliest) > since) {
+      since = new Date(earliest);
+    }
+
+    const health = analyzeBackupHealth(records, {
+      since,
+      until,
+      backupDays: instance.backup_config?.backupDays || null,
+      shrinkThreshold: parseFloat(process.env.BACKUP_SIZE_SHRINK_THRESHOLD) || 0.3,
+      growthThreshold: parseFloat(process.env.BACKUP_SIZE_GROWTH_THRESHOLD) || 1
+    });
+
+    return {
+      ...health,
+      catalogRefreshedAt: instance.backup_catalog_refreshed_at,
+      catalogError: instance.backup_catalog_error
+    };
+  }
+}
+
+module.exports = new BackupCatalogService();
\ No newline at end of file
@@ -0,0 +1,102 @@
+const { RDSInstance, BackupPolicy } = require('../models');
+const { evaluateBackupPolicy } = require('../utils/backupCompliance');
+const logger = require('../config/logger');
+
+class BackupComplianceService {
+  /**
+   * 获取实例适用的备份策略：实例指定的策略，未指定时为默认策略
+   * @param {Object} instance RDS实例
+   * @returns {Promise} 备份策略，均未配置时为 null
+   */
+  async getPolicyFor(instance) {
+    if (instance.backup_policy_id) {
+      const policy = await BackupPolicy.findByPk(instance.backup_policy_id);
+      if (policy) {
+        return policy;
+      }
+    }
+
+    return BackupPolicy.findOne({ where: { is_default: true } });
+  }
+
+  /**
+   * 检查实例备份配置是否符合适用的备份策略
+   * @param {Object} instance RDS实例
+   * @param {Object} config 备份配置，默认为实例最近一次同步的配置
+   * @param {Object} policy 备份策略，未传入时按实例查找
+   * @returns {Promise} 实例表中的备份合规字段
+   */
+  async evaluate(instance, config = instance.backup_config, policy = undefined) {
+    const appliedPolicy = policy === undefined ? await this.getPolicyFor(instance) : policy;
+    const result = evaluateBackupPolicy(appliedPolicy, config);
+
+    return {
+      backup_compliance_status: result.status,
+      backup_compliance_violations: {
+        policyId: appliedPolicy ? appliedPolicy.id : null,
+        policyName: appliedPolicy ? appliedPolicy.policy_name : null,
+        violations: result.violations,
+        unverified: result.unverified
+      },
+      backup_compliance_checked_at: new Date()
+    };
+  }
+
+  /**
+   * 备份策略变更后，按实例最近一次同步的备份配置重新检查
+   * @param {Object} where 实例筛选条件，默认为全部未归档实例
+   * @returns {Promise<Number>} 重新检查的实例数
+   */
+  async reevaluate(where = {}) {
+    const instances = await RDSInstance.findAll({
+      where: { archived_at: null, ...where }
+    });
+    const defaultPolicy = await BackupPolicy.findOne({ where: { is_default: true } });
+
+    for (const instance of instances) {
+      const policy = instance.backup_policy_id
+        ? await this.getPolicyFor(instance)
+        : defaultPolicy;
+      await instance.update(await this.evaluate(instance, instance.backup_config, policy));
+    }
+
+    logger.info('备份策略合规重新检查完成', { instanceCount: instances.length });
+
+    return instances.length;
+  }
+
+  /**
+   * 汇总实例的备份策略合规状态
+   * @param {Array} instances RDS实例
+   * @returns {Object} { total, compliant, nonCompliant, unverified, noPolicy, notChecked, complianceRate, instances }
+   */
+  summarize(instances) {
+    const count = (status) => instances.filter(instance => instance.backup_compliance_status === status).length;
+    const compliant = count('Compliant');
+    const nonCompliant = count('NonCompliant');
+    const checked = compliant + nonCompliant;
+
+    return {
+      total: instances.length,
+      compliant,
+      nonCompliant,
+      unverified: count('Unverified'),
+      noPolicy: count('NoPolicy'),
+      notChecked: instances.filter(instance => !instance.backup_compliance_status).length,
+      // 仅统计可确认结果的实例
+      complianceRate: checked > 0 ? Math.round((compliant / checked) * 10000) / 100 : null,
+      instances: instances.map(instance => ({
+        id: instance.id,
+        instanceId: instance.instance_id,
+        instanceName: instance.instance_name,
+        status: instance.backup_compliance_status || null,
+        policyName: instance.backup_compliance_violations?.policyName || null,
+        violations: instance.backup_compliance_violations?.violations || [],
+        unverified: instance.backup_compliance_violations?.unverified || [],
+        checkedAt: instance.backup_compliance_checked_at || null
+      }))
+    };
+  }
+}
+
+module.exports = new BackupComplianceService();
\ No newline at end of file
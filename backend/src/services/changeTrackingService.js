@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { User, RDSInstance, RecoveryTask, ComplianceReport } = require('../models');
+const { getRequestContext } = require('../middleware/requestContext');
+const { canonicalize } = require('../utils/auditChain');
+const { logAudit } = require('../utils/audit');
+const { getRoutePolicy } = require('../utils/redaction');
+
+// 批量更新/删除前读取的原值
+const SNAPSHOT = Symbol('changeTrackingSnapshot');
+
+// 不记录差异的通用字段
+const IGNORED_FIELDS = ['id', 'created_at', 'updated_at', 'deleted_at'];
+
+// 记录字段级差异的模型，ignore 为频繁变化且另有记录的字段，digest 为只记录摘要的大JSON字段
+const TRACKED_MODELS = [
+  {
+    model: User,
+    resourceType: 'User',
+    label: '用户',
+    nameField: 'username',
+    // 登录时间由登录审计记录
+    ignore: ['last_login_at'],
+    digest: []
+  },
+  {
+    model: RDSInstance,
+    resourceType: 'RDSInstance',
+    label: 'RDS实例',
+    nameField: 'instance_name',
+    // 定时同步与刷新的时间戳
+    ignore: ['last_synced_at', 'backup_compliance_checked_at', 'backup_catalog_refreshed_at'],
+    digest: []
+  },
+  {
+    model: RecoveryTask,
+    resourceType: 'RecoveryTask',
+    label: '恢复任务',
+    nameField: 'task_name',
+    // 执行进度、阶段、排队重试与克隆释放等执行过程字段由任务执行日志记录
+    ignore: [
+      'progress', 'progress_message', 'current_phase', 'queued_at', 'started_at',
+      'attempt_count', 'retry_count', 'next_retry_at',
+      'teardown_status', 'teardown_attempts', 'teardown_error', 'clone_expires_at'
+    ],
+    // 快照、验证与SLA结果等每个阶段整体重写，完整内容可从任务详情查看
+    digest: ['backup_metadata', 'recovery_window', 'rto_breakdown', 'sla_result', 'verification_result', 'source_snapshot', 'config']
+  },
+  {
+    model: ComplianceReport,
+    resourceType: 'Report',
+    label: '合规报告',
+    nameField: 'report_name',
+    ignore: [],
+    digest: []
+  }
+];
+
+const OPERATION_TEXT = {
+  Create: '创建',
+  Update: '更新',
+  Delete: '删除'
+};
+
+// 时间按ISO字符串比较与保存
+const toValue = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
+
+// 摘要字段以规范化JSON的SHA-256记录，仍可判断内容是否变化
+const toDigest = (value) => (value === null || value === undefined
+  ? null
+  : `sha256:${crypto.createHash('sha256').update(canonicalize(value)).digest('hex')}`);
+
+// 审计日志中保存的字段值
+const toAuditValue = (config, field, value) => (config.digest.includes(field) ? toDigest(value) : toValue(value));
+
+// 创建与删除时记录的字段值，空值不记录
+const pickValues = (config, values, fields) => Object.fromEntries(fields
+  .filter(field => values[field] !== undefined && values[field] !== null)
+  .map(field => [field, toAuditValue(config, field, values[field])]));
+
+class ChangeTrackingService {
+  constructor() {
+    TRACKED_MODELS.forEach(config => this.registerHooks(config));
+  }
+
+  /**
+   * 模型需记录差异的字段
+   * @param {Object} config 模型配置
+   * @returns {Array<String>}
+   */
+  getTrackedFields(config) {
+    return Object.keys(config.model.rawAttributes)
+      .filter(field => !IGNORED_FIELDS.includes(field) && !config.ignore.includes(field));
+  }
+
+  /**
+   * 注册模型钩子：单条创建、更新、删除直接比对实例，批量更新与删除先读取匹配记录的原值
+   * @param {Object} config 模型配置
+   */
+  registerHooks(config) {
+    const { model } = config;
+    const trackedFields = this.getTrackedFields(config);
+
+    model.addHook('afterCreate', 'changeTracking', (instance, options) => {
+      this.record(config, 'Create', instance, {}, pickValues(config, instance.get({ plain: true }), trackedFields), options);
+    });
+
+    model.addHook('afterUpdate', 'changeTracking', (instance, options) => {
+      const fields = (instance.changed() || []).filter(field => trackedFields.includes(field));
+      const { oldValues, newValues } = this.diff(config, fields, field => instance.previous(field), field => instance.get(field));
+      this.record(config, 'Update', instance, oldValues, newValues, options);
+    });
+
+    model.addHook('afterDestroy', 'changeTracking', (instance, options) => {
+      this.record(config, 'Delete', instance, pickValues(config, instance.get({ plain: true }), trackedFields), {}, options);
+    });
+
+    model.addHook('beforeBulkUpdate', 'changeTracking', async (options) => {
+      const fields = Object.keys(options.attributes || {}).filter(field => trackedFields.includes(field));
+      if (fields.length > 0) {
+        options[SNAPSHOT] = await this.snapshot(config, options, fields);
+      }
+    });
+
+    model.addHook('afterBulkUpdate', 'changeTracking', (options) => {
+      const fields = Object.keys(options.attributes || {}).filter(field => trackedFields.includes(field));
+      (options[SNAPSHOT] || []).forEach(row => {
+        const { oldValues, newValues } = this.diff(config, fields, field => row[field], field => options.attributes[field]);
+        this.record(config, 'Update', row, oldValues, newValues, options);
+      });
+    });
+
+    model.addHook('beforeBulkDestroy', 'changeTracking', async (options) => {
+      options[SNAPSHOT] = await this.snapshot(config, options, trackedFields);
+    });
+
+    model.addHook('afterBulkDestroy', 'changeTracking', (options) => {
+      (options[SNAPSHOT] || []).forEach(row => {
+        this.record(config, 'Delete', row, pickValues(config, row, trackedFields), {}, options);
+      });
+    });
+  }
+
+  /**
+   * 读取批量操作匹配记录的原值
+   * @param {Object} config 模型配置
+   * @param {Object} options 批量操作参数
+   * @param {Array<String>} fields 读取的字段
+   * @returns {Promise<Array>} 记录原值
+   */
+  snapshot(config, options, fields) {
+    return config.model.findAll({
+      attributes: [...new Set(['id', config.nameField, ...fields])],
+      where: options.where,
+      paranoid: options.paranoid,
+      transaction: options.transaction,
+      raw: true
+    });
+  }
+
+  /**
+   * 字段级差异，值未实际变化的字段不计入，摘要字段记录摘要
+   * @param {Object} config 模型配置
+   * @param {Array<String>} fields 可能变化的字段
+   * @param {Function} getOld 取原值
+   * @param {Function} getNew 取新值
+   * @returns {Object} { oldValues, newValues }
+   */
+  diff(config, fields, getOld, getNew) {
+    const oldValues = {};
+    const newValues = {};
+    fields.forEach(field => {
+      const before = toAuditValue(config, field, getOld(field));
+      const after = toAuditValue(config, field, getNew(field));
+      if (canonicalize(before) !== canonicalize(after)) {
+        oldValues[field] = before;
+        newValues[field] = after;
+      }
+    });
+    return { oldValues, newValues };
+  }
+
+  /**
+   * 记录数据变更审计日志，关联当前请求或后台任务执行人的用户与追踪ID；在事务中时于提交后记录
+   * @param {Object} config 模型配置
+   * @param {String} operationType Create/Update/Delete
+   * @param {Object} record 变更的记录
+   * @param {Object} oldValues 变化字段的原值
+   * @param {Object} newValues 变化字段的新值
+   * @param {Object} options 模型操作参数
+   */
+  record(config, operationType, record, oldValues, newValues, options = {}) {
+    const fields = Object.keys(operationType === 'Create' ? newValues : oldValues);
+    if (operationType === 'Update' && fields.length === 0) {
+      return;
+    }
+
+    const context = getRequestContext();
+    const req = context?.req;
+    const user = req?.user || context?.user;
+    const resourceName = typeof record.get === 'function' ? record.get(config.nameField) : record[config.nameField];
+    const description = operationType === 'Update'
+      ? `${config.label} ${resourceName || record.id} 的 ${fields.length} 个字段被修改: ${fields.join(', ')}`
+      : `${config.label} ${resourceName || record.id} 被${OPERATION_TEXT[operationType]}`;
+
+    const write = () => logAudit({
+      userId: user?.id,
+      username: user?.username || (req ? null : 'system'),
+      action: `${OPERATION_TEXT[operationType]}${config.label}记录`,
+      resourceType: config.resourceType,
+      resourceId: record.id,
+      resourceName,
+      operationType,
+      status: 'Success',
+      ipAddress: req ? (req.ip || req.connection?.remoteAddress) : null,
+      userAgent: req ? req.get('User-Agent') : null,
+      requestPath: req?.originalUrl,
+      requestMethod: req?.method,
+      oldValues: operationType === 'Create' ? null : oldValues,
+      newValues: operationType === 'Delete' ? null : newValues,
+      description,
+      riskLevel: operationType === 'Delete' ? 'Medium' : 'Low',
+      tags: ['DataChange'],
+      traceId: context?.traceId,
+      redaction: req ? getRoutePolicy(req.method, req.originalUrl) : undefined
+    });
+
+    if (options.transaction) {
+      options.transaction.afterCommit(write);
+    } else {
+      write();
+    }
+  }
+}
+
+module.exports = new ChangeTrackingService();
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { CloudCredentialProfile } = require('../models');
+const { encryptSecret, decryptSecret, maskSecret } = require('../utils/credentialCrypto');
+const logger = require('../config/logger');
+
+class CredentialProfileService {
+  /**
+   * 将请求数据转换为凭据配置字段，AccessKey 加密保存
+   * @param {Object} data 请求数据
+   * @returns {Object} 模型字段
+   */
+  toRecord(data) {
+    const record = {
+      profile_name: data.profileName,
+      provider: data.provider,
+      account_id: data.accountId,
+      default_region: data.defaultRegion,
+      is_active: data.isActive,
+      description: data.description
+    };
+
+    if (data.accessKeyId) {
+      record.access_key_id_encrypted = encryptSecret(data.accessKeyId);
+      record.access_key_hint = maskSecret(data.accessKeyId);
+    }
+    if (data.accessKeySecret) {
+      record.access_key_secret_encrypted = encryptSecret(data.accessKeySecret);
+    }
+
+    // 过滤undefined值
+    Object.keys(record).forEach(key => {
+      if (record[key] === undefined) {
+        delete record[key];
+      }
+    });
+
+    return record;
+  }
+
+  /**
+   * 创建凭据配置
+   * @param {Object} data 请求数据
+   * @param {Object} user 创建用户
+   * @returns {Promise} 凭据配置（不含密文）
+   */
+  async createProfile(data, user) {
+    const profile = await CloudCredentialProfile.create({
+      ...this.toRecord(data),
+      created_by: user.id
+    });
+
+    logger.info('云账号凭据配置创建成功', { profileId: profile.id, profileName: profile.profile_name });
+
+    return CloudCredentialProfile.findByPk(profile.id);
+  }
+
+  /**
+   * 更新凭据配置，未提供的 AccessKey 保持不变
+   * @param {Object} profile 凭据配置
+   * @param {Object} data 请求数据
+   * @returns {Promise} 更新后的凭据配置
+   */
+  async updateProfile(profile, data) {
+    await profile.update(this.toRecord(data));
+
+    logger.info('云账号凭据配置更新成功', { profileId: profile.id });
+
+    return CloudCredentialProfile.findByPk(profile.id);
+  }
+
+  /**
+   * 获取解密后的凭据
+   * @param {String} profileId 凭据配置ID
+   * @returns {Promise} { accessKeyId, accessKeySecret, regionId }
+   */
+  async getCredentials(profileId) {
+    const profile = await CloudCredentialProfile.scope('withSecrets').findByPk(profileId);
+
+    if (!profile) {
+      throw new Error(`云账号凭据配置 ${profileId} 不存在`);
+    }
+    if (!profile.is_active) {
+      throw new Error(`云账号凭据配置 ${profile.profile_name} 已停用`);
+    }
+
+    return {
+      accessKeyId: decryptSecret(profile.access_key_id_encrypted),
+      accessKeySecret: decryptSecret(profile.access_key_secret_encrypted),
+      regionId: profile.default_region
+    };
+  }
+}
+
+module.exports = new CredentialProfileService();
\ No newline at end of file
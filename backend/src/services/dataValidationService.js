@@ -0,0 +1,265 @@
+const logger = require('../config/logger');
+const { findStatementTerminator, isSingleStatement } = require('../utils/dbClient');
+
+/**
+ * 规则中的过滤条件拼接在生成的查询之后，不能包含语句分隔符
+ * @param {Object} rule 验证规则
+ * @param {Object} connection 连接句柄
+ * @returns {String} WHERE 子句，未配置时为空
+ */
+const buildWhereClause = (rule, connection) => {
+  if (!rule.where) {
+    return '';
+  }
+  if (findStatementTerminator(connection.driver, rule.where) !== -1) {
+    throw new Error('过滤条件不能包含多条语句');
+  }
+  return ` WHERE ${rule.where}`;
+};
+
+/**
+ * 数据验证规则引擎
+ * 根据任务配置的验证规则在恢复实例上逐条执行检查，并记录每条规则的结果、耗时和证据
+ */
+class DataValidationService {
+  constructor() {
+    this.ruleHandlers = new Map();
+    this.initializeRules();
+  }
+
+  /**
+   * 注册内置规则
+   */
+  initializeRules() {
+    // 表行数检查
+    this.registerRule('rowCount', async (rule, connection) => {
+      const whereClause = buildWhereClause(rule, connection);
+      const rows = await connection.query(
+        `SELECT COUNT(*) AS row_count FROM ${connection.quote(rule.table)}${whereClause}`
+      );
+      const rowCount = Number(rows[0]?.row_count ?? 0);
+
+      const passed = (rule.expected === undefined || rowCount === rule.expected) &&
+        (rule.min === undefined || rowCount >= rule.min) &&
+        (rule.max === undefined || rowCount <= rule.max);
+
+      return {
+        passed,
+        evidence: {
+          table: rule.table,
+          rowCount,
+          expected: rule.expected,
+          min: rule.min,
+          max: rule.max
+        }
+      };
+    });
+
+    // 关键列校验和
+    this.registerRule('checksum', async (rule, connection) => {
+      const rows = await connection.query(this.buildChecksumSQL(rule, connection));
+      const rowCount = Number(rows[0]?.row_count ?? 0);
+      const checksum = rows[0]?.checksum === null || rows[0]?.checksum === undefined
+        ? null
+        : String(rows[0].checksum);
+
+      // 未配置期望值时仅记录校验和作为证据
+      const passed = rule.expected === undefined || String(rule.expected) === checksum;
+
+      return {
+        passed,
+        evidence: {
+          table: rule.table,
+          columns: rule.columns,
+          rowCount,
+          checksum,
+          expected: rule.expected
+        }
+      };
+    });
+
+    // 数据新鲜度：max(列) 与恢复时间点的差距
+    this.registerRule('freshness', async (rule, connection, context) => {
+      const referenceTime = rule.referenceTime || context.restoreTime;
+      if (!referenceTime) {
+        throw new Error('缺少恢复时间基准，无法执行新鲜度检查');
+      }
+
+      const column = rule.column || 'updated_at';
+      const rows = await connection.query(
+        `SELECT MAX(${connection.quote(column)}) AS latest FROM ${connection.quote(rule.table)}`
+      );
+      const latest = rows[0]?.latest ? new Date(rows[0].latest) : null;
+      const reference = new Date(referenceTime);
+      const lagMinutes = latest ? Math.round((reference - latest) / 60000 * 100) / 100 : null;
+
+      return {
+        passed: latest !== null && lagMinutes <= rule.maxLagMinutes,
+        evidence: {
+          table: rule.table,
+          column,
+          latest: latest ? latest.toISOString() : null,
+          referenceTime: reference.toISOString(),
+          lagMinutes,
+          maxLagMinutes: rule.maxLagMinutes
+        }
+      };
+    });
+
+    // 自定义SQL断言
+    this.registerRule('sql', async (rule, connection) => {
+      if (!isSingleStatement(connection.driver, rule.sql)) {
+        throw new Error('自定义SQL只能包含一条语句');
+      }
+      const rows = await connection.query(rule.sql, rule.params || []);
+      const firstRow = rows[0] || {};
+      const actual = rule.column ? firstRow[rule.column] : Object.values(firstRow)[0];
+
+      return {
+        passed: this.compareValues(actual, rule.expected, rule.operator || 'eq'),
+        evidence: {
+          sql: rule.sql,
+          actual: actual === undefined ? null : actual,
+          expected: rule.expected,
+          operator: rule.operator || 'eq',
+          rowCount: rows.length,
+          sample: rows.slice(0, 10)
+        }
+      };
+    });
+  }
+
+  /**
+   * 注册验证规则处理器
+   * @param {String} type 规则类型
+   * @param {Function} handler 处理函数 (rule, connection, context) => { passed, evidence }
+   */
+  registerRule(type, handler) {
+    this.ruleHandlers.set(type, handler);
+  }
+
+  /**
+   * 生成校验和SQL（与行顺序无关）
+   * @param {Object} rule 校验和规则
+   * @param {Object} connection 连接句柄
+   * @returns {String} SQL
+   */
+  buildChecksumSQL(rule, connection) {
+    const columns = rule.columns.map(column => connection.quote(column)).join(', ');
+    const table = connection.quote(rule.table);
+    const whereClause = buildWhereClause(rule, connection);
+
+    if (connection.driver === 'mysql') {
+      return `SELECT COUNT(*) AS row_count, BIT_XOR(CRC32(CONCAT_WS('#', ${columns}))) AS checksum FROM ${table}${whereClause}`;
+    }
+    if (connection.driver === 'mssql') {
+      return `SELECT COUNT(*) AS row_count, CHECKSUM_AGG(BINARY_CHECKSUM(${columns})) AS checksum FROM ${table}${whereClause}`;
+    }
+    return `SELECT COUNT(*) AS row_count, SUM(('x' || substr(md5(concat_ws('#', ${columns})), 1, 8))::bit(32)::bigint) AS checksum FROM ${table}${whereClause}`;
+  }
+
+  /**
+   * 比较实际值与期望值
+   * @param {*} actual 实际值
+   * @param {*} expected 期望值
+   * @param {String} operator 比较符 eq/ne/gt/gte/lt/lte
+   * @returns {Boolean} 是否满足
+   */
+  compareValues(actual, expected, operator) {
+    const numeric = actual !== null && actual !== '' && !isNaN(actual) && !isNaN(expected);
+    const a = numeric ? Number(actual) : String(actual);
+    const b = numeric ? Number(expected) : String(expected);
+
+    switch (operator) {
+      case 'ne': return a !== b;
+      case 'gt': return a > b;
+      case 'gte': return a >= b;
+      case 'lt': return a < b;
+      case 'lte': return a <= b;
+      default: return a === b;
+    }
+  }
+
+  /**
+   * 规范化验证规则配置
+   * 兼容数组形式和 { rules: [] } 形式
+   * @param {Array|Object} validationRules 验证规则配置
+   * @returns {Array} 规则列表
+   */
+  normalizeRules(validationRules) {
+    if (Array.isArray(validationRules)) {
+      return validationRules;
+    }
+    return validationRules?.rules || [];
+  }
+
+  /**
+   * 在恢复实例上执行全部验证规则
+   * 每条规则在单独的只读事务中执行并回滚，规则失败不影响后续规则
+   * @param {Object} connection 连接句柄（见 utils/dbClient）
+   * @param {Array|Object} validationRules 验证规则配置
+   * @param {Object} context 执行上下文 { instanceId, restoreTime }
+   * @returns {Promise} 验证结果，未配置规则时 verified 为 false 且不视为通过
+   */
+  async runRules(connection, validationRules, context = {}) {
+    const rules = this.normalizeRules(validationRules);
+    const results = [];
+
+    for (const [index, rule] of rules.entries()) {
+      const name = rule.name || `${rule.type}#${index + 1}`;
+      const severity = rule.severity || 'error';
+      const startedAt = new Date();
+      const handler = this.ruleHandlers.get(rule.type);
+
+      let outcome;
+      try {
+        if (!handler) {
+          throw new Error(`未知的验证规则类型: ${rule.type}`);
+        }
+        if (!connection.readOnly) {
+          throw new Error('连接不支持只读执行，拒绝执行验证规则');
+        }
+        outcome = await connection.readOnly(() => handler(rule, connection, context));
+      } catch (error) {
+        outcome = { passed: false, error: error.message, evidence: null };
+      }
+
+      results.push({
+        name,
+        type: rule.type,
+        severity,
+        passed: outcome.passed,
+        error: outcome.error,
+        evidence: outcome.evidence,
+        startedAt: startedAt.toISOString(),
+        durationMs: Date.now() - startedAt.getTime()
+      });
+
+      logger.info('验证规则执行完成', {
+        instanceId: context.instanceId,
+        rule: name,
+        passed: outcome.passed
+      });
+    }
+
+    const failed = results.filter(result => !result.passed);
+    const blocking = failed.filter(result => result.severity === 'error');
+    // 未执行任何规则时无法确认恢复数据可用，不视为验证通过
+    const verified = results.length > 0;
+
+    return {
+      success: verified && blocking.length === 0,
+      verified,
+      summary: {
+        total: results.length,
+        passed: results.length - failed.length,
+        failed: failed.length,
+        warnings: failed.length - blocking.length
+      },
+      rules: results,
+      validatedAt: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = new DataValidationService();
\ No newline at end of file
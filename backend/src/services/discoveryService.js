@@ -0,0 +1,355 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { RDSInstance, RecoveryTask, CloudCredentialProfile, DiscoveryRun, DiscoveryItem } = require('../models');
+const rdsService = require('./rdsService');
+const instanceSyncService = require('./instanceSyncService');
+const { diffInventory } = require('../utils/inventoryDiff');
+const logger = require('../config/logger');
+
+// 分页拉取云端实例的每页数量
+const PAGE_SIZE = 100;
+
+// 处理动作：适用的差异类型与处理结果
+const ACTIONS = {
+  import: { changeTypes: ['New'], resolution: 'Imported' },
+  update: { changeTypes: ['Changed'], resolution: 'Updated' },
+  archive: { changeTypes: ['Disappeared'], resolution: 'Archived' },
+  ignore: { changeTypes: ['New', 'Changed', 'Disappeared'], resolution: 'Ignored' }
+};
+
+// 云端状态不在实例表状态枚举中时记为 Unknown
+const withKnownStatus = (fields) => {
+  if (fields.status !== undefined && !RDSInstance.rawAttributes.status.values.includes(fields.status)) {
+    return { ...fields, status: 'Unknown' };
+  }
+  return fields;
+};
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class DiscoveryService {
+  constructor() {
+    this.running = null;
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时发现，配置 DISCOVERY_CRON 时启用
+   */
+  initScheduler() {
+    const expression = process.env.DISCOVERY_CRON;
+    if (!expression) {
+      return;
+    }
+    if (!cron.validate(expression)) {
+      logger.warn('实例发现cron表达式无效，定时发现未启用', { cron: expression });
+      return;
+    }
+
+    cron.schedule(expression, () => {
+      this.startRun(null, { triggerType: 'Scheduled' }).catch(error => {
+        logger.warn('定时实例发现未启动', { error: error.message });
+      });
+    });
+
+    logger.info('实例发现调度器初始化完成', { cron: expression });
+  }
+
+  /**
+   * 计算扫描范围：默认账号与启用的凭据配置，各自在配置的地域内扫描
+   * 地域依次取请求参数、DISCOVERY_REGIONS、凭据配置默认地域
+   * @param {Object} options { regions }
+   * @returns {Promise<Array>} [{ profileId, profileName, regionId }]
+   */
+  async getScopes(options = {}) {
+    const configured = options.regions && options.regions.length > 0
+      ? options.regions
+      : (process.env.DISCOVERY_REGIONS || '').split(',').map(region => region.trim()).filter(Boolean);
+    const defaultRegion = rdsService.provider.regionId;
+
+    const scopes = (configured.length > 0 ? configured : [defaultRegion])
+      .map(regionId => ({ profileId: null, profileName: '默认账号', regionId }));
+
+    // 仅阿里云按账号区分客户端，模拟环境等提供方只扫描默认账号
+    if (rdsService.provider.name === 'aliyun') {
+      const profiles = await CloudCredentialProfile.findAll({ where: { is_active: true } });
+      profiles.forEach(profile => {
+        const regions = configured.length > 0 ? configured : [profile.default_region || defaultRegion];
+        regions.forEach(regionId => scopes.push({
+          profileId: profile.id,
+          profileName: profile.profile_name,
+          regionId
+        }));
+      });
+    }
+
+    return scopes;
+  }
+
+  /**
+   * 分页拉取范围内的全部云端实例
+   * @param {Object} scope 扫描范围
+   * @returns {Promise<Array>} 云端实例
+   */
+  async listCloudInstances(scope) {
+    const rds = await rdsService.forInstance({
+      provider: 'aliyun',
+      credential_profile_id: scope.profileId,
+      region: scope.regionId
+    });
+
+    const instances = [];
+    for (let pageNumber = 1; ; pageNumber++) {
+      const page = await rds.getInstances({ pageSize: PAGE_SIZE, pageNumber });
+      instances.push(...page.instances);
+
+      if (page.instances.length < PAGE_SIZE || instances.length >= (page.totalCount || 0)) {
+        return instances;
+      }
+    }
+  }
+
+  /**
+   * 发起一次实例发现，在后台扫描并生成差异
+   * @param {Object} user 发起用户，定时发现为空
+   * @param {Object} options { triggerType, regions }
+   * @returns {Promise} 发现运行记录
+   */
+  async startRun(user, options = {}) {
+    if (this.running) {
+      throw statusError('已有实例发现正在运行，请稍后再试', 409);
+    }
+
+    const run = await DiscoveryRun.create({
+      status: 'Running',
+      trigger_type: options.triggerType || 'Manual',
+      started_at: new Date(),
+      created_by: user ? user.id : null
+    });
+
+    this.running = this.executeRun(run, options).finally(() => {
+      this.running = null;
+    });
+
+    return run;
+  }
+
+  /**
+   * 扫描各范围的云端实例，与已登记实例比对并保存差异
+   * 单个范围扫描失败不影响其他范围，该范围内的实例不判定为已不存在
+   * @param {Object} run 发现运行记录
+   * @param {Object} options { regions }
+   * @returns {Promise} 发现运行记录
+   */
+  async executeRun(run, options = {}) {
+    try {
+      const scopes = await this.getScopes(options);
+      const cloudInstances = [];
+      const scannedScopes = [];
+      const scopeResults = [];
+
+      for (const scope of scopes) {
+        try {
+          const instances = await this.listCloudInstances(scope);
+          instances.forEach(instance => cloudInstances.push({ scope, instance }));
+          scannedScopes.push(scope);
+          scopeResults.push({ ...scope, status: 'Success', instanceCount: instances.length });
+        } catch (error) {
+          logger.warn('扫描云端实例失败', { runId: run.id, regionId: scope.regionId, profileId: scope.profileId, error: error.message });
+          scopeResults.push({ ...scope, status: 'Failed', error: error.message });
+        }
+      }
+
+      if (scannedScopes.length === 0) {
+        throw new Error('所有账号与地域均扫描失败');
+      }
+
+      // 与默认提供方对应的已登记实例，含已归档
+      const registered = await RDSInstance.findAll({
+        where: { provider: [...new Set(['aliyun', rdsService.defaultProviderName])] }
+      });
+      const clones = await RecoveryTask.findAll({
+        attributes: ['target_instance_id'],
+        where: { target_instance_id: { [Op.ne]: null } }
+      });
+
+      const { items, unchanged } = diffInventory({
+        cloudInstances,
+        registered,
+        scannedScopes,
+        excludeIds: clones.map(task => task.target_instance_id)
+      });
+
+      await DiscoveryItem.bulkCreate(items.map(item => ({
+        run_id: run.id,
+        change_type: item.changeType,
+        instance_id: item.instanceId,
+        region: item.region,
+        credential_profile_id: item.credentialProfileId,
+        rds_instance_id: item.rdsInstanceId,
+        cloud_attributes: item.cloudAttributes,
+        changes: item.changes
+      })));
+
+      const count = (changeType) => items.filter(item => item.changeType === changeType).length;
+      const summary = {
+        cloudInstances: cloudInstances.length,
+        new: count('New'),
+        changed: count('Changed'),
+        disappeared: count('Disappeared'),
+        unchanged,
+        failedScopes: scopeResults.filter(scope => scope.status === 'Failed').length
+      };
+
+      await run.update({
+        status: 'Completed',
+        scopes: scopeResults,
+        summary,
+        completed_at: new Date()
+      });
+
+      logger.info('实例发现完成', { runId: run.id, ...summary });
+    } catch (error) {
+      await run.update({
+        status: 'Failed',
+        error_message: error.message,
+        completed_at: new Date()
+      });
+      logger.error('实例发现失败', { runId: run.id, error: error.message });
+    }
+
+    return run;
+  }
+
+  /**
+   * 批量处理差异：导入新实例、应用属性变化、归档已不存在的实例或忽略
+   * @param {Object} run 发现运行记录
+   * @param {Object} params { action, itemIds }
+   * @param {Object} user 操作用户
+   * @returns {Promise} { applied: [itemId], skipped: [{ id, reason }] }
+   */
+  async applyItems(run, { action, itemIds }, user) {
+    const config = ACTIONS[action];
+    if (!config) {
+      throw statusError(`不支持的处理动作: ${action}`, 400);
+    }
+
+    const items = await DiscoveryItem.findAll({
+      where: { run_id: run.id, id: itemIds }
+    });
+
+    const applied = [];
+    const skipped = itemIds
+      .filter(id => !items.some(item => item.id === id))
+      .map(id => ({ id, reason: '差异不存在' }));
+
+    for (const item of items) {
+      if (item.resolution !== 'Pending') {
+        skipped.push({ id: item.id, reason: '差异已处理' });
+        continue;
+      }
+      if (!config.changeTypes.includes(item.change_type)) {
+        skipped.push({ id: item.id, reason: `${item.change_type} 差异不支持该操作` });
+        continue;
+      }
+
+      try {
+        const rdsInstanceId = await this.applyItem(item, action, user);
+        await item.update({
+          resolution: config.resolution,
+          rds_instance_id: rdsInstanceId,
+          resolved_by: user.id,
+          resolved_at: new Date()
+        });
+        applied.push(item.id);
+      } catch (error) {
+        skipped.push({ id: item.id, reason: error.message });
+      }
+    }
+
+    logger.info('实例发现差异处理完成', { runId: run.id, action, applied: applied.length, skipped: skipped.length });
+
+    return { applied, skipped };
+  }
+
+  /**
+   * 处理单个差异
+   * @returns {Promise<String>} 关联的RDS实例ID
+   */
+  async applyItem(item, action, user) {
+    if (action === 'ignore') {
+      return item.rds_instance_id;
+    }
+
+    if (action === 'import') {
+      const existing = await RDSInstance.findOne({ where: { instance_id: item.instance_id } });
+      if (existing) {
+        throw new Error('实例已登记');
+      }
+      const instance = await RDSInstance.create({
+        ...withKnownStatus(item.cloud_attributes),
+        provider: 'aliyun',
+        created_by: user.id
+      });
+      return instance.id;
+    }
+
+    const instance = await RDSInstance.findByPk(item.rds_instance_id);
+    if (!instance) {
+      throw new Error('RDS实例不存在');
+    }
+
+    // 应用与归档的字段变化记入实例变更历史
+    const data = action === 'update'
+      ? withKnownStatus(Object.fromEntries(item.changes.map(change => [change.field, change.to])))
+      : { archived_at: new Date(), is_monitored: false };
+    await instanceSyncService.applyChanges(instance, data, { source: 'Discovery', userId: user.id });
+    return instance.id;
+  }
+
+  /**
+   * 合规覆盖缺口：最近一次完成的发现中云端存在但未登记的实例
+   * @returns {Promise} { runId, discoveredAt, gaps }
+   */
+  async getCoverageGaps() {
+    const run = await DiscoveryRun.findOne({
+      where: { status: 'Completed' },
+      order: [['completed_at', 'DESC']]
+    });
+    if (!run) {
+      return { runId: null, discoveredAt: null, gaps: [] };
+    }
+
+    const items = await DiscoveryItem.findAll({
+      where: { run_id: run.id, change_type: 'New', resolution: ['Pending', 'Ignored'] },
+      order: [['instance_id', 'ASC']]
+    });
+
+    // 发现后已手动登记的实例不再计为缺口
+    const registered = await RDSInstance.findAll({
+      attributes: ['instance_id'],
+      where: { instance_id: items.map(item => item.instance_id) }
+    });
+    const registeredIds = new Set(registered.map(instance => instance.instance_id));
+
+    const gaps = items
+      .filter(item => !registeredIds.has(item.instance_id))
+      .map(item => ({
+        itemId: item.id,
+        instanceId: item.instance_id,
+        instanceName: item.cloud_attributes?.instance_name || item.instance_id,
+        engine: item.cloud_attributes?.engine || null,
+        region: item.region,
+        credentialProfileId: item.credential_profile_id,
+        resolution: item.resolution
+      }));
+
+    return { runId: run.id, discoveredAt: run.completed_at, gaps };
+  }
+}
+
+module.exports = new DiscoveryService();
\ No newline at end of file
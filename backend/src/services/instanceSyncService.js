@@ -0,0 +1,295 @@
+const cron = require('node-cron');
+const { RDSInstance, RDSInstanceChange } = require('../models');
+const rdsService = require('./rdsService');
+const backupComplianceService = require('./backupComplianceService');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { toBackupConfig } = require('../utils/backupCompliance');
+const logger = require('../config/logger');
+
+// 云端限流时的最大重试次数
+const MAX_THROTTLE_RETRIES = 3;
+
+// 按数值比较与保存的字段
+const NUMERIC_FIELDS = ['storage_size', 'port', 'backup_retention_period'];
+
+/**
+ * 字段值转换为历史记录中的文本
+ * @param {*} value 字段值
+ * @returns {String|null}
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : String(value);
+};
+
+const statusError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class InstanceSyncService {
+  constructor() {
+    this.running = null;
+    this.lastRun = null;
+    this.limiter = createRateLimiter(parseFloat(process.env.INSTANCE_SYNC_RATE_PER_SECOND) || 2);
+    this.throttleBackoffMs = parseInt(process.env.INSTANCE_SYNC_THROTTLE_BACKOFF_MS) || 10000;
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时同步，默认每30分钟同步一次受监控的实例
+   */
+  initScheduler() {
+    const expression = process.env.INSTANCE_SYNC_CRON || '*/30 * * * *';
+    if (!cron.validate(expression)) {
+      logger.warn('实例同步cron表达式无效，定时同步未启用', { cron: expression });
+      return;
+    }
+
+    cron.schedule(expression, () => {
+      this.startSync().catch(error => {
+        logger.warn('定时实例同步未启动', { error: error.message });
+      });
+    });
+
+    logger.info('实例状态同步调度器初始化完成', { cron: expression });
+  }
+
+  /**
+   * 限流调用云端接口，遇到限流错误时暂停后重试
+   * @param {Function} call 云端调用
+   * @returns {Promise} 调用结果
+   */
+  async callCloud(call) {
+    for (let attempt = 1; ; attempt++) {
+      await this.limiter.acquire();
+      try {
+        return await call();
+      } catch (error) {
+        const throttled = /Throttling/i.test(`${error.code || ''} ${error.message}`);
+        if (!throttled || attempt > MAX_THROTTLE_RETRIES) {
+          throw error;
+        }
+
+        const backoffMs = this.throttleBackoffMs * attempt;
+        logger.warn('云端接口限流，暂停同步', { attempt, backoffMs });
+        this.limiter.pause(backoffMs);
+      }
+    }
+  }
+
+  /**
+   * 将云端实例详情与备份策略转换为实例表字段，云端未返回的字段不包含
+   * @param {Object} cloudInstance 云端实例详情
+   * @param {Object} policy 备份策略，可为空
+   * @returns {Object} 实例表字段
+   */
+  toSyncData(cloudInstance, policy) {
+    const data = {
+      status: cloudInstance.dbInstanceStatus,
+      instance_class: cloudInstance.dbInstanceClass,
+      storage_size: cloudInstance.dbInstanceStorage,
+      connection_string: cloudInstance.connectionString,
+      port: cloudInstance.port,
+      vpc_id: cloudInstance.vpcId,
+      vswitch_id: cloudInstance.vSwitchId,
+      backup_retention_period: policy?.backupRetentionPeriod,
+      backup_time: policy?.preferredBackupTime
+    };
+
+    // 云端状态不在实例表状态枚举中时记为 Unknown
+    if (data.status !== undefined && !RDSInstance.rawAttributes.status.values.includes(data.status)) {
+      data.status = 'Unknown';
+    }
+
+    Object.keys(data).forEach(key => {
+      if (data[key] === undefined || data[key] === null || data[key] === '') {
+        delete data[key];
+      } else if (NUMERIC_FIELDS.includes(key)) {
+        data[key] = Number(data[key]);
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * 更新实例并为每个发生变化的字段记录历史
+   * @param {Object} instance RDS实例
+   * @param {Object} data 待更新字段
+   * @param {Object} options { source: Sync/Manual/Discovery, userId, extra: 不记录历史的附加字段 }
+   * @returns {Promise<Array>} 变更 [{ field, old_value, new_value }]
+   */
+  async applyChanges(instance, data, options = {}) {
+    const changes = Object.keys(data)
+      .filter(field => formatValue(data[field]) !== formatValue(instance[field]))
+      .map(field => ({
+        field,
+        old_value: formatValue(instance[field]),
+        new_value: formatValue(data[field])
+      }));
+
+    await instance.update({ ...data, ...options.extra });
+
+    if (changes.length > 0) {
+      await RDSInstanceChange.bulkCreate(changes.map(change => ({
+        ...change,
+        rds_instance_id: instance.id,
+        source: options.source || 'Manual',
+        changed_by: options.userId || null
+      })));
+
+      const retention = changes.find(change => change.field === 'backup_retention_period');
+      if (retention && Number(retention.new_value) < Number(retention.old_value)) {
+        logger.warn('实例备份保留期被缩短', {
+          instanceId: instance.instance_id,
+          from: retention.old_value,
+          to: retention.new_value,
+          source: options.source
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * 获取实例加密状态，接口不支持(如部分引擎未开放TDE查询)时记为未知，不影响同步
+   * @param {Object} rds 实例所属的RDS服务
+   * @param {Object} instance RDS实例
+   * @returns {Promise} { encrypted, mode } 或 null
+   */
+  async getEncryption(rds, instance) {
+    try {
+      return await this.callCloud(() => rds.getEncryption(instance.instance_id));
+    } catch (error) {
+      logger.warn('获取实例加密状态失败，加密检查记为无法确认', {
+        instanceId: instance.instance_id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 从实例所属提供方同步实例状态、规格、存储与备份策略，并按备份策略检查合规
+   * @param {Object} instance RDS实例
+   * @param {Object} options { source, userId }
+   * @returns {Promise<Array>} 变更列表
+   */
+  async syncInstance(instance, options = {}) {
+    try {
+      const rds = await rdsService.forInstance(instance);
+
+      const cloudInstance = await this.callCloud(() => rds.getInstance(instance.instance_id));
+      if (!cloudInstance) {
+        throw statusError('云端实例不存在', 404);
+      }
+      const policy = await this.callCloud(() => rds.getBackupPolicy(instance.instance_id));
+      const encryption = await this.getEncryption(rds, instance);
+
+      // 合规状态变化记入变更历史，违规明细与备份配置随同步更新
+      const backupConfig = toBackupConfig(policy, encryption);
+      const { backup_compliance_status: complianceStatus, ...compliance } =
+        await backupComplianceService.evaluate(instance, backupConfig);
+
+      return await this.applyChanges(instance, {
+        ...this.toSyncData(cloudInstance, policy),
+        backup_compliance_status: complianceStatus
+      }, {
+        source: options.source || 'Sync',
+        userId: options.userId,
+        extra: { ...compliance, backup_config: backupConfig, last_synced_at: new Date(), last_sync_error: null }
+      });
+    } catch (error) {
+      await instance.update({ last_sync_error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 在后台同步所有受监控的实例
+   * @returns {Promise} { startedAt }
+   */
+  async startSync() {
+    if (this.running) {
+      throw statusError('实例同步正在运行，请稍后再试', 409);
+    }
+
+    const startedAt = new Date();
+    this.running = this.syncAll(startedAt)
+      .catch(error => {
+        logger.error('实例状态同步失败', { error: error.message });
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return { startedAt };
+  }
+
+  /**
+   * 依次同步所有受监控且未归档的实例，单个实例失败不影响其他实例
+   * @param {Date} startedAt 开始时间
+   * @returns {Promise} 同步结果汇总
+   */
+  async syncAll(startedAt = new Date()) {
+    const instances = await RDSInstance.findAll({
+      where: { is_monitored: true, archived_at: null }
+    });
+
+    const result = {
+      startedAt,
+      completedAt: null,
+      total: instances.length,
+      synced: 0,
+      failed: 0,
+      changedInstances: 0,
+      changeCount: 0,
+      errors: []
+    };
+
+    for (const instance of instances) {
+      try {
+        const changes = await this.syncInstance(instance);
+        result.synced++;
+        if (changes.length > 0) {
+          result.changedInstances++;
+          result.changeCount += changes.length;
+        }
+      } catch (error) {
+        result.failed++;
+        result.errors.push({ instanceId: instance.instance_id, error: error.message });
+        logger.warn('同步实例失败', { instanceId: instance.instance_id, error: error.message });
+      }
+    }
+
+    result.completedAt = new Date();
+    this.lastRun = result;
+
+    logger.info('实例状态同步完成', {
+      total: result.total,
+      synced: result.synced,
+      failed: result.failed,
+      changeCount: result.changeCount
+    });
+
+    return result;
+  }
+
+  /**
+   * 同步运行状态
+   * @returns {Object} { running, lastRun }
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.running),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+module.exports = new InstanceSyncService();
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { AuditLog, RecoveryTask, RDSInstance, User } = require('../models');
 const { logAudit } = require('../utils/audit');
+const auditChainService = require('./auditChainService');
+const { redactAuditValues } = require('../utils/redaction');
 const logger = require('../config/logger');
 
 /**
@@ -47,8 +49,8 @@ class IntelligentAuditService {
       const contextInfo = await this.enrichContextInformation(auditData);
       baseAudit.context_info = contextInfo;
 
-      // 6. 保存审计日志
-      const auditLog = await AuditLog.create(baseAudit);
+      // 6. 脱敏后保存审计日志，接入哈希链
+      const auditLog = await auditChainService.append(redactAuditValues(baseAudit));
 
       // 7. 触发实时分析和告警
       await this.performRealTimeAnalysis(auditLog);
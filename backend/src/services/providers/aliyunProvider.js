@@ -0,0 +1,385 @@
+// 请求模型为模块导出，客户端为默认导出
+const RDS = require('@alicloud/rds20140815');
+const OpenApi = require('@alicloud/openapi-client');
+const { openConnection } = require('../../utils/dbClient');
+
+/**
+ * 将 SDK 返回的实例条目转换为各提供方一致的实例属性
+ * SDK 的实例字段为 DBInstanceId、DBInstanceStatus 等，调用方统一读取 dbInstanceId、dbInstanceStatus
+ * @param {Object} item DescribeDBInstances 或 DescribeDBInstanceAttribute 条目
+ * @returns {Object} 实例属性
+ */
+const toInstance = (item) => ({
+  dbInstanceId: item.DBInstanceId,
+  dbInstanceDescription: item.DBInstanceDescription,
+  dbInstanceStatus: item.DBInstanceStatus,
+  dbInstanceType: item.DBInstanceType,
+  dbInstanceClass: item.DBInstanceClass,
+  dbInstanceStorage: item.DBInstanceStorage,
+  dbInstanceNetType: item.DBInstanceNetType,
+  engine: item.engine,
+  engineVersion: item.engineVersion,
+  regionId: item.regionId,
+  zoneId: item.zoneId,
+  connectionString: item.connectionString,
+  port: item.port,
+  vpcId: item.vpcId,
+  vSwitchId: item.vSwitchId,
+  payType: item.payType,
+  lockMode: item.lockMode,
+  // 列表接口为 createTime，详情接口为 creationTime
+  creationTime: item.creationTime || item.createTime,
+  expireTime: item.expireTime
+});
+
+/**
+ * 阿里云RDS云服务提供方
+ * 通过 OpenAPI 访问阿里云RDS，实例属性转换为与其他提供方一致的字段命名
+ */
+class AliyunProvider {
+  constructor(options = {}) {
+    this.name = 'aliyun';
+
+    this.config = new OpenApi.Config({
+      accessKeyId: options.accessKeyId || process.env.ALICLOUD_ACCESS_KEY_ID,
+      accessKeySecret: options.accessKeySecret || process.env.ALICLOUD_ACCESS_KEY_SECRET,
+      endpoint: options.endpoint || process.env.ALICLOUD_RDS_ENDPOINT || 'https://rds.aliyuncs.com',
+      regionId: options.regionId || process.env.ALICLOUD_REGION || 'cn-shenzhen'
+    });
+
+    this.regionId = this.config.regionId;
+    this.client = new RDS.default(this.config);
+  }
+
+  /**
+   * 获取RDS实例列表
+   * @param {Object} params 查询参数
+   * @returns {Promise} { instances, totalCount, pageNumber, pageSize }
+   */
+  async getInstances(params = {}) {
+    const request = new RDS.DescribeDBInstancesRequest({
+      regionId: this.regionId,
+      pageSize: params.pageSize || 30,
+      pageNumber: params.pageNumber || 1,
+      DBInstanceId: params.instanceId,
+      DBInstanceStatus: params.status,
+      DBInstanceType: 'Primary', // 只获取主实例
+      ...params
+    });
+
+    const response = await this.client.describeDBInstances(request);
+
+    return {
+      // 实例条目位于 items.DBInstance 下
+      instances: (response.body.items?.DBInstance || []).map(toInstance),
+      totalCount: response.body.totalRecordCount,
+      pageNumber: response.body.pageNumber,
+      pageSize: response.body.pageRecordCount
+    };
+  }
+
+  /**
+   * 获取单个RDS实例详情
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} 实例详情，不存在时为 null
+   */
+  async getInstance(instanceId) {
+    const request = new RDS.DescribeDBInstanceAttributeRequest({
+      regionId: this.regionId,
+      DBInstanceId: instanceId
+    });
+
+    const response = await this.client.describeDBInstanceAttribute(request);
+    const item = response.body.items?.DBInstanceAttribute?.[0];
+    return item ? toInstance(item) : null;
+  }
+
+  /**
+   * 获取实例的备份策略
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} { backupRetentionPeriod, preferredBackupTime, preferredBackupPeriod, enableBackupLog, logBackupRetentionPeriod }
+   */
+  async getBackupPolicy(instanceId) {
+    const request = new RDS.DescribeBackupPolicyRequest({
+      DBInstanceId: instanceId
+    });
+
+    const response = await this.client.describeBackupPolicy(request);
+
+    return {
+      backupRetentionPeriod: response.body.backupRetentionPeriod,
+      preferredBackupTime: response.body.preferredBackupTime,
+      preferredBackupPeriod: response.body.preferredBackupPeriod,
+      // 接口以 "1"/"True" 表示开启日志备份
+      enableBackupLog: ['1', 'true'].includes(String(response.body.enableBackupLog).toLowerCase()),
+      logBackupRetentionPeriod: response.body.logBackupRetentionPeriod
+    };
+  }
+
+  /**
+   * 获取实例的透明数据加密(TDE)状态
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} { encrypted, mode }
+   */
+  async getEncryption(instanceId) {
+    const request = new RDS.DescribeDBInstanceTDERequest({
+      DBInstanceId: instanceId
+    });
+
+    const response = await this.client.describeDBInstanceTDE(request);
+
+    return {
+      encrypted: response.body.TDEStatus === 'Enabled',
+      mode: response.body.TDEMode || null
+    };
+  }
+
+  /**
+   * 获取一页备份列表
+   * @param {String} instanceId 实例ID
+   * @param {Object} params 查询参数，指定 crossRegion 时查询复制到该地域的跨地域备份
+   * @returns {Promise} { backups, totalCount, pageNumber, pageSize }
+   */
+  async getBackups(instanceId, params = {}) {
+    if (params.crossRegion) {
+      return this.getCrossRegionBackups(instanceId, params);
+    }
+
+    const request = new RDS.DescribeBackupsRequest({
+      regionId: this.regionId,
+      DBInstanceId: instanceId,
+      pageSize: params.pageSize || 30,
+      pageNumber: params.pageNumber || 1,
+      backupId: params.backupId,
+      backupStatus: params.status,
+      backupMode: params.mode,
+      startTime: params.startTime,
+      endTime: params.endTime
+    });
+
+    const response = await this.client.describeBackups(request);
+
+    return {
+      // 备份条目位于 items.backup 下
+      backups: response.body.items?.backup || [],
+      totalCount: response.body.totalRecordCount,
+      pageNumber: response.body.pageNumber,
+      pageSize: response.body.pageRecordCount
+    };
+  }
+
+  /**
+   * 获取一页跨地域备份，字段转换为与 DescribeBackups 一致
+   * @param {String} instanceId 实例ID
+   * @param {Object} params 查询参数 { crossRegion, backupId, status, startTime, endTime, pageSize, pageNumber }
+   * @returns {Promise} { backups, totalCount, pageNumber, pageSize }
+   */
+  async getCrossRegionBackups(instanceId, params) {
+    const request = new RDS.DescribeCrossRegionBackupsRequest({
+      regionId: this.regionId,
+      DBInstanceId: instanceId,
+      crossBackupRegion: params.crossRegion,
+      crossBackupId: params.backupId ? Number(params.backupId) : undefined,
+      pageSize: params.pageSize || 30,
+      pageNumber: params.pageNumber || 1,
+      startTime: params.startTime,
+      endTime: params.endTime
+    });
+
+    const response = await this.client.describeCrossRegionBackups(request);
+    const backups = (response.body.items?.item || [])
+      .map(item => ({
+        backupId: item.crossBackupId,
+        backupType: /^(F|FullBackup)$/i.test(item.backupType) ? 'FullBackup' : 'IncrementalBackup',
+        backupMethod: item.backupMethod,
+        backupStatus: item.backupSetStatus === 0 ? 'Success' : 'Failed',
+        backupSize: item.crossBackupSetSize,
+        backupStartTime: item.backupStartTime,
+        backupEndTime: item.backupEndTime,
+        consistentTime: item.consistentTime,
+        crossBackupRegion: item.crossBackupRegion
+      }))
+      .filter(backup => !params.status || backup.backupStatus === params.status);
+
+    return {
+      backups,
+      totalCount: response.body.totalRecordCount,
+      pageNumber: response.body.pageNumber,
+      pageSize: response.body.pageRecordCount
+    };
+  }
+
+  /**
+   * 获取一页日志备份文件
+   * @param {String} instanceId 实例ID
+   * @param {Object} params 查询参数 { startTime, endTime, pageSize, pageNumber, crossRegion }
+   * @returns {Promise} { binlogs, totalCount }
+   */
+  async getBinlogs(instanceId, params = {}) {
+    if (params.crossRegion) {
+      const request = new RDS.DescribeCrossRegionLogBackupFilesRequest({
+        regionId: this.regionId,
+        DBInstanceId: instanceId,
+        crossBackupRegion: params.crossRegion,
+        startTime: params.startTime,
+        endTime: params.endTime,
+        pageSize: params.pageSize,
+        pageNumber: params.pageNumber
+      });
+
+      const response = await this.client.describeCrossRegionLogBackupFiles(request);
+
+      return {
+        binlogs: (response.body.items?.item || []).map(item => ({
+          logFileName: item.logFileName,
+          fileSize: item.crossLogBackupSize,
+          logBeginTime: item.logBeginTime,
+          logEndTime: item.logEndTime
+        })),
+        totalCount: response.body.totalRecordCount
+      };
+    }
+
+    const request = new RDS.DescribeBinlogFilesRequest({
+      DBInstanceId: instanceId,
+      startTime: params.startTime,
+      endTime: params.endTime,
+      pageSize: params.pageSize,
+      pageNumber: params.pageNumber
+    });
+
+    const response = await this.client.describeBinlogFiles(request);
+
+    return {
+      binlogs: response.body.items?.binLogFile || [],
+      totalCount: response.body.totalRecordCount
+    };
+  }
+
+  /**
+   * 创建克隆实例，目标地域与实例地域不同时使用跨地域备份恢复到新实例
+   * @param {Object} params 克隆参数
+   * @returns {Promise} { taskId, orderId, requestId }
+   */
+  async cloneInstance(params) {
+    if (params.targetRegionId && params.targetRegionId !== this.regionId) {
+      return this.restoreToRegion(params);
+    }
+
+    const {
+      sourceInstanceId,
+      targetInstanceName,
+      backupId,
+      restoreTime,
+      restoreType = 'BackupSet',
+      payType = 'Postpaid',
+      instanceClass,
+      storageSize
+    } = params;
+
+    const request = new RDS.CloneDBInstanceRequest({
+      regionId: this.regionId,
+      DBInstanceId: sourceInstanceId,
+      DBInstanceClass: instanceClass,
+      DBInstanceStorage: storageSize,
+      dbName: targetInstanceName,
+      payType,
+      ...(restoreType === 'BackupSet' ? { backupId } : { restoreTime })
+    });
+
+    const response = await this.client.cloneDBInstance(request);
+
+    return {
+      taskId: response.body.DBInstanceId,
+      orderId: response.body.orderId,
+      requestId: response.body.requestId
+    };
+  }
+
+  /**
+   * 使用跨地域备份在目标地域创建恢复实例
+   * @param {Object} params 克隆参数 { targetRegionId, sourceInstanceId, backupId, restoreTime, restoreType, engine, engineVersion, ... }
+   * @returns {Promise} { taskId, orderId, requestId }
+   */
+  async restoreToRegion(params) {
+    const { restoreType = 'BackupSet' } = params;
+
+    const request = new RDS.CreateDdrInstanceRequest({
+      regionId: params.targetRegionId,
+      sourceRegion: this.regionId,
+      sourceDBInstanceName: params.sourceInstanceId,
+      engine: params.engine,
+      engineVersion: params.engineVersion,
+      DBInstanceClass: params.instanceClass,
+      DBInstanceStorage: params.storageSize,
+      DBInstanceDescription: params.targetInstanceName,
+      DBInstanceNetType: 'Intranet',
+      instanceNetworkType: params.vpcId ? 'VPC' : 'Classic',
+      VPCId: params.vpcId,
+      vSwitchId: params.vSwitchId,
+      zoneId: params.zoneId,
+      payType: params.payType || 'Postpaid',
+      securityIPList: params.securityIpList || '127.0.0.1',
+      ...(restoreType === 'BackupSet'
+        ? { restoreType: 'BackupSet', backupSetId: params.backupId }
+        : { restoreType: 'BackupTime', restoreTime: params.restoreTime })
+    });
+
+    const response = await this.client.createDdrInstance(request);
+
+    return {
+      taskId: response.body.DBInstanceId,
+      orderId: response.body.orderId,
+      requestId: response.body.requestId
+    };
+  }
+
+  /**
+   * 删除实例
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} { requestId }
+   */
+  async deleteInstance(instanceId) {
+    const request = new RDS.DeleteDBInstanceRequest({
+      regionId: this.regionId,
+      DBInstanceId: instanceId
+    });
+
+    const response = await this.client.deleteDBInstance(request);
+
+    return {
+      requestId: response.body.requestId
+    };
+  }
+
+  /**
+   * 获取实例最近一个任务的状态
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} 任务信息(含 requestId)，无任务时为 null
+   */
+  async getTaskStatus(instanceId) {
+    const request = new RDS.DescribeTasksRequest({
+      regionId: this.regionId,
+      DBInstanceId: instanceId,
+      pageSize: 1,
+      pageNumber: 1
+    });
+
+    const response = await this.client.describeTasks(request);
+    const tasks = response.body.items?.taskProgressInfo || [];
+
+    return tasks.length > 0 ? { ...tasks[0], requestId: response.body.requestId } : null;
+  }
+
+  /**
+   * 打开到实例数据库的连接
+   * @param {String} engine 数据库引擎
+   * @param {Object} connectionInfo 连接信息
+   * @returns {Promise} 连接句柄
+   */
+  openConnection(engine, connectionInfo) {
+    return openConnection(engine, connectionInfo);
+  }
+}
+
+module.exports = AliyunProvider;
\ No newline at end of file
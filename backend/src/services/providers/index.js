@@ -0,0 +1,45 @@
+const AliyunProvider = require('./aliyunProvider');
+const SimulatorProvider = require('./simulatorProvider');
+const SelfManagedProvider = require('./selfManagedProvider');
+
+// 可用的RDS服务提供方
+const PROVIDERS = {
+  aliyun: AliyunProvider,
+  simulator: SimulatorProvider,
+  selfManaged: SelfManagedProvider
+};
+
+/**
+ * 本地模拟器是否可用
+ * 模拟器返回虚构的实例和连接，仅在 RDS_PROVIDER=simulator 且非生产环境时启用，
+ * 避免演练在未接触真实数据库的情况下产生通过的合规证据
+ * @returns {Boolean}
+ */
+const isSimulatorEnabled = () => {
+  return process.env.RDS_PROVIDER === 'simulator' && process.env.NODE_ENV !== 'production';
+};
+
+/**
+ * 创建RDS服务提供方
+ * 提供方需实现 getInstances / getInstance / getBackups / getBinlogs / cloneInstance /
+ * deleteInstance / getTaskStatus / openConnection，返回值保持阿里云SDK的字段命名
+ * @param {String} name 提供方名称，默认 aliyun
+ * @param {Object} options 提供方配置
+ * @returns {Object} 提供方实例
+ */
+const createProvider = (name, options = {}) => {
+  const Provider = PROVIDERS[name || 'aliyun'];
+  if (!Provider) {
+    throw new Error(`不支持的RDS服务提供方: ${name}`);
+  }
+  if (Provider === SimulatorProvider && !isSimulatorEnabled()) {
+    throw new Error('本地模拟器未启用，仅可在非生产环境通过 RDS_PROVIDER=simulator 使用');
+  }
+  return new Provider(options);
+};
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  isSimulatorEnabled
+};
\ No newline at end of file
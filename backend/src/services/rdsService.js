@@ -1,18 +1,104 @@
-const RDS = require('@alicloud/rds20140815').default;
-const OpenApi = require('@alicloud/openapi-client');
 const logger = require('../config/logger');
+const { classifyConnectionError } = require('../utils/dbClient');
+const { normalizeBackup } = require('../utils/backupSelection');
+const { normalizeBinlog, computeRecoveryWindow } = require('../utils/recoveryWindow');
+const { createProvider } = require('./providers');
+const credentialProfileService = require('./credentialProfileService');
+const dataValidationService = require('./dataValidationService');
+
+// 按地域和云账号分别创建客户端的提供方
+const REGIONAL_PROVIDERS = ['aliyun'];
+
+/**
+ * 包装云端API错误，保留错误码供失败分类使用
+ * @param {String} message 错误描述
+ * @param {Error} error 原始错误
+ * @returns {Error}
+ */
+const cloudError = (message, error) => {
+  const wrapped = new Error(`${message}: ${error.message}`);
+  wrapped.code = error.code;
+  // 阿里云SDK错误的请求ID，用于任务执行日志与工单排查
+  wrapped.requestId = error.requestId || error.data?.RequestId;
+  return wrapped;
+};
 
 class RDSService {
   constructor() {
-    // 初始化阿里云客户端
-    this.config = new OpenApi.Config({
-      accessKeyId: process.env.ALICLOUD_ACCESS_KEY_ID,
-      accessKeySecret: process.env.ALICLOUD_ACCESS_KEY_SECRET,
-      endpoint: 'https://rds.aliyuncs.com',
-      regionId: process.env.ALICLOUD_REGION || 'cn-shenzhen'
+    // 云上实例按配置选择提供方(阿里云/本地模拟器)，其他提供方按实例创建并缓存
+    this.defaultProviderName = process.env.RDS_PROVIDER || 'aliyun';
+    this.providers = new Map();
+    this.provider = createProvider(this.defaultProviderName);
+
+    logger.info('RDS服务提供方初始化完成', { provider: this.provider.name, regionId: this.provider.regionId });
+  }
+
+  /**
+   * 获取绑定到实例所属提供方、地域和云账号的RDS服务
+   * 阿里云实例使用默认提供方，按实例地域和凭据配置路由到对应客户端；
+   * 其余实例(如自建数据库)使用实例指定的提供方
+   * @param {Object} rdsInstance RDS实例记录
+   * @param {Object} options { regionId: 覆盖实例地域，用于跨地域恢复的目标地域 }
+   * @returns {Promise<RDSService>} RDS服务
+   */
+  async forInstance(rdsInstance, options = {}) {
+    const name = !rdsInstance?.provider || rdsInstance.provider === 'aliyun'
+      ? this.defaultProviderName
+      : rdsInstance.provider;
+
+    if (!REGIONAL_PROVIDERS.includes(name)) {
+      if (name === this.provider.name) {
+        return this;
+      }
+      return this.bind(name, () => createProvider(name));
+    }
+
+    const profileId = rdsInstance?.credential_profile_id || null;
+    const regionId = options.regionId || rdsInstance?.region || this.provider.regionId;
+
+    if (!profileId && regionId === this.provider.regionId) {
+      return this;
+    }
+
+    return this.bind([name, profileId || 'default', regionId].join('|'), async () => {
+      const credentials = profileId ? await credentialProfileService.getCredentials(profileId) : {};
+      return createProvider(name, { ...credentials, regionId });
+    });
+  }
+
+  /**
+   * 返回使用指定提供方的RDS服务，提供方按键缓存
+   * 缓存创建中的 Promise，并发请求共用同一个提供方；创建失败时移除，下次重新创建
+   * @param {String} key 缓存键
+   * @param {Function} create 创建提供方
+   * @returns {Promise<RDSService>}
+   */
+  async bind(key, create) {
+    if (!this.providers.has(key)) {
+      const pending = Promise.resolve().then(create);
+      this.providers.set(key, pending);
+      pending.catch(() => {
+        // 期间被 evictProfile 清除并重新创建的条目不受影响
+        if (this.providers.get(key) === pending) {
+          this.providers.delete(key);
+        }
+      });
+    }
+    return Object.create(this, {
+      provider: { value: await this.providers.get(key) }
     });
-    
-    this.client = new RDS(this.config);
+  }
+
+  /**
+   * 清除使用指定凭据配置的客户端，凭据更新或删除后调用
+   * @param {String} profileId 凭据配置ID
+   */
+  evictProfile(profileId) {
+    for (const key of this.providers.keys()) {
+      if (key.split('|')[1] === profileId) {
+        this.providers.delete(key);
+      }
+    }
   }
 
   /**
@@ -22,35 +108,20 @@ class RDSService {
    */
   async getInstances(params = {}) {
     try {
-      const request = new RDS.DescribeDBInstancesRequest({
-        regionId: this.config.regionId,
-        pageSize: params.pageSize || 30,
-        pageNumber: params.pageNumber || 1,
-        instanceId: params.instanceId,
-        dbInstanceStatus: params.status,
-        instanceType: 'Primary', // 只获取主实例
-        ...params
-      });
-
-      const response = await this.client.describeDBInstances(request);
+      const result = await this.provider.getInstances(params);
       
       logger.info('获取RDS实例列表成功', {
-        regionId: this.config.regionId,
-        instanceCount: response.body.items?.length || 0
+        regionId: this.provider.regionId,
+        instanceCount: result.instances.length
       });
 
-      return {
-        instances: response.body.items || [],
-        totalCount: response.body.totalRecordCount,
-        pageNumber: response.body.pageNumber,
-        pageSize: response.body.pageRecordCount
-      };
+      return result;
     } catch (error) {
       logger.error('获取RDS实例列表失败', {
         error: error.message,
         code: error.code
       });
-      throw new Error(`获取RDS实例列表失败: ${error.message}`);
+      throw cloudError('获取RDS实例列表失败', error);
     }
   }
 
@@ -61,23 +132,62 @@ class RDSService {
    */
   async getInstance(instanceId) {
     try {
-      const request = new RDS.DescribeDBInstanceAttributeRequest({
-        regionId: this.config.regionId,
-        dbInstanceId: instanceId
-      });
-
-      const response = await this.client.describeDBInstanceAttribute(request);
+      const instance = await this.provider.getInstance(instanceId);
       
       logger.info('获取RDS实例详情成功', { instanceId });
 
-      return response.body.items?.[0] || null;
+      return instance;
     } catch (error) {
       logger.error('获取RDS实例详情失败', {
         instanceId,
         error: error.message,
         code: error.code
       });
-      throw new Error(`获取RDS实例详情失败: ${error.message}`);
+      throw cloudError('获取RDS实例详情失败', error);
+    }
+  }
+
+  /**
+   * 获取实例的备份策略
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} 备份策略，提供方不支持时为 null
+   */
+  async getBackupPolicy(instanceId) {
+    if (!this.provider.getBackupPolicy) {
+      return null;
+    }
+
+    try {
+      return await this.provider.getBackupPolicy(instanceId);
+    } catch (error) {
+      logger.error('获取备份策略失败', {
+        instanceId,
+        error: error.message,
+        code: error.code
+      });
+      throw cloudError('获取备份策略失败', error);
+    }
+  }
+
+  /**
+   * 获取实例的加密状态
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} { encrypted, mode }，提供方不支持时为 null
+   */
+  async getEncryption(instanceId) {
+    if (!this.provider.getEncryption) {
+      return null;
+    }
+
+    try {
+      return await this.provider.getEncryption(instanceId);
+    } catch (error) {
+      logger.error('获取实例加密状态失败', {
+        instanceId,
+        error: error.message,
+        code: error.code
+      });
+      throw cloudError('获取实例加密状态失败', error);
     }
   }
 
@@ -89,40 +199,115 @@ class RDSService {
    */
   async getBackups(instanceId, params = {}) {
     try {
-      const request = new RDS.DescribeBackupsRequest({
-        regionId: this.config.regionId,
-        dbInstanceId: instanceId,
-        pageSize: params.pageSize || 30,
-        pageNumber: params.pageNumber || 1,
-        backupStatus: params.status,
-        backupMode: params.mode,
-        startTime: params.startTime,
-        endTime: params.endTime
-      });
-
-      const response = await this.client.describeBackups(request);
+      const result = await this.provider.getBackups(instanceId, params);
       
       logger.info('获取备份列表成功', {
         instanceId,
-        backupCount: response.body.items?.length || 0
+        backupCount: result.backups.length
       });
 
-      return {
-        backups: response.body.items || [],
-        totalCount: response.body.totalRecordCount,
-        pageNumber: response.body.pageNumber,
-        pageSize: response.body.pageRecordCount
-      };
+      return result;
     } catch (error) {
       logger.error('获取备份列表失败', {
         instanceId,
         error: error.message,
         code: error.code
       });
-      throw new Error(`获取备份列表失败: ${error.message}`);
+      throw cloudError('获取备份列表失败', error);
     }
   }
 
+  /**
+   * 分页获取时间范围内的全部备份
+   * @param {String} instanceId 实例ID
+   * @param {Object} params 查询参数 { startTime, endTime, status }
+   * @returns {Promise} 备份列表
+   */
+  async getAllBackups(instanceId, params = {}) {
+    // DescribeBackups 要求 yyyy-MM-ddTHH:mmZ 格式
+    const formatTime = (value) => value ? new Date(value).toISOString().slice(0, 16) + 'Z' : undefined;
+    const pageSize = 100;
+    const backups = [];
+
+    for (let pageNumber = 1; ; pageNumber++) {
+      const page = await this.getBackups(instanceId, {
+        ...params,
+        startTime: formatTime(params.startTime),
+        endTime: formatTime(params.endTime),
+        pageSize,
+        pageNumber
+      });
+
+      backups.push(...page.backups);
+
+      if (page.backups.length < pageSize || backups.length >= (page.totalCount || 0)) {
+        return backups;
+      }
+    }
+  }
+
+  /**
+   * 分页获取时间范围内的全部日志备份文件
+   * @param {String} instanceId 实例ID
+   * @param {Object} params 查询参数 { startTime, endTime, crossRegion }
+   * @returns {Promise} 日志文件列表
+   */
+  async getBinlogs(instanceId, params = {}) {
+    // DescribeBinlogFiles 要求 yyyy-MM-ddTHH:mm:ssZ 格式
+    const formatTime = (value) => new Date(value).toISOString().slice(0, 19) + 'Z';
+    const pageSize = 100;
+    const binlogs = [];
+
+    try {
+      for (let pageNumber = 1; ; pageNumber++) {
+        const page = await this.provider.getBinlogs(instanceId, {
+          startTime: formatTime(params.startTime),
+          endTime: formatTime(params.endTime || new Date()),
+          crossRegion: params.crossRegion,
+          pageSize,
+          pageNumber
+        });
+
+        binlogs.push(...page.binlogs);
+
+        if (page.binlogs.length < pageSize || binlogs.length >= (page.totalCount || 0)) {
+          return binlogs;
+        }
+      }
+    } catch (error) {
+      logger.error('获取日志备份列表失败', {
+        instanceId,
+        error: error.message,
+        code: error.code
+      });
+      throw cloudError('获取日志备份列表失败', error);
+    }
+  }
+
+  /**
+   * 获取实例的可恢复时间窗口
+   * 由保留期内的全量备份和连续的日志备份共同决定，指定 crossRegion 时按复制到该地域的跨地域备份计算
+   * @param {String} instanceId 实例ID
+   * @param {Object} params { retentionDays, crossRegion }
+   * @returns {Promise} { window, backups }，无可用备份时 window 为 null
+   */
+  async getRecoveryWindow(instanceId, params = {}) {
+    const endTime = new Date();
+    const startTime = new Date(endTime.getTime() - (params.retentionDays || 7) * 24 * 60 * 60 * 1000);
+
+    const [backups, binlogs] = await Promise.all([
+      this.getAllBackups(instanceId, { startTime, endTime, status: 'Success', crossRegion: params.crossRegion }),
+      this.getBinlogs(instanceId, { startTime, endTime, crossRegion: params.crossRegion })
+    ]);
+
+    const normalized = backups.map(normalizeBackup);
+
+    return {
+      window: computeRecoveryWindow(normalized, binlogs.map(normalizeBinlog)),
+      backups: normalized
+    };
+  }
+
   /**
    * 创建克隆实例（数据恢复）
    * @param {Object} params 克隆参数
@@ -130,47 +315,23 @@ class RDSService {
    */
   async cloneInstance(params) {
     try {
-      const {
-        sourceInstanceId,
-        targetInstanceName,
-        backupId,
-        restoreTime,
-        restoreType = 'BackupSet',
-        payType = 'Postpaid',
-        instanceClass,
-        storageSize
-      } = params;
-
-      const request = new RDS.CloneDBInstanceRequest({
-        regionId: this.config.regionId,
-        dbInstanceId: sourceInstanceId,
-        dbInstanceClass: instanceClass,
-        dbInstanceStorage: storageSize,
-        dbName: targetInstanceName,
-        payType,
-        ...(restoreType === 'BackupSet' ? { backupId } : { restoreTime })
-      });
-
-      const response = await this.client.cloneDBInstance(request);
+      const result = await this.provider.cloneInstance(params);
       
       logger.info('创建克隆实例成功', {
-        sourceInstanceId,
-        targetInstanceName,
-        taskId: response.body.dbInstanceId
+        sourceInstanceId: params.sourceInstanceId,
+        targetInstanceName: params.targetInstanceName,
+        targetRegionId: params.targetRegionId,
+        taskId: result.taskId
       });
 
-      return {
-        taskId: response.body.dbInstanceId,
-        orderId: response.body.orderId,
-        requestId: response.body.requestId
-      };
+      return result;
     } catch (error) {
       logger.error('创建克隆实例失败', {
         sourceInstanceId: params.sourceInstanceId,
         error: error.message,
         code: error.code
       });
-      throw new Error(`创建克隆实例失败: ${error.message}`);
+      throw cloudError('创建克隆实例失败', error);
     }
   }
 
@@ -181,25 +342,18 @@ class RDSService {
    */
   async deleteInstance(instanceId) {
     try {
-      const request = new RDS.DeleteDBInstanceRequest({
-        regionId: this.config.regionId,
-        dbInstanceId: instanceId
-      });
-
-      const response = await this.client.deleteDBInstance(request);
+      const result = await this.provider.deleteInstance(instanceId);
       
       logger.info('删除实例成功', { instanceId });
 
-      return {
-        requestId: response.body.requestId
-      };
+      return result;
     } catch (error) {
       logger.error('删除实例失败', {
         instanceId,
         error: error.message,
         code: error.code
       });
-      throw new Error(`删除实例失败: ${error.message}`);
+      throw cloudError('删除实例失败', error);
     }
   }
 
@@ -210,89 +364,149 @@ class RDSService {
    */
   async getTaskStatus(instanceId) {
     try {
-      const request = new RDS.DescribeTasksRequest({
-        regionId: this.config.regionId,
-        dbInstanceId: instanceId,
-        pageSize: 1,
-        pageNumber: 1
-      });
-
-      const response = await this.client.describeTasks(request);
-      const tasks = response.body.items || [];
-      
-      return tasks.length > 0 ? tasks[0] : null;
+      return await this.provider.getTaskStatus(instanceId);
     } catch (error) {
       logger.error('获取任务状态失败', {
         instanceId,
         error: error.message,
         code: error.code
       });
-      throw new Error(`获取任务状态失败: ${error.message}`);
+      throw cloudError('获取任务状态失败', error);
     }
   }
 
   /**
-   * 验证数据库连接
+   * 打开到实例数据库的连接，由提供方决定连接真实数据库还是模拟连接
+   * @param {String} engine 数据库引擎
    * @param {Object} connectionInfo 连接信息
-   * @returns {Promise} 验证结果
+   * @returns {Promise} 连接句柄
+   */
+  openConnection(engine, connectionInfo) {
+    return this.provider.openConnection(engine, connectionInfo);
+  }
+
+  /**
+   * 验证数据库连接
+   * 按实例引擎使用对应驱动实际登录恢复实例，记录握手耗时、服务端版本和TLS状态
+   * @param {Object} connectionInfo 连接信息 { engine, host, port, username, password, database, ssl, timeout }
+   * @returns {Promise} 验证结果，连接失败或缺少连接参数时返回 success=false 及错误分类
    */
   async validateConnection(connectionInfo) {
+    const { engine, host, port, database } = connectionInfo;
+
+    // 缺少连接参数属于配置问题，重试无法恢复
+    if (!engine || !host) {
+      logger.error('数据库连接验证失败: 缺少引擎或连接地址', { engine, host, port });
+      return {
+        success: false,
+        message: '数据库连接验证失败: 缺少引擎或连接地址',
+        engine,
+        host,
+        port,
+        category: 'Configuration',
+        errorType: 'Configuration',
+        errorCode: null,
+        latencyMs: 0,
+        connectionTime: Date.now()
+      };
+    }
+
+    logger.info('验证数据库连接', { engine, host, port, database });
+
+    const startTime = Date.now();
+    let connection;
+
     try {
-      // 这里应该根据实际的数据库引擎进行连接测试
-      // 暂时返回模拟结果
-      const { host, port, username, password, database } = connectionInfo;
-      
-      logger.info('验证数据库连接', { host, port, database });
-      
-      // TODO: 实现实际的数据库连接验证逻辑
+      connection = await this.openConnection(engine, connectionInfo);
+      const latencyMs = Date.now() - startTime;
+
+      const serverVersion = await connection.serverVersion();
+      const tls = await connection.tlsStatus().catch(error => ({
+        enabled: null,
+        error: error.message
+      }));
+
+      logger.info('数据库连接验证成功', { engine, host, latencyMs, serverVersion, tls: tls.enabled });
+
       return {
         success: true,
         message: '连接验证成功',
-        connectionTime: Date.now()
+        engine,
+        host,
+        port,
+        latencyMs,
+        serverVersion,
+        tls,
+        connectionTime: startTime
       };
     } catch (error) {
+      const errorType = classifyConnectionError(error);
+
       logger.error('数据库连接验证失败', {
+        engine,
+        host,
+        port,
+        errorType,
         error: error.message,
-        connectionInfo
+        code: error.code
       });
-      throw new Error(`数据库连接验证失败: ${error.message}`);
+
+      return {
+        success: false,
+        message: `数据库连接验证失败: ${error.message}`,
+        engine,
+        host,
+        port,
+        errorType,
+        errorCode: error.code || null,
+        latencyMs: Date.now() - startTime,
+        connectionTime: startTime
+      };
+    } finally {
+      if (connection) {
+        await connection.close().catch(() => {});
+      }
     }
   }
 
   /**
    * 执行数据验证
-   * @param {Object} params 验证参数
+   * 在恢复实例上运行验证规则（行数、校验和、新鲜度、自定义SQL）
+   * @param {Object} params 验证参数 { instanceId, connectionInfo, validationRules, restoreTime }
    * @returns {Promise} 验证结果
    */
   async validateData(params) {
+    let connection;
+
     try {
-      const { instanceId, validationRules } = params;
-      
+      const { instanceId, connectionInfo, validationRules, restoreTime } = params;
+
       logger.info('开始数据验证', { instanceId });
-      
-      // TODO: 实现具体的数据验证逻辑
-      // 这里应该包括：
-      // 1. 数据完整性检查
-      // 2. 数据一致性检查  
-      // 3. 业务规则验证
-      // 4. 性能基准测试
-      
-      return {
-        success: true,
-        validationResults: {
-          dataIntegrity: { passed: true, details: '数据完整性检查通过' },
-          dataConsistency: { passed: true, details: '数据一致性检查通过' },
-          businessRules: { passed: true, details: '业务规则验证通过' },
-          performance: { passed: true, details: '性能基准测试通过' }
-        },
-        validatedAt: new Date().toISOString()
-      };
+
+      connection = await this.openConnection(connectionInfo.engine, connectionInfo);
+
+      const result = await dataValidationService.runRules(connection, validationRules, {
+        instanceId,
+        restoreTime
+      });
+
+      logger.info('数据验证完成', {
+        instanceId,
+        success: result.success,
+        ...result.summary
+      });
+
+      return result;
     } catch (error) {
       logger.error('数据验证失败', {
         instanceId: params.instanceId,
         error: error.message
       });
       throw new Error(`数据验证失败: ${error.message}`);
+    } finally {
+      if (connection) {
+        await connection.close().catch(() => {});
+      }
     }
   }
 }
@@ -1,544 +1,2021 @@
-const cron = require('node-cron');
-const { RecoveryTask, RDSInstance } = require('../models');
-const rdsService = require('./rdsService');
-const { logAudit } = require('../utils/audit');
-const logger = require('../config/logger');
-
-class RecoveryService {
-  constructor() {
-    this.runningTasks = new Map(); // 存储正在运行的任务
-    this.initScheduler();
-  }
-
-  /**
-   * 初始化定时调度器
-   */
-  initScheduler() {
-    // 每小时检查一次待执行的任务
-    cron.schedule('0 * * * *', () => {
-      this.processScheduledTasks();
-    });
-
-    // 每10分钟检查一次运行中任务的状态
-    cron.schedule('*/10 * * * *', () => {
-      this.checkRunningTasks();
-    });
-
-    logger.info('恢复任务调度器初始化完成');
-  }
-
-  /**
-   * 创建恢复任务
-   * @param {Object} taskData 任务数据
-   * @param {Object} user 创建用户
-   * @returns {Promise} 创建的任务
-   */
-  async createTask(taskData, user) {
-    try {
-      // 验证RDS实例是否存在
-      const rdsInstance = await RDSInstance.findByPk(taskData.rdsInstanceId);
-      if (!rdsInstance) {
-        throw new Error('指定的RDS实例不存在');
-      }
-
-      // 如果是年度任务，检查是否已存在
-      if (taskData.isAnnualTask) {
-        const existingAnnualTask = await RecoveryTask.findOne({
-          where: {
-            rds_instance_id: taskData.rdsInstanceId,
-            compliance_year: taskData.complianceYear,
-            is_annual_task: true,
-            status: ['Success', 'Running', 'Pending']
-          }
-        });
-
-        if (existingAnnualTask) {
-          throw new Error(`${taskData.complianceYear}年度的合规任务已存在`);
-        }
-      }
-
-      const task = await RecoveryTask.create({
-        task_name: taskData.taskName,
-        rds_instance_id: taskData.rdsInstanceId,
-        source_instance_id: taskData.sourceInstanceId,
-        backup_id: taskData.backupId,
-        backup_type: taskData.backupType,
-        restore_time: taskData.restoreTime,
-        restore_type: taskData.restoreType,
-        target_instance_name: taskData.targetInstanceName,
-        task_type: taskData.taskType,
-        priority: taskData.priority,
-        compliance_year: taskData.complianceYear,
-        is_annual_task: taskData.isAnnualTask,
-        scheduled_at: taskData.scheduledAt,
-        config: taskData.config,
-        created_by: user.id
-      });
-
-      // 记录审计日志
-      await logAudit({
-        userId: user.id,
-        username: user.username,
-        action: '创建恢复任务',
-        resourceType: 'RecoveryTask',
-        resourceId: task.id,
-        resourceName: task.task_name,
-        operationType: 'Create',
-        status: 'Success',
-        description: `创建恢复任务: ${task.task_name}`,
-        riskLevel: 'Medium'
-      });
-
-      logger.info('恢复任务创建成功', {
-        taskId: task.id,
-        taskName: task.task_name,
-        userId: user.id
-      });
-
-      return task;
-    } catch (error) {
-      logger.error('创建恢复任务失败', {
-        error: error.message,
-        taskData,
-        userId: user.id
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * 执行恢复任务
-   * @param {String} taskId 任务ID
-   * @param {Object} user 执行用户
-   * @returns {Promise} 执行结果
-   */
-  async executeTask(taskId, user) {
-    try {
-      const task = await RecoveryTask.findByPk(taskId, {
-        include: [{ association: 'rdsInstance' }]
-      });
-
-      if (!task) {
-        throw new Error('任务不存在');
-      }
-
-      if (task.status === 'Running') {
-        throw new Error('任务正在执行中');
-      }
-
-      if (task.status === 'Success') {
-        throw new Error('任务已成功完成');
-      }
-
-      // 更新任务状态为运行中
-      await task.update({
-        status: 'Running',
-        started_at: new Date(),
-        progress: 0
-      });
-
-      // 添加到运行任务队列
-      this.runningTasks.set(taskId, {
-        task,
-        startTime: Date.now(),
-        user
-      });
-
-      // 异步执行恢复流程
-      this.performRecovery(task, user).catch(error => {
-        logger.error('恢复任务执行失败', {
-          taskId,
-          error: error.message
-        });
-      });
-
-      logger.info('恢复任务开始执行', {
-        taskId,
-        taskName: task.task_name,
-        userId: user.id
-      });
-
-      return {
-        message: '恢复任务已开始执行',
-        taskId,
-        status: 'Running'
-      };
-    } catch (error) {
-      logger.error('启动恢复任务失败', {
-        taskId,
-        error: error.message,
-        userId: user.id
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * 执行恢复流程
-   * @param {Object} task 恢复任务
-   * @param {Object} user 执行用户
-   */
-  async performRecovery(task, user) {
-    try {
-      const startTime = Date.now();
-
-      // 步骤1: 创建克隆实例 (20%)
-      await this.updateTaskProgress(task.id, 20, '正在创建克隆实例...');
-      
-      const cloneResult = await rdsService.cloneInstance({
-        sourceInstanceId: task.source_instance_id,
-        targetInstanceName: task.target_instance_name,
-        backupId: task.backup_id,
-        restoreTime: task.restore_time,
-        restoreType: task.restore_type,
-        instanceClass: task.config?.instanceClass || 'mysql.n1.micro.1',
-        storageSize: task.config?.storageSize || 20
-      });
-
-      // 更新目标实例ID
-      await task.update({
-        target_instance_id: cloneResult.taskId,
-        progress: 40
-      });
-
-      // 步骤2: 等待实例创建完成 (40% - 70%)
-      await this.waitForInstanceReady(cloneResult.taskId, task.id);
-
-      // 步骤3: 验证数据完整性 (70% - 90%)
-      await this.updateTaskProgress(task.id, 70, '正在验证数据完整性...');
-      
-      const validationResult = await this.validateRecoveredData(task);
-
-      // 步骤4: 完成任务 (100%)
-      const endTime = Date.now();
-      const duration = Math.floor((endTime - startTime) / 1000);
-
-      await task.update({
-        status: 'Success',
-        progress: 100,
-        completed_at: new Date(),
-        duration_seconds: duration,
-        verification_status: 'Passed',
-        verification_result: validationResult
-      });
-
-      // 从运行队列中移除
-      this.runningTasks.delete(task.id);
-
-      // 记录审计日志
-      await logAudit({
-        userId: user.id,
-        username: user.username,
-        action: '执行恢复任务',
-        resourceType: 'RecoveryTask',
-        resourceId: task.id,
-        resourceName: task.task_name,
-        operationType: 'Execute',
-        status: 'Success',
-        description: `恢复任务执行成功，耗时 ${duration} 秒`,
-        riskLevel: 'Medium'
-      });
-
-      logger.info('恢复任务执行成功', {
-        taskId: task.id,
-        duration,
-        targetInstanceId: task.target_instance_id
-      });
-
-    } catch (error) {
-      // 任务失败处理
-      await task.update({
-        status: 'Failed',
-        completed_at: new Date(),
-        error_message: error.message,
-        verification_status: 'Failed'
-      });
-
-      this.runningTasks.delete(task.id);
-
-      // 记录审计日志
-      await logAudit({
-        userId: user.id,
-        username: user.username,
-        action: '执行恢复任务',
-        resourceType: 'RecoveryTask',
-        resourceId: task.id,
-        resourceName: task.task_name,
-        operationType: 'Execute',
-        status: 'Failed',
-        description: `恢复任务执行失败: ${error.message}`,
-        riskLevel: 'High'
-      });
-
-      logger.error('恢复任务执行失败', {
-        taskId: task.id,
-        error: error.message
-      });
-
-      throw error;
-    }
-  }
-
-  /**
-   * 更新任务进度
-   * @param {String} taskId 任务ID
-   * @param {Number} progress 进度百分比
-   * @param {String} status 状态描述
-   */
-  async updateTaskProgress(taskId, progress, status) {
-    try {
-      await RecoveryTask.update(
-        { progress },
-        { where: { id: taskId } }
-      );
-
-      logger.info('任务进度更新', {
-        taskId,
-        progress,
-        status
-      });
-    } catch (error) {
-      logger.error('更新任务进度失败', {
-        taskId,
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * 等待实例准备就绪
-   * @param {String} instanceId 实例ID
-   * @param {String} taskId 任务ID
-   */
-  async waitForInstanceReady(instanceId, taskId) {
-    const maxWaitTime = 30 * 60 * 1000; // 30分钟
-    const checkInterval = 30 * 1000; // 30秒
-    const startTime = Date.now();
-
-    return new Promise((resolve, reject) => {
-      const checkStatus = async () => {
-        try {
-          if (Date.now() - startTime > maxWaitTime) {
-            reject(new Error('等待实例创建超时'));
-            return;
-          }
-
-          const instance = await rdsService.getInstance(instanceId);
-          const progress = Math.min(40 + Math.floor((Date.now() - startTime) / (maxWaitTime / 30)), 70);
-          
-          await this.updateTaskProgress(taskId, progress, `实例状态: ${instance?.dbInstanceStatus || 'Unknown'}`);
-
-          if (instance && instance.dbInstanceStatus === 'Running') {
-            resolve(instance);
-          } else {
-            setTimeout(checkStatus, checkInterval);
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
-
-      checkStatus();
-    });
-  }
-
-  /**
-   * 验证恢复的数据
-   * @param {Object} task 恢复任务
-   * @returns {Promise} 验证结果
-   */
-  async validateRecoveredData(task) {
-    try {
-      // 获取目标实例信息
-      const targetInstance = await rdsService.getInstance(task.target_instance_id);
-      
-      if (!targetInstance) {
-        throw new Error('无法获取目标实例信息');
-      }
-
-      // 执行数据验证
-      const validationResult = await rdsService.validateData({
-        instanceId: task.target_instance_id,
-        validationRules: task.config?.validationRules || {}
-      });
-
-      await this.updateTaskProgress(task.id, 90, '数据验证完成');
-
-      return validationResult;
-    } catch (error) {
-      logger.error('数据验证失败', {
-        taskId: task.id,
-        error: error.message
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * 处理计划任务
-   */
-  async processScheduledTasks() {
-    try {
-      const now = new Date();
-      const scheduledTasks = await RecoveryTask.findAll({
-        where: {
-          status: 'Pending',
-          scheduled_at: {
-            [require('sequelize').Op.lte]: now
-          }
-        },
-        include: [{ association: 'creator' }]
-      });
-
-      for (const task of scheduledTasks) {
-        try {
-          await this.executeTask(task.id, task.creator);
-          logger.info('自动执行计划任务', { taskId: task.id });
-        } catch (error) {
-          logger.error('自动执行计划任务失败', {
-            taskId: task.id,
-            error: error.message
-          });
-        }
-      }
-    } catch (error) {
-      logger.error('处理计划任务失败', { error: error.message });
-    }
-  }
-
-  /**
-   * 检查运行中任务状态
-   */
-  async checkRunningTasks() {
-    for (const [taskId, taskInfo] of this.runningTasks) {
-      try {
-        const { task, startTime } = taskInfo;
-        const runningTime = Date.now() - startTime;
-        const timeoutLimit = 2 * 60 * 60 * 1000; // 2小时超时
-
-        if (runningTime > timeoutLimit) {
-          // 任务超时处理
-          await RecoveryTask.update(
-            {
-              status: 'Timeout',
-              completed_at: new Date(),
-              error_message: '任务执行超时'
-            },
-            { where: { id: taskId } }
-          );
-
-          this.runningTasks.delete(taskId);
-          
-          logger.warn('任务执行超时', {
-            taskId,
-            runningTime: Math.floor(runningTime / 1000)
-          });
-        }
-      } catch (error) {
-        logger.error('检查运行任务状态失败', {
-          taskId,
-          error: error.message
-        });
-      }
-    }
-  }
-
-  /**
-   * 取消任务
-   * @param {String} taskId 任务ID
-   * @param {Object} user 操作用户
-   */
-  async cancelTask(taskId, user) {
-    try {
-      const task = await RecoveryTask.findByPk(taskId);
-      
-      if (!task) {
-        throw new Error('任务不存在');
-      }
-
-      if (!['Pending', 'Running'].includes(task.status)) {
-        throw new Error('只能取消待执行或执行中的任务');
-      }
-
-      await task.update({
-        status: 'Cancelled',
-        completed_at: new Date(),
-        error_message: '任务被用户取消'
-      });
-
-      // 从运行队列中移除
-      this.runningTasks.delete(taskId);
-
-      // 记录审计日志
-      await logAudit({
-        userId: user.id,
-        username: user.username,
-        action: '取消恢复任务',
-        resourceType: 'RecoveryTask',
-        resourceId: taskId,
-        resourceName: task.task_name,
-        operationType: 'Update',
-        status: 'Success',
-        description: '用户取消了恢复任务',
-        riskLevel: 'Medium'
-      });
-
-      logger.info('任务已取消', {
-        taskId,
-        taskName: task.task_name,
-        userId: user.id
-      });
-
-      return task;
-    } catch (error) {
-      logger.error('取消任务失败', {
-        taskId,
-        error: error.message,
-        userId: user.id
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * 获取任务统计信息
-   * @param {Object} filters 过滤条件
-   * @returns {Promise} 统计信息
-   */
-  async getTaskStatistics(filters = {}) {
-    try {
-      const stats = await RecoveryTask.findAll({
-        attributes: [
-          'status',
-          [require('sequelize').fn('COUNT', require('sequelize').col('id')), 'count']
-        ],
-        where: filters,
-        group: ['status'],
-        raw: true
-      });
-
-      const result = {
-        total: 0,
-        pending: 0,
-        running: 0,
-        success: 0,
-        failed: 0,
-        cancelled: 0,
-        timeout: 0
-      };
-
-      stats.forEach(stat => {
-        const count = parseInt(stat.count);
-        result.total += count;
-        result[stat.status.toLowerCase()] = count;
-      });
-
-      return result;
-    } catch (error) {
-      logger.error('获取任务统计信息失败', { error: error.message });
-      throw error;
-    }
-  }
-}
-
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { RecoveryTask, RecoveryTaskStep, RecoveryTaskAttempt, RDSInstance } = require('../models');
+const rdsService = require('./rdsService');
+const schemaComparisonService = require('./schemaComparisonService');
+const taskLogService = require('./taskLogService');
+const taskEventService = require('./taskEventService');
+const { getQueueLimits, sortQueue, planDispatch } = require('../utils/taskQueue');
+const { classifyError, normalizeRetryPolicy, computeBackoffSeconds } = require('../utils/retryPolicy');
+const { DEFAULT_POLICY: DEFAULT_BACKUP_POLICY, normalizeBackup, selectBackup } = require('../utils/backupSelection');
+const { findBaseBackup, resolveRestoreTime } = require('../utils/recoveryWindow');
+const { getSlaTargets, measureRecovery, evaluateSla } = require('../utils/sla');
+const { logAudit } = require('../utils/audit');
+const { runWithContext } = require('../middleware/requestContext');
+const logger = require('../config/logger');
+
+// 恢复任务执行阶段，按先后顺序排列
+const TASK_PHASES = ['Pending', 'SnapshotSource', 'CloneRequested', 'InstanceReady', 'Verifying', 'Teardown', 'Completed'];
+
+class RecoveryService {
+  constructor() {
+    this.runningTasks = new Map(); // 本进程正在驱动的任务，持久状态以数据库为准
+    this.dispatching = false; // 队列调度是否进行中
+    this.redispatch = false; // 调度进行中时是否有新的调度请求
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时调度器
+   */
+  initScheduler() {
+    // 每分钟检查一次到期的计划任务
+    cron.schedule('* * * * *', () => {
+      this.processScheduledTasks();
+    });
+
+    // 每分钟调度一次执行队列
+    cron.schedule('* * * * *', () => {
+      this.dispatchQueue();
+    });
+
+    // 每10分钟检查一次运行中任务的状态
+    cron.schedule('*/10 * * * *', () => {
+      this.checkRunningTasks();
+    });
+
+    // 每10分钟释放到期的克隆实例
+    cron.schedule('*/10 * * * *', () => {
+      this.reapCloneInstances();
+    });
+
+    logger.info('恢复任务调度器初始化完成');
+  }
+
+  /**
+   * 创建恢复任务
+   * @param {Object} taskData 任务数据
+   * @param {Object} user 创建用户
+   * @returns {Promise} 创建的任务
+   */
+  async createTask(taskData, user) {
+    try {
+      // 验证RDS实例是否存在
+      const rdsInstance = await RDSInstance.findByPk(taskData.rdsInstanceId);
+      if (!rdsInstance) {
+        throw new Error('指定的RDS实例不存在');
+      }
+
+      // 如果是年度任务，检查是否已存在
+      if (taskData.isAnnualTask) {
+        const existingAnnualTask = await RecoveryTask.findOne({
+          where: {
+            rds_instance_id: taskData.rdsInstanceId,
+            compliance_year: taskData.complianceYear,
+            is_annual_task: true,
+            status: ['Success', 'Running', 'Queued', 'Pending']
+          }
+        });
+
+        if (existingAnnualTask) {
+          throw new Error(`${taskData.complianceYear}年度的合规任务已存在`);
+        }
+      }
+
+      // 备份集恢复需确定具体备份集，时间点恢复需校验时间点在可恢复窗口内；
+      // 跨地域恢复使用复制到目标地域的跨地域备份
+      const isPointInTime = taskData.restoreType === 'PointInTime';
+      const backupMetadata = isPointInTime ? null : await this.resolveBackupSet(taskData, rdsInstance);
+      const restorePoint = isPointInTime ? await this.resolveRestorePoint(taskData, rdsInstance) : null;
+
+      const task = await RecoveryTask.create({
+        task_name: taskData.taskName,
+        rds_instance_id: taskData.rdsInstanceId,
+        source_instance_id: taskData.sourceInstanceId,
+        backup_id: backupMetadata ? backupMetadata.backupId : taskData.backupId,
+        backup_metadata: backupMetadata,
+        backup_type: taskData.backupType,
+        restore_time: restorePoint ? restorePoint.restoreTime : taskData.restoreTime,
+        restore_type: taskData.restoreType,
+        recovery_window: restorePoint,
+        consistency_point: restorePoint
+          ? restorePoint.restoreTime
+          : (backupMetadata.consistentTime || backupMetadata.endTime),
+        target_instance_name: taskData.targetInstanceName,
+        target_region: this.getCrossRegion(taskData.targetRegion, rdsInstance),
+        task_type: taskData.taskType,
+        priority: taskData.priority,
+        compliance_year: taskData.complianceYear,
+        is_annual_task: taskData.isAnnualTask,
+        scheduled_at: taskData.scheduledAt,
+        schedule_id: taskData.scheduleId,
+        config: this.withoutConnectionPassword(taskData.config),
+        clone_retention_policy: taskData.cloneRetentionPolicy,
+        clone_retention_hours: taskData.cloneRetentionHours,
+        retry_policy: taskData.retryPolicy,
+        created_by: user.id
+      });
+
+      // 记录审计日志
+      await logAudit({
+        userId: user.id,
+        username: user.username,
+        action: '创建恢复任务',
+        resourceType: 'RecoveryTask',
+        resourceId: task.id,
+        resourceName: task.task_name,
+        operationType: 'Create',
+        status: 'Success',
+        description: `创建恢复任务: ${task.task_name}`,
+        riskLevel: 'Medium'
+      });
+
+      logger.info('恢复任务创建成功', {
+        taskId: task.id,
+        taskName: task.task_name,
+        userId: user.id
+      });
+
+      return task;
+    } catch (error) {
+      logger.error('创建恢复任务失败', {
+        error: error.message,
+        taskData,
+        userId: user.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 确定备份集恢复使用的备份集
+   * 未指定备份集时按选择策略从保留期内的备份中选择；已指定时校验并补全元数据
+   * @param {Object} taskData 任务数据
+   * @param {Object} rdsInstance RDS实例
+   * @returns {Promise} 备份集元数据
+   */
+  async resolveBackupSet(taskData, rdsInstance) {
+    const selection = taskData.backupSelection || {};
+    const policy = taskData.backupId ? 'Explicit' : (selection.policy || DEFAULT_BACKUP_POLICY);
+    const retentionDays = rdsInstance.backup_retention_period;
+    const now = new Date();
+    const rds = await rdsService.forInstance(rdsInstance);
+    const crossRegion = this.getCrossRegion(taskData.targetRegion, rdsInstance) || undefined;
+
+    let backup;
+    if (taskData.backupId) {
+      const { backups } = await rds.getBackups(taskData.sourceInstanceId, { backupId: taskData.backupId, crossRegion });
+      backup = backups.map(normalizeBackup).find(item => item.backupId === String(taskData.backupId));
+      if (!backup) {
+        throw new Error(`备份集 ${taskData.backupId} 不存在`);
+      }
+    } else {
+      const backups = await rds.getAllBackups(taskData.sourceInstanceId, {
+        startTime: selection.windowStart || new Date(now.getTime() - (retentionDays || 7) * 24 * 60 * 60 * 1000),
+        endTime: now,
+        status: 'Success',
+        crossRegion
+      });
+
+      backup = selectBackup(backups.map(normalizeBackup), policy, {
+        retentionDays,
+        targetDate: selection.targetDate,
+        windowStart: selection.windowStart,
+        windowEnd: selection.windowEnd,
+        now
+      });
+      if (!backup) {
+        throw new Error(`未找到符合策略 ${policy} 的可用备份集`);
+      }
+    }
+
+    logger.info('确定恢复使用的备份集', {
+      sourceInstanceId: taskData.sourceInstanceId,
+      backupId: backup.backupId,
+      policy
+    });
+
+    return {
+      ...backup,
+      policy,
+      selectedAt: now
+    };
+  }
+
+  /**
+   * 确定时间点恢复的目标时间
+   * 按可恢复窗口校验请求的时间点，未指定时恢复到窗口终点
+   * @param {Object} taskData 任务数据
+   * @param {Object} rdsInstance RDS实例
+   * @returns {Promise} 恢复时间点及窗口信息
+   */
+  async resolveRestorePoint(taskData, rdsInstance) {
+    const rds = await rdsService.forInstance(rdsInstance);
+    const { window, backups } = await rds.getRecoveryWindow(taskData.sourceInstanceId, {
+      retentionDays: rdsInstance.backup_retention_period,
+      crossRegion: this.getCrossRegion(taskData.targetRegion, rdsInstance) || undefined
+    });
+
+    const resolved = resolveRestoreTime(window, taskData.restoreTime, taskData.restoreTimePolicy);
+    const baseBackup = findBaseBackup(backups, resolved.restoreTime);
+
+    if (resolved.corrected) {
+      logger.warn('恢复时间点超出可恢复窗口，已校正', {
+        sourceInstanceId: taskData.sourceInstanceId,
+        requestedTime: resolved.requestedTime,
+        restoreTime: resolved.restoreTime
+      });
+    }
+
+    return {
+      ...resolved,
+      windowStart: window.start,
+      windowEnd: window.end,
+      baseBackupId: baseBackup ? baseBackup.backupId : null,
+      checkedAt: new Date()
+    };
+  }
+
+  /**
+   * 执行前重新校验时间点是否仍可恢复，排队期间备份或日志可能已过期
+   * @param {Object} task 任务对象
+   */
+  async assertRestoreTimeRecoverable(task) {
+    const rdsInstance = await RDSInstance.findByPk(task.rds_instance_id);
+    const rds = await rdsService.forInstance(rdsInstance);
+    const { window } = await rds.getRecoveryWindow(task.source_instance_id, {
+      retentionDays: rdsInstance?.backup_retention_period,
+      crossRegion: task.target_region || undefined
+    });
+
+    resolveRestoreTime(window, task.restore_time, 'Reject');
+  }
+
+  /**
+   * 执行恢复任务
+   * 任务先进入执行队列，由调度器按优先级和并发限制出队执行
+   * @param {String} taskId 任务ID
+   * @param {Object} user 执行用户
+   * @returns {Promise} 执行结果
+   */
+  async executeTask(taskId, user) {
+    try {
+      const task = await RecoveryTask.findByPk(taskId);
+
+      if (!task) {
+        throw new Error('任务不存在');
+      }
+
+      if (task.status === 'Running') {
+        throw new Error('任务正在执行中');
+      }
+
+      if (task.status === 'Queued') {
+        throw new Error('任务已在执行队列中');
+      }
+
+      if (task.status === 'Success') {
+        throw new Error('任务已成功完成');
+      }
+
+      // 上次执行留下的克隆实例先行释放，否则重新执行会覆盖实例ID导致其无人回收
+      if (task.target_instance_id && task.teardown_status !== 'Deleted') {
+        if (task.teardown_status === 'Retained') {
+          throw new Error('上次执行的克隆实例仍在保留中，请先释放后再执行');
+        }
+        if (task.teardown_status === 'Deleting') {
+          throw new Error('上次执行的克隆实例正在释放，请稍后再试');
+        }
+        await this.teardownClone(task, user);
+        if (task.teardown_status !== 'Deleted') {
+          throw new Error(`释放上次执行的克隆实例失败: ${task.teardown_error}`);
+        }
+      }
+
+      // 加入执行队列
+      await task.update({
+        status: 'Queued',
+        queued_at: new Date(),
+        requested_at: new Date(),
+        progress: 0,
+        current_phase: 'Pending',
+        retry_count: 0,
+        next_retry_at: null,
+        executed_by: user.id,
+        target_instance_id: null,
+        teardown_status: 'NotRequired',
+        teardown_attempts: 0,
+        teardown_error: null,
+        clone_expires_at: null
+      });
+
+      logger.info('恢复任务加入执行队列', {
+        taskId,
+        taskName: task.task_name,
+        priority: task.priority,
+        userId: user.id
+      });
+
+      await this.dispatchQueue();
+      await task.reload();
+
+      return {
+        message: task.status === 'Running' ? '恢复任务已开始执行' : '恢复任务已加入执行队列',
+        taskId,
+        status: task.status
+      };
+    } catch (error) {
+      logger.error('启动恢复任务失败', {
+        taskId,
+        error: error.message,
+        userId: user.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 调度执行队列
+   * 调度进行中时的新请求会在本轮结束后再执行一轮
+   */
+  async dispatchQueue() {
+    if (this.dispatching) {
+      this.redispatch = true;
+      return;
+    }
+
+    this.dispatching = true;
+    try {
+      do {
+        this.redispatch = false;
+
+        const { queued, running } = await this.loadQueueState();
+        const { dispatch } = planDispatch(queued, running, getQueueLimits());
+
+        // 调度可能由其他用户的请求触发，任务在其执行人的上下文中启动，变更记录不归属触发请求
+        for (const entry of dispatch) {
+          await runWithContext(
+            { user: this.getTaskUser(entry.task), traceId: crypto.randomUUID() },
+            () => this.startTask(entry.task)
+          );
+        }
+      } while (this.redispatch);
+    } catch (error) {
+      logger.error('调度执行队列失败', { error: error.message });
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * 加载排队与运行中的任务
+   * @returns {Promise} { queued, running } 队列条目
+   */
+  async loadQueueState() {
+    const [queuedTasks, runningTasks] = await Promise.all([
+      RecoveryTask.findAll({
+        where: { status: 'Queued' },
+        include: [
+          { association: 'rdsInstance' },
+          { association: 'executor' },
+          { association: 'creator' }
+        ]
+      }),
+      RecoveryTask.findAll({
+        where: { status: 'Running' },
+        attributes: ['id', 'source_instance_id', 'rds_instance_id', 'target_region'],
+        include: [{ association: 'rdsInstance', attributes: ['id', 'region'] }]
+      })
+    ]);
+
+    return {
+      queued: queuedTasks.map(task => this.toQueueEntry(task)),
+      running: runningTasks.map(task => this.toQueueEntry(task))
+    };
+  }
+
+  /**
+   * 转换为队列条目
+   * @param {Object} task 恢复任务
+   * @returns {Object} 队列条目
+   */
+  toQueueEntry(task) {
+    return {
+      id: task.id,
+      priority: task.priority,
+      scheduledAt: task.scheduled_at,
+      queuedAt: task.queued_at,
+      // 克隆实例占用目标地域的资源
+      region: task.target_region || task.rdsInstance?.region || 'unknown',
+      sourceInstanceId: task.source_instance_id,
+      notBefore: task.next_retry_at,
+      task
+    };
+  }
+
+  /**
+   * 任务的执行用户，未记录执行人时为创建人
+   * @param {Object} task 恢复任务
+   * @returns {Object} 用户
+   */
+  getTaskUser(task) {
+    return task.executor || task.creator || { id: null, username: 'system' };
+  }
+
+  /**
+   * 仅在任务仍处于指定状态时更新，确认更新到行后才推送任务事件
+   * @param {Object} task 恢复任务
+   * @param {String} fromStatus 期望的当前状态
+   * @param {Object} values 更新的字段
+   * @returns {Promise<Number>} 影响行数
+   */
+  async transitionTask(task, fromStatus, values) {
+    const [affected] = await RecoveryTask.update(values, {
+      where: { id: task.id, status: fromStatus }
+    });
+
+    if (affected > 0) {
+      taskEventService.publishUpdate(task.id, values);
+    }
+    return affected;
+  }
+
+  /**
+   * 启动排队中的任务
+   * @param {Object} task 恢复任务
+   * @returns {Promise<Boolean>} 是否启动成功
+   */
+  async startTask(task) {
+    const user = this.getTaskUser(task);
+
+    // 条件更新，避免同一任务被重复出队
+    const affected = await this.transitionTask(task, 'Queued', {
+      status: 'Running',
+      started_at: new Date(),
+      progress: 0,
+      current_phase: 'Pending'
+    });
+
+    if (!affected) {
+      return false;
+    }
+
+    await task.reload();
+
+    // 每次出队执行记为一次尝试
+    const attemptNumber = (task.attempt_count || 0) + 1;
+    await task.update({ attempt_count: attemptNumber, next_retry_at: null });
+    await RecoveryTaskAttempt.create({
+      task_id: task.id,
+      attempt_number: attemptNumber,
+      is_retry: (task.retry_count || 0) > 0,
+      status: 'Running',
+      started_at: task.started_at
+    });
+    await taskLogService.append(task, {
+      event: 'AttemptStarted',
+      message: `第 ${attemptNumber} 次执行开始`,
+      details: { priority: task.priority, isRetry: (task.retry_count || 0) > 0, executor: user.username || null }
+    });
+
+    // 添加到运行任务队列
+    this.runningTasks.set(task.id, {
+      task,
+      startTime: Date.now(),
+      user
+    });
+
+    // 异步执行恢复流程，结束后释放并发名额
+    this.performRecovery(task, user)
+      .catch(error => {
+        logger.error('恢复任务执行失败', {
+          taskId: task.id,
+          error: error.message
+        });
+      })
+      .finally(() => this.dispatchQueue());
+
+    logger.info('恢复任务开始执行', {
+      taskId: task.id,
+      taskName: task.task_name,
+      priority: task.priority,
+      userId: user.id
+    });
+
+    return true;
+  }
+
+  /**
+   * 获取执行队列状态
+   * @returns {Promise} 并发限制、运行中统计与排队任务
+   */
+  async getQueueStatus() {
+    const limits = getQueueLimits();
+    const { queued, running } = await this.loadQueueState();
+    const { blocked } = planDispatch(queued, running, limits);
+
+    const byRegion = {};
+    const bySource = {};
+    running.forEach(entry => {
+      byRegion[entry.region] = (byRegion[entry.region] || 0) + 1;
+      bySource[entry.sourceInstanceId] = (bySource[entry.sourceInstanceId] || 0) + 1;
+    });
+
+    const blockedReasons = new Map(blocked.map(item => [item.entry.id, item.reason]));
+
+    return {
+      limits,
+      running: {
+        total: running.length,
+        byRegion,
+        bySource
+      },
+      queued: sortQueue(queued).map((entry, index) => ({
+        position: index + 1,
+        id: entry.id,
+        taskName: entry.task.task_name,
+        priority: entry.priority,
+        scheduledAt: entry.scheduledAt,
+        queuedAt: entry.queuedAt,
+        region: entry.region,
+        sourceInstanceId: entry.sourceInstanceId,
+        blockedBy: blockedReasons.get(entry.id) || null
+      }))
+    };
+  }
+
+  /**
+   * 执行恢复流程
+   * 按阶段推进并持久化：采集源快照 → 请求克隆 → 实例就绪 → 数据验证 → 释放克隆实例
+   * 已完成的阶段在重启恢复时会被跳过
+   * @param {Object} task 恢复任务
+   * @param {Object} user 执行用户
+   * @param {Object} options 选项 { resumed: 是否为重启后恢复执行, cloudState: 恢复时的云端状态 }
+   */
+  async performRecovery(task, user, options = {}) {
+    const { resumed = false, cloudState } = options;
+    let step = null;
+
+    try {
+      const rds = await this.rdsFor(task);
+      const targetRds = await this.rdsFor(task, { target: true });
+      const startTime = task.started_at ? new Date(task.started_at).getTime() : Date.now();
+
+      // 对比模式：在克隆前采集源实例结构快照，尽量贴近备份点
+      if (task.config?.comparison?.enabled && !task.source_snapshot) {
+        step = await this.enterPhase(task, 'SnapshotSource', {}, resumed);
+        await this.updateTaskProgress(task.id, 10, '正在采集源实例结构快照...');
+        await this.captureSourceSnapshot(task);
+        await this.completePhase(task, step);
+      }
+
+      // 步骤1: 创建克隆实例 (20%)
+      if (!(this.hasReachedPhase(task, 'CloneRequested') && task.target_instance_id)) {
+        step = await this.enterPhase(task, 'CloneRequested', {}, resumed);
+        await this.updateTaskProgress(task.id, 20, '正在创建克隆实例...');
+
+        if (task.restore_type === 'PointInTime') {
+          await this.assertRestoreTimeRecoverable(task);
+        }
+
+        const cloneResult = await rds.cloneInstance({
+          sourceInstanceId: task.source_instance_id,
+          targetRegionId: task.target_region || undefined,
+          engine: task.rdsInstance?.engine,
+          engineVersion: task.rdsInstance?.engine_version,
+          targetInstanceName: task.target_instance_name,
+          backupId: task.backup_id,
+          restoreTime: task.restore_time,
+          restoreType: task.restore_type,
+          instanceClass: task.config?.instanceClass || 'mysql.n1.micro.1',
+          storageSize: task.config?.storageSize || 20,
+          ...(task.config?.targetNetwork || {})
+        });
+
+        // 克隆请求返回后立即保存目标实例ID；保存失败时回收器找不到该实例，直接释放
+        try {
+          await task.update({
+            target_instance_id: cloneResult.taskId,
+            progress: 40
+          });
+        } catch (error) {
+          logger.error('保存克隆实例ID失败，释放该克隆实例', {
+            taskId: task.id,
+            targetInstanceId: cloneResult.taskId,
+            error: error.message
+          });
+          await targetRds.deleteInstance(cloneResult.taskId).catch(deleteError => {
+            logger.error('释放未记录的克隆实例失败，需人工清理', {
+              taskId: task.id,
+              targetInstanceId: cloneResult.taskId,
+              error: deleteError.message
+            });
+          });
+          throw error;
+        }
+        await taskLogService.append(task, {
+          event: 'CloudRequest',
+          message: `已请求创建克隆实例 ${cloneResult.taskId}`,
+          requestId: cloneResult.requestId,
+          details: {
+            action: task.target_region ? 'CreateDdrInstance' : 'CloneDBInstance',
+            ...cloneResult,
+            restoreType: task.restore_type,
+            backupId: task.backup_id,
+            restoreTime: task.restore_time,
+            consistencyPoint: task.consistency_point,
+            targetRegion: task.target_region
+          }
+        });
+        await this.completePhase(task, step, cloneResult);
+      }
+
+      // 步骤2: 等待实例创建完成 (40% - 70%)
+      step = await this.enterPhase(task, 'InstanceReady', { targetInstanceId: task.target_instance_id, cloudState }, resumed);
+      const instance = await this.waitForInstanceReady(task.target_instance_id, task.id, targetRds);
+      await this.completePhase(task, step, { instanceStatus: instance.dbInstanceStatus });
+
+      // 步骤3: 验证数据完整性 (70% - 90%)
+      step = await this.enterPhase(task, 'Verifying', {}, resumed);
+      await this.updateTaskProgress(task.id, 70, '正在验证数据完整性...');
+      
+      const validationResult = await this.validateRecoveredData(task);
+      await taskLogService.append(task, {
+        event: 'Verification',
+        message: '数据验证通过',
+        details: validationResult
+      });
+      await this.completePhase(task, step, { success: validationResult.success });
+
+      // 步骤4: 完成任务 (100%)
+      const endTime = Date.now();
+      const duration = Math.floor((endTime - startTime) / 1000);
+      const sla = await this.measureSla(task);
+
+      // 条件更新，验证期间被取消或判定超时的任务不再改记为成功
+      const affected = await this.transitionTask(task, 'Running', {
+        status: 'Success',
+        progress: 100,
+        completed_at: new Date(),
+        duration_seconds: duration,
+        verification_status: 'Passed',
+        verification_result: validationResult,
+        ...sla
+      });
+
+      await task.reload();
+      if (!affected) {
+        const error = new Error(`任务已终止: ${task.status}`);
+        error.aborted = true;
+        throw error;
+      }
+
+      // 从运行队列中移除
+      this.runningTasks.delete(task.id);
+
+      // 记录审计日志
+      await logAudit({
+        userId: user.id,
+        username: user.username,
+        action: '执行恢复任务',
+        resourceType: 'RecoveryTask',
+        resourceId: task.id,
+        resourceName: task.task_name,
+        operationType: 'Execute',
+        status: 'Success',
+        description: `恢复任务执行成功，耗时 ${duration} 秒`,
+        riskLevel: 'Medium'
+      });
+
+      await this.finishAttempt(task, 'Success');
+      await taskLogService.append(task, {
+        event: 'TaskSucceeded',
+        message: `恢复任务执行成功，耗时 ${duration} 秒`,
+        details: {
+          durationSeconds: duration,
+          slaStatus: sla.sla_status || null,
+          achievedRtoSeconds: sla.achieved_rto_seconds ?? null,
+          achievedRpoSeconds: sla.achieved_rpo_seconds ?? null
+        }
+      });
+
+      logger.info('恢复任务执行成功', {
+        taskId: task.id,
+        duration,
+        attempt: task.attempt_count,
+        targetInstanceId: task.target_instance_id
+      });
+
+      // 按保留策略释放克隆实例
+      await this.finishWithTeardown(task);
+
+    } catch (error) {
+      if (step) {
+        await step.update({
+          status: 'Failed',
+          completed_at: new Date(),
+          error_message: error.message
+        }).catch(() => {});
+      }
+
+      if (error.verificationResult) {
+        await taskLogService.append(task, {
+          level: 'Error',
+          event: 'Verification',
+          message: error.message,
+          details: error.verificationResult
+        });
+      }
+
+      this.runningTasks.delete(task.id);
+
+      // 任务已被取消或判定超时，状态由对应流程维护
+      if (error.aborted) {
+        await this.handleAbortedTask(task, error);
+        return;
+      }
+
+      // 错误分类，可重试的错误按退避策略重新排队
+      const classification = classifyError(error);
+      const retry = this.planRetry(task, classification);
+
+      await taskLogService.append(task, {
+        level: 'Error',
+        event: 'PhaseFailed',
+        phase: step?.phase,
+        message: error.message,
+        requestId: error.requestId,
+        details: { errorCode: classification.code, errorCategory: classification.category, retryable: classification.retryable }
+      });
+
+      await this.finishAttempt(task, 'Failed', {
+        error_message: error.message,
+        error_code: classification.code,
+        error_category: classification.category,
+        next_retry_at: retry ? retry.nextRetryAt : null
+      });
+
+      try {
+        if (retry && await this.scheduleRetry(task, user, error, classification, retry)) {
+          return;
+        }
+      } catch (retryError) {
+        if (retryError.aborted) {
+          await this.handleAbortedTask(task, retryError);
+          return;
+        }
+        throw retryError;
+      }
+
+      // 任务失败处理，执行期间被取消或判定超时的任务保持原状态
+      const affected = await this.transitionTask(task, 'Running', {
+        status: 'Failed',
+        completed_at: new Date(),
+        error_message: error.message,
+        error_category: classification.category,
+        next_retry_at: null,
+        verification_status: 'Failed',
+        ...(error.verificationResult ? { verification_result: error.verificationResult } : {})
+      });
+
+      await task.reload();
+      if (!affected) {
+        const abortError = new Error(`任务已终止: ${task.status}`);
+        abortError.aborted = true;
+        await this.handleAbortedTask(task, abortError);
+        return;
+      }
+
+      await taskLogService.append(task, {
+        level: 'Error',
+        event: 'TaskFailed',
+        message: `恢复任务执行失败(第 ${task.attempt_count} 次尝试，${classification.category}): ${error.message}`
+      });
+
+      // 记录审计日志
+      await logAudit({
+        userId: user.id,
+        username: user.username,
+        action: '执行恢复任务',
+        resourceType: 'RecoveryTask',
+        resourceId: task.id,
+        resourceName: task.task_name,
+        operationType: 'Execute',
+        status: 'Failed',
+        description: `恢复任务执行失败(第 ${task.attempt_count} 次尝试，${classification.category}): ${error.message}`,
+        riskLevel: 'High'
+      });
+
+      logger.error('恢复任务执行失败', {
+        taskId: task.id,
+        attempt: task.attempt_count,
+        errorCategory: classification.category,
+        error: error.message
+      });
+
+      // 失败任务若已创建克隆实例，同样需要释放
+      await this.finishWithTeardown(task);
+
+      throw error;
+    }
+  }
+
+  /**
+   * 计算是否重试及下次重试时间
+   * @param {Object} task 恢复任务
+   * @param {Object} classification 错误分类
+   * @returns {Object|null} { retryNumber, delaySeconds, nextRetryAt }，不重试时为 null
+   */
+  planRetry(task, classification) {
+    if (!classification.retryable) {
+      return null;
+    }
+
+    const policy = normalizeRetryPolicy(task.retry_policy);
+    const retryNumber = (task.retry_count || 0) + 1;
+
+    // maxAttempts 包含首次执行
+    if (retryNumber >= policy.maxAttempts) {
+      return null;
+    }
+
+    const delaySeconds = computeBackoffSeconds(policy, retryNumber);
+
+    return {
+      retryNumber,
+      delaySeconds,
+      nextRetryAt: new Date(Date.now() + delaySeconds * 1000)
+    };
+  }
+
+  /**
+   * 将失败任务重新排队等待重试
+   * 本次尝试创建的克隆实例先行释放，释放失败时不再重试，交由回收器处理
+   * @param {Object} task 恢复任务
+   * @param {Object} user 执行用户
+   * @param {Error} error 失败原因
+   * @param {Object} classification 错误分类
+   * @param {Object} retry 重试计划
+   * @returns {Promise<Boolean>} 是否已安排重试；任务已不在运行状态时抛出 aborted 错误
+   */
+  async scheduleRetry(task, user, error, classification, retry) {
+    if (task.target_instance_id) {
+      await this.teardownClone(task);
+      if (task.teardown_status !== 'Deleted') {
+        return false;
+      }
+    }
+
+    // 日志归属失败的这次尝试，在重置阶段前记录
+    await taskLogService.append(task, {
+      level: 'Warn',
+      event: 'RetryScheduled',
+      message: `将在 ${retry.delaySeconds} 秒后第 ${retry.retryNumber} 次重试`,
+      details: { retryNumber: retry.retryNumber, delaySeconds: retry.delaySeconds, nextRetryAt: retry.nextRetryAt, errorCode: classification.code }
+    });
+
+    // 仅在任务仍处于运行状态时重新排队，避免已取消或超时的任务再次执行
+    const affected = await this.transitionTask(task, 'Running', {
+      status: 'Queued',
+      queued_at: new Date(),
+      next_retry_at: retry.nextRetryAt,
+      retry_count: retry.retryNumber,
+      progress: 0,
+      current_phase: 'Pending',
+      error_message: error.message,
+      error_category: classification.category,
+      target_instance_id: null,
+      teardown_status: 'NotRequired',
+      teardown_attempts: 0,
+      teardown_error: null,
+      clone_expires_at: null,
+      verification_status: 'Pending'
+    });
+
+    await task.reload();
+    if (!affected) {
+      const abortError = new Error(`任务已终止: ${task.status}`);
+      abortError.aborted = true;
+      throw abortError;
+    }
+
+    await logAudit({
+      userId: user.id,
+      username: user.username,
+      action: '恢复任务自动重试',
+      resourceType: 'RecoveryTask',
+      resourceId: task.id,
+      resourceName: task.task_name,
+      operationType: 'Execute',
+      status: 'Failed',
+      description: `第 ${task.attempt_count} 次尝试失败(${classification.code || classification.reason})，将在 ${retry.delaySeconds} 秒后重试: ${error.message}`,
+      riskLevel: 'Medium'
+    });
+
+    logger.warn('恢复任务将自动重试', {
+      taskId: task.id,
+      attempt: task.attempt_count,
+      retryNumber: retry.retryNumber,
+      nextRetryAt: retry.nextRetryAt,
+      errorCode: classification.code,
+      error: error.message
+    });
+
+    return true;
+  }
+
+  /**
+   * 结束当前执行尝试
+   * @param {Object} task 恢复任务
+   * @param {String} status 尝试结果
+   * @param {Object} fields 附加字段
+   * @returns {Promise} 尝试记录
+   */
+  async finishAttempt(task, status, fields = {}) {
+    try {
+      const attempt = await RecoveryTaskAttempt.findOne({
+        where: { task_id: task.id, attempt_number: task.attempt_count }
+      });
+
+      if (!attempt || attempt.status !== 'Running') {
+        return null;
+      }
+
+      const completedAt = new Date();
+      await attempt.update({
+        status,
+        completed_at: completedAt,
+        duration_seconds: Math.floor((completedAt - new Date(attempt.started_at)) / 1000),
+        target_instance_id: task.target_instance_id,
+        ...fields
+      });
+
+      return attempt;
+    } catch (error) {
+      logger.error('更新执行尝试记录失败', {
+        taskId: task.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 判断任务是否已进入指定阶段
+   * @param {Object} task 恢复任务
+   * @param {String} phase 阶段
+   * @returns {Boolean}
+   */
+  hasReachedPhase(task, phase) {
+    return TASK_PHASES.indexOf(task.current_phase) >= TASK_PHASES.indexOf(phase);
+  }
+
+  /**
+   * 进入执行阶段并持久化
+   * 进入前检查任务是否仍在运行，已被取消或超时的任务不再继续
+   * @param {Object} task 恢复任务
+   * @param {String} phase 阶段
+   * @param {Object} details 阶段详情
+   * @param {Boolean} resumed 是否为重启后恢复执行
+   * @returns {Promise} 阶段记录
+   */
+  async enterPhase(task, phase, details = {}, resumed = false) {
+    await this.assertStillRunning(task.id);
+
+    await task.update({ current_phase: phase });
+    await taskLogService.append(task, {
+      event: 'PhaseStarted',
+      message: resumed ? `服务重启后继续阶段 ${phase}` : `进入阶段 ${phase}`,
+      details: Object.keys(details).length > 0 ? details : null
+    });
+
+    return RecoveryTaskStep.create({
+      task_id: task.id,
+      phase,
+      status: 'Running',
+      started_at: new Date(),
+      details,
+      resumed
+    });
+  }
+
+  /**
+   * 计算任务实际达成的RTO/RPO并对照实例目标评估
+   * 计算失败不影响任务结果
+   * @param {Object} task 恢复任务
+   * @returns {Promise} 待更新的SLA字段
+   */
+  async measureSla(task) {
+    try {
+      const [steps, rdsInstance] = await Promise.all([
+        RecoveryTaskStep.findAll({ where: { task_id: task.id } }),
+        RDSInstance.findByPk(task.rds_instance_id)
+      ]);
+
+      const measurement = measureRecovery(task, steps);
+      const evaluation = evaluateSla(measurement, getSlaTargets(rdsInstance));
+
+      if (evaluation.status === 'Breached') {
+        logger.warn('恢复任务未达到RTO/RPO目标', {
+          taskId: task.id,
+          achievedRtoSeconds: measurement.achievedRtoSeconds,
+          achievedRpoSeconds: measurement.achievedRpoSeconds,
+          targetRtoMinutes: evaluation.targetRtoMinutes,
+          targetRpoMinutes: evaluation.targetRpoMinutes
+        });
+      }
+
+      return {
+        achieved_rto_seconds: measurement.achievedRtoSeconds,
+        achieved_rpo_seconds: measurement.achievedRpoSeconds,
+        rto_breakdown: measurement.rtoBreakdown,
+        sla_status: evaluation.status,
+        sla_result: evaluation
+      };
+    } catch (error) {
+      logger.error('计算恢复任务RTO/RPO失败', {
+        taskId: task.id,
+        error: error.message
+      });
+      return {};
+    }
+  }
+
+  /**
+   * 完成执行阶段
+   * @param {Object} task 恢复任务
+   * @param {Object} step 阶段记录
+   * @param {Object} details 补充详情
+   */
+  async completePhase(task, step, details = {}) {
+    await step.update({
+      status: 'Completed',
+      completed_at: new Date(),
+      details: { ...step.details, ...details }
+    });
+    await taskLogService.append(task, {
+      event: 'PhaseCompleted',
+      phase: step.phase,
+      message: `阶段 ${step.phase} 完成`,
+      details: Object.keys(details).length > 0 ? details : null
+    });
+  }
+
+  /**
+   * 处理执行期间被取消或判定超时的任务
+   * 任务状态由取消或超时流程维护，这里只记录日志并安排释放克隆实例
+   * @param {Object} task 恢复任务
+   * @param {Error} error 终止原因
+   */
+  async handleAbortedTask(task, error) {
+    await taskLogService.append(task, {
+      level: 'Warn',
+      event: 'TaskAborted',
+      message: `恢复任务已终止执行: ${error.message}`
+    });
+    logger.warn('恢复任务已终止执行', {
+      taskId: task.id,
+      reason: error.message
+    });
+    if (task.target_instance_id && task.teardown_status === 'NotRequired') {
+      await this.scheduleTeardown(task);
+    }
+  }
+
+  /**
+   * 检查任务是否仍处于运行状态
+   * @param {String} taskId 任务ID
+   */
+  async assertStillRunning(taskId) {
+    const current = await RecoveryTask.findByPk(taskId, { attributes: ['id', 'status'] });
+    if (!current || current.status !== 'Running') {
+      const error = new Error(`任务已终止: ${current?.status || '已删除'}`);
+      error.aborted = true;
+      throw error;
+    }
+  }
+
+  /**
+   * 进入释放阶段并按保留策略处理克隆实例，最后标记流程结束
+   * @param {Object} task 恢复任务
+   */
+  async finishWithTeardown(task) {
+    try {
+      await task.update({ current_phase: 'Teardown' });
+      const step = await RecoveryTaskStep.create({
+        task_id: task.id,
+        phase: 'Teardown',
+        status: 'Running',
+        started_at: new Date()
+      });
+
+      await this.scheduleTeardown(task);
+
+      await this.completePhase(task, step, { teardownStatus: task.teardown_status });
+      await task.update({ current_phase: 'Completed' });
+    } catch (error) {
+      logger.error('克隆实例释放阶段失败', {
+        taskId: task.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 解析克隆实例保留策略，任务配置优先于RDS实例配置
+   * @param {Object} task 恢复任务
+   * @returns {Object} { policy, hours }
+   */
+  resolveRetentionPolicy(task) {
+    return {
+      policy: task.clone_retention_policy || task.rdsInstance?.clone_retention_policy || 'Immediate',
+      hours: task.clone_retention_hours ?? task.rdsInstance?.clone_retention_hours ?? 24
+    };
+  }
+
+  /**
+   * 按保留策略安排克隆实例释放
+   * Immediate 立即删除；KeepHours 到期后由回收器删除；Manual 保留至手动释放
+   * @param {Object} task 恢复任务
+   */
+  async scheduleTeardown(task) {
+    try {
+      if (!task.target_instance_id) {
+        await task.update({ teardown_status: 'NotRequired' });
+        return;
+      }
+
+      const { policy, hours } = this.resolveRetentionPolicy(task);
+
+      if (policy === 'Manual') {
+        await task.update({ teardown_status: 'Retained', clone_expires_at: null });
+        return;
+      }
+
+      const expiresAt = policy === 'KeepHours'
+        ? new Date(Date.now() + hours * 60 * 60 * 1000)
+        : new Date();
+
+      await task.update({ teardown_status: 'Pending', clone_expires_at: expiresAt });
+
+      if (policy === 'Immediate') {
+        await this.teardownClone(task);
+      }
+    } catch (error) {
+      logger.error('安排克隆实例释放失败', {
+        taskId: task.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 删除克隆实例并记录审计日志
+   * 删除失败时任务进入 teardown_status=Failed，由回收器重试
+   * @param {Object} task 恢复任务
+   * @param {Object} user 操作用户，为空时视为系统回收
+   */
+  async teardownClone(task, user) {
+    const instanceId = task.target_instance_id;
+
+    await task.update({
+      teardown_status: 'Deleting',
+      teardown_attempts: (task.teardown_attempts || 0) + 1
+    });
+
+    try {
+      const rds = await this.rdsFor(task, { target: true });
+      const deleteResult = await rds.deleteInstance(instanceId);
+
+      await task.update({
+        teardown_status: 'Deleted',
+        teardown_error: null,
+        torn_down_at: new Date()
+      });
+      await taskLogService.append(task, {
+        event: 'CloudRequest',
+        phase: 'Teardown',
+        message: `已删除克隆实例 ${instanceId}`,
+        requestId: deleteResult?.requestId,
+        details: { action: 'DeleteDBInstance', instanceId, releasedBy: user?.username || 'system' }
+      });
+
+      await logAudit({
+        userId: user?.id,
+        username: user?.username,
+        action: '释放克隆实例',
+        resourceType: 'RecoveryTask',
+        resourceId: task.id,
+        resourceName: task.task_name,
+        operationType: 'Delete',
+        status: 'Success',
+        description: `已删除克隆实例 ${instanceId}`,
+        riskLevel: 'Medium'
+      });
+
+      logger.info('克隆实例已释放', { taskId: task.id, instanceId });
+    } catch (error) {
+      await task.update({
+        teardown_status: 'Failed',
+        teardown_error: error.message
+      });
+      await taskLogService.append(task, {
+        level: 'Error',
+        event: 'CloudRequest',
+        phase: 'Teardown',
+        message: `删除克隆实例 ${instanceId} 失败: ${error.message}`,
+        requestId: error.requestId,
+        details: { action: 'DeleteDBInstance', instanceId, attempts: task.teardown_attempts }
+      });
+
+      await logAudit({
+        userId: user?.id,
+        username: user?.username,
+        action: '释放克隆实例',
+        resourceType: 'RecoveryTask',
+        resourceId: task.id,
+        resourceName: task.task_name,
+        operationType: 'Delete',
+        status: 'Failed',
+        description: `删除克隆实例 ${instanceId} 失败: ${error.message}`,
+        riskLevel: 'High'
+      });
+
+      logger.error('克隆实例释放失败', {
+        taskId: task.id,
+        instanceId,
+        attempts: task.teardown_attempts,
+        error: error.message
+      });
+    }
+
+    return task;
+  }
+
+  /**
+   * 回收到期的克隆实例
+   * 处理到期待释放和此前释放失败的任务，超过最大重试次数后保持 Failed 等待人工处理
+   */
+  async reapCloneInstances() {
+    try {
+      const { Op } = require('sequelize');
+      const maxAttempts = parseInt(process.env.CLONE_TEARDOWN_MAX_ATTEMPTS) || 5;
+
+      const tasks = await RecoveryTask.findAll({
+        where: {
+          teardown_status: ['Pending', 'Failed'],
+          target_instance_id: { [Op.ne]: null },
+          clone_expires_at: { [Op.lte]: new Date() },
+          teardown_attempts: { [Op.lt]: maxAttempts }
+        }
+      });
+
+      for (const task of tasks) {
+        await this.teardownClone(task);
+      }
+
+      if (tasks.length > 0) {
+        logger.info('克隆实例回收完成', { count: tasks.length });
+      }
+    } catch (error) {
+      logger.error('回收克隆实例失败', { error: error.message });
+    }
+  }
+
+  /**
+   * 手动释放保留中的克隆实例
+   * @param {String} taskId 任务ID
+   * @param {Object} user 操作用户
+   * @returns {Promise} 更新后的任务
+   */
+  async releaseClone(taskId, user) {
+    const task = await RecoveryTask.findByPk(taskId);
+
+    if (!task) {
+      throw new Error('任务不存在');
+    }
+
+    if (!task.target_instance_id) {
+      throw new Error('任务没有关联的克隆实例');
+    }
+
+    if (!['Retained', 'Pending', 'Failed'].includes(task.teardown_status)) {
+      throw new Error('克隆实例当前状态不允许释放');
+    }
+
+    await task.update({ clone_expires_at: new Date() });
+
+    return this.teardownClone(task, user);
+  }
+
+  /**
+   * 更新任务进度，进度说明随进度保存并推送给任务事件订阅者
+   * @param {String} taskId 任务ID
+   * @param {Number} progress 进度百分比
+   * @param {String} status 状态描述
+   * @param {Object} options { log: 是否写入任务执行日志，默认写入 }
+   */
+  async updateTaskProgress(taskId, progress, status, options = {}) {
+    try {
+      await RecoveryTask.update(
+        { progress, progress_message: status ? String(status).slice(0, 500) : null },
+        { where: { id: taskId } }
+      );
+
+      if (status && options.log !== false) {
+        // 运行中的任务取执行队列中的记录，以带上当前尝试与阶段
+        await taskLogService.append(this.runningTasks.get(taskId)?.task || { id: taskId }, {
+          event: 'Progress',
+          message: status,
+          details: { progress }
+        });
+      }
+
+      logger.info('任务进度更新', {
+        taskId,
+        progress,
+        status
+      });
+    } catch (error) {
+      logger.error('更新任务进度失败', {
+        taskId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * 查询克隆实例的云端任务，查询失败不影响等待实例就绪
+   * @param {Object} rds 实例所属提供方的RDS服务
+   * @param {String} instanceId 实例ID
+   * @returns {Promise} 云端任务，无任务或查询失败时为 null
+   */
+  async getCloudTask(rds, instanceId) {
+    try {
+      return await rds.getTaskStatus(instanceId);
+    } catch (error) {
+      logger.warn('查询克隆实例云端任务失败', { instanceId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 等待实例准备就绪
+   * 实例状态或云端任务状态变化时写入任务执行日志，未变化的轮询只更新进度
+   * @param {String} instanceId 实例ID
+   * @param {String} taskId 任务ID
+   * @param {Object} rds 实例所属提供方的RDS服务
+   */
+  async waitForInstanceReady(instanceId, taskId, rds = rdsService) {
+    const maxWaitTime = 30 * 60 * 1000; // 30分钟
+    const checkInterval = (parseInt(process.env.RECOVERY_INSTANCE_POLL_SECONDS) || 30) * 1000;
+    const startTime = Date.now();
+    let lastInstanceStatus = null;
+    let lastCloudTaskState = null;
+
+    return new Promise((resolve, reject) => {
+      const checkStatus = async () => {
+        try {
+          if (Date.now() - startTime > maxWaitTime) {
+            reject(new Error('等待实例创建超时'));
+            return;
+          }
+
+          // 任务已被取消或判定超时时停止等待
+          await this.assertStillRunning(taskId);
+
+          const instance = await rds.getInstance(instanceId);
+          const progress = Math.min(40 + Math.floor((Date.now() - startTime) / (maxWaitTime / 30)), 70);
+          const instanceStatus = instance?.dbInstanceStatus || 'Unknown';
+
+          await this.updateTaskProgress(taskId, progress, `实例状态: ${instanceStatus}`, {
+            log: instanceStatus !== lastInstanceStatus
+          });
+          lastInstanceStatus = instanceStatus;
+
+          const cloudTask = await this.getCloudTask(rds, instanceId);
+          const cloudTaskState = cloudTask ? `${cloudTask.taskId}|${cloudTask.status}|${cloudTask.progress ?? ''}` : null;
+          if (cloudTask && cloudTaskState !== lastCloudTaskState) {
+            await taskLogService.append(this.runningTasks.get(taskId)?.task || { id: taskId }, {
+              event: 'CloudTaskStatus',
+              message: `云端任务 ${cloudTask.taskAction || cloudTask.taskId} 状态: ${cloudTask.status}` +
+                (cloudTask.progress !== undefined && cloudTask.progress !== null ? ` (${cloudTask.progress}%)` : ''),
+              requestId: cloudTask.requestId,
+              details: cloudTask
+            });
+          }
+          lastCloudTaskState = cloudTaskState;
+
+          if (instance && instance.dbInstanceStatus === 'Running') {
+            resolve(instance);
+          } else {
+            setTimeout(checkStatus, checkInterval);
+          }
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      checkStatus();
+    });
+  }
+
+  /**
+   * 验证恢复的数据
+   * @param {Object} task 恢复任务
+   * @returns {Promise} 验证结果
+   */
+  async validateRecoveredData(task) {
+    try {
+      // 获取目标实例信息
+      const rds = await this.rdsFor(task, { target: true });
+      const targetInstance = await rds.getInstance(task.target_instance_id);
+      
+      if (!targetInstance) {
+        throw new Error('无法获取目标实例信息');
+      }
+
+      const connectionInfo = this.buildConnectionInfo(task, targetInstance);
+
+      // 实际登录恢复实例，确认数据库可用
+      const connectionResult = await rds.validateConnection(connectionInfo);
+
+      if (!connectionResult.success) {
+        const error = new Error(`恢复实例连接验证失败[${connectionResult.errorType}]: ${connectionResult.message}`);
+        error.verificationResult = { connection: connectionResult };
+        throw error;
+      }
+
+      await this.updateTaskProgress(task.id, 75, '恢复实例连接验证通过');
+
+      // 执行数据验证规则
+      const validationResult = await rds.validateData({
+        instanceId: task.target_instance_id,
+        connectionInfo,
+        validationRules: task.config?.validationRules || [],
+        // 新鲜度等规则以恢复到的一致性时间点为基准，备份集恢复没有 restore_time
+        restoreTime: task.consistency_point || task.restore_time
+      });
+
+      await this.updateTaskProgress(task.id, 85, '数据验证完成');
+
+      const verificationResult = {
+        ...validationResult,
+        connection: connectionResult
+      };
+
+      // 对比模式：恢复实例结构与源实例快照比较
+      if (task.config?.comparison?.enabled) {
+        verificationResult.comparison = await this.compareWithSource(task, connectionInfo, targetInstance.schemaMap);
+      }
+
+      await this.updateTaskProgress(task.id, 90, '验证完成');
+
+      // 未执行任何验证规则且未做结构对比时，恢复数据未经确认，不能记为验证通过
+      const failures = [];
+      if (!validationResult.verified && !verificationResult.comparison) {
+        failures.push('未配置验证规则，恢复数据未经验证');
+      } else if (validationResult.verified && !validationResult.success) {
+        failures.push(`${validationResult.summary.failed} 条规则失败`);
+      }
+      if (verificationResult.comparison && !verificationResult.comparison.passed) {
+        failures.push('恢复实例与源实例结构不一致');
+      }
+
+      if (failures.length > 0) {
+        const error = new Error(`数据验证未通过: ${failures.join('，')}`);
+        error.verificationResult = verificationResult;
+        throw error;
+      }
+
+      return verificationResult;
+    } catch (error) {
+      logger.error('数据验证失败', {
+        taskId: task.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 采集源实例结构快照并保存到任务
+   * @param {Object} task 恢复任务（需包含 rdsInstance）
+   */
+  async captureSourceSnapshot(task) {
+    const connectionInfo = this.buildConnectionInfo(task, {
+      connectionString: task.rdsInstance?.connection_string,
+      port: task.rdsInstance?.port
+    });
+
+    if (!connectionInfo.host) {
+      throw new Error('源实例缺少连接地址，无法执行对比验证');
+    }
+
+    let connection;
+    try {
+      const rds = await this.rdsFor(task);
+      connection = await rds.openConnection(connectionInfo.engine, connectionInfo);
+      const snapshot = await schemaComparisonService.captureSnapshot(connection, {
+        schemas: task.config.comparison.schemas
+      });
+      await task.update({ source_snapshot: snapshot });
+      return snapshot;
+    } finally {
+      if (connection) {
+        await connection.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * 采集恢复实例结构并与源实例快照对比
+   * @param {Object} task 恢复任务
+   * @param {Object} connectionInfo 恢复实例连接信息
+   * @param {Object} schemaMap 源库名到恢复库名的映射，备份导入到其他库名时由提供方给出
+   * @returns {Promise} 对比结果
+   */
+  async compareWithSource(task, connectionInfo, schemaMap = {}) {
+    if (!task.source_snapshot) {
+      throw new Error('缺少源实例结构快照，无法执行对比验证');
+    }
+
+    const { schemas, rowCountTolerancePercent, driftTolerancePercentPerHour, driftTolerancePercent, ignoreTables } = task.config.comparison;
+
+    let connection;
+    try {
+      const rds = await this.rdsFor(task, { target: true });
+      connection = await rds.openConnection(connectionInfo.engine, connectionInfo);
+      const cloneSnapshot = await schemaComparisonService.captureSnapshot(connection, {
+        schemas,
+        renameSchemas: Object.fromEntries(Object.entries(schemaMap || {}).map(([source, clone]) => [clone, source]))
+      });
+      const comparison = schemaComparisonService.diffSnapshots(task.source_snapshot, cloneSnapshot, {
+        rowCountTolerancePercent,
+        driftTolerancePercentPerHour,
+        driftTolerancePercent,
+        // 恢复实例还原到一致性时间点，源快照采集于执行时
+        consistencyPoint: task.consistency_point,
+        ignoreTables
+      });
+
+      logger.info('源实例与恢复实例结构对比完成', {
+        taskId: task.id,
+        passed: comparison.passed,
+        missingTables: comparison.missingTables.length,
+        columnTypeChanges: comparison.columnTypeChanges.length,
+        rowCountDeltas: comparison.rowCountDeltas.length,
+        snapshotDriftSeconds: comparison.snapshotDrift?.driftSeconds || 0
+      });
+
+      return comparison;
+    } finally {
+      if (connection) {
+        await connection.close().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * 获取任务源实例所属提供方、账号的RDS服务
+   * @param {Object} task 恢复任务
+   * @param {Object} options { target: 为克隆实例所在的目标地域 }
+   * @returns {Promise} RDS服务
+   */
+  async rdsFor(task, options = {}) {
+    const rdsInstance = task.rdsInstance || (task.rds_instance_id ? await RDSInstance.findByPk(task.rds_instance_id) : null);
+    return rdsService.forInstance(rdsInstance, {
+      regionId: options.target ? task.target_region || undefined : undefined
+    });
+  }
+
+  /**
+   * 跨地域恢复的目标地域
+   * @param {String} targetRegion 请求的目标地域
+   * @param {Object} rdsInstance 源实例
+   * @returns {String|null} 与源实例同地域或未指定时为 null
+   */
+  getCrossRegion(targetRegion, rdsInstance) {
+    return targetRegion && targetRegion !== rdsInstance?.region ? targetRegion : null;
+  }
+
+  /**
+   * 去掉任务配置中的连接密码，兼容此前随任务或调度模板保存的配置
+   * @param {Object} config 任务配置
+   * @returns {Object} 不含连接密码的任务配置
+   */
+  withoutConnectionPassword(config) {
+    if (!config?.connection || !('password' in config.connection)) {
+      return config;
+    }
+    const { password, ...connection } = config.connection;
+    return { ...config, connection };
+  }
+
+  /**
+   * 构建实例的连接信息
+   * 账号默认取环境变量，用户名、库名和SSL可在任务配置 config.connection 中覆盖（克隆实例沿用源实例账号）；
+   * 密码只取环境变量，不读取任务配置；备份导入到其他库名时，按源库名配置的库名映射到恢复库
+   * @param {Object} task 恢复任务
+   * @param {Object} targetInstance 实例连接地址 { connectionString, port, dbName, schemaMap }
+   * @returns {Object} 连接信息
+   */
+  buildConnectionInfo(task, targetInstance) {
+    const connection = task.config?.connection || {};
+
+    return {
+      engine: task.rdsInstance?.engine || targetInstance.engine,
+      host: targetInstance.connectionString,
+      port: parseInt(targetInstance.port) || undefined,
+      username: connection.username || process.env.RECOVERY_DB_USER,
+      password: process.env.RECOVERY_DB_PASSWORD,
+      database: targetInstance.schemaMap?.[connection.database] || connection.database || targetInstance.dbName,
+      ssl: connection.ssl ?? process.env.RECOVERY_DB_SSL === 'true'
+    };
+  }
+
+  /**
+   * 处理计划任务
+   * 到期任务加入执行队列，由调度器按并发限制出队
+   */
+  async processScheduledTasks() {
+    try {
+      const now = new Date();
+      const scheduledTasks = await RecoveryTask.findAll({
+        where: {
+          status: 'Pending',
+          scheduled_at: {
+            [require('sequelize').Op.lte]: now
+          }
+        }
+      });
+
+      for (const task of scheduledTasks) {
+        try {
+          await task.update({
+            status: 'Queued',
+            queued_at: now,
+            requested_at: now,
+            progress: 0,
+            current_phase: 'Pending',
+            retry_count: 0,
+            next_retry_at: null,
+            executed_by: task.created_by
+          });
+          logger.info('计划任务加入执行队列', { taskId: task.id, priority: task.priority });
+        } catch (error) {
+          logger.error('计划任务加入执行队列失败', {
+            taskId: task.id,
+            error: error.message
+          });
+        }
+      }
+
+      if (scheduledTasks.length > 0) {
+        await this.dispatchQueue();
+      }
+    } catch (error) {
+      logger.error('处理计划任务失败', { error: error.message });
+    }
+  }
+
+  /**
+   * 检查运行中任务状态
+   * 以数据库中的开始时间为准，覆盖服务重启前启动的任务
+   */
+  async checkRunningTasks() {
+    const timeoutLimit = 2 * 60 * 60 * 1000; // 2小时超时
+
+    try {
+      const tasks = await RecoveryTask.findAll({
+        where: {
+          status: 'Running',
+          started_at: {
+            [require('sequelize').Op.lt]: new Date(Date.now() - timeoutLimit)
+          }
+        },
+        include: [{ association: 'rdsInstance' }]
+      });
+
+      for (const task of tasks) {
+        try {
+          const runningTime = Date.now() - new Date(task.started_at).getTime();
+
+          // 任务超时处理，查询后已结束或重新排队的任务保持原状态
+          const affected = await this.transitionTask(task, 'Running', {
+            status: 'Timeout',
+            completed_at: new Date(),
+            error_message: '任务执行超时'
+          });
+
+          if (!affected) {
+            logger.info('任务已不在运行状态，跳过超时处理', { taskId: task.id });
+            continue;
+          }
+
+          await task.reload();
+          await this.finishAttempt(task, 'Timeout', { error_message: '任务执行超时' });
+          await taskLogService.append(task, {
+            level: 'Error',
+            event: 'TaskTimeout',
+            message: `任务执行超过 ${Math.floor(runningTime / 60000)} 分钟，判定为超时`
+          });
+
+          this.runningTasks.delete(task.id);
+
+          // 已创建的克隆实例按保留策略释放
+          await this.scheduleTeardown(task);
+
+          logger.warn('任务执行超时', {
+            taskId: task.id,
+            runningTime: Math.floor(runningTime / 1000)
+          });
+        } catch (error) {
+          logger.error('检查运行任务状态失败', {
+            taskId: task.id,
+            error: error.message
+          });
+        }
+      }
+
+      if (tasks.length > 0) {
+        await this.dispatchQueue();
+      }
+    } catch (error) {
+      logger.error('检查运行任务状态失败', { error: error.message });
+    }
+  }
+
+  /**
+   * 恢复服务重启时中断的任务
+   * 以数据库记录的执行阶段为准，结合云端实例状态继续执行
+   */
+  async recoverInterruptedTasks() {
+    try {
+      // 释放过程中断的克隆实例交由回收器重新处理
+      await RecoveryTask.update(
+        { teardown_status: 'Pending' },
+        { where: { teardown_status: 'Deleting' } }
+      );
+
+      const tasks = await RecoveryTask.findAll({
+        where: { status: 'Running' },
+        include: [
+          { association: 'rdsInstance' },
+          { association: 'executor' },
+          { association: 'creator' }
+        ]
+      });
+
+      for (const task of tasks) {
+        if (this.runningTasks.has(task.id)) {
+          continue;
+        }
+
+        try {
+          await this.resumeTask(task);
+        } catch (error) {
+          logger.error('恢复中断任务失败', {
+            taskId: task.id,
+            error: error.message
+          });
+        }
+      }
+
+      if (tasks.length > 0) {
+        logger.info('中断任务检查完成', { count: tasks.length });
+      }
+
+      // 排队中的任务随数据库保留，重启后继续调度
+      await this.dispatchQueue();
+    } catch (error) {
+      logger.error('检查中断任务失败', { error: error.message });
+    }
+  }
+
+  /**
+   * 对账并继续执行单个中断的任务
+   * @param {Object} task 恢复任务
+   */
+  async resumeTask(task) {
+    const user = this.getTaskUser(task);
+    let cloudState = null;
+
+    // 已请求克隆的任务需先确认云端实例状态，避免重复创建
+    if (task.target_instance_id && this.hasReachedPhase(task, 'CloneRequested')) {
+      const rds = await this.rdsFor(task, { target: true });
+      let instance = null;
+      try {
+        instance = await rds.getInstance(task.target_instance_id);
+      } catch (error) {
+        if (!/NotFound/i.test(error.message)) {
+          throw error;
+        }
+      }
+
+      const cloudTask = await rds.getTaskStatus(task.target_instance_id).catch(() => null);
+      cloudState = {
+        instanceStatus: instance?.dbInstanceStatus || null,
+        cloudTask
+      };
+
+      if (!instance) {
+        await task.update({
+          status: 'Failed',
+          completed_at: new Date(),
+          error_message: '服务重启后未找到克隆实例，任务无法继续',
+          error_category: 'Permanent',
+          verification_status: 'Failed'
+        });
+        await this.finishAttempt(task, 'Failed', {
+          error_message: '服务重启后未找到克隆实例',
+          error_category: 'Permanent'
+        });
+
+        await RecoveryTaskStep.create({
+          task_id: task.id,
+          phase: task.current_phase === 'Pending' ? 'CloneRequested' : task.current_phase,
+          status: 'Failed',
+          started_at: new Date(),
+          completed_at: new Date(),
+          details: { cloudState },
+          error_message: '克隆实例不存在',
+          resumed: true
+        });
+        await taskLogService.append(task, {
+          level: 'Error',
+          event: 'TaskFailed',
+          message: `服务重启后未找到克隆实例 ${task.target_instance_id}，任务无法继续`,
+          requestId: cloudState.cloudTask?.requestId,
+          details: { cloudState }
+        });
+
+        await logAudit({
+          userId: user.id,
+          username: user.username,
+          action: '恢复中断任务',
+          resourceType: 'RecoveryTask',
+          resourceId: task.id,
+          resourceName: task.task_name,
+          operationType: 'Execute',
+          status: 'Failed',
+          description: `服务重启后未找到克隆实例 ${task.target_instance_id}，任务标记为失败`,
+          riskLevel: 'High'
+        });
+        return;
+      }
+    }
+
+    this.runningTasks.set(task.id, {
+      task,
+      startTime: new Date(task.started_at || Date.now()).getTime(),
+      user
+    });
+
+    await logAudit({
+      userId: user.id,
+      username: user.username,
+      action: '恢复中断任务',
+      resourceType: 'RecoveryTask',
+      resourceId: task.id,
+      resourceName: task.task_name,
+      operationType: 'Execute',
+      status: 'Success',
+      description: `服务重启后从阶段 ${task.current_phase} 继续执行恢复任务`,
+      riskLevel: 'Medium'
+    });
+    await taskLogService.append(task, {
+      level: 'Warn',
+      event: 'TaskResumed',
+      message: `服务重启后从阶段 ${task.current_phase} 继续执行`,
+      requestId: cloudState?.cloudTask?.requestId,
+      details: cloudState ? { cloudState } : null
+    });
+
+    logger.info('继续执行中断的恢复任务', {
+      taskId: task.id,
+      phase: task.current_phase,
+      cloudState
+    });
+
+    this.performRecovery(task, user, { resumed: true, cloudState })
+      .catch(error => {
+        logger.error('恢复任务执行失败', {
+          taskId: task.id,
+          error: error.message
+        });
+      })
+      .finally(() => this.dispatchQueue());
+  }
+
+  /**
+   * 取消任务
+   * @param {String} taskId 任务ID
+   * @param {Object} user 操作用户
+   */
+  async cancelTask(taskId, user) {
+    try {
+      const task = await RecoveryTask.findByPk(taskId);
+      
+      if (!task) {
+        throw new Error('任务不存在');
+      }
+
+      if (!['Pending', 'Queued', 'Running'].includes(task.status)) {
+        throw new Error('只能取消待执行、排队中或执行中的任务');
+      }
+
+      await task.update({
+        status: 'Cancelled',
+        completed_at: new Date(),
+        error_message: '任务被用户取消',
+        next_retry_at: null,
+        // 已创建的克隆实例交由回收器立即释放
+        ...(task.target_instance_id ? { teardown_status: 'Pending', clone_expires_at: new Date() } : {})
+      });
+
+      await this.finishAttempt(task, 'Cancelled', { error_message: '任务被用户取消' });
+      await taskLogService.append(task, {
+        level: 'Warn',
+        event: 'TaskCancelled',
+        message: `任务被用户 ${user.username} 取消`
+      });
+
+      // 从运行队列中移除
+      this.runningTasks.delete(taskId);
+      this.dispatchQueue();
+
+      // 记录审计日志
+      await logAudit({
+        userId: user.id,
+        username: user.username,
+        action: '取消恢复任务',
+        resourceType: 'RecoveryTask',
+        resourceId: taskId,
+        resourceName: task.task_name,
+        operationType: 'Update',
+        status: 'Success',
+        description: '用户取消了恢复任务',
+        riskLevel: 'Medium'
+      });
+
+      logger.info('任务已取消', {
+        taskId,
+        taskName: task.task_name,
+        userId: user.id
+      });
+
+      return task;
+    } catch (error) {
+      logger.error('取消任务失败', {
+        taskId,
+        error: error.message,
+        userId: user.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 获取任务统计信息
+   * @param {Object} filters 过滤条件
+   * @returns {Promise} 统计信息
+   */
+  async getTaskStatistics(filters = {}) {
+    try {
+      const stats = await RecoveryTask.findAll({
+        attributes: [
+          'status',
+          [require('sequelize').fn('COUNT', require('sequelize').col('id')), 'count']
+        ],
+        where: filters,
+        group: ['status'],
+        raw: true
+      });
+
+      const result = {
+        total: 0,
+        pending: 0,
+        queued: 0,
+        running: 0,
+        success: 0,
+        failed: 0,
+        cancelled: 0,
+        timeout: 0
+      };
+
+      stats.forEach(stat => {
+        const count = parseInt(stat.count);
+        result.total += count;
+        result[stat.status.toLowerCase()] = count;
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('获取任务统计信息失败', { error: error.message });
+      throw error;
+    }
+  }
+}
+
 module.exports = new RecoveryService();
\ No newline at end of file
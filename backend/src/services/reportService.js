@@ -1,8 +1,11 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
 const fs = require('fs').promises;
-const { ComplianceReport, RecoveryTask, RDSInstance, AuditLog } = require('../models');
+const { ComplianceReport, RecoveryTask, RecoveryTaskAttempt, RDSInstance, AuditLog } = require('../models');
 const { logAudit } = require('../utils/audit');
+const { summarizeSla } = require('../utils/sla');
+const discoveryService = require('./discoveryService');
+const backupComplianceService = require('./backupComplianceService');
 const logger = require('../config/logger');
 
 class ReportService {
@@ -116,6 +119,10 @@ class ReportService {
         failed_tasks: data.failedTasks,
         task_success_rate: data.taskSuccessRate,
         average_recovery_time: data.averageRecoveryTime,
+        sla_compliance_rate: data.slaComplianceRate,
+        sla_summary: data.sla,
+        backup_compliance_rate: data.backupCompliance.complianceRate,
+        backup_compliance_summary: data.backupCompliance,
         data_summary: data.summary,
         risk_analysis: data.riskAnalysis,
         recommendations: data.recommendations,
@@ -142,10 +149,15 @@ class ReportService {
   async collectReportData(report) {
     const { period_start, period_end, compliance_year } = report;
 
-    // 获取实例和任务数据
+    // 获取实例和任务数据，报告期开始前已归档的实例不计入
+    const { Op } = require('sequelize');
     const instances = await RDSInstance.findAll({
       where: {
-        created_at: { [require('sequelize').Op.lte]: period_end }
+        created_at: { [Op.lte]: period_end },
+        [Op.or]: [
+          { archived_at: null },
+          { archived_at: { [Op.gte]: period_start } }
+        ]
       }
     });
 
@@ -153,7 +165,8 @@ class ReportService {
       where: {
         created_at: { [require('sequelize').Op.between]: [period_start, period_end] }
       },
-      include: [{ association: 'rdsInstance' }, { association: 'creator' }]
+      include: [{ association: 'rdsInstance' }, { association: 'creator' }, { association: 'attempts' }],
+      order: [[{ model: RecoveryTaskAttempt, as: 'attempts' }, 'attempt_number', 'ASC']]
     });
 
     // 统计计算
@@ -170,12 +183,25 @@ class ReportService {
     const complianceRate = totalInstances > 0 ? (passedInstances / totalInstances * 100).toFixed(2) : 0;
     const taskSuccessRate = tasks.length > 0 ? (successfulTasks / tasks.length * 100).toFixed(2) : 0;
 
+    // 重试统计：经自动重试后成功的任务
+    const retriedSuccessfulTasks = tasks.filter(task => task.status === 'Success' && task.retry_count > 0).length;
+    const totalAttempts = tasks.reduce((sum, task) => sum + (task.attempt_count || 0), 0);
+
     // 平均恢复时间
     const completedTasks = tasks.filter(task => task.duration_seconds);
     const averageRecoveryTime = completedTasks.length > 0 
       ? Math.round(completedTasks.reduce((sum, task) => sum + task.duration_seconds, 0) / completedTasks.length)
       : null;
 
+    // RTO/RPO达成情况，以各实例最近一次成功任务为准
+    const sla = summarizeSla(instances, tasks);
+
+    // 合规覆盖缺口：云端存在但未登记的实例
+    const coverage = await discoveryService.getCoverageGaps();
+
+    // 备份策略合规：各实例最近一次同步的云端备份配置检查结果
+    const backupCompliance = backupComplianceService.summarize(instances);
+
     return {
       totalInstances,
       testedInstances,
@@ -186,15 +212,24 @@ class ReportService {
       successfulTasks,
       failedTasks,
       taskSuccessRate: parseFloat(taskSuccessRate),
+      retriedSuccessfulTasks,
+      totalAttempts,
       averageRecoveryTime,
-      summary: { instances, tasks },
-      riskAnalysis: await this.performRiskAnalysis(report, tasks, instances),
+      slaComplianceRate: sla.slaComplianceRate,
+      sla,
+      coverage,
+      backupCompliance,
+      summary: { instances, tasks, coverageGaps: coverage.gaps },
+      riskAnalysis: await this.performRiskAnalysis(report, tasks, instances, coverage.gaps),
       recommendations: this.generateRecommendations({
         complianceRate: parseFloat(complianceRate),
         taskSuccessRate: parseFloat(taskSuccessRate),
         failedTasks,
         totalInstances,
-        testedInstances
+        testedInstances,
+        slaBreachedInstances: sla.breachedInstances,
+        coverageGaps: coverage.gaps.length,
+        backupNonCompliantInstances: backupCompliance.nonCompliant
       })
     };
   }
@@ -202,7 +237,7 @@ class ReportService {
   /**
    * 执行风险分析
    */
-  async performRiskAnalysis(report, tasks, instances) {
+  async performRiskAnalysis(report, tasks, instances, coverageGaps = []) {
     const { period_start, period_end } = report;
     
     const failedAudits = await AuditLog.count({
@@ -215,12 +250,14 @@ class ReportService {
     const untestedInstances = instances.length - new Set(tasks.map(task => task.rds_instance_id)).size;
     const failedTasks = tasks.filter(task => task.status === 'Failed').length;
 
-    const riskScore = Math.min(100, (untestedInstances * 10) + (failedTasks * 15) + (failedAudits * 5));
+    // 未登记实例与未测试实例同样缺少恢复验证
+    const riskScore = Math.min(100, ((untestedInstances + coverageGaps.length) * 10) + (failedTasks * 15) + (failedAudits * 5));
 
     return {
       riskScore,
       riskLevel: riskScore >= 80 ? 'Critical' : riskScore >= 60 ? 'High' : riskScore >= 40 ? 'Medium' : 'Low',
       untestedInstances,
+      coverageGapCount: coverageGaps.length,
       failedTaskCount: failedTasks,
       failedAuditCount: failedAudits
     };
@@ -241,6 +278,15 @@ class ReportService {
     if (stats.totalInstances > stats.testedInstances) {
       recommendations.push(`有 ${stats.totalInstances - stats.testedInstances} 个实例尚未进行恢复测试`);
     }
+    if (stats.slaBreachedInstances > 0) {
+      recommendations.push(`有 ${stats.slaBreachedInstances} 个实例未达到RTO/RPO目标，建议优化恢复流程或调整实例规格`);
+    }
+    if (stats.coverageGaps > 0) {
+      recommendations.push(`云端有 ${stats.coverageGaps} 个实例未登记，未纳入恢复验证，建议通过实例发现导入`);
+    }
+    if (stats.backupNonCompliantInstances > 0) {
+      recommendations.push(`有 ${stats.backupNonCompliantInstances} 个实例的备份配置不符合备份策略，建议调整备份保留期、备份周期、日志备份或加密设置`);
+    }
 
     return recommendations.length > 0 ? recommendations.join('\n') : '当前合规状态良好';
   }
@@ -266,7 +312,15 @@ class ReportService {
       ['已测试实例数', data.testedInstances],
       ['合规率', `${data.complianceRate}%`],
       ['任务成功率', `${data.taskSuccessRate}%`],
-      ['平均恢复时间', data.averageRecoveryTime ? `${data.averageRecoveryTime}秒` : 'N/A']
+      ['重试后成功任务数', data.retriedSuccessfulTasks],
+      ['平均恢复时间', data.averageRecoveryTime ? `${data.averageRecoveryTime}秒` : 'N/A'],
+      ['RTO/RPO达标率', data.slaComplianceRate !== null ? `${data.slaComplianceRate}%` : 'N/A'],
+      ['未达标实例数', data.sla.breachedInstances],
+      ['平均实际RTO', data.sla.averageAchievedRto !== null ? `${data.sla.averageAchievedRto}秒` : 'N/A'],
+      ['平均实际RPO', data.sla.averageAchievedRpo !== null ? `${data.sla.averageAchievedRpo}秒` : 'N/A'],
+      ['未登记云端实例数', data.coverage.runId ? data.coverage.gaps.length : '未进行实例发现'],
+      ['备份策略合规率', data.backupCompliance.complianceRate !== null ? `${data.backupCompliance.complianceRate}%` : 'N/A'],
+      ['备份策略不合规实例数', data.backupCompliance.nonCompliant]
     ];
 
     let row = 3;
@@ -285,6 +339,100 @@ class ReportService {
     sheet.mergeCells(`A${row}:D${row + 2}`);
     sheet.getCell(`A${row}`).alignment = { wrapText: true };
 
+    // RTO/RPO达成页，每个实例一行，恢复结果旁列出备份策略检查结果
+    const slaSheet = workbook.addWorksheet('RTO-RPO达成');
+    slaSheet.columns = [
+      { header: '实例', key: 'instance', width: 30 },
+      { header: '目标RTO(分钟)', key: 'targetRto', width: 14 },
+      { header: '实际RTO(秒)', key: 'achievedRto', width: 14 },
+      { header: '目标RPO(分钟)', key: 'targetRpo', width: 14 },
+      { header: '实际RPO(秒)', key: 'achievedRpo', width: 14 },
+      { header: '结果', key: 'status', width: 12 },
+      { header: '备份策略', key: 'backupStatus', width: 14 },
+      { header: '备份策略违规项', key: 'backupViolations', width: 50 }
+    ];
+
+    const backupStatusText = {
+      Compliant: '合规',
+      NonCompliant: '不合规',
+      Unverified: '无法确认',
+      NoPolicy: '未配置策略'
+    };
+    const backupById = new Map(data.backupCompliance.instances.map(result => [result.id, result]));
+
+    const slaStatusText = {
+      Met: '达标',
+      Breached: '未达标',
+      Untested: '未测试',
+      NoTarget: '未设目标',
+      Unmeasured: '无法度量'
+    };
+
+    data.sla.instances.forEach(result => {
+      const backup = backupById.get(result.instanceId);
+      slaSheet.addRow({
+        instance: result.instanceName,
+        targetRto: result.targetRtoMinutes,
+        achievedRto: result.achievedRtoSeconds,
+        targetRpo: result.targetRpoMinutes,
+        achievedRpo: result.achievedRpoSeconds,
+        status: slaStatusText[result.status] || result.status,
+        backupStatus: backup?.status ? (backupStatusText[backup.status] || backup.status) : '未检查',
+        backupViolations: backup ? [...backup.violations, ...backup.unverified].map(item => item.message).join('；') : ''
+      });
+    });
+    slaSheet.getRow(1).font = { bold: true };
+
+    // 覆盖缺口页，列出最近一次发现中未登记的云端实例
+    const coverageSheet = workbook.addWorksheet('覆盖缺口');
+    coverageSheet.columns = [
+      { header: '实例ID', key: 'instanceId', width: 30 },
+      { header: '实例名称', key: 'instanceName', width: 30 },
+      { header: '数据库引擎', key: 'engine', width: 14 },
+      { header: '地区', key: 'region', width: 16 },
+      { header: '处理状态', key: 'resolution', width: 12 }
+    ];
+    data.coverage.gaps.forEach(gap => {
+      coverageSheet.addRow({
+        ...gap,
+        resolution: gap.resolution === 'Ignored' ? '已忽略' : '待处理'
+      });
+    });
+    coverageSheet.getRow(1).font = { bold: true };
+
+    // 任务明细页，包含每次执行尝试
+    if (includeDetails) {
+      const detailSheet = workbook.addWorksheet('任务明细');
+      detailSheet.columns = [
+        { header: '任务名称', key: 'taskName', width: 40 },
+        { header: '实例', key: 'instance', width: 30 },
+        { header: '状态', key: 'status', width: 12 },
+        { header: '恢复类型', key: 'restoreType', width: 12 },
+        { header: '一致性时间点', key: 'consistencyPoint', width: 22 },
+        { header: '实际RTO(秒)', key: 'achievedRto', width: 12 },
+        { header: '实际RPO(秒)', key: 'achievedRpo', width: 12 },
+        { header: '尝试次数', key: 'attempts', width: 10 },
+        { header: '尝试记录', key: 'history', width: 80 }
+      ];
+
+      data.summary.tasks.forEach(task => {
+        detailSheet.addRow({
+          taskName: task.task_name,
+          instance: task.rdsInstance?.instance_name || task.source_instance_id,
+          status: task.status,
+          restoreType: task.restore_type,
+          consistencyPoint: task.consistency_point ? new Date(task.consistency_point) : null,
+          achievedRto: task.achieved_rto_seconds,
+          achievedRpo: task.achieved_rpo_seconds,
+          attempts: task.attempt_count || 0,
+          history: (task.attempts || [])
+            .map(attempt => `#${attempt.attempt_number} ${attempt.status}${attempt.error_code ? ` (${attempt.error_code})` : ''}`)
+            .join('; ')
+        });
+      });
+      detailSheet.getRow(1).font = { bold: true };
+    }
+
     // 保存文件
     const fileName = `compliance_report_${report.compliance_year}_${Date.now()}.xlsx`;
     const filePath = path.join(this.reportsDir, fileName);
@@ -0,0 +1,386 @@
+const cron = require('node-cron');
+const { Op } = require('sequelize');
+const { RecoverySchedule, RecoveryTask, RDSInstance } = require('../models');
+const recoveryService = require('./recoveryService');
+const { DEFAULT_TIMEZONE, validateRule, nextRuns, nextRun } = require('../utils/scheduleRule');
+const { logAudit } = require('../utils/audit');
+const logger = require('../config/logger');
+
+// 尚未结束的任务状态
+const ACTIVE_TASK_STATUSES = ['Pending', 'Queued', 'Running'];
+
+/**
+ * 构造请求参数错误，由错误处理中间件返回400
+ * @param {String} message 错误信息
+ * @returns {Error}
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class ScheduleService {
+  constructor() {
+    this.initScheduler();
+  }
+
+  /**
+   * 初始化定时调度器
+   */
+  initScheduler() {
+    // 每分钟检查一次到期的恢复调度
+    cron.schedule('* * * * *', () => {
+      this.materializeDueSchedules();
+    });
+
+    logger.info('恢复调度器初始化完成');
+  }
+
+  /**
+   * 转换为调度规则
+   * @param {Object} schedule 调度记录或请求数据
+   * @returns {Object} 调度规则
+   */
+  toRule(schedule) {
+    return {
+      scheduleType: schedule.schedule_type,
+      cronExpression: schedule.cron_expression,
+      intervalDays: schedule.interval_days,
+      startAt: schedule.start_at,
+      timezone: schedule.timezone
+    };
+  }
+
+  /**
+   * 计算调度的首次运行起算时间
+   * 起始时间在未来时从起始时间开始，否则从当前时间开始
+   * @param {Object} schedule 调度记录
+   * @returns {Date} 起算时间(不含)
+   */
+  getRunAnchor(schedule) {
+    const now = new Date();
+    if (schedule.start_at && new Date(schedule.start_at) > now) {
+      return new Date(new Date(schedule.start_at).getTime() - 1);
+    }
+    return now;
+  }
+
+  /**
+   * 创建恢复调度
+   * @param {Object} data 调度数据
+   * @param {Object} user 创建用户
+   * @returns {Promise} 创建的调度
+   */
+  async createSchedule(data, user) {
+    try {
+      const rdsInstance = await RDSInstance.findByPk(data.rdsInstanceId);
+      if (!rdsInstance) {
+        throw badRequest('指定的RDS实例不存在');
+      }
+
+      const fields = {
+        schedule_name: data.scheduleName,
+        rds_instance_id: data.rdsInstanceId,
+        schedule_type: data.scheduleType,
+        cron_expression: data.cronExpression,
+        interval_days: data.intervalDays,
+        start_at: data.startAt,
+        timezone: data.timezone || DEFAULT_TIMEZONE,
+        task_template: data.taskTemplate,
+        description: data.description,
+        status: 'Active',
+        created_by: user.id
+      };
+
+      const ruleError = validateRule(this.toRule(fields));
+      if (ruleError) {
+        throw badRequest(ruleError);
+      }
+
+      fields.next_run_at = nextRun(this.toRule(fields), this.getRunAnchor(fields));
+
+      const schedule = await RecoverySchedule.create(fields);
+
+      logger.info('恢复调度创建成功', {
+        scheduleId: schedule.id,
+        scheduleName: schedule.schedule_name,
+        nextRunAt: schedule.next_run_at,
+        userId: user.id
+      });
+
+      return schedule;
+    } catch (error) {
+      logger.error('创建恢复调度失败', {
+        error: error.message,
+        userId: user.id
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 更新恢复调度，规则变更时重新计算下次运行时间
+   * @param {Object} schedule 调度记录
+   * @param {Object} data 更新数据
+   * @returns {Promise} 更新后的调度
+   */
+  async updateSchedule(schedule, data) {
+    const updateData = {
+      schedule_name: data.scheduleName,
+      schedule_type: data.scheduleType,
+      cron_expression: data.cronExpression,
+      interval_days: data.intervalDays,
+      start_at: data.startAt,
+      timezone: data.timezone,
+      task_template: data.taskTemplate,
+      description: data.description
+    };
+
+    // 过滤undefined值
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] === undefined) {
+        delete updateData[key];
+      }
+    });
+
+    const merged = { ...schedule.toJSON(), ...updateData };
+    const ruleError = validateRule(this.toRule(merged));
+    if (ruleError) {
+      throw badRequest(ruleError);
+    }
+
+    if (schedule.status === 'Active') {
+      updateData.next_run_at = nextRun(this.toRule(merged), this.getRunAnchor(merged));
+    }
+
+    await schedule.update(updateData);
+    return schedule;
+  }
+
+  /**
+   * 暂停恢复调度
+   * @param {Object} schedule 调度记录
+   * @returns {Promise} 更新后的调度
+   */
+  async pauseSchedule(schedule) {
+    if (schedule.status === 'Paused') {
+      throw badRequest('调度已处于暂停状态');
+    }
+
+    await schedule.update({ status: 'Paused', next_run_at: null });
+    return schedule;
+  }
+
+  /**
+   * 恢复调度，暂停期间错过的运行不再补跑
+   * @param {Object} schedule 调度记录
+   * @returns {Promise} 更新后的调度
+   */
+  async resumeSchedule(schedule) {
+    if (schedule.status === 'Active') {
+      throw badRequest('调度已处于运行状态');
+    }
+
+    await schedule.update({
+      status: 'Active',
+      next_run_at: nextRun(this.toRule(schedule), this.getRunAnchor(schedule))
+    });
+    return schedule;
+  }
+
+  /**
+   * 预览接下来的运行时间
+   * @param {Object} schedule 调度记录或调度字段
+   * @param {Number} count 预览次数
+   * @returns {Array<Date>} 运行时间列表
+   */
+  previewRuns(schedule, count = 5) {
+    return nextRuns(this.toRule(schedule), this.getRunAnchor(schedule), count);
+  }
+
+  /**
+   * 根据任务模板构造恢复任务数据
+   * @param {Object} schedule 调度记录(含 rdsInstance)
+   * @param {Date} runAt 计划运行时间
+   * @returns {Object} 任务数据
+   */
+  buildTaskData(schedule, runAt) {
+    const template = schedule.task_template || {};
+    const instance = schedule.rdsInstance;
+    const stamp = runAt.toISOString().slice(0, 16).replace(/[-:T]/g, '');
+    const restoreType = template.restoreType || 'BackupSet';
+
+    return {
+      taskName: `${schedule.schedule_name} - ${stamp}`,
+      rdsInstanceId: schedule.rds_instance_id,
+      sourceInstanceId: instance.instance_id,
+      targetInstanceName: `${template.targetInstanceNamePrefix || instance.instance_name}-drill-${stamp}`,
+      targetRegion: template.targetRegion,
+      taskType: 'Scheduled',
+      priority: template.priority || 'Normal',
+      restoreType,
+      backupType: template.backupType || 'FullBackup',
+      backupId: template.backupId,
+      backupSelection: template.backupSelection,
+      // 时间点恢复默认恢复到运行时刻之前的指定分钟
+      restoreTime: restoreType === 'PointInTime'
+        ? new Date(runAt.getTime() - (template.restoreOffsetMinutes || 0) * 60 * 1000)
+        : undefined,
+      // 日志备份存在延迟，调度任务默认将超出窗口的时间点校正到窗口终点
+      restoreTimePolicy: template.restoreTimePolicy || 'Clamp',
+      scheduledAt: runAt,
+      config: {
+        ...(template.config || {}),
+        ...(template.instanceClass ? { instanceClass: template.instanceClass } : {}),
+        ...(template.storageSize ? { storageSize: template.storageSize } : {})
+      },
+      cloneRetentionPolicy: template.cloneRetentionPolicy,
+      cloneRetentionHours: template.cloneRetentionHours,
+      retryPolicy: template.retryPolicy,
+      scheduleId: schedule.id
+    };
+  }
+
+  /**
+   * 为到期的调度生成恢复任务
+   * 该调度此前生成的任务尚未结束时跳过本次运行，避免同一实例的演练叠加
+   * @param {Object} schedule 调度记录(含 rdsInstance、creator)
+   * @returns {Promise} 生成的任务，未生成时为 null
+   */
+  async materializeSchedule(schedule) {
+    const runAt = new Date(schedule.next_run_at);
+    // 停机期间错过的多次运行只补生成一次
+    const nextRunAt = nextRun(this.toRule(schedule), new Date());
+
+    const activeTask = await RecoveryTask.findOne({
+      where: { schedule_id: schedule.id, status: ACTIVE_TASK_STATUSES },
+      attributes: ['id', 'status']
+    });
+
+    if (activeTask) {
+      const [skipped] = await RecoverySchedule.update(
+        {
+          next_run_at: nextRunAt,
+          last_error: `上次生成的任务 ${activeTask.id} 尚未结束(${activeTask.status})，已跳过 ${runAt.toISOString()} 的运行`
+        },
+        { where: { id: schedule.id, status: 'Active', next_run_at: schedule.next_run_at } }
+      );
+
+      if (skipped) {
+        logger.warn('恢复调度上次生成的任务尚未结束，跳过本次运行', {
+          scheduleId: schedule.id,
+          activeTaskId: activeTask.id,
+          runAt,
+          nextRunAt
+        });
+      }
+      return null;
+    }
+
+    // 条件更新认领本次运行，避免同一次运行被重复生成；运行次数在任务生成后才计入
+    const [affected] = await RecoverySchedule.update(
+      { next_run_at: nextRunAt },
+      { where: { id: schedule.id, status: 'Active', next_run_at: schedule.next_run_at } }
+    );
+
+    if (!affected) {
+      return null;
+    }
+
+    const user = schedule.creator || { id: schedule.created_by, username: 'system' };
+
+    try {
+      if (!schedule.rdsInstance) {
+        throw new Error('调度关联的RDS实例不存在');
+      }
+
+      const task = await recoveryService.createTask(this.buildTaskData(schedule, runAt), user);
+
+      await RecoverySchedule.update(
+        {
+          last_task_id: task.id,
+          last_run_at: runAt,
+          run_count: (schedule.run_count || 0) + 1,
+          last_error: null
+        },
+        { where: { id: schedule.id } }
+      );
+
+      logger.info('恢复调度生成任务', {
+        scheduleId: schedule.id,
+        taskId: task.id,
+        runAt,
+        nextRunAt
+      });
+
+      return task;
+    } catch (error) {
+      // 未生成任务的运行不计入运行次数，在错误信息中注明
+      await RecoverySchedule.update(
+        { last_error: `${runAt.toISOString()} 的运行未能生成任务: ${error.message}` },
+        { where: { id: schedule.id } }
+      );
+
+      await logAudit({
+        userId: user.id,
+        username: user.username,
+        action: '恢复调度生成任务',
+        resourceType: 'RecoverySchedule',
+        resourceId: schedule.id,
+        resourceName: schedule.schedule_name,
+        operationType: 'Create',
+        status: 'Failed',
+        description: `调度生成恢复任务失败: ${error.message}`,
+        riskLevel: 'Medium'
+      });
+
+      logger.error('恢复调度生成任务失败', {
+        scheduleId: schedule.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 处理所有到期的调度
+   */
+  async materializeDueSchedules() {
+    try {
+      const schedules = await RecoverySchedule.findAll({
+        where: {
+          status: 'Active',
+          next_run_at: { [Op.lte]: new Date() }
+        },
+        include: [
+          { association: 'rdsInstance' },
+          { association: 'creator' }
+        ]
+      });
+
+      let created = 0;
+      for (const schedule of schedules) {
+        try {
+          if (await this.materializeSchedule(schedule)) {
+            created++;
+          }
+        } catch (error) {
+          logger.error('处理恢复调度失败', {
+            scheduleId: schedule.id,
+            error: error.message
+          });
+        }
+      }
+
+      // 新生成的任务立即进入执行队列
+      if (created > 0) {
+        await recoveryService.processScheduledTasks();
+      }
+    } catch (error) {
+      logger.error('检查到期恢复调度失败', { error: error.message });
+    }
+  }
+}
+
+module.exports = new ScheduleService();
\ No newline at end of file
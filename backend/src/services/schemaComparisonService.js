@@ -0,0 +1,232 @@
+const logger = require('../config/logger');
+
+// 系统库，不参与结构对比
+const SYSTEM_SCHEMAS = {
+  mysql: ['mysql', 'information_schema', 'performance_schema', 'sys'],
+  postgres: ['pg_catalog', 'information_schema', 'pg_toast'],
+  mssql: ['sys', 'INFORMATION_SCHEMA']
+};
+
+// 各驱动的元数据查询
+const METADATA_QUERIES = {
+  mysql: {
+    tables: `SELECT TABLE_SCHEMA AS schema_name, TABLE_NAME AS table_name, TABLE_ROWS AS row_estimate
+      FROM information_schema.TABLES WHERE TABLE_TYPE = 'BASE TABLE'`,
+    columns: `SELECT TABLE_SCHEMA AS schema_name, TABLE_NAME AS table_name, COLUMN_NAME AS column_name,
+      COLUMN_TYPE AS data_type, IS_NULLABLE AS is_nullable FROM information_schema.COLUMNS`,
+    indexes: `SELECT TABLE_SCHEMA AS schema_name, TABLE_NAME AS table_name, INDEX_NAME AS index_name,
+      GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) AS index_columns
+      FROM information_schema.STATISTICS GROUP BY TABLE_SCHEMA, TABLE_NAME, INDEX_NAME`
+  },
+  postgres: {
+    // pg_stat_user_tables 的统计在新恢复的实例上从零开始，行数估算取 pg_class.reltuples；
+    // 从未分析过的表 reltuples 为 -1，视为无估算
+    tables: `SELECT n.nspname AS schema_name, c.relname AS table_name,
+      CASE WHEN c.reltuples < 0 THEN NULL ELSE c.reltuples::bigint END AS row_estimate
+      FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind = 'r'`,
+    columns: `SELECT table_schema AS schema_name, table_name, column_name,
+      data_type || COALESCE('(' || character_maximum_length || ')', '') AS data_type, is_nullable
+      FROM information_schema.columns`,
+    indexes: `SELECT schemaname AS schema_name, tablename AS table_name, indexname AS index_name,
+      indexdef AS index_columns FROM pg_indexes`
+  },
+  mssql: {
+    tables: `SELECT s.name AS schema_name, t.name AS table_name, SUM(p.rows) AS row_estimate
+      FROM sys.tables t
+      JOIN sys.schemas s ON t.schema_id = s.schema_id
+      JOIN sys.partitions p ON p.object_id = t.object_id AND p.index_id IN (0, 1)
+      GROUP BY s.name, t.name`,
+    columns: `SELECT TABLE_SCHEMA AS schema_name, TABLE_NAME AS table_name, COLUMN_NAME AS column_name,
+      DATA_TYPE + COALESCE('(' + CAST(CHARACTER_MAXIMUM_LENGTH AS VARCHAR(16)) + ')', '') AS data_type,
+      IS_NULLABLE AS is_nullable FROM INFORMATION_SCHEMA.COLUMNS`,
+    indexes: `SELECT s.name AS schema_name, t.name AS table_name, i.name AS index_name,
+      STRING_AGG(c.name, ',') WITHIN GROUP (ORDER BY ic.key_ordinal) AS index_columns
+      FROM sys.indexes i
+      JOIN sys.tables t ON i.object_id = t.object_id
+      JOIN sys.schemas s ON t.schema_id = s.schema_id
+      JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+      JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+      WHERE i.name IS NOT NULL
+      GROUP BY s.name, t.name, i.name`
+  }
+};
+
+/**
+ * 源实例与恢复实例结构对比服务
+ * 采集表、列、索引和行数估算，比较恢复实例是否与源实例在备份点的结构一致
+ */
+class SchemaComparisonService {
+  /**
+   * 采集结构快照
+   * @param {Object} connection 连接句柄（见 utils/dbClient）
+   * @param {Object} options 选项 { schemas: 仅采集指定库, renameSchemas: 库名映射，恢复到其他库名时按源库名记录 }
+   * @returns {Promise} 结构快照
+   */
+  async captureSnapshot(connection, options = {}) {
+    const queries = METADATA_QUERIES[connection.driver];
+    const systemSchemas = SYSTEM_SCHEMAS[connection.driver];
+    const renameSchemas = options.renameSchemas || {};
+
+    const include = (row) => {
+      if (systemSchemas.includes(row.schema_name)) return false;
+      return !options.schemas || options.schemas.includes(row.schema_name);
+    };
+    const rename = (rows) => rows.map(row => (renameSchemas[row.schema_name]
+      ? { ...row, schema_name: renameSchemas[row.schema_name] }
+      : row));
+
+    const [tableRows, columnRows, indexRows] = await Promise.all([
+      connection.query(queries.tables),
+      connection.query(queries.columns),
+      connection.query(queries.indexes)
+    ]);
+
+    const tables = {};
+    rename(tableRows).filter(include).forEach(row => {
+      tables[`${row.schema_name}.${row.table_name}`] = {
+        rowEstimate: row.row_estimate === null || row.row_estimate === undefined ? null : Number(row.row_estimate) || 0,
+        columns: {},
+        indexes: {}
+      };
+    });
+
+    rename(columnRows).filter(include).forEach(row => {
+      const table = tables[`${row.schema_name}.${row.table_name}`];
+      if (table) {
+        table.columns[row.column_name] = {
+          type: String(row.data_type).toLowerCase(),
+          nullable: row.is_nullable === 'YES'
+        };
+      }
+    });
+
+    rename(indexRows).filter(include).forEach(row => {
+      const table = tables[`${row.schema_name}.${row.table_name}`];
+      if (table) {
+        table.indexes[row.index_name] = row.index_columns;
+      }
+    });
+
+    logger.info('结构快照采集完成', {
+      engine: connection.engine,
+      tableCount: Object.keys(tables).length
+    });
+
+    return {
+      capturedAt: new Date().toISOString(),
+      engine: connection.engine,
+      tables
+    };
+  }
+
+  /**
+   * 对比源实例快照与恢复实例快照
+   * 缺失表、缺失列、列类型变化、超出容差的行数差异判定为失败；缺失索引、多余表和无行数估算的表仅作为提示
+   * 源实例快照采集于恢复的一致性时间点之后时，其间的写入会造成行数差异：
+   * 行数容差在配置值基础上按漂移时长每小时放宽 driftTolerancePercentPerHour，最多放宽到 driftTolerancePercent，并在结果中注明
+   * @param {Object} source 源实例快照
+   * @param {Object} clone 恢复实例快照
+   * @param {Object} options 选项 { rowCountTolerancePercent, driftTolerancePercentPerHour, driftTolerancePercent, consistencyPoint, ignoreTables }
+   * @returns {Object} 对比结果
+   */
+  diffSnapshots(source, clone, options = {}) {
+    const baseTolerance = options.rowCountTolerancePercent ?? 10;
+    const ignoreTables = options.ignoreTables || [];
+
+    const driftSeconds = options.consistencyPoint && source.capturedAt
+      ? Math.round((new Date(source.capturedAt) - new Date(options.consistencyPoint)) / 1000)
+      : 0;
+    const maxTolerance = Math.max(baseTolerance, options.driftTolerancePercent ?? 30);
+    const tolerance = driftSeconds > 0
+      ? Math.round(Math.min(maxTolerance, baseTolerance + (options.driftTolerancePercentPerHour ?? 1) * driftSeconds / 3600) * 100) / 100
+      : baseTolerance;
+    const snapshotDrift = driftSeconds > 0
+      ? {
+        consistencyPoint: new Date(options.consistencyPoint).toISOString(),
+        sourceCapturedAt: source.capturedAt,
+        driftSeconds,
+        baseTolerancePercent: baseTolerance,
+        note: `源实例快照晚于恢复的一致性时间点，行数容差按漂移时长由 ${baseTolerance}% 放宽至 ${tolerance}%；快照前的结构变更同样会表现为差异`
+      }
+      : null;
+
+    const result = {
+      missingTables: [],
+      extraTables: [],
+      missingColumns: [],
+      columnTypeChanges: [],
+      missingIndexes: [],
+      rowCountDeltas: [],
+      rowCountUnavailable: []
+    };
+
+    const sourceTables = Object.keys(source.tables).filter(name => !ignoreTables.includes(name));
+    const cloneTables = Object.keys(clone.tables).filter(name => !ignoreTables.includes(name));
+
+    result.extraTables = cloneTables.filter(name => !source.tables[name]);
+
+    sourceTables.forEach(name => {
+      const sourceTable = source.tables[name];
+      const cloneTable = clone.tables[name];
+
+      if (!cloneTable) {
+        result.missingTables.push(name);
+        return;
+      }
+
+      Object.entries(sourceTable.columns).forEach(([column, definition]) => {
+        const cloneColumn = cloneTable.columns[column];
+        if (!cloneColumn) {
+          result.missingColumns.push({ table: name, column });
+        } else if (cloneColumn.type !== definition.type) {
+          result.columnTypeChanges.push({
+            table: name,
+            column,
+            sourceType: definition.type,
+            cloneType: cloneColumn.type
+          });
+        }
+      });
+
+      Object.keys(sourceTable.indexes).forEach(index => {
+        if (!(index in cloneTable.indexes)) {
+          result.missingIndexes.push({ table: name, index });
+        }
+      });
+
+      if (sourceTable.rowEstimate === null || cloneTable.rowEstimate === null) {
+        result.rowCountUnavailable.push(name);
+        return;
+      }
+
+      const base = Math.max(sourceTable.rowEstimate, 1);
+      const deltaPercent = Math.round(Math.abs(cloneTable.rowEstimate - sourceTable.rowEstimate) / base * 10000) / 100;
+      if (deltaPercent > tolerance) {
+        result.rowCountDeltas.push({
+          table: name,
+          sourceRows: sourceTable.rowEstimate,
+          cloneRows: cloneTable.rowEstimate,
+          deltaPercent
+        });
+      }
+    });
+
+    const passed = result.missingTables.length === 0 &&
+      result.missingColumns.length === 0 &&
+      result.columnTypeChanges.length === 0 &&
+      result.rowCountDeltas.length === 0;
+
+    return {
+      passed,
+      rowCountTolerancePercent: tolerance,
+      snapshotDrift,
+      sourceCapturedAt: source.capturedAt,
+      cloneCapturedAt: clone.capturedAt,
+      tableCount: { source: sourceTables.length, clone: cloneTables.length },
+      ...result
+    };
+  }
+}
+
+module.exports = new SchemaComparisonService();
\ No newline at end of file
@@ -0,0 +1,126 @@
+const { EventEmitter } = require('events');
+const { RecoveryTask } = require('../models');
+const logger = require('../config/logger');
+
+// 推送给订阅者的任务字段，其他字段变化不产生事件
+const TRACKED_FIELDS = [
+  'status',
+  'progress',
+  'progress_message',
+  'current_phase',
+  'verification_status',
+  'teardown_status',
+  'attempt_count',
+  'next_retry_at',
+  'error_message'
+];
+
+// 保留最近的事件，供断线重连时按 Last-Event-ID 补发
+const BUFFER_SIZE = 500;
+
+const pickTracked = (values) => Object.fromEntries(
+  TRACKED_FIELDS.filter(field => values[field] !== undefined).map(field => [field, values[field]])
+);
+
+class TaskEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // 每个SSE连接一个监听器
+    this.emitter.setMaxListeners(0);
+    this.sequence = 0;
+    this.buffer = [];
+    this.registerHooks();
+  }
+
+  /**
+   * 注册恢复任务模型钩子，任务创建与跟踪字段变化时发布事件
+   * 批量更新仅在只按单个任务ID更新时发布(如进度更新)；带状态条件的更新可能未命中任何行，
+   * 钩子拿不到影响行数，由调用方确认已更新后通过 publishUpdate 发布
+   */
+  registerHooks() {
+    RecoveryTask.addHook('afterCreate', 'taskEvents', (task) => {
+      this.publish('task.created', task.id, pickTracked(task.get({ plain: true })));
+    });
+
+    RecoveryTask.addHook('afterUpdate', 'taskEvents', (task) => {
+      const changed = (task.changed() || []).filter(field => TRACKED_FIELDS.includes(field));
+      if (changed.length > 0) {
+        this.publish('task.updated', task.id, Object.fromEntries(changed.map(field => [field, task.get(field)])));
+      }
+    });
+
+    RecoveryTask.addHook('afterBulkUpdate', 'taskEvents', (options) => {
+      const where = options.where || {};
+      if (typeof where.id === 'string' && Object.keys(where).length === 1) {
+        this.publishUpdate(where.id, options.attributes || {});
+      }
+    });
+  }
+
+  /**
+   * 发布任务字段更新，只包含跟踪字段，没有跟踪字段时不发布
+   * @param {String} taskId 任务ID
+   * @param {Object} values 更新的字段
+   * @returns {Object|null} 事件
+   */
+  publishUpdate(taskId, values) {
+    const fields = pickTracked(values);
+    return Object.keys(fields).length > 0 ? this.publish('task.updated', taskId, fields) : null;
+  }
+
+  /**
+   * 发布任务事件
+   * @param {String} type task.created/task.updated
+   * @param {String} taskId 任务ID
+   * @param {Object} fields 变化的任务字段
+   * @returns {Object} 事件 { id, type, taskId, fields, occurredAt }
+   */
+  publish(type, taskId, fields) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      taskId,
+      fields,
+      occurredAt: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    try {
+      this.emitter.emit('event', event);
+    } catch (error) {
+      logger.error('推送任务事件失败', { taskId, error: error.message });
+    }
+
+    return event;
+  }
+
+  /**
+   * 订阅任务事件
+   * @param {Function} listener 事件回调
+   * @param {Object} options { lastEventId: 补发该ID之后仍在缓冲区中的事件 }
+   * @returns {Function} 取消订阅
+   */
+  subscribe(listener, options = {}) {
+    const lastEventId = parseInt(options.lastEventId);
+    if (!Number.isNaN(lastEventId)) {
+      this.buffer.filter(event => event.id > lastEventId).forEach(listener);
+    }
+
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * 当前订阅连接数
+   * @returns {Number}
+   */
+  getSubscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+module.exports = new TaskEventService();
\ No newline at end of file
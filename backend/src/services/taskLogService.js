@@ -0,0 +1,62 @@
+const { RecoveryTaskLog } = require('../models');
+const logger = require('../config/logger');
+
+class TaskLogService {
+  /**
+   * 追加任务执行日志，写入失败只记录告警，不影响任务执行
+   * @param {Object} task 恢复任务，或 { id, attempt_count, current_phase }
+   * @param {Object} entry 日志条目
+   * @param {String} entry.event 事件类型，如 PhaseStarted/CloudRequest/Verification
+   * @param {String} entry.message 日志内容
+   * @param {String} entry.level Info/Warn/Error，默认 Info
+   * @param {String} entry.phase 执行阶段，默认取任务当前阶段
+   * @param {String} entry.requestId 云端接口请求ID
+   * @param {Object} entry.details 结构化详情
+   * @returns {Promise} 日志记录，写入失败时为 null
+   */
+  async append(task, entry) {
+    try {
+      return await RecoveryTaskLog.create({
+        task_id: task.id,
+        attempt_number: task.attempt_count || null,
+        phase: entry.phase || task.current_phase || null,
+        level: entry.level || 'Info',
+        event: entry.event,
+        message: String(entry.message).slice(0, 1000),
+        request_id: entry.requestId || null,
+        details: entry.details || null,
+        logged_at: new Date()
+      });
+    } catch (error) {
+      logger.warn('写入任务执行日志失败', {
+        taskId: task.id,
+        event: entry.event,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * 按时间顺序获取任务执行日志
+   * @param {String} taskId 任务ID
+   * @param {Object} filters { attempt, level }
+   * @returns {Promise<Array>} 日志记录
+   */
+  async list(taskId, filters = {}) {
+    const where = { task_id: taskId };
+    if (filters.attempt) {
+      where.attempt_number = filters.attempt;
+    }
+    if (filters.level) {
+      where.level = filters.level;
+    }
+
+    return RecoveryTaskLog.findAll({
+      where,
+      order: [['logged_at', 'ASC'], ['created_at', 'ASC']]
+    });
+  }
+}
+
+module.exports = new TaskLogService();
\ No newline at end of file
@@ -1,9 +1,11 @@
-const { AuditLog } = require('../models');
+const auditChainService = require('../services/auditChainService');
+const { redactAuditValues, getRoutePolicy } = require('./redaction');
 const logger = require('../config/logger');
 
 /**
- * 记录审计日志
- * @param {Object} params 审计日志参数
+ * 记录审计日志，记录按写入顺序接入防篡改哈希链
+ * 请求参数、修改前后的值在保存前按脱敏策略处理
+ * @param {Object} params 审计日志参数，redaction 为路由脱敏覆盖配置
  */
 const logAudit = async ({
   userId,
@@ -27,10 +29,11 @@ const logAudit = async ({
   riskLevel = 'Low',
   tags,
   sessionId,
-  traceId
+  traceId,
+  redaction
 }) => {
   try {
-    await AuditLog.create({
+    await auditChainService.append(redactAuditValues({
       user_id: userId,
       username,
       action,
@@ -53,7 +56,7 @@ const logAudit = async ({
       tags,
       session_id: sessionId,
       trace_id: traceId
-    });
+    }, redaction));
 
     logger.info('审计日志记录成功', {
       userId,
@@ -110,10 +113,13 @@ const createAuditMiddleware = (action, resourceType, operationType, riskLevel =
         },
         responseStatus: res.statusCode,
         responseTime,
+        oldValues: req.auditOldValues,
+        newValues: req.auditNewValues,
         description: `用户执行了${action}操作`,
         riskLevel,
         sessionId: req.sessionID,
-        traceId: req.headers['x-trace-id']
+        traceId: req.traceId || req.headers['x-trace-id'],
+        redaction: getRoutePolicy(req.method, req.originalUrl)
       });
       
       // 调用原始的json方法
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+
+// 链首记录的前一哈希
+const GENESIS_HASH = '0'.repeat(64);
+
+// 参与哈希计算的审计日志字段
+const CHAINED_FIELDS = [
+  'id',
+  'sequence',
+  'user_id',
+  'username',
+  'action',
+  'resource_type',
+  'resource_id',
+  'resource_name',
+  'operation_type',
+  'status',
+  'ip_address',
+  'user_agent',
+  'request_path',
+  'request_method',
+  'request_params',
+  'response_status',
+  'response_time',
+  'old_values',
+  'new_values',
+  'description',
+  'risk_level',
+  'tags',
+  'session_id',
+  'trace_id',
+  'created_at'
+];
+
+/**
+ * 规范化JSON序列化：对象键按字典序排列，undefined 视为 null
+ * 与数据库JSON列的键顺序无关，导出后外部可按相同规则重算
+ * @param {*} value 值
+ * @returns {String}
+ */
+const canonicalize = (value) => {
+  if (value === undefined || value === null) {
+    return 'null';
+  }
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 审计日志的规范内容：参与哈希的字段，时间转为ISO字符串，JSON字段先做一次序列化往返
+ * @param {Object} log 审计日志记录或字段
+ * @returns {Object}
+ */
+const toCanonicalRecord = (log) => Object.fromEntries(CHAINED_FIELDS.map(field => {
+  const value = typeof log.get === 'function' ? log.get(field) : log[field];
+  if (value === undefined || value === null) {
+    return [field, null];
+  }
+  if (field === 'created_at') {
+    return [field, new Date(value).toISOString()];
+  }
+  if (field === 'sequence' || typeof value !== 'object') {
+    return [field, field === 'sequence' ? Number(value) : value];
+  }
+  return [field, JSON.parse(JSON.stringify(value))];
+}));
+
+/**
+ * 计算记录哈希：SHA-256(前一记录哈希 + "\n" + 规范内容)
+ * @param {String} prevHash 前一记录哈希
+ * @param {Object} log 审计日志记录或字段
+ * @returns {String} 十六进制哈希
+ */
+const computeHash = (prevHash, log) => crypto
+  .createHash('sha256')
+  .update(`${prevHash}\n${canonicalize(toCanonicalRecord(log))}`)
+  .digest('hex');
+
+/**
+ * 按序号逐条校验一段哈希链
+ * @param {Array} records 按序号升序的审计日志
+ * @param {Object} previous 区间前一条记录 { sequence, hash }，区间从链首开始时为空
+ * @returns {Array} 断点 [{ type, sequence, id, expected, actual, createdAt, message }]
+ */
+const verifyRecords = (records, previous = null) => {
+  const breaks = [];
+  let last = previous;
+
+  records.forEach(record => {
+    const sequence = Number(record.sequence);
+    const base = { sequence, id: record.id, createdAt: record.created_at };
+    const expectedPrevHash = last ? last.hash : (sequence === 1 ? GENESIS_HASH : null);
+
+    if (last && sequence !== Number(last.sequence) + 1) {
+      breaks.push({
+        ...base,
+        type: 'MissingRecords',
+        expected: Number(last.sequence) + 1,
+        actual: sequence,
+        message: `序号 ${Number(last.sequence) + 1} 至 ${sequence - 1} 的记录缺失`
+      });
+    } else if (expectedPrevHash !== null && record.prev_hash !== expectedPrevHash) {
+      breaks.push({
+        ...base,
+        type: 'BrokenLink',
+        expected: expectedPrevHash,
+        actual: record.prev_hash,
+        message: `序号 ${sequence} 的前一哈希与前一条记录不一致`
+      });
+    }
+
+    const hash = computeHash(record.prev_hash, record);
+    if (hash !== record.hash) {
+      breaks.push({
+        ...base,
+        type: 'HashMismatch',
+        expected: hash,
+        actual: record.hash,
+        message: `序号 ${sequence} 的记录内容与哈希不一致，记录可能被修改`
+      });
+    }
+
+    if (record.deleted_at) {
+      breaks.push({
+        ...base,
+        type: 'Deleted',
+        expected: null,
+        actual: new Date(record.deleted_at).toISOString(),
+        message: `序号 ${sequence} 的记录已被删除`
+      });
+    }
+
+    last = record;
+  });
+
+  return breaks;
+};
+
+/**
+ * 检查点签名内容，重写哈希链后生成的检查点另含被取代检查点的 { sequence, hash }
+ * @param {Object} checkpoint { sequence, hash, record_count, created_at, supersedes }
+ * @returns {String}
+ */
+const checkpointPayload = (checkpoint) => canonicalize({
+  sequence: Number(checkpoint.sequence),
+  hash: checkpoint.hash,
+  recordCount: Number(checkpoint.record_count),
+  createdAt: new Date(checkpoint.created_at).toISOString(),
+  ...(checkpoint.supersedes?.length
+    ? { supersedes: checkpoint.supersedes.map(item => ({ sequence: Number(item.sequence), hash: item.hash })) }
+    : {})
+});
+
+/**
+ * 签名内容，Ed25519 密钥不指定摘要算法，RSA/EC 使用 SHA-256
+ * @param {String} payload 签名内容
+ * @param {KeyObject} privateKey 私钥
+ * @returns {String} Base64 签名
+ */
+const signPayload = (payload, privateKey) => {
+  const algorithm = privateKey.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+  return crypto.sign(algorithm, Buffer.from(payload), privateKey).toString('base64');
+};
+
+/**
+ * 使用公钥校验签名
+ * @param {String} payload 签名内容
+ * @param {String} signature Base64 签名
+ * @param {String|KeyObject} publicKey PEM 公钥
+ * @returns {Boolean}
+ */
+const verifyPayloadSignature = (payload, signature, publicKey) => {
+  try {
+    const key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+    const algorithm = key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    return crypto.verify(algorithm, Buffer.from(payload), key, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 签名检查点
+ * @param {Object} checkpoint 检查点字段
+ * @param {KeyObject} privateKey 私钥
+ * @returns {String} Base64 签名
+ */
+const signCheckpoint = (checkpoint, privateKey) => signPayload(checkpointPayload(checkpoint), privateKey);
+
+/**
+ * 使用公钥校验检查点签名
+ * @param {Object} checkpoint 检查点(含 signature)
+ * @param {String|KeyObject} publicKey PEM 公钥
+ * @returns {Boolean}
+ */
+const verifyCheckpointSignature = (checkpoint, publicKey) =>
+  verifyPayloadSignature(checkpointPayload(checkpoint), checkpoint.signature, publicKey);
+
+/**
+ * 公钥指纹：SPKI DER 的 SHA-256 前16位
+ * @param {KeyObject} publicKey 公钥
+ * @returns {String}
+ */
+const keyFingerprint = (publicKey) => crypto
+  .createHash('sha256')
+  .update(publicKey.export({ type: 'spki', format: 'der' }))
+  .digest('hex')
+  .slice(0, 16);
+
+module.exports = {
+  GENESIS_HASH,
+  CHAINED_FIELDS,
+  canonicalize,
+  toCanonicalRecord,
+  computeHash,
+  verifyRecords,
+  checkpointPayload,
+  signPayload,
+  verifyPayloadSignature,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  keyFingerprint
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const isKnown = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * 解析备份周期
+ * @param {String} period 备份周期，如 "Monday,Wednesday,Friday"
+ * @returns {Array|null} 去重后的星期，未知时为 null
+ */
+const parseBackupDays = (period) => {
+  if (!isKnown(period)) {
+    return null;
+  }
+  const days = String(period).split(',').map(day => day.trim()).filter(day => WEEKDAYS.includes(day));
+  return WEEKDAYS.filter(day => days.includes(day));
+};
+
+/**
+ * 由备份周期计算每周备份次数
+ * @param {String} period 备份周期，如 "Monday,Wednesday,Friday"
+ * @returns {Number|null} 每周备份次数，未知时为 null
+ */
+const countWeeklyBackups = (period) => {
+  const days = parseBackupDays(period);
+  return days ? days.length : null;
+};
+
+/**
+ * 将云端备份策略与加密状态整理为实例保存的备份配置
+ * @param {Object} policy 云端备份策略，可为空
+ * @param {Object} encryption 加密状态 { encrypted }，可为空
+ * @returns {Object} { retentionDays, backupDays, backupsPerWeek, logBackupEnabled, encrypted, fetchedAt }，未知项为 null
+ */
+const toBackupConfig = (policy, encryption) => ({
+  retentionDays: isKnown(policy?.backupRetentionPeriod) ? Number(policy.backupRetentionPeriod) : null,
+  backupDays: parseBackupDays(policy?.preferredBackupPeriod),
+  backupsPerWeek: countWeeklyBackups(policy?.preferredBackupPeriod),
+  logBackupEnabled: typeof policy?.enableBackupLog === 'boolean' ? policy.enableBackupLog : null,
+  encrypted: typeof encryption?.encrypted === 'boolean' ? encryption.encrypted : null,
+  fetchedAt: new Date().toISOString()
+});
+
+/**
+ * 策略检查项：配置字段、是否启用、是否满足与违规说明
+ */
+const RULES = [
+  {
+    rule: 'MinRetention',
+    field: 'retentionDays',
+    expected: policy => policy.min_retention_days,
+    enabled: policy => isKnown(policy.min_retention_days),
+    passes: (actual, expected) => actual >= expected,
+    message: (actual, expected) => `备份保留 ${actual} 天，低于要求的 ${expected} 天`,
+    unknown: '无法获取备份保留天数'
+  },
+  {
+    rule: 'LogBackup',
+    field: 'logBackupEnabled',
+    expected: () => true,
+    enabled: policy => Boolean(policy.require_log_backup),
+    passes: actual => actual === true,
+    message: () => '未开启日志备份',
+    unknown: '无法获取日志备份状态'
+  },
+  {
+    rule: 'BackupFrequency',
+    field: 'backupsPerWeek',
+    expected: policy => policy.min_backups_per_week,
+    enabled: policy => isKnown(policy.min_backups_per_week),
+    passes: (actual, expected) => actual >= expected,
+    message: (actual, expected) => `每周备份 ${actual} 次，低于要求的 ${expected} 次`,
+    unknown: '无法获取备份周期'
+  },
+  {
+    rule: 'Encryption',
+    field: 'encrypted',
+    expected: () => true,
+    enabled: policy => Boolean(policy.require_encryption),
+    passes: actual => actual === true,
+    message: () => '未开启加密',
+    unknown: '无法获取加密状态'
+  }
+];
+
+/**
+ * 对照备份策略检查实例的备份配置
+ * 有违规项时为 NonCompliant；无违规但存在无法获取的配置项时为 Unverified
+ * @param {Object} policy 备份策略，为空时为 NoPolicy
+ * @param {Object} config 实例备份配置(toBackupConfig 的结果)，为空时视为全部未知
+ * @returns {Object} { status, violations: [{ rule, expected, actual, message }], unverified: [{ rule, message }] }
+ */
+const evaluateBackupPolicy = (policy, config) => {
+  if (!policy) {
+    return { status: 'NoPolicy', violations: [], unverified: [] };
+  }
+
+  const violations = [];
+  const unverified = [];
+
+  RULES.filter(rule => rule.enabled(policy)).forEach(rule => {
+    const expected = rule.expected(policy);
+    const actual = config ? config[rule.field] : null;
+
+    if (!isKnown(actual)) {
+      unverified.push({ rule: rule.rule, message: rule.unknown });
+    } else if (!rule.passes(actual, expected)) {
+      violations.push({ rule: rule.rule, expected, actual, message: rule.message(actual, expected) });
+    }
+  });
+
+  let status = 'Compliant';
+  if (violations.length > 0) {
+    status = 'NonCompliant';
+  } else if (unverified.length > 0) {
+    status = 'Unverified';
+  }
+
+  return { status, violations, unverified };
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseBackupDays,
+  countWeeklyBackups,
+  toBackupConfig,
+  evaluateBackupPolicy
+};
\ No newline at end of file
@@ -0,0 +1,190 @@
+const { WEEKDAYS } = require('./backupCompliance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 计算大小基线所需的最少历史备份数
+const MIN_BASELINE_BACKUPS = 3;
+
+const dayKey = (value) => new Date(value).toISOString().slice(0, 10);
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date.getTime();
+};
+
+const average = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const percentChange = (value, baseline) => (baseline
+  ? Math.round(((value - baseline) / baseline) * 10000) / 100
+  : null);
+
+const isSuccessfulFull = (record) => record.status === 'Success' && record.backup_type !== 'IncrementalBackup';
+
+const inPeriod = (record, since, until) => {
+  const time = new Date(record.started_at).getTime();
+  return time >= new Date(since).getTime() && time <= new Date(until).getTime();
+};
+
+const byStart = (a, b) => new Date(a.started_at) - new Date(b.started_at);
+
+/**
+ * 查找计划备份日中没有成功全量备份的日期(UTC)，当天备份可能尚未执行不计入
+ * @param {Array} records 备份目录记录
+ * @param {Object} options { since, until, backupDays: 计划备份的星期，为空时按每天备份 }
+ * @returns {Array} 漏备份日期 YYYY-MM-DD
+ */
+const findMissedBackups = (records, { since, until, backupDays = null }) => {
+  const backedUpDays = new Set(records.filter(isSuccessfulFull).map(record => dayKey(record.started_at)));
+  const missed = [];
+
+  for (let day = startOfDay(since); day < startOfDay(until); day += DAY_MS) {
+    const weekday = WEEKDAYS[(new Date(day).getUTCDay() + 6) % 7];
+    if (backupDays && !backupDays.includes(weekday)) {
+      continue;
+    }
+    if (!backedUpDays.has(dayKey(day))) {
+      missed.push(dayKey(day));
+    }
+  }
+
+  return missed;
+};
+
+/**
+ * 查找大小异常的全量备份：与之前若干个成功全量备份的中位数比较
+ * 备份突然缩小可能意味着数据丢失
+ * @param {Array} records 备份目录记录，包含统计期之前的备份作为基线
+ * @param {Object} options { since, until, shrinkThreshold, growthThreshold, baselineCount }
+ * @returns {Array} [{ backupId, startedAt, backupSize, baselineSize, changePercent, type: Shrink/Growth }]
+ */
+const findSizeAnomalies = (records, options) => {
+  const { since, until, shrinkThreshold = 0.3, growthThreshold = 1, baselineCount = 5 } = options;
+  const fulls = records
+    .filter(record => isSuccessfulFull(record) && Number(record.backup_size) > 0)
+    .sort(byStart);
+  const anomalies = [];
+
+  fulls.forEach((record, index) => {
+    if (!inPeriod(record, since, until)) {
+      return;
+    }
+    const previous = fulls.slice(Math.max(0, index - baselineCount), index).map(item => Number(item.backup_size));
+    if (previous.length < MIN_BASELINE_BACKUPS) {
+      return;
+    }
+
+    const baselineSize = median(previous);
+    const change = (Number(record.backup_size) - baselineSize) / baselineSize;
+    let type = null;
+    if (change <= -shrinkThreshold) {
+      type = 'Shrink';
+    } else if (change >= growthThreshold) {
+      type = 'Growth';
+    }
+
+    if (type) {
+      anomalies.push({
+        backupId: record.backup_id,
+        startedAt: record.started_at,
+        backupSize: Number(record.backup_size),
+        baselineSize,
+        changePercent: percentChange(Number(record.backup_size), baselineSize),
+        type
+      });
+    }
+  });
+
+  return anomalies;
+};
+
+/**
+ * 全量备份耗时趋势：最近若干次与之前同样次数的平均耗时比较
+ * @param {Array} records 统计期内的备份目录记录
+ * @param {Number} recentCount 比较的备份次数
+ * @returns {Object} { points, averageSeconds, recentAverageSeconds, previousAverageSeconds, changePercent }
+ */
+const summarizeDurations = (records, recentCount = 7) => {
+  const points = records
+    .filter(record => isSuccessfulFull(record) && record.duration_seconds !== null && record.duration_seconds !== undefined)
+    .sort(byStart)
+    .map(record => ({
+      backupId: record.backup_id,
+      startedAt: record.started_at,
+      durationSeconds: record.duration_seconds,
+      backupSize: record.backup_size !== null && record.backup_size !== undefined ? Number(record.backup_size) : null
+    }));
+
+  const durations = points.map(point => point.durationSeconds);
+  const recentAverageSeconds = average(durations.slice(-recentCount));
+  const previousAverageSeconds = average(durations.slice(-recentCount * 2, -recentCount));
+
+  return {
+    points,
+    averageSeconds: average(durations),
+    recentAverageSeconds,
+    previousAverageSeconds,
+    changePercent: previousAverageSeconds !== null ? percentChange(recentAverageSeconds, previousAverageSeconds) : null
+  };
+};
+
+/**
+ * 分析实例备份健康状况
+ * 漏备份或备份缩小为 Critical；备份失败、备份大幅增长或耗时增长超过 durationWarnPercent 为 Warning
+ * @param {Array} records 备份目录记录，可包含统计期之前的备份作为大小基线
+ * @param {Object} options { since, until, backupDays, shrinkThreshold, growthThreshold, baselineCount, durationWarnPercent }
+ * @returns {Object} { status, since, until, totals, missedBackups, failedBackups, sizeAnomalies, durationTrend }
+ */
+const analyzeBackupHealth = (records, options) => {
+  const { since, until, durationWarnPercent = 50 } = options;
+  const periodRecords = records.filter(record => inPeriod(record, since, until));
+
+  const missedBackups = findMissedBackups(periodRecords, options);
+  const failedBackups = periodRecords
+    .filter(record => record.status === 'Failed')
+    .sort(byStart)
+    .map(record => ({
+      backupId: record.backup_id,
+      backupType: record.backup_type,
+      startedAt: record.started_at
+    }));
+  const sizeAnomalies = findSizeAnomalies(records, options);
+  const durationTrend = summarizeDurations(periodRecords);
+
+  let status = 'Healthy';
+  if (missedBackups.length > 0 || sizeAnomalies.some(anomaly => anomaly.type === 'Shrink')) {
+    status = 'Critical';
+  } else if (failedBackups.length > 0 || sizeAnomalies.length > 0 || durationTrend.changePercent > durationWarnPercent) {
+    status = 'Warning';
+  }
+
+  return {
+    status,
+    since,
+    until,
+    totals: {
+      total: periodRecords.length,
+      success: periodRecords.filter(record => record.status === 'Success').length,
+      failed: failedBackups.length
+    },
+    missedBackups,
+    failedBackups,
+    sizeAnomalies,
+    durationTrend
+  };
+};
+
+module.exports = {
+  findMissedBackups,
+  findSizeAnomalies,
+  summarizeDurations,
+  analyzeBackupHealth
+};
\ No newline at end of file
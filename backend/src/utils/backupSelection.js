@@ -0,0 +1,121 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 备份集选择策略
+const SELECTION_POLICIES = ['LatestFull', 'OldestInRetention', 'RandomInWindow', 'ClosestToDate'];
+
+// 默认选择策略
+const DEFAULT_POLICY = process.env.RECOVERY_BACKUP_SELECTION_POLICY || 'LatestFull';
+
+/**
+ * 解析阿里云返回的时间，支持ISO字符串与秒级时间戳
+ * @param {String|Number} value 时间
+ * @returns {Date|null}
+ */
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+    const seconds = Number(value);
+    return new Date(seconds < 1e12 ? seconds * 1000 : seconds);
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * 规范化备份集信息
+ * @param {Object} backup DescribeBackups 返回的备份条目
+ * @returns {Object} 备份集元数据
+ */
+const normalizeBackup = (backup) => ({
+  backupId: String(backup.backupId ?? backup.BackupId),
+  backupType: backup.backupType ?? backup.BackupType,
+  backupMethod: backup.backupMethod ?? backup.BackupMethod,
+  backupMode: backup.backupMode ?? backup.BackupMode,
+  status: backup.backupStatus ?? backup.BackupStatus,
+  size: Number(backup.backupSize ?? backup.BackupSize) || null,
+  startTime: parseTime(backup.backupStartTime ?? backup.BackupStartTime),
+  endTime: parseTime(backup.backupEndTime ?? backup.BackupEndTime),
+  consistentTime: parseTime(backup.consistentTime ?? backup.ConsistentTime)
+});
+
+/**
+ * 备份集的数据时间点，优先使用一致性时间
+ * @param {Object} backup 规范化后的备份集
+ * @returns {Number} 时间戳
+ */
+const pointOf = (backup) => (backup.consistentTime || backup.endTime || backup.startTime).getTime();
+
+/**
+ * 按策略选择备份集
+ * 只考虑成功的全量备份；OldestInRetention 会避开即将过期的备份
+ * @param {Array} backups 规范化后的备份集列表
+ * @param {String} policy 选择策略
+ * @param {Object} options { retentionDays, targetDate, windowStart, windowEnd, expiryMarginHours, now, random }
+ * @returns {Object|null} 选中的备份集
+ */
+const selectBackup = (backups, policy = DEFAULT_POLICY, options = {}) => {
+  if (!SELECTION_POLICIES.includes(policy)) {
+    throw new Error(`不支持的备份集选择策略: ${policy}`);
+  }
+
+  const now = options.now || new Date();
+  const random = options.random || Math.random;
+
+  const candidates = backups
+    .filter(backup => backup.status === 'Success' && backup.backupType === 'FullBackup')
+    .filter(backup => backup.endTime || backup.startTime)
+    .sort((a, b) => pointOf(a) - pointOf(b));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  switch (policy) {
+    case 'LatestFull':
+      return candidates[candidates.length - 1];
+
+    case 'OldestInRetention': {
+      if (!options.retentionDays) {
+        return candidates[0];
+      }
+      const marginMs = (options.expiryMarginHours ?? 24) * 60 * 60 * 1000;
+      const earliest = now.getTime() - options.retentionDays * DAY_MS + marginMs;
+      return candidates.find(backup => pointOf(backup) >= earliest) || null;
+    }
+
+    case 'RandomInWindow': {
+      const start = options.windowStart
+        ? new Date(options.windowStart).getTime()
+        : (options.retentionDays ? now.getTime() - options.retentionDays * DAY_MS : -Infinity);
+      const end = options.windowEnd ? new Date(options.windowEnd).getTime() : now.getTime();
+      const inWindow = candidates.filter(backup => pointOf(backup) >= start && pointOf(backup) <= end);
+      if (inWindow.length === 0) {
+        return null;
+      }
+      return inWindow[Math.floor(random() * inWindow.length)];
+    }
+
+    case 'ClosestToDate': {
+      if (!options.targetDate) {
+        throw new Error('ClosestToDate 策略必须提供目标日期');
+      }
+      const target = new Date(options.targetDate).getTime();
+      return candidates.reduce((closest, backup) =>
+        Math.abs(pointOf(backup) - target) < Math.abs(pointOf(closest) - target) ? backup : closest
+      );
+    }
+
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  SELECTION_POLICIES,
+  DEFAULT_POLICY,
+  parseTime,
+  normalizeBackup,
+  selectBackup
+};
\ No newline at end of file
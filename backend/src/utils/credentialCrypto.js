@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// 密文格式版本，便于日后轮换算法
+const CIPHER_VERSION = 'v1';
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * 获取凭据加密密钥，由 CREDENTIAL_ENCRYPTION_KEY 派生出 256 位密钥
+ * @returns {Buffer}
+ */
+const getKey = () => {
+  const secret = process.env.CREDENTIAL_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('未配置凭据加密密钥 CREDENTIAL_ENCRYPTION_KEY');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * 加密凭据
+ * @param {String} plaintext 明文
+ * @returns {String} v1:iv:tag:密文(base64)
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [CIPHER_VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map(part => Buffer.isBuffer(part) ? part.toString('base64') : part)
+    .join(':');
+};
+
+/**
+ * 解密凭据，密钥不匹配或密文被篡改时抛出错误
+ * @param {String} payload encryptSecret 的输出
+ * @returns {String} 明文
+ */
+const decryptSecret = (payload) => {
+  const [version, iv, tag, encrypted] = String(payload).split(':');
+  if (version !== CIPHER_VERSION || !iv || !tag || encrypted === undefined) {
+    throw new Error('凭据密文格式无效');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('凭据解密失败，请检查 CREDENTIAL_ENCRYPTION_KEY 是否正确');
+  }
+};
+
+/**
+ * 遮盖凭据，仅保留首尾字符用于辨认
+ * @param {String} value 凭据
+ * @returns {String} 如 LTAI****3xYz
+ */
+const maskSecret = (value) => {
+  const text = String(value || '');
+  return text.length > 8 ? `${text.slice(0, 4)}****${text.slice(-4)}` : '****';
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  maskSecret
+};
\ No newline at end of file
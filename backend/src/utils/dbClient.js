@@ -0,0 +1,337 @@
+const mysql = require('mysql2/promise');
+
+// 引擎到驱动的映射
+const ENGINE_DRIVERS = {
+  MySQL: 'mysql',
+  MariaDB: 'mysql',
+  PostgreSQL: 'postgres',
+  PPAS: 'postgres',
+  SQLServer: 'mssql'
+};
+
+// 默认连接超时(ms)
+const DEFAULT_CONNECT_TIMEOUT = parseInt(process.env.RECOVERY_DB_CONNECT_TIMEOUT) || 10000;
+
+// 默认查询超时(ms)
+const DEFAULT_QUERY_TIMEOUT = parseInt(process.env.RECOVERY_DB_QUERY_TIMEOUT) || 60000;
+
+/**
+ * 获取引擎对应的驱动类型
+ * @param {String} engine 数据库引擎
+ * @returns {String} 驱动类型
+ */
+const getDriver = (engine) => {
+  const driver = ENGINE_DRIVERS[engine];
+  if (!driver) {
+    throw new Error(`不支持的数据库引擎: ${engine}`);
+  }
+  return driver;
+};
+
+/**
+ * 按驱动类型转义标识符
+ * @param {String} driver 驱动类型
+ * @param {String} identifier 标识符，支持 schema.table 形式
+ * @returns {String} 转义后的标识符
+ */
+const quoteIdentifier = (driver, identifier) => {
+  return String(identifier).split('.').map(part => {
+    if (driver === 'mysql') return `\`${part.replace(/`/g, '``')}\``;
+    if (driver === 'mssql') return `[${part.replace(/]/g, ']]')}]`;
+    return `"${part.replace(/"/g, '""')}"`;
+  }).join('.');
+};
+
+/**
+ * 查找SQL中第一个语句分隔符的位置，跳过字符串、标识符引用和注释
+ * 按各数据库的词法处理反斜杠转义与 PostgreSQL 美元引用，无法确定时宁可多报分隔符
+ * @param {String} driver 驱动类型
+ * @param {String} sql SQL文本
+ * @returns {Number} 分号位置，没有时为 -1
+ */
+const findStatementTerminator = (driver, sql) => {
+  const text = String(sql);
+  const closers = { '\'': '\'', '"': '"' };
+  if (driver === 'mysql') closers['`'] = '`';
+  if (driver === 'mssql') closers['['] = ']';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (char === ';') {
+      return i;
+    }
+
+    // 行注释；MySQL 的 -- 后须跟空白才是注释
+    if ((char === '-' && next === '-' && (driver !== 'mysql' || i + 2 >= text.length || /\s/.test(text[i + 2]))) ||
+      (char === '#' && driver === 'mysql')) {
+      const end = text.indexOf('\n', i);
+      if (end === -1) return -1;
+      i = end;
+      continue;
+    }
+
+    // 块注释；MySQL 的 /*! */ 中的内容会被执行，按普通SQL扫描
+    if (char === '/' && next === '*' && !(driver === 'mysql' && text[i + 2] === '!')) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) return -1;
+      i = end + 1;
+      continue;
+    }
+
+    // PostgreSQL 美元引用 $tag$...$tag$，标识符中的 $ 不是引用
+    if (char === '$' && driver === 'postgres' && !/[\w$]/.test(text[i - 1] || '')) {
+      const tag = text.slice(i).match(/^\$([A-Za-z_]\w*)?\$/);
+      if (tag) {
+        const end = text.indexOf(tag[0], i + tag[0].length);
+        if (end === -1) return -1;
+        i = end + tag[0].length - 1;
+        continue;
+      }
+    }
+
+    if (closers[char]) {
+      // MySQL 字符串与 PostgreSQL E'' 字符串中反斜杠转义下一个字符
+      const backslashEscapes = (driver === 'mysql' && char !== '`') ||
+        (driver === 'postgres' && char === '\'' && /[eE]/.test(text[i - 1] || '') && !/[\w$]/.test(text[i - 2] || ''));
+      let j = i + 1;
+      while (j < text.length && text[j] !== closers[char]) {
+        j += backslashEscapes && text[j] === '\\' ? 2 : 1;
+      }
+      if (j >= text.length) return -1;
+      i = j;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * 判断SQL是否只包含一条语句，允许末尾一个分号
+ * @param {String} driver 驱动类型
+ * @param {String} sql SQL文本
+ * @returns {Boolean}
+ */
+const isSingleStatement = (driver, sql) => {
+  const index = findStatementTerminator(driver, sql);
+  return index === -1 || String(sql).slice(index + 1).trim() === '';
+};
+
+/**
+ * 建立MySQL/MariaDB连接
+ */
+const openMySQL = async (info) => {
+  const connection = await mysql.createConnection({
+    host: info.host,
+    port: info.port || 3306,
+    user: info.username,
+    password: info.password,
+    database: info.database,
+    connectTimeout: info.timeout || DEFAULT_CONNECT_TIMEOUT,
+    ssl: info.ssl === true ? {} : info.ssl || undefined
+  });
+
+  return {
+    query: async (sql, params = []) => {
+      const [rows] = await connection.query({ sql, timeout: DEFAULT_QUERY_TIMEOUT }, params);
+      return rows;
+    },
+    serverVersion: async () => {
+      const [rows] = await connection.query('SELECT VERSION() AS version');
+      return rows[0]?.version || null;
+    },
+    readOnly: async (job) => {
+      await connection.query('START TRANSACTION READ ONLY');
+      try {
+        return await job();
+      } finally {
+        await connection.query('ROLLBACK').catch(() => {});
+      }
+    },
+    tlsStatus: async () => {
+      const [rows] = await connection.query("SHOW SESSION STATUS WHERE Variable_name IN ('Ssl_cipher', 'Ssl_version')");
+      const status = Object.fromEntries(rows.map(row => [row.Variable_name, row.Value]));
+      return {
+        enabled: Boolean(status.Ssl_cipher),
+        protocol: status.Ssl_version || null,
+        cipher: status.Ssl_cipher || null
+      };
+    },
+    close: () => connection.end()
+  };
+};
+
+/**
+ * 建立PostgreSQL/PPAS连接
+ */
+const openPostgres = async (info) => {
+  const { Client } = require('pg');
+  const client = new Client({
+    host: info.host,
+    port: info.port || 5432,
+    user: info.username,
+    password: info.password,
+    database: info.database || 'postgres',
+    connectionTimeoutMillis: info.timeout || DEFAULT_CONNECT_TIMEOUT,
+    query_timeout: DEFAULT_QUERY_TIMEOUT,
+    ssl: info.ssl === true ? { rejectUnauthorized: false } : info.ssl || undefined
+  });
+  await client.connect();
+
+  return {
+    // 扩展查询协议下服务端拒绝一次提交多条语句
+    query: async (sql, params = []) => {
+      const result = await client.query({ text: sql, values: params, queryMode: 'extended' });
+      return result.rows;
+    },
+    serverVersion: async () => {
+      const result = await client.query('SHOW server_version');
+      return result.rows[0]?.server_version || null;
+    },
+    readOnly: async (job) => {
+      await client.query('BEGIN TRANSACTION READ ONLY');
+      try {
+        return await job();
+      } finally {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+    },
+    tlsStatus: async () => {
+      const result = await client.query('SELECT ssl, version, cipher FROM pg_stat_ssl WHERE pid = pg_backend_pid()');
+      const row = result.rows[0] || {};
+      return {
+        enabled: Boolean(row.ssl),
+        protocol: row.version || null,
+        cipher: row.cipher || null
+      };
+    },
+    close: () => client.end()
+  };
+};
+
+/**
+ * 建立SQLServer连接
+ */
+const openSQLServer = async (info) => {
+  const mssql = require('mssql');
+  const pool = new mssql.ConnectionPool({
+    server: info.host,
+    port: info.port || 1433,
+    user: info.username,
+    password: info.password,
+    database: info.database,
+    connectionTimeout: info.timeout || DEFAULT_CONNECT_TIMEOUT,
+    requestTimeout: DEFAULT_QUERY_TIMEOUT,
+    pool: { max: 1, min: 0 },
+    options: {
+      encrypt: Boolean(info.ssl),
+      trustServerCertificate: true
+    }
+  });
+  await pool.connect();
+
+  // 只读执行期间的事务，查询在事务内执行
+  let transaction = null;
+
+  return {
+    query: async (sql, params = []) => {
+      const request = transaction ? transaction.request() : pool.request();
+      params.forEach((value, index) => request.input(`p${index + 1}`, value));
+      const result = await request.query(sql);
+      return result.recordset || [];
+    },
+    // SQLServer 没有只读事务，在事务中执行后回滚，丢弃可能的修改
+    readOnly: async (job) => {
+      transaction = new mssql.Transaction(pool);
+      await transaction.begin();
+      try {
+        return await job();
+      } finally {
+        await transaction.rollback().catch(() => {});
+        transaction = null;
+      }
+    },
+    serverVersion: async () => {
+      const result = await pool.request().query("SELECT CAST(SERVERPROPERTY('ProductVersion') AS NVARCHAR(128)) AS version");
+      return result.recordset[0]?.version || null;
+    },
+    tlsStatus: async () => {
+      const result = await pool.request().query('SELECT encrypt_option FROM sys.dm_exec_connections WHERE session_id = @@SPID');
+      const row = result.recordset[0] || {};
+      return {
+        enabled: row.encrypt_option === 'TRUE',
+        protocol: null,
+        cipher: null
+      };
+    },
+    close: () => pool.close()
+  };
+};
+
+/**
+ * 根据引擎打开数据库连接
+ * 返回统一的连接句柄：query / serverVersion / tlsStatus / readOnly / close / quote
+ * @param {String} engine 数据库引擎
+ * @param {Object} info 连接信息 { host, port, username, password, database, ssl, timeout }
+ * @returns {Promise} 连接句柄
+ */
+const openConnection = async (engine, info) => {
+  const driver = getDriver(engine);
+  const openers = {
+    mysql: openMySQL,
+    postgres: openPostgres,
+    mssql: openSQLServer
+  };
+
+  const handle = await openers[driver](info);
+  return {
+    ...handle,
+    engine,
+    driver,
+    quote: (identifier) => quoteIdentifier(driver, identifier)
+  };
+};
+
+/**
+ * 对连接错误进行分类
+ * @param {Error} error 驱动抛出的错误
+ * @returns {String} 错误分类：DNS / Refused / Auth / Timeout / TLS / Unknown
+ */
+const classifyConnectionError = (error) => {
+  const code = error.code || error.originalError?.code || '';
+  const message = `${error.message || ''} ${error.originalError?.message || ''}`;
+
+  if (['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME'].includes(code) || /ENOTFOUND|EAI_AGAIN|getaddrinfo/i.test(message)) {
+    return 'DNS';
+  }
+  if (code === 'ECONNREFUSED' || /ECONNREFUSED/i.test(message)) {
+    return 'Refused';
+  }
+  if (
+    ['ER_ACCESS_DENIED_ERROR', 'ER_DBACCESS_DENIED_ERROR', 'ELOGIN', '28P01', '28000'].includes(code) ||
+    /access denied|password authentication failed|login failed/i.test(message)
+  ) {
+    return 'Auth';
+  }
+  if (
+    ['ETIMEDOUT', 'ETIMEOUT', 'PROTOCOL_SEQUENCE_TIMEOUT'].includes(code) ||
+    /timeout|timed out/i.test(message)
+  ) {
+    return 'Timeout';
+  }
+  if (/ssl|tls|certificate|self.signed/i.test(message) || /^ERR_TLS|CERT/.test(code)) {
+    return 'TLS';
+  }
+  return 'Unknown';
+};
+
+module.exports = {
+  ENGINE_DRIVERS,
+  getDriver,
+  quoteIdentifier,
+  findStatementTerminator,
+  isSingleStatement,
+  openConnection,
+  classifyConnectionError
+};
\ No newline at end of file
@@ -0,0 +1,133 @@
+// 发现时与云端比对的实例字段：实例表字段 -> 云端属性
+const SYNCED_FIELDS = {
+  status: 'dbInstanceStatus',
+  engine_version: 'engineVersion',
+  instance_class: 'dbInstanceClass',
+  storage_size: 'dbInstanceStorage',
+  zone: 'zoneId',
+  vpc_id: 'vpcId',
+  vswitch_id: 'vSwitchId',
+  connection_string: 'connectionString',
+  port: 'port'
+};
+
+const NUMERIC_FIELDS = ['storage_size', 'port'];
+
+/**
+ * 扫描范围键：账号与地域
+ * @param {String} profileId 凭据配置ID，默认账号为空
+ * @param {String} regionId 地域
+ * @returns {String}
+ */
+const scopeKey = (profileId, regionId) => `${profileId || 'default'}|${regionId}`;
+
+/**
+ * 将云端实例属性转换为实例表字段
+ * @param {Object} cloud 云端实例(DescribeDBInstances 条目)
+ * @param {Object} scope 扫描范围 { profileId, regionId }
+ * @returns {Object} 实例表字段，云端未返回的字段不包含
+ */
+const toInstanceFields = (cloud, scope) => {
+  const fields = {
+    instance_id: cloud.dbInstanceId,
+    instance_name: cloud.dbInstanceDescription || cloud.dbInstanceId,
+    engine: cloud.engine,
+    region: cloud.regionId || scope.regionId,
+    credential_profile_id: scope.profileId || null
+  };
+
+  Object.entries(SYNCED_FIELDS).forEach(([field, attribute]) => {
+    const value = cloud[attribute];
+    if (value !== undefined && value !== null && value !== '') {
+      fields[field] = NUMERIC_FIELDS.includes(field) ? Number(value) : value;
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * 比较已登记实例与云端属性
+ * @param {Object} instance 已登记实例
+ * @param {Object} fields 云端实例字段
+ * @returns {Array} [{ field, from, to }]
+ */
+const compareInstance = (instance, fields) => Object.keys(SYNCED_FIELDS)
+  .filter(field => fields[field] !== undefined && String(fields[field]) !== String(instance[field] ?? ''))
+  .map(field => ({ field, from: instance[field] ?? null, to: fields[field] }));
+
+/**
+ * 计算云端清单与已登记实例的差异
+ * 仅对扫描成功的账号与地域判定实例已不存在，避免接口失败时误报
+ * @param {Object} params
+ * @param {Array} params.cloudInstances 云端实例 [{ scope, instance }]
+ * @param {Array} params.registered 已登记实例(含已归档)
+ * @param {Array} params.scannedScopes 扫描成功的范围 [{ profileId, regionId }]
+ * @param {Array} params.excludeIds 不参与比对的实例ID(如恢复任务创建的克隆实例)
+ * @returns {Object} { items: [{ changeType, instanceId, ... }], unchanged }
+ */
+const diffInventory = ({ cloudInstances, registered, scannedScopes, excludeIds = [] }) => {
+  const excluded = new Set(excludeIds);
+  const byInstanceId = new Map(registered.map(instance => [instance.instance_id, instance]));
+  const seen = new Set();
+  const items = [];
+  let unchanged = 0;
+
+  cloudInstances.forEach(({ scope, instance: cloud }) => {
+    const fields = toInstanceFields(cloud, scope);
+    if (!fields.instance_id || excluded.has(fields.instance_id) || seen.has(fields.instance_id)) {
+      return;
+    }
+    seen.add(fields.instance_id);
+
+    const instance = byInstanceId.get(fields.instance_id);
+    const base = {
+      instanceId: fields.instance_id,
+      region: fields.region,
+      credentialProfileId: fields.credential_profile_id,
+      cloudAttributes: fields
+    };
+
+    if (!instance) {
+      items.push({ ...base, changeType: 'New', rdsInstanceId: null, changes: null });
+      return;
+    }
+    // 已归档实例不再跟踪
+    if (instance.archived_at) {
+      return;
+    }
+
+    const changes = compareInstance(instance, fields);
+    if (changes.length > 0) {
+      items.push({ ...base, changeType: 'Changed', rdsInstanceId: instance.id, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const scanned = new Set(scannedScopes.map(scope => scopeKey(scope.profileId, scope.regionId)));
+  registered
+    .filter(instance => !instance.archived_at && !seen.has(instance.instance_id))
+    .filter(instance => scanned.has(scopeKey(instance.credential_profile_id, instance.region)))
+    .forEach(instance => {
+      items.push({
+        changeType: 'Disappeared',
+        instanceId: instance.instance_id,
+        region: instance.region,
+        credentialProfileId: instance.credential_profile_id || null,
+        rdsInstanceId: instance.id,
+        cloudAttributes: null,
+        changes: null
+      });
+    });
+
+  return { items, unchanged };
+};
+
+module.exports = {
+  SYNCED_FIELDS,
+  scopeKey,
+  toInstanceFields,
+  compareInstance,
+  diffInventory
+};
\ No newline at end of file
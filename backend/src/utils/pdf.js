@@ -0,0 +1,246 @@
+// A4 纵向页面尺寸与页边距(pt)
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+/**
+ * 中文使用 PDF 阅读器内置的 STSong-Light(Adobe-GB1) 字体，无需嵌入字体文件；
+ * 文本按 UniGB-UCS2-H 编码写为 UTF-16 十六进制串，ASCII 字符为半角宽度
+ */
+const FONT_OBJECTS = (fontId, descendantId, descriptorId) => [
+  [fontId, '<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H ' +
+    `/DescendantFonts [${descendantId} 0 R] >>`],
+  [descendantId, '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light ' +
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> ' +
+    `/FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`],
+  [descriptorId, '<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] ' +
+    '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>']
+];
+
+// 字符宽度(相对字号)，与字体的 /W 宽度一致
+const charWidth = (char) => (char.charCodeAt(0) < 0x80 ? 0.5 : 1);
+
+/**
+ * 文本编码为 UCS-2 十六进制串，控制字符替换为空格，基本多文种平面以外的字符替换为问号
+ * @param {String} text 文本
+ * @returns {String}
+ */
+const encodeText = (text) => Array.from(text).map(char => {
+  const code = char.codePointAt(0);
+  if (code < 0x20) {
+    return '0020';
+  }
+  return code > 0xffff ? '003F' : code.toString(16).toUpperCase().padStart(4, '0');
+}).join('');
+
+/**
+ * 按页面宽度折行
+ * @param {String} text 文本
+ * @param {Number} size 字号
+ * @param {Number} maxWidth 最大宽度
+ * @returns {Array<String>}
+ */
+const wrapText = (text, size, maxWidth) => {
+  const lines = [];
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    let width = 0;
+    Array.from(paragraph).forEach(char => {
+      const advance = charWidth(char) * size;
+      if (width + advance > maxWidth && line) {
+        lines.push(line);
+        line = '';
+        width = 0;
+      }
+      line += char;
+      width += advance;
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * 写入输出流，缓冲区已满时等待排空；客户端断开等原因关闭时抛出错误，避免导出一直等待
+ * @param {Writable} stream 输出流
+ * @param {String|Buffer} chunk 内容
+ */
+const writeChunk = async (stream, chunk) => {
+  if (stream.destroyed) {
+    throw new Error('输出流已关闭');
+  }
+  if (!stream.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        stream.off('drain', onDrain);
+        reject(new Error('输出流已关闭'));
+      };
+      stream.once('drain', onDrain);
+      stream.once('close', onClose);
+    });
+  }
+};
+
+// 文档信息字典中的文本字符串，带字节序标记
+const infoText = (text) => `<FEFF${encodeText(text)}>`;
+
+const pdfDate = (date) => `(D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`;
+
+/**
+ * 逐页写出的文本 PDF：正文页写满即输出，不在内存中保留整个文档；
+ * 可在最后插入位于首页的封面，以便封面包含写完正文后才能得到的统计与哈希
+ */
+class PdfDocument {
+  /**
+   * @param {Writable} stream 输出流
+   * @param {Object} options { fontSize, lineGap }
+   */
+  constructor(stream, { fontSize = 9, lineGap = 4 } = {}) {
+    this.stream = stream;
+    this.fontSize = fontSize;
+    this.lineGap = lineGap;
+    this.offset = 0;
+    this.offsets = [];
+    this.objectCount = 0;
+    this.pageIds = [];
+    this.coverIds = [];
+    this.operations = [];
+    this.cursor = PAGE_HEIGHT - MARGIN;
+    this.catalogId = this.reserve();
+    this.pagesId = this.reserve();
+    this.fontId = this.reserve();
+  }
+
+  reserve() {
+    this.objectCount += 1;
+    return this.objectCount;
+  }
+
+  async writeRaw(text) {
+    const buffer = Buffer.from(text, 'latin1');
+    this.offset += buffer.length;
+    await writeChunk(this.stream, buffer);
+  }
+
+  async writeObject(id, body) {
+    this.offsets[id] = this.offset;
+    await this.writeRaw(`${id} 0 obj\n${body}\nendobj\n`);
+  }
+
+  /**
+   * 写出文件头与字体
+   */
+  async begin() {
+    await this.writeRaw('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    const descendantId = this.reserve();
+    const descriptorId = this.reserve();
+    for (const [id, body] of FONT_OBJECTS(this.fontId, descendantId, descriptorId)) {
+      await this.writeObject(id, body);
+    }
+  }
+
+  /**
+   * 写出一页
+   * @param {Array<String>} operations 页面内容操作
+   * @returns {Promise<Number>} 页面对象号
+   */
+  async writePage(operations) {
+    const contentId = this.reserve();
+    const pageId = this.reserve();
+    const content = operations.join('\n');
+    await this.writeObject(contentId, `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    await this.writeObject(pageId, `<< /Type /Page /Parent ${this.pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${this.fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    return pageId;
+  }
+
+  // 页面上指定位置的一行文本
+  textOperation(text, x, y, size) {
+    return `BT /F1 ${size} Tf ${x} ${y} Td <${encodeText(text)}> Tj ET`;
+  }
+
+  /**
+   * 在正文中追加文本，超出页宽时折行，写满一页后输出
+   * @param {String} text 文本
+   * @param {Object} options { size, indent }
+   */
+  async text(text, { size = this.fontSize, indent = 0 } = {}) {
+    const lines = wrapText(text, size, PAGE_WIDTH - MARGIN * 2 - indent);
+    for (const line of lines) {
+      if (this.cursor - size < MARGIN) {
+        await this.flushPage();
+      }
+      this.cursor -= size;
+      this.operations.push(this.textOperation(line, MARGIN + indent, this.cursor, size));
+      this.cursor -= this.lineGap;
+    }
+  }
+
+  /**
+   * 追加空白
+   * @param {Number} height 高度
+   */
+  moveDown(height) {
+    this.cursor -= height;
+  }
+
+  async flushPage() {
+    if (this.operations.length > 0) {
+      this.pageIds.push(await this.writePage(this.operations));
+    }
+    this.operations = [];
+    this.cursor = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * 插入封面页，位于所有正文页之前
+   * @param {Array} lines [{ text, size, gap }]，size 省略时比正文大一号
+   */
+  async addCover(lines) {
+    const operations = [];
+    let cursor = PAGE_HEIGHT - MARGIN;
+    lines.forEach(({ text, size = this.fontSize + 1, gap = 6 }) => {
+      wrapText(text, size, PAGE_WIDTH - MARGIN * 2).forEach(line => {
+        cursor -= size;
+        operations.push(this.textOperation(line, MARGIN, cursor, size));
+        cursor -= gap;
+      });
+    });
+    this.coverIds.push(await this.writePage(operations));
+  }
+
+  /**
+   * 写出页面树、文档信息、交叉引用表并结束输出流
+   * @param {Object} info { title, subject }
+   */
+  async end({ title, subject } = {}) {
+    await this.flushPage();
+    const kids = [...this.coverIds, ...this.pageIds];
+    await this.writeObject(this.pagesId, `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`);
+    await this.writeObject(this.catalogId, `<< /Type /Catalog /Pages ${this.pagesId} 0 R >>`);
+
+    const infoId = this.reserve();
+    await this.writeObject(infoId, `<< ${title ? `/Title ${infoText(title)} ` : ''}${subject ? `/Subject ${infoText(subject)} ` : ''}` +
+      `/Producer (data-recovery-platform) /CreationDate ${pdfDate(new Date())} >>`);
+
+    const xrefOffset = this.offset;
+    const entries = ['0000000000 65535 f '];
+    for (let id = 1; id <= this.objectCount; id++) {
+      entries.push(`${String(this.offsets[id]).padStart(10, '0')} 00000 n `);
+    }
+    await this.writeRaw(`xref\n0 ${this.objectCount + 1}\n${entries.join('\n')}\n` +
+      `trailer\n<< /Size ${this.objectCount + 1} /Root ${this.catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    this.stream.end();
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  encodeText,
+  wrapText,
+  writeChunk
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 创建按固定间隔放行的限流器，调用方依次等待各自的时间片
+ * @param {Number} ratePerSecond 每秒允许的调用次数
+ * @param {Object} options { now, sleep } 可注入时钟，便于测试
+ * @returns {Object} { acquire, pause }
+ */
+const createRateLimiter = (ratePerSecond, options = {}) => {
+  const now = options.now || (() => Date.now());
+  const wait = options.sleep || sleep;
+  const intervalMs = ratePerSecond > 0 ? 1000 / ratePerSecond : 0;
+  let nextSlot = 0;
+
+  return {
+    /**
+     * 等待下一个可用时间片
+     */
+    async acquire() {
+      const current = now();
+      const slot = Math.max(current, nextSlot);
+      nextSlot = slot + intervalMs;
+
+      if (slot > current) {
+        await wait(slot - current);
+      }
+    },
+
+    /**
+     * 云端限流时暂停放行
+     * @param {Number} ms 暂停时长
+     */
+    pause(ms) {
+      nextSlot = Math.max(nextSlot, now() + ms);
+    }
+  };
+};
+
+module.exports = {
+  createRateLimiter
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+const { parseTime } = require('./backupSelection');
+
+// 相邻日志文件之间允许的最大间隔，超过视为日志断档
+const LOG_GAP_TOLERANCE_MS = 60 * 1000;
+
+/**
+ * 规范化日志备份文件信息
+ * @param {Object} binlog DescribeBinlogFiles 返回的日志条目
+ * @returns {Object} 日志文件元数据
+ */
+const normalizeBinlog = (binlog) => ({
+  fileName: binlog.logFileName ?? binlog.LogFileName,
+  hostInstanceId: binlog.hostInstanceID ?? binlog.HostInstanceID,
+  size: Number(binlog.fileSize ?? binlog.FileSize) || null,
+  beginTime: parseTime(binlog.logBeginTime ?? binlog.LogBeginTime),
+  endTime: parseTime(binlog.logEndTime ?? binlog.LogEndTime)
+});
+
+/**
+ * 备份集的数据时间点，优先使用一致性时间
+ * @param {Object} backup 规范化后的备份集
+ * @returns {Date}
+ */
+const backupPoint = (backup) => backup.consistentTime || backup.endTime || backup.startTime;
+
+/**
+ * 从最新的日志开始向前查找连续的日志区间
+ * @param {Array} binlogs 规范化后的日志文件列表
+ * @returns {Object|null} { start, end }
+ */
+const findLatestLogSegment = (binlogs) => {
+  const logs = binlogs
+    .filter(log => log.beginTime && log.endTime)
+    .sort((a, b) => b.endTime - a.endTime);
+
+  if (logs.length === 0) {
+    return null;
+  }
+
+  let start = logs[0].beginTime;
+  const end = logs[0].endTime;
+
+  for (const log of logs.slice(1)) {
+    if (log.endTime.getTime() + LOG_GAP_TOLERANCE_MS < start.getTime()) {
+      break;
+    }
+    if (log.beginTime < start) {
+      start = log.beginTime;
+    }
+  }
+
+  return { start, end };
+};
+
+/**
+ * 计算可恢复时间窗口
+ * 起点为最早一个其后日志连续的全量备份点，终点为连续日志的最晚时间；
+ * 没有可用日志时只能恢复到最新全量备份点
+ * @param {Array} backups 规范化后的备份集列表
+ * @param {Array} binlogs 规范化后的日志文件列表
+ * @returns {Object|null} { start, end, earliestBackupId, latestBackupId, logEndTime }
+ */
+const computeRecoveryWindow = (backups, binlogs = []) => {
+  const fullBackups = backups
+    .filter(backup => backup.status === 'Success' && backup.backupType === 'FullBackup' && backupPoint(backup))
+    .sort((a, b) => backupPoint(a) - backupPoint(b));
+
+  if (fullBackups.length === 0) {
+    return null;
+  }
+
+  const latest = fullBackups[fullBackups.length - 1];
+  const segment = findLatestLogSegment(binlogs);
+  const bridged = segment
+    ? fullBackups.filter(backup =>
+      backupPoint(backup).getTime() >= segment.start.getTime() - LOG_GAP_TOLERANCE_MS &&
+      backupPoint(backup) <= segment.end)
+    : [];
+
+  if (bridged.length === 0) {
+    return {
+      start: backupPoint(latest),
+      end: backupPoint(latest),
+      earliestBackupId: latest.backupId,
+      latestBackupId: latest.backupId,
+      logEndTime: segment ? segment.end : null
+    };
+  }
+
+  return {
+    start: backupPoint(bridged[0]),
+    end: segment.end,
+    earliestBackupId: bridged[0].backupId,
+    latestBackupId: latest.backupId,
+    logEndTime: segment.end
+  };
+};
+
+/**
+ * 查找时间点恢复所基于的全量备份，即该时间点之前最近的一个
+ * @param {Array} backups 规范化后的备份集列表
+ * @param {Date} restoreTime 恢复时间点
+ * @returns {Object|null} 备份集
+ */
+const findBaseBackup = (backups, restoreTime) => {
+  const candidates = backups
+    .filter(backup => backup.status === 'Success' && backup.backupType === 'FullBackup' && backupPoint(backup))
+    .filter(backup => backupPoint(backup) <= restoreTime)
+    .sort((a, b) => backupPoint(b) - backupPoint(a));
+
+  return candidates[0] || null;
+};
+
+/**
+ * 校验恢复时间点是否在可恢复窗口内
+ * @param {Object} window 可恢复窗口
+ * @param {Date|String} requestedTime 请求的恢复时间点
+ * @param {String} policy Reject: 超出时报错；Clamp: 校正到窗口边界
+ * @returns {Object} { restoreTime, requestedTime, corrected }
+ */
+const resolveRestoreTime = (window, requestedTime, policy = 'Reject') => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.retryable = false;
+    return error;
+  };
+
+  if (!window) {
+    throw fail('源实例没有可用的全量备份，无法进行时间点恢复');
+  }
+
+  const requested = requestedTime ? new Date(requestedTime) : new Date(window.end);
+  if (isNaN(requested.getTime())) {
+    throw fail(`无效的恢复时间点: ${requestedTime}`);
+  }
+
+  if (requested >= window.start && requested <= window.end) {
+    return { restoreTime: requested, requestedTime: requested, corrected: false };
+  }
+
+  if (policy !== 'Clamp') {
+    throw fail(`恢复时间点 ${requested.toISOString()} 不在可恢复窗口 ` +
+      `[${window.start.toISOString()}, ${window.end.toISOString()}] 内`);
+  }
+
+  return {
+    restoreTime: requested < window.start ? window.start : window.end,
+    requestedTime: requested,
+    corrected: true
+  };
+};
+
+module.exports = {
+  normalizeBinlog,
+  computeRecoveryWindow,
+  findBaseBackup,
+  resolveRestoreTime
+};
\ No newline at end of file
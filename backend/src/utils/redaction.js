@@ -0,0 +1,146 @@
+const policy = require('../config/redaction');
+
+// 遮盖符
+const MASK = '****';
+
+// 最大遍历深度，超出部分整体遮盖
+const MAX_DEPTH = 20;
+
+// 文本中的敏感内容：连接串中的密码、Bearer 令牌
+const TEXT_PATTERNS = [
+  { pattern: /(\b[a-z][a-z0-9+.-]*:\/\/[^:/?#@\s]+:)([^/?#\s]+)(@)/gi, replace: `$1${MASK}$3` },
+  { pattern: /(\bBearer\s+)[A-Za-z0-9\-._~+/]+=*/g, replace: `$1${MASK}` }
+];
+
+// 字段名比较时忽略大小写、下划线与连字符
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+/**
+ * 遮盖敏感值，仅保留末尾字符
+ * @param {*} value 敏感值
+ * @param {Number} keepLast 保留的末尾字符数，值长度不足其两倍时全部遮盖
+ * @returns {String} 如 ****3xYz
+ */
+const maskValue = (value, keepLast = policy.keepLast) => {
+  const text = String(value);
+  return keepLast > 0 && text.length >= keepLast * 2 ? `${MASK}${text.slice(-keepLast)}` : MASK;
+};
+
+/**
+ * 遮盖文本中的连接串密码与令牌
+ * @param {String} text 文本
+ * @returns {String}
+ */
+const redactText = (text) => TEXT_PATTERNS.reduce(
+  (result, { pattern, replace }) => result.replace(pattern, replace),
+  text
+);
+
+// 路由覆盖配置的匹配规则，路径参数匹配任意一段
+const ROUTE_RULES = Object.entries(policy.routes).map(([route, overrides]) => {
+  const [method, path] = route.split(' ');
+  const pattern = path.split('/').map(segment => (
+    segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  )).join('/');
+  return { method, pattern: new RegExp(`^${pattern}/?$`), overrides };
+});
+
+/**
+ * 请求对应的路由脱敏覆盖配置
+ * @param {String} method 请求方法
+ * @param {String} url 请求路径，可含查询参数，如 /api/credential-profiles/7f3c...?a=1
+ * @returns {Object} 覆盖配置，未配置时为空对象
+ */
+const getRoutePolicy = (method, url) => {
+  const path = String(url || '').split('?')[0];
+  const rule = ROUTE_RULES.find(item => item.method === String(method).toUpperCase() && item.pattern.test(path));
+  return rule ? rule.overrides : {};
+};
+
+/**
+ * 按策略创建脱敏函数
+ * @param {Object} overrides 路由覆盖 { fields, allow, keepLast }
+ * @returns {Function} (value) => 脱敏后的副本，不修改原值
+ */
+const createRedactor = (overrides = {}) => {
+  const extraFields = (process.env.AUDIT_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean);
+  const fields = [...policy.fields, ...extraFields, ...(overrides.fields || [])].map(normalizeKey);
+  const allow = (overrides.allow || []).map(normalizeKey);
+  const keepLast = overrides.keepLast ?? policy.keepLast;
+
+  const isSensitive = (key) => {
+    const normalized = normalizeKey(key);
+    return !allow.includes(normalized) && fields.some(field => normalized.includes(field));
+  };
+
+  const walk = (value, sensitive, depth, seen) => {
+    if (value === null || value === undefined || typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return sensitive ? maskValue(value, keepLast) : redactText(value);
+    }
+    if (typeof value !== 'object') {
+      return sensitive ? maskValue(value, keepLast) : value;
+    }
+    if (value instanceof Date) {
+      return value;
+    }
+    if (depth >= MAX_DEPTH || seen.has(value)) {
+      return MASK;
+    }
+    // 模型实例等按其JSON形式处理
+    if (typeof value.toJSON === 'function') {
+      return walk(value.toJSON(), sensitive, depth + 1, seen);
+    }
+
+    seen.add(value);
+    const result = Array.isArray(value)
+      ? value.map(item => walk(item, sensitive, depth + 1, seen))
+      : Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        walk(item, sensitive || isSensitive(key), depth + 1, seen)
+      ]));
+    seen.delete(value);
+    return result;
+  };
+
+  return (value) => walk(value, false, 0, new WeakSet());
+};
+
+/**
+ * 按策略脱敏任意值：敏感字段名下的值遮盖为仅保留末尾字符，其余文本遮盖连接串密码与令牌
+ * @param {*} value 待脱敏的值
+ * @param {Object} overrides 路由覆盖 { fields, allow, keepLast }
+ * @returns {*} 脱敏后的副本
+ */
+const redact = (value, overrides) => createRedactor(overrides)(value);
+
+/**
+ * 脱敏待保存的审计日志字段：请求参数、修改前后的值与操作描述
+ * @param {Object} values 审计日志字段
+ * @param {Object} overrides 路由覆盖
+ * @returns {Object} 脱敏后的字段
+ */
+const redactAuditValues = (values, overrides) => {
+  const redactor = createRedactor(overrides);
+  const result = { ...values };
+  ['request_params', 'old_values', 'new_values'].forEach(field => {
+    if (result[field] !== undefined && result[field] !== null) {
+      result[field] = redactor(result[field]);
+    }
+  });
+  if (typeof result.description === 'string') {
+    result.description = redactText(result.description);
+  }
+  return result;
+};
+
+module.exports = {
+  maskValue,
+  redactText,
+  getRoutePolicy,
+  createRedactor,
+  redact,
+  redactAuditValues
+};
\ No newline at end of file
@@ -0,0 +1,117 @@
+// 可重试的云端/网络错误：限流、服务暂不可用、实例状态暂不允许操作等
+const RETRYABLE_PATTERNS = [
+  /Throttling/i,
+  /ServiceUnavailable/i,
+  /InternalError/i,
+  /OperationDenied\.DBInstanceStatus/i,
+  /IncorrectDBInstanceState/i,
+  /QuotaExceed/i,
+  /RequestTimeout/i,
+  /SDK\.ServerUnreachable/i,
+  /ECONNRESET|ETIMEDOUT|ECONNREFUSED|EAI_AGAIN|ESOCKETTIMEDOUT/,
+  /等待实例创建超时/
+];
+
+// 不可重试的错误：备份集、实例规格、参数、权限等配置问题
+const PERMANENT_PATTERNS = [
+  /InvalidBackupSet/i,
+  /InvalidBackupSetID/i,
+  /InvalidDBInstanceClass/i,
+  /InvalidRestoreTime/i,
+  /InvalidParameter/i,
+  /MissingParameter/i,
+  /InvalidAccessKeyId/i,
+  /SignatureDoesNotMatch/i,
+  /Forbidden/i,
+  /InvalidDBInstanceId\.NotFound/i,
+  /IncorrectEngineVersion/i
+];
+
+// 恢复实例连接失败时，可重试的连接错误类型
+const RETRYABLE_CONNECTION_ERRORS = ['DNS', 'Refused', 'Timeout'];
+
+/**
+ * 读取默认重试策略
+ * @returns {Object} 重试策略
+ */
+const getDefaultRetryPolicy = () => ({
+  maxAttempts: parseInt(process.env.RECOVERY_RETRY_MAX_ATTEMPTS) || 3,
+  initialDelaySeconds: parseInt(process.env.RECOVERY_RETRY_INITIAL_DELAY) || 60,
+  backoffMultiplier: parseFloat(process.env.RECOVERY_RETRY_BACKOFF_MULTIPLIER) || 2,
+  maxDelaySeconds: parseInt(process.env.RECOVERY_RETRY_MAX_DELAY) || 3600,
+  jitter: process.env.RECOVERY_RETRY_JITTER !== 'false'
+});
+
+/**
+ * 合并任务重试策略与默认值
+ * @param {Object} policy 任务重试策略
+ * @returns {Object} 完整重试策略
+ */
+const normalizeRetryPolicy = (policy) => ({
+  ...getDefaultRetryPolicy(),
+  ...(policy || {})
+});
+
+/**
+ * 计算第 N 次重试前的等待时间(秒)，指数退避并可附加最多20%的随机抖动
+ * @param {Object} policy 重试策略
+ * @param {Number} retryNumber 重试序号，从1开始
+ * @returns {Number} 等待秒数
+ */
+const computeBackoffSeconds = (policy, retryNumber) => {
+  const { initialDelaySeconds, backoffMultiplier, maxDelaySeconds, jitter } = normalizeRetryPolicy(policy);
+  const base = Math.min(
+    initialDelaySeconds * Math.pow(backoffMultiplier, Math.max(retryNumber - 1, 0)),
+    maxDelaySeconds
+  );
+
+  return Math.round(jitter ? base * (1 + Math.random() * 0.2) : base);
+};
+
+/**
+ * 对恢复任务错误进行分类
+ * @param {Error} error 错误
+ * @returns {Object} { category: Retryable/Permanent/Unknown, retryable, code, reason }
+ */
+const classifyError = (error) => {
+  const code = error.code ? String(error.code) : null;
+  const text = `${code || ''} ${error.message || ''}`;
+  const result = (category, reason) => ({
+    category,
+    retryable: category === 'Retryable',
+    code,
+    reason
+  });
+
+  if (typeof error.retryable === 'boolean') {
+    return result(error.retryable ? 'Retryable' : 'Permanent', '错误已显式标记');
+  }
+
+  // 克隆实例已就绪但验证失败：连接类错误可重试，数据不一致不可重试
+  if (error.verificationResult) {
+    const connection = error.verificationResult.connection;
+    if (connection && connection.success === false) {
+      return RETRYABLE_CONNECTION_ERRORS.includes(connection.errorType)
+        ? result('Retryable', `恢复实例连接失败: ${connection.errorType}`)
+        : result('Permanent', `恢复实例连接失败: ${connection.errorType}`);
+    }
+    return result('Permanent', '恢复数据验证未通过');
+  }
+
+  if (PERMANENT_PATTERNS.some(pattern => pattern.test(text))) {
+    return result('Permanent', '云端返回不可重试的错误');
+  }
+
+  if (RETRYABLE_PATTERNS.some(pattern => pattern.test(text))) {
+    return result('Retryable', '云端或网络暂时性错误');
+  }
+
+  return result('Unknown', '未识别的错误');
+};
+
+module.exports = {
+  getDefaultRetryPolicy,
+  normalizeRetryPolicy,
+  computeBackoffSeconds,
+  classifyError
+};
\ No newline at end of file
@@ -0,0 +1,92 @@
+const cronParser = require('cron-parser');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 默认时区
+const DEFAULT_TIMEZONE = process.env.RECOVERY_SCHEDULE_TIMEZONE || 'Asia/Shanghai';
+
+/**
+ * 校验调度规则
+ * @param {Object} rule { scheduleType, cronExpression, intervalDays, startAt, timezone }
+ * @returns {String|null} 错误信息，合法时为 null
+ */
+const validateRule = (rule) => {
+  if (rule.scheduleType === 'Cron') {
+    if (!rule.cronExpression) {
+      return 'Cron调度必须提供cron表达式';
+    }
+    try {
+      cronParser.parseExpression(rule.cronExpression, { tz: rule.timezone || DEFAULT_TIMEZONE });
+    } catch (error) {
+      return `无效的cron表达式: ${error.message}`;
+    }
+    return null;
+  }
+
+  if (rule.scheduleType === 'Interval') {
+    if (!Number.isInteger(rule.intervalDays) || rule.intervalDays < 1) {
+      return '间隔调度必须提供大于0的间隔天数';
+    }
+    if (!rule.startAt) {
+      return '间隔调度必须提供起始时间';
+    }
+    return null;
+  }
+
+  return `不支持的调度类型: ${rule.scheduleType}`;
+};
+
+/**
+ * 计算指定时间之后的若干次运行时间
+ * @param {Object} rule 调度规则
+ * @param {Date} from 起算时间(不含)
+ * @param {Number} count 次数
+ * @returns {Array<Date>} 运行时间列表
+ */
+const nextRuns = (rule, from = new Date(), count = 1) => {
+  const error = validateRule(rule);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const runs = [];
+
+  if (rule.scheduleType === 'Cron') {
+    const interval = cronParser.parseExpression(rule.cronExpression, {
+      currentDate: from,
+      tz: rule.timezone || DEFAULT_TIMEZONE
+    });
+    for (let i = 0; i < count; i++) {
+      runs.push(interval.next().toDate());
+    }
+    return runs;
+  }
+
+  // 间隔调度：以起始时间为锚点，每 N 天一次
+  const start = new Date(rule.startAt).getTime();
+  const period = rule.intervalDays * DAY_MS;
+  let next = from.getTime() < start
+    ? start
+    : start + (Math.floor((from.getTime() - start) / period) + 1) * period;
+
+  for (let i = 0; i < count; i++) {
+    runs.push(new Date(next));
+    next += period;
+  }
+  return runs;
+};
+
+/**
+ * 计算下一次运行时间
+ * @param {Object} rule 调度规则
+ * @param {Date} from 起算时间(不含)
+ * @returns {Date} 下一次运行时间
+ */
+const nextRun = (rule, from = new Date()) => nextRuns(rule, from, 1)[0];
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  validateRule,
+  nextRuns,
+  nextRun
+};
\ No newline at end of file
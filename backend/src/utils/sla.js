@@ -0,0 +1,143 @@
+// 计入RTO分解的执行阶段，其余时间(排队、重试等待)计为 Waiting
+const MEASURED_PHASES = ['SnapshotSource', 'CloneRequested', 'InstanceReady', 'Verifying'];
+
+/**
+ * 读取实例的RTO/RPO目标，实例未配置时使用全局默认值
+ * @param {Object} instance RDS实例
+ * @returns {Object} { rtoMinutes, rpoMinutes }，未配置的目标为 null
+ */
+const getSlaTargets = (instance) => ({
+  rtoMinutes: instance?.target_rto_minutes ?? (parseInt(process.env.SLA_DEFAULT_RTO_MINUTES) || null),
+  rpoMinutes: instance?.target_rpo_minutes ?? (parseInt(process.env.SLA_DEFAULT_RPO_MINUTES) || null)
+});
+
+const secondsBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / 1000);
+
+/**
+ * 计算恢复任务实际达成的RTO与RPO
+ * RTO: 从发起执行到克隆实例验证可用；RPO: 发起克隆时源实例最新数据与恢复一致性时间点的差距
+ * @param {Object} task 恢复任务
+ * @param {Array} steps 任务的执行阶段记录
+ * @returns {Object} { achievedRtoSeconds, achievedRpoSeconds, rtoBreakdown }
+ */
+const measureRecovery = (task, steps) => {
+  const requestedAt = new Date(task.requested_at || task.queued_at || task.started_at);
+  const byStart = (a, b) => new Date(a.started_at) - new Date(b.started_at);
+  const relevant = steps
+    .filter(step => step.started_at && new Date(step.started_at) >= requestedAt)
+    .sort(byStart);
+
+  const completed = (phase) => relevant.filter(step => step.phase === phase && step.status === 'Completed').pop();
+  const verified = completed('Verifying');
+  const cloned = completed('CloneRequested');
+
+  const rtoBreakdown = {};
+  relevant
+    .filter(step => MEASURED_PHASES.includes(step.phase) && step.completed_at)
+    .forEach(step => {
+      rtoBreakdown[step.phase] = (rtoBreakdown[step.phase] || 0) + secondsBetween(step.started_at, step.completed_at);
+    });
+
+  const achievedRtoSeconds = verified ? secondsBetween(requestedAt, verified.completed_at) : null;
+  if (achievedRtoSeconds !== null) {
+    const measured = Object.values(rtoBreakdown).reduce((sum, seconds) => sum + seconds, 0);
+    rtoBreakdown.Waiting = Math.max(achievedRtoSeconds - measured, 0);
+  }
+
+  const achievedRpoSeconds = cloned && task.consistency_point
+    ? Math.max(secondsBetween(task.consistency_point, cloned.started_at), 0)
+    : null;
+
+  return { achievedRtoSeconds, achievedRpoSeconds, rtoBreakdown };
+};
+
+/**
+ * 对照目标评估RTO/RPO是否达标
+ * @param {Object} measurement { achievedRtoSeconds, achievedRpoSeconds }
+ * @param {Object} targets { rtoMinutes, rpoMinutes }
+ * @returns {Object} { status: Met/Breached/NoTarget/Unmeasured, rtoMet, rpoMet, targetRtoMinutes, targetRpoMinutes }
+ */
+const evaluateSla = (measurement, targets) => {
+  const check = (achieved, targetMinutes) =>
+    targetMinutes && achieved !== null && achieved !== undefined ? achieved <= targetMinutes * 60 : null;
+
+  const rtoMet = check(measurement.achievedRtoSeconds, targets.rtoMinutes);
+  const rpoMet = check(measurement.achievedRpoSeconds, targets.rpoMinutes);
+  const checks = [rtoMet, rpoMet].filter(result => result !== null);
+
+  let status;
+  if (!targets.rtoMinutes && !targets.rpoMinutes) {
+    status = 'NoTarget';
+  } else if (checks.length === 0) {
+    status = 'Unmeasured';
+  } else {
+    status = checks.every(Boolean) ? 'Met' : 'Breached';
+  }
+
+  return {
+    status,
+    rtoMet,
+    rpoMet,
+    targetRtoMinutes: targets.rtoMinutes,
+    targetRpoMinutes: targets.rpoMinutes
+  };
+};
+
+const average = (values) => values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : null;
+
+/**
+ * 汇总各实例的SLA达成情况，以实例最近一次成功任务为准
+ * @param {Array} instances RDS实例列表
+ * @param {Array} tasks 报告期内的恢复任务
+ * @returns {Object} 实例明细与达成率
+ */
+const summarizeSla = (instances, tasks) => {
+  const successfulTasks = tasks.filter(task => task.status === 'Success');
+
+  const results = instances.map(instance => {
+    const targets = getSlaTargets(instance);
+    const latest = successfulTasks
+      .filter(task => task.rds_instance_id === instance.id)
+      .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))[0];
+
+    const measurement = {
+      achievedRtoSeconds: latest ? latest.achieved_rto_seconds : null,
+      achievedRpoSeconds: latest ? latest.achieved_rpo_seconds : null
+    };
+    const evaluation = evaluateSla(measurement, targets);
+
+    return {
+      instanceId: instance.id,
+      instanceName: instance.instance_name,
+      taskId: latest ? latest.id : null,
+      ...measurement,
+      ...evaluation,
+      status: evaluation.status !== 'NoTarget' && !latest ? 'Untested' : evaluation.status
+    };
+  });
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const targetedInstances = results.filter(result => result.status !== 'NoTarget').length;
+  const metInstances = count('Met');
+
+  return {
+    instances: results,
+    targetedInstances,
+    metInstances,
+    breachedInstances: count('Breached'),
+    untestedInstances: count('Untested'),
+    noTargetInstances: count('NoTarget'),
+    slaComplianceRate: targetedInstances > 0 ? parseFloat((metInstances / targetedInstances * 100).toFixed(2)) : null,
+    averageAchievedRto: average(successfulTasks.map(task => task.achieved_rto_seconds).filter(value => value !== null && value !== undefined)),
+    averageAchievedRpo: average(successfulTasks.map(task => task.achieved_rpo_seconds).filter(value => value !== null && value !== undefined))
+  };
+};
+
+module.exports = {
+  getSlaTargets,
+  measureRecovery,
+  evaluateSla,
+  summarizeSla
+};
\ No newline at end of file
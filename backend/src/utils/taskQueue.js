@@ -0,0 +1,113 @@
+// 优先级排序权重，数值越小越先执行
+const PRIORITY_ORDER = {
+  Critical: 0,
+  High: 1,
+  Normal: 2,
+  Low: 3
+};
+
+/**
+ * 解析按地域配置的并发上限
+ * 格式: cn-shenzhen:2,cn-hangzhou:4
+ * @param {String} value 配置值
+ * @returns {Object} 地域 → 上限
+ */
+const parseRegionLimits = (value) => {
+  const limits = {};
+  String(value || '').split(',').forEach(item => {
+    const [region, limit] = item.split(':').map(part => part && part.trim());
+    if (region && parseInt(limit) > 0) {
+      limits[region] = parseInt(limit);
+    }
+  });
+  return limits;
+};
+
+/**
+ * 读取队列并发限制配置
+ * @returns {Object} 并发限制
+ */
+const getQueueLimits = () => ({
+  global: parseInt(process.env.RECOVERY_MAX_CONCURRENT_TASKS) || 5,
+  perRegion: parseInt(process.env.RECOVERY_MAX_TASKS_PER_REGION) || 3,
+  perSource: parseInt(process.env.RECOVERY_MAX_TASKS_PER_SOURCE) || 1,
+  regions: parseRegionLimits(process.env.RECOVERY_REGION_LIMITS)
+});
+
+/**
+ * 按优先级、计划时间、入队时间排序
+ * @param {Array} entries 队列条目 { priority, scheduledAt, queuedAt }
+ * @returns {Array} 排序后的新数组
+ */
+const sortQueue = (entries) => {
+  const time = (value) => (value ? new Date(value).getTime() : Number.MAX_SAFE_INTEGER);
+
+  return [...entries].sort((a, b) => {
+    const priorityDiff = (PRIORITY_ORDER[a.priority] ?? PRIORITY_ORDER.Normal) -
+      (PRIORITY_ORDER[b.priority] ?? PRIORITY_ORDER.Normal);
+    if (priorityDiff !== 0) return priorityDiff;
+
+    const scheduledDiff = time(a.scheduledAt) - time(b.scheduledAt);
+    if (scheduledDiff !== 0) return scheduledDiff;
+
+    return time(a.queuedAt) - time(b.queuedAt);
+  });
+};
+
+/**
+ * 计算本轮可出队的任务
+ * 高优先级任务因地域或源实例受限时，不阻塞其他地域的低优先级任务
+ * @param {Array} queued 排队任务 { id, priority, scheduledAt, queuedAt, region, sourceInstanceId, notBefore }
+ * @param {Array} running 运行中任务 { region, sourceInstanceId }
+ * @param {Object} limits 并发限制
+ * @param {Date} now 当前时间，早于 notBefore 的任务处于重试退避中
+ * @returns {Object} { dispatch: 可执行任务, blocked: [{ entry, reason }] }
+ */
+const planDispatch = (queued, running, limits = getQueueLimits(), now = new Date()) => {
+  const regionCounts = {};
+  const sourceCounts = {};
+  let total = running.length;
+
+  running.forEach(item => {
+    regionCounts[item.region] = (regionCounts[item.region] || 0) + 1;
+    sourceCounts[item.sourceInstanceId] = (sourceCounts[item.sourceInstanceId] || 0) + 1;
+  });
+
+  const dispatch = [];
+  const blocked = [];
+
+  for (const entry of sortQueue(queued)) {
+    const regionLimit = limits.regions?.[entry.region] || limits.perRegion;
+    let reason = null;
+
+    if (entry.notBefore && new Date(entry.notBefore) > now) {
+      reason = 'RetryBackoff';
+    } else if (total >= limits.global) {
+      reason = 'GlobalLimit';
+    } else if ((regionCounts[entry.region] || 0) >= regionLimit) {
+      reason = 'RegionLimit';
+    } else if ((sourceCounts[entry.sourceInstanceId] || 0) >= limits.perSource) {
+      reason = 'SourceLimit';
+    }
+
+    if (reason) {
+      blocked.push({ entry, reason });
+      continue;
+    }
+
+    dispatch.push(entry);
+    total++;
+    regionCounts[entry.region] = (regionCounts[entry.region] || 0) + 1;
+    sourceCounts[entry.sourceInstanceId] = (sourceCounts[entry.sourceInstanceId] || 0) + 1;
+  }
+
+  return { dispatch, blocked };
+};
+
+module.exports = {
+  PRIORITY_ORDER,
+  getQueueLimits,
+  parseRegionLimits,
+  sortQueue,
+  planDispatch
+};
\ No newline at end of file
@@ -1,176 +1,508 @@
-const Joi = require('joi');
-
-/**
- * 验证中间件
- * @param {Object} schema Joi验证模式
- * @param {String} source 数据源 ('body', 'query', 'params')
- */
-const validate = (schema, source = 'body') => {
-  return (req, res, next) => {
-    const data = req[source];
-    const { error, value } = schema.validate(data, {
-      abortEarly: false,
-      allowUnknown: false,
-      stripUnknown: true
-    });
-
-    if (error) {
-      const validationErrors = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context.value
-      }));
-
-      return res.status(400).json({
-        error: true,
-        message: '数据验证失败',
-        validationErrors
-      });
-    }
-
-    // 用验证后的数据替换原始数据
-    req[source] = value;
-    next();
-  };
-};
-
-// 用户相关验证模式
-const userSchemas = {
-  register: Joi.object({
-    username: Joi.string().alphanum().min(3).max(50).required().messages({
-      'string.alphanum': '用户名只能包含字母和数字',
-      'string.min': '用户名至少3个字符',
-      'string.max': '用户名最多50个字符',
-      'any.required': '用户名是必填的'
-    }),
-    email: Joi.string().email().required().messages({
-      'string.email': '请输入有效的邮箱地址',
-      'any.required': '邮箱是必填的'
-    }),
-    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]')).required().messages({
-      'string.min': '密码至少8个字符',
-      'string.pattern.base': '密码必须包含大小写字母、数字和特殊字符',
-      'any.required': '密码是必填的'
-    }),
-    realName: Joi.string().max(50).optional(),
-    role: Joi.string().valid('admin', 'operator', 'auditor').default('operator')
-  }),
-  
-  login: Joi.object({
-    username: Joi.string().required().messages({
-      'any.required': '用户名是必填的'
-    }),
-    password: Joi.string().required().messages({
-      'any.required': '密码是必填的'
-    })
-  }),
-  
-  updateProfile: Joi.object({
-    realName: Joi.string().max(50).optional(),
-    email: Joi.string().email().optional()
-  }),
-  
-  changePassword: Joi.object({
-    currentPassword: Joi.string().required().messages({
-      'any.required': '当前密码是必填的'
-    }),
-    newPassword: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]')).required().messages({
-      'string.min': '新密码至少8个字符',
-      'string.pattern.base': '新密码必须包含大小写字母、数字和特殊字符',
-      'any.required': '新密码是必填的'
-    })
-  })
-};
-
-// RDS实例相关验证模式
-const rdsSchemas = {
-  create: Joi.object({
-    instanceId: Joi.string().required().messages({
-      'any.required': '实例ID是必填的'
-    }),
-    instanceName: Joi.string().required().messages({
-      'any.required': '实例名称是必填的'
-    }),
-    engine: Joi.string().valid('MySQL', 'PostgreSQL', 'SQLServer', 'PPAS', 'MariaDB').required(),
-    engineVersion: Joi.string().required(),
-    region: Joi.string().default('cn-shenzhen'),
-    zone: Joi.string().optional(),
-    instanceClass: Joi.string().optional(),
-    storageType: Joi.string().optional(),
-    storageSize: Joi.number().integer().min(20).max(32000).optional(),
-    vpcId: Joi.string().optional(),
-    vswitchId: Joi.string().optional(),
-    connectionString: Joi.string().optional(),
-    port: Joi.number().integer().min(1).max(65535).optional(),
-    backupRetentionPeriod: Joi.number().integer().min(7).max(730).default(7),
-    backupTime: Joi.string().optional(),
-    description: Joi.string().max(500).optional()
-  }),
-  
-  update: Joi.object({
-    instanceName: Joi.string().optional(),
-    description: Joi.string().max(500).optional(),
-    backupRetentionPeriod: Joi.number().integer().min(7).max(730).optional(),
-    backupTime: Joi.string().optional(),
-    isMonitored: Joi.boolean().optional()
-  })
-};
-
-// 恢复任务相关验证模式
-const recoverySchemas = {
-  create: Joi.object({
-    taskName: Joi.string().required().messages({
-      'any.required': '任务名称是必填的'
-    }),
-    rdsInstanceId: Joi.string().uuid().required(),
-    sourceInstanceId: Joi.string().required(),
-    backupId: Joi.string().optional(),
-    backupType: Joi.string().valid('FullBackup', 'IncrementalBackup', 'LogBackup').default('FullBackup'),
-    restoreTime: Joi.date().optional(),
-    restoreType: Joi.string().valid('BackupSet', 'PointInTime').default('BackupSet'),
-    targetInstanceName: Joi.string().required(),
-    taskType: Joi.string().valid('Manual', 'Scheduled', 'Annual').default('Manual'),
-    priority: Joi.string().valid('Low', 'Normal', 'High', 'Critical').default('Normal'),
-    complianceYear: Joi.number().integer().min(2020).max(2050).optional(),
-    isAnnualTask: Joi.boolean().default(false),
-    scheduledAt: Joi.date().optional(),
-    config: Joi.object().optional()
-  }),
-  
-  update: Joi.object({
-    taskName: Joi.string().optional(),
-    priority: Joi.string().valid('Low', 'Normal', 'High', 'Critical').optional(),
-    scheduledAt: Joi.date().optional(),
-    config: Joi.object().optional()
-  })
-};
-
-// 通用验证模式
-const commonSchemas = {
-  pagination: Joi.object({
-    page: Joi.number().integer().min(1).default(1),
-    limit: Joi.number().integer().min(1).max(100).default(20),
-    sortBy: Joi.string().optional(),
-    sortOrder: Joi.string().valid('asc', 'desc').default('desc')
-  }),
-  
-  uuid: Joi.object({
-    id: Joi.string().uuid().required().messages({
-      'string.uuid': 'ID格式无效',
-      'any.required': 'ID是必填的'
-    })
-  }),
-  
-  dateRange: Joi.object({
-    startDate: Joi.date().required(),
-    endDate: Joi.date().min(Joi.ref('startDate')).required()
-  })
-};
-
-module.exports = {
-  validate,
-  userSchemas,
-  rdsSchemas,
-  recoverySchemas,
-  commonSchemas
+const Joi = require('joi');
+const { isSimulatorEnabled } = require('../services/providers');
+
+/**
+ * 验证中间件
+ * @param {Object} schema Joi验证模式
+ * @param {String} source 数据源 ('body', 'query', 'params')
+ */
+const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const data = req[source];
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      allowUnknown: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const validationErrors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context.value
+      }));
+
+      return res.status(400).json({
+        error: true,
+        message: '数据验证失败',
+        validationErrors
+      });
+    }
+
+    // 用验证后的数据替换原始数据
+    req[source] = value;
+    next();
+  };
+};
+
+// 用户相关验证模式
+const userSchemas = {
+  register: Joi.object({
+    username: Joi.string().alphanum().min(3).max(50).required().messages({
+      'string.alphanum': '用户名只能包含字母和数字',
+      'string.min': '用户名至少3个字符',
+      'string.max': '用户名最多50个字符',
+      'any.required': '用户名是必填的'
+    }),
+    email: Joi.string().email().required().messages({
+      'string.email': '请输入有效的邮箱地址',
+      'any.required': '邮箱是必填的'
+    }),
+    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]')).required().messages({
+      'string.min': '密码至少8个字符',
+      'string.pattern.base': '密码必须包含大小写字母、数字和特殊字符',
+      'any.required': '密码是必填的'
+    }),
+    realName: Joi.string().max(50).optional(),
+    role: Joi.string().valid('admin', 'operator', 'auditor').default('operator')
+  }),
+  
+  login: Joi.object({
+    username: Joi.string().required().messages({
+      'any.required': '用户名是必填的'
+    }),
+    password: Joi.string().required().messages({
+      'any.required': '密码是必填的'
+    })
+  }),
+  
+  updateProfile: Joi.object({
+    realName: Joi.string().max(50).optional(),
+    email: Joi.string().email().optional()
+  }),
+  
+  changePassword: Joi.object({
+    currentPassword: Joi.string().required().messages({
+      'any.required': '当前密码是必填的'
+    }),
+    newPassword: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*\\d)(?=.*[@$!%*?&])[A-Za-z\\d@$!%*?&]')).required().messages({
+      'string.min': '新密码至少8个字符',
+      'string.pattern.base': '新密码必须包含大小写字母、数字和特殊字符',
+      'any.required': '新密码是必填的'
+    })
+  })
+};
+
+// RDS实例相关验证模式
+const rdsSchemas = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortBy: Joi.string().optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+    status: Joi.string().valid('Running', 'Creating', 'Stopped', 'Deleting', 'Rebooting', 'Unknown').optional(),
+    includeArchived: Joi.boolean().default(false)
+  }),
+
+  create: Joi.object({
+    instanceId: Joi.string().required().messages({
+      'any.required': '实例ID是必填的'
+    }),
+    instanceName: Joi.string().required().messages({
+      'any.required': '实例名称是必填的'
+    }),
+    engine: Joi.string().valid('MySQL', 'PostgreSQL', 'SQLServer', 'PPAS', 'MariaDB').required(),
+    engineVersion: Joi.string().required(),
+    // 允许值列表会跳过自定义规则，这里在 custom 中一并校验；simulator 仅在配置启用时可选
+    provider: Joi.string().default('aliyun').custom((value, helpers) => {
+      const valids = ['aliyun', 'selfManaged', 'simulator'];
+      if (!valids.includes(value)) {
+        return helpers.error('any.only', { valids });
+      }
+      if (value === 'simulator' && !isSimulatorEnabled()) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    }).messages({
+      'any.invalid': '本地模拟器未启用，不能添加 simulator 实例'
+    }),
+    region: Joi.string().default('cn-shenzhen'),
+    credentialProfileId: Joi.string().uuid().optional(),
+    backupPolicyId: Joi.string().uuid().optional(),
+    zone: Joi.string().optional(),
+    instanceClass: Joi.string().optional(),
+    storageType: Joi.string().optional(),
+    storageSize: Joi.number().integer().min(20).max(32000).optional(),
+    vpcId: Joi.string().optional(),
+    vswitchId: Joi.string().optional(),
+    connectionString: Joi.string().optional(),
+    port: Joi.number().integer().min(1).max(65535).optional(),
+    backupRetentionPeriod: Joi.number().integer().min(7).max(730).default(7),
+    backupTime: Joi.string().optional(),
+    description: Joi.string().max(500).optional(),
+    cloneRetentionPolicy: Joi.string().valid('Immediate', 'KeepHours', 'Manual').optional(),
+    cloneRetentionHours: Joi.number().integer().min(1).max(720).optional(),
+    targetRtoMinutes: Joi.number().integer().min(1).max(10080).optional(),
+    targetRpoMinutes: Joi.number().integer().min(1).max(10080).optional()
+  }),
+  
+  update: Joi.object({
+    instanceName: Joi.string().optional(),
+    description: Joi.string().max(500).optional(),
+    backupRetentionPeriod: Joi.number().integer().min(7).max(730).optional(),
+    backupTime: Joi.string().optional(),
+    isMonitored: Joi.boolean().optional(),
+    region: Joi.string().optional(),
+    credentialProfileId: Joi.string().uuid().allow(null).optional(),
+    backupPolicyId: Joi.string().uuid().allow(null).optional(),
+    cloneRetentionPolicy: Joi.string().valid('Immediate', 'KeepHours', 'Manual').optional(),
+    cloneRetentionHours: Joi.number().integer().min(1).max(720).optional(),
+    targetRtoMinutes: Joi.number().integer().min(1).max(10080).allow(null).optional(),
+    targetRpoMinutes: Joi.number().integer().min(1).max(10080).allow(null).optional()
+  }),
+
+  history: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    field: Joi.string().max(50).optional()
+  }),
+
+  backups: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    status: Joi.string().valid('Success', 'Failed').optional(),
+    backupType: Joi.string().valid('FullBackup', 'IncrementalBackup').optional(),
+    startTime: Joi.date().iso().optional(),
+    endTime: Joi.date().iso().min(Joi.ref('startTime')).optional()
+  }),
+
+  backupHealth: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(30)
+  }),
+
+  discover: Joi.object({
+    regions: Joi.array().items(Joi.string().max(50)).min(1).optional()
+  }),
+
+  discoveryItems: Joi.object({
+    changeType: Joi.string().valid('New', 'Changed', 'Disappeared').optional(),
+    resolution: Joi.string().valid('Pending', 'Imported', 'Updated', 'Archived', 'Ignored').optional()
+  }),
+
+  applyDiscovery: Joi.object({
+    action: Joi.string().valid('import', 'update', 'archive', 'ignore').required(),
+    itemIds: Joi.array().items(Joi.string().uuid()).min(1).max(500).required()
+  })
+};
+
+// 数据验证规则
+const validationRuleSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  type: Joi.string().valid('rowCount', 'checksum', 'freshness', 'sql').required(),
+  severity: Joi.string().valid('error', 'warning').default('error'),
+  table: Joi.when('type', { is: 'sql', then: Joi.forbidden(), otherwise: Joi.string().required() }),
+  where: Joi.string().optional(),
+  expected: Joi.any().optional(),
+  min: Joi.number().integer().min(0).optional(),
+  max: Joi.number().integer().min(0).optional(),
+  columns: Joi.when('type', { is: 'checksum', then: Joi.array().items(Joi.string()).min(1).required(), otherwise: Joi.forbidden() }),
+  column: Joi.string().optional(),
+  maxLagMinutes: Joi.when('type', { is: 'freshness', then: Joi.number().min(0).required(), otherwise: Joi.forbidden() }),
+  referenceTime: Joi.date().optional(),
+  sql: Joi.when('type', { is: 'sql', then: Joi.string().required(), otherwise: Joi.forbidden() }),
+  params: Joi.array().optional(),
+  operator: Joi.string().valid('eq', 'ne', 'gt', 'gte', 'lt', 'lte').optional()
+});
+
+const taskConfigSchema = Joi.object({
+  validationRules: Joi.array().items(validationRuleSchema).optional(),
+  comparison: Joi.object({
+    enabled: Joi.boolean().default(false),
+    schemas: Joi.array().items(Joi.string()).optional(),
+    ignoreTables: Joi.array().items(Joi.string()).optional(),
+    rowCountTolerancePercent: Joi.number().min(0).max(100).default(10),
+    // 源快照晚于一致性时间点时，行数容差每小时放宽的百分点及放宽上限
+    driftTolerancePercentPerHour: Joi.number().min(0).max(100).default(1),
+    driftTolerancePercent: Joi.number().min(0).max(100).default(30)
+  }).optional(),
+  // 跨地域恢复时目标地域的可用区与网络
+  targetNetwork: Joi.object({
+    zoneId: Joi.string().optional(),
+    vpcId: Joi.string().optional(),
+    vSwitchId: Joi.string().optional()
+  }).optional(),
+  // 恢复实例的连接账号，密码只从环境变量读取，不随任务保存
+  connection: Joi.object({
+    username: Joi.string().optional(),
+    database: Joi.string().optional(),
+    ssl: Joi.boolean().optional(),
+    password: Joi.forbidden().messages({
+      'any.unknown': '连接密码不能保存在任务配置中，请通过环境变量 RECOVERY_DB_PASSWORD 配置'
+    })
+  }).optional()
+}).unknown(true);
+
+// 任务重试策略
+const retryPolicySchema = Joi.object({
+  maxAttempts: Joi.number().integer().min(1).max(10).optional(),
+  initialDelaySeconds: Joi.number().integer().min(1).max(86400).optional(),
+  backoffMultiplier: Joi.number().min(1).max(10).optional(),
+  maxDelaySeconds: Joi.number().integer().min(1).max(86400).optional(),
+  jitter: Joi.boolean().optional()
+});
+
+// 备份集选择策略
+const backupSelectionSchema = Joi.object({
+  policy: Joi.string().valid('LatestFull', 'OldestInRetention', 'RandomInWindow', 'ClosestToDate').required(),
+  targetDate: Joi.when('policy', { is: 'ClosestToDate', then: Joi.date().required(), otherwise: Joi.forbidden() }),
+  windowStart: Joi.date().optional(),
+  windowEnd: Joi.date().optional()
+});
+
+// 恢复任务相关验证模式
+const recoverySchemas = {
+  create: Joi.object({
+    taskName: Joi.string().required().messages({
+      'any.required': '任务名称是必填的'
+    }),
+    rdsInstanceId: Joi.string().uuid().required(),
+    sourceInstanceId: Joi.string().required(),
+    backupId: Joi.string().optional(),
+    backupSelection: Joi.when('backupId', { is: Joi.exist(), then: Joi.forbidden(), otherwise: backupSelectionSchema.optional() }),
+    backupType: Joi.string().valid('FullBackup', 'IncrementalBackup', 'LogBackup').default('FullBackup'),
+    restoreTime: Joi.date().optional(),
+    restoreType: Joi.string().valid('BackupSet', 'PointInTime').default('BackupSet'),
+    restoreTimePolicy: Joi.string().valid('Reject', 'Clamp').default('Reject'),
+    targetInstanceName: Joi.string().required(),
+    targetRegion: Joi.string().max(50).optional(),
+    taskType: Joi.string().valid('Manual', 'Scheduled', 'Annual').default('Manual'),
+    priority: Joi.string().valid('Low', 'Normal', 'High', 'Critical').default('Normal'),
+    complianceYear: Joi.number().integer().min(2020).max(2050).optional(),
+    isAnnualTask: Joi.boolean().default(false),
+    scheduledAt: Joi.date().optional(),
+    config: taskConfigSchema.optional(),
+    cloneRetentionPolicy: Joi.string().valid('Immediate', 'KeepHours', 'Manual').optional(),
+    cloneRetentionHours: Joi.number().integer().min(1).max(720).optional(),
+    retryPolicy: retryPolicySchema.optional()
+  }),
+  
+  update: Joi.object({
+    taskName: Joi.string().optional(),
+    priority: Joi.string().valid('Low', 'Normal', 'High', 'Critical').optional(),
+    scheduledAt: Joi.date().optional(),
+    config: taskConfigSchema.optional(),
+    cloneRetentionPolicy: Joi.string().valid('Immediate', 'KeepHours', 'Manual').optional(),
+    cloneRetentionHours: Joi.number().integer().min(1).max(720).optional(),
+    retryPolicy: retryPolicySchema.optional()
+  }),
+
+  annual: Joi.object({
+    year: Joi.number().integer().min(2020).max(2050).required(),
+    instanceIds: Joi.array().items(Joi.string()).min(1).required(),
+    backupSelection: backupSelectionSchema.optional(),
+    // 未配置验证规则且未启用对比的任务无法判定验证通过
+    config: taskConfigSchema.optional()
+  }),
+
+  events: Joi.object({
+    taskId: Joi.string().uuid().optional()
+  }),
+
+  logs: Joi.object({
+    attempt: Joi.number().integer().min(1).optional(),
+    level: Joi.string().valid('Info', 'Warn', 'Error').optional()
+  })
+};
+
+// 恢复调度任务模板
+const taskTemplateSchema = Joi.object({
+  restoreType: Joi.string().valid('BackupSet', 'PointInTime').default('BackupSet'),
+  backupType: Joi.string().valid('FullBackup', 'IncrementalBackup', 'LogBackup').optional(),
+  backupId: Joi.string().optional(),
+  backupSelection: backupSelectionSchema.optional(),
+  restoreOffsetMinutes: Joi.number().integer().min(0).max(10080).optional(),
+  restoreTimePolicy: Joi.string().valid('Reject', 'Clamp').optional(),
+  instanceClass: Joi.string().optional(),
+  storageSize: Joi.number().integer().min(20).max(32000).optional(),
+  priority: Joi.string().valid('Low', 'Normal', 'High', 'Critical').optional(),
+  targetInstanceNamePrefix: Joi.string().max(60).optional(),
+  targetRegion: Joi.string().max(50).optional(),
+  config: taskConfigSchema.optional(),
+  cloneRetentionPolicy: Joi.string().valid('Immediate', 'KeepHours', 'Manual').optional(),
+  cloneRetentionHours: Joi.number().integer().min(1).max(720).optional(),
+  retryPolicy: retryPolicySchema.optional()
+});
+
+// 恢复调度规则字段
+const scheduleRuleFields = {
+  scheduleType: Joi.string().valid('Cron', 'Interval'),
+  cronExpression: Joi.when('scheduleType', { is: 'Cron', then: Joi.string().max(100).required(), otherwise: Joi.forbidden() }),
+  intervalDays: Joi.when('scheduleType', { is: 'Interval', then: Joi.number().integer().min(1).max(366).required(), otherwise: Joi.forbidden() }),
+  startAt: Joi.when('scheduleType', { is: 'Interval', then: Joi.date().required(), otherwise: Joi.date().optional() }),
+  timezone: Joi.string().max(50).optional()
+};
+
+// 恢复调度相关验证模式
+const scheduleSchemas = {
+  create: Joi.object({
+    scheduleName: Joi.string().max(100).required().messages({
+      'any.required': '调度名称是必填的'
+    }),
+    rdsInstanceId: Joi.string().uuid().required(),
+    ...scheduleRuleFields,
+    scheduleType: scheduleRuleFields.scheduleType.required(),
+    taskTemplate: taskTemplateSchema.default({}),
+    description: Joi.string().max(500).optional()
+  }),
+
+  // 规则字段与现有调度合并后再整体校验
+  update: Joi.object({
+    scheduleName: Joi.string().max(100).optional(),
+    scheduleType: Joi.string().valid('Cron', 'Interval').optional(),
+    cronExpression: Joi.string().max(100).optional(),
+    intervalDays: Joi.number().integer().min(1).max(366).optional(),
+    startAt: Joi.date().optional(),
+    timezone: Joi.string().max(50).optional(),
+    taskTemplate: taskTemplateSchema.optional(),
+    description: Joi.string().max(500).optional()
+  }),
+
+  preview: Joi.object({
+    ...scheduleRuleFields,
+    scheduleType: scheduleRuleFields.scheduleType.required(),
+    count: Joi.number().integer().min(1).max(50).default(5)
+  })
+};
+
+// 云账号凭据配置相关验证模式
+const credentialProfileSchemas = {
+  create: Joi.object({
+    profileName: Joi.string().max(100).required().messages({
+      'any.required': '配置名称是必填的'
+    }),
+    provider: Joi.string().valid('aliyun').default('aliyun'),
+    accountId: Joi.string().max(50).optional(),
+    accessKeyId: Joi.string().max(128).required().messages({
+      'any.required': 'AccessKey ID是必填的'
+    }),
+    accessKeySecret: Joi.string().max(256).required().messages({
+      'any.required': 'AccessKey Secret是必填的'
+    }),
+    defaultRegion: Joi.string().max(50).optional(),
+    isActive: Joi.boolean().default(true),
+    description: Joi.string().max(500).optional()
+  }),
+
+  // 未提供的 AccessKey 保持不变
+  update: Joi.object({
+    profileName: Joi.string().max(100).optional(),
+    accountId: Joi.string().max(50).allow(null).optional(),
+    accessKeyId: Joi.string().max(128).optional(),
+    accessKeySecret: Joi.string().max(256).optional(),
+    defaultRegion: Joi.string().max(50).allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+    description: Joi.string().max(500).allow(null, '').optional()
+  }).and('accessKeyId', 'accessKeySecret'),
+
+  verify: Joi.object({
+    regionId: Joi.string().max(50).optional()
+  })
+};
+
+// 备份策略，检查项为空或关闭时不检查
+const backupPolicySchemas = {
+  create: Joi.object({
+    policyName: Joi.string().max(100).required().messages({
+      'any.required': '策略名称是必填的'
+    }),
+    description: Joi.string().max(500).optional(),
+    isDefault: Joi.boolean().default(false),
+    minRetentionDays: Joi.number().integer().min(1).max(7300).allow(null).optional(),
+    requireLogBackup: Joi.boolean().default(false),
+    minBackupsPerWeek: Joi.number().integer().min(1).max(7).allow(null).optional(),
+    requireEncryption: Joi.boolean().default(false)
+  }),
+
+  update: Joi.object({
+    policyName: Joi.string().max(100).optional(),
+    description: Joi.string().max(500).allow(null, '').optional(),
+    isDefault: Joi.boolean().optional(),
+    minRetentionDays: Joi.number().integer().min(1).max(7300).allow(null).optional(),
+    requireLogBackup: Joi.boolean().optional(),
+    minBackupsPerWeek: Joi.number().integer().min(1).max(7).allow(null).optional(),
+    requireEncryption: Joi.boolean().optional()
+  })
+};
+
+// 审计相关验证模式
+const auditSchemas = {
+  verify: Joi.object({
+    startDate: Joi.date().iso().required(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).required()
+  }),
+
+  checkpoints: Joi.object({
+    startDate: Joi.date().iso().optional(),
+    endDate: Joi.date().iso().optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  // 日期保持字符串，只有日期的结束日期包含当天全天
+  export: Joi.object({
+    startDate: Joi.string().isoDate().required().messages({
+      'any.required': '开始日期是必填的'
+    }),
+    endDate: Joi.string().isoDate().required().messages({
+      'any.required': '结束日期是必填的'
+    }),
+    format: Joi.string().valid('csv', 'excel', 'pdf', 'json').default('excel'),
+    action: Joi.string().max(100).optional(),
+    resourceType: Joi.string().valid('User', 'RDSInstance', 'RecoveryTask', 'RecoverySchedule', 'CredentialProfile', 'BackupPolicy', 'Report', 'AuditLog', 'System').optional(),
+    status: Joi.string().valid('Success', 'Failed', 'Warning').optional(),
+    riskLevel: Joi.string().valid('Low', 'Medium', 'High', 'Critical').optional()
+  }),
+
+  archiveSearch: Joi.object({
+    startDate: Joi.date().iso().required().messages({
+      'any.required': '开始日期是必填的'
+    }),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')).required().messages({
+      'any.required': '结束日期是必填的'
+    }),
+    keyword: Joi.string().max(200).optional(),
+    username: Joi.string().max(50).optional(),
+    action: Joi.string().max(100).optional(),
+    resourceType: Joi.string().valid('User', 'RDSInstance', 'RecoveryTask', 'RecoverySchedule', 'CredentialProfile', 'BackupPolicy', 'Report', 'AuditLog', 'System').optional(),
+    resourceId: Joi.string().max(100).optional(),
+    traceId: Joi.string().max(100).optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  archiveDownload: Joi.object({
+    type: Joi.string().valid('data', 'manifest').default('data')
+  })
+};
+
+// 通用验证模式
+const commonSchemas = {
+  pagination: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    sortBy: Joi.string().optional(),
+    sortOrder: Joi.string().valid('asc', 'desc').default('desc')
+  }),
+  
+  uuid: Joi.object({
+    id: Joi.string().uuid().required().messages({
+      'string.uuid': 'ID格式无效',
+      'any.required': 'ID是必填的'
+    })
+  }),
+  
+  dateRange: Joi.object({
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref('startDate')).required()
+  })
+};
+
+module.exports = {
+  validate,
+  userSchemas,
+  rdsSchemas,
+  recoverySchemas,
+  scheduleSchemas,
+  credentialProfileSchemas,
+  backupPolicySchemas,
+  auditSchemas,
+  commonSchemas
 };
\ No newline at end of file
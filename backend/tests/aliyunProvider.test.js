@@ -0,0 +1,143 @@
+const AliyunProvider = require('../src/services/providers/aliyunProvider');
+const { toInstanceFields } = require('../src/utils/inventoryDiff');
+
+describe('Aliyun Provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new AliyunProvider({ accessKeyId: 'test-key', accessKeySecret: 'test-secret', regionId: 'cn-shenzhen' });
+    provider.client = {
+      describeBinlogFiles: jest.fn(async () => ({
+        body: { items: { binLogFile: [{ logFileName: 'mysql-bin.000001' }] }, totalRecordCount: 1 }
+      })),
+      describeBackups: jest.fn(async () => ({
+        body: { items: { backup: [{ backupId: '1001' }] }, totalRecordCount: 1, pageNumber: 1, pageRecordCount: 1 }
+      })),
+      describeDBInstances: jest.fn(async () => ({
+        body: {
+          items: {
+            DBInstance: [{
+              DBInstanceId: 'rm-source',
+              DBInstanceDescription: 'orders-prod',
+              DBInstanceStatus: 'Running',
+              DBInstanceType: 'Primary',
+              DBInstanceClass: 'mysql.n2.medium.1',
+              engine: 'MySQL',
+              engineVersion: '8.0',
+              regionId: 'cn-shenzhen',
+              zoneId: 'cn-shenzhen-e',
+              vpcId: 'vpc-1',
+              vSwitchId: 'vsw-1',
+              createTime: '2023-05-01T08:00:00Z'
+            }]
+          },
+          totalRecordCount: 1,
+          pageNumber: 1,
+          pageRecordCount: 1
+        }
+      })),
+      describeDBInstanceAttribute: jest.fn(async () => ({
+        body: {
+          items: {
+            DBInstanceAttribute: [{
+              DBInstanceId: 'rm-clone',
+              DBInstanceDescription: 'verify-clone',
+              DBInstanceStatus: 'Creating',
+              DBInstanceClass: 'mysql.n2.small.1',
+              DBInstanceStorage: 20,
+              engine: 'MySQL',
+              connectionString: 'rm-clone.mysql.rds.aliyuncs.com',
+              port: '3306',
+              creationTime: '2024-06-01T08:00:00Z'
+            }]
+          }
+        }
+      })),
+      cloneDBInstance: jest.fn(async () => ({
+        body: { DBInstanceId: 'rm-clone', orderId: 'order-1', requestId: 'req-1' }
+      }))
+    };
+  });
+
+  it('should send the instance ID in the SDK field when listing binlogs', async () => {
+    const result = await provider.getBinlogs('rm-source', { startTime: '2024-06-01T00:00Z', endTime: '2024-06-02T00:00Z', pageSize: 100, pageNumber: 1 });
+
+    const [request] = provider.client.describeBinlogFiles.mock.calls[0];
+    expect(request.DBInstanceId).toBe('rm-source');
+    expect(request.toMap()).toEqual(expect.objectContaining({
+      DBInstanceId: 'rm-source',
+      StartTime: '2024-06-01T00:00Z',
+      EndTime: '2024-06-02T00:00Z',
+      PageSize: 100
+    }));
+    expect(result).toEqual({ binlogs: [{ logFileName: 'mysql-bin.000001' }], totalCount: 1 });
+  });
+
+  it('should send the instance ID when listing backups', async () => {
+    const { backups } = await provider.getBackups('rm-source', { pageSize: 50 });
+
+    const [request] = provider.client.describeBackups.mock.calls[0];
+    expect(request.toMap()).toEqual(expect.objectContaining({ DBInstanceId: 'rm-source', PageSize: 50 }));
+    expect(backups).toEqual([{ backupId: '1001' }]);
+  });
+
+  it('should map SDK instance items to the shared provider shape', async () => {
+    const { instances } = await provider.getInstances({ status: 'Running' });
+    const instance = await provider.getInstance('rm-clone');
+
+    expect(provider.client.describeDBInstances.mock.calls[0][0].toMap()).toEqual(expect.objectContaining({
+      DBInstanceStatus: 'Running',
+      DBInstanceType: 'Primary'
+    }));
+    expect(provider.client.describeDBInstanceAttribute.mock.calls[0][0].toMap()).toEqual(expect.objectContaining({ DBInstanceId: 'rm-clone' }));
+    expect(instances[0]).toEqual(expect.objectContaining({
+      dbInstanceId: 'rm-source',
+      dbInstanceDescription: 'orders-prod',
+      dbInstanceStatus: 'Running',
+      dbInstanceClass: 'mysql.n2.medium.1',
+      engineVersion: '8.0',
+      zoneId: 'cn-shenzhen-e',
+      vpcId: 'vpc-1',
+      vSwitchId: 'vsw-1',
+      creationTime: '2023-05-01T08:00:00Z'
+    }));
+    expect(instance).toEqual(expect.objectContaining({
+      dbInstanceId: 'rm-clone',
+      dbInstanceStatus: 'Creating',
+      dbInstanceStorage: 20,
+      connectionString: 'rm-clone.mysql.rds.aliyuncs.com',
+      port: '3306'
+    }));
+    expect(instance).not.toHaveProperty('DBInstanceStatus');
+  });
+
+  it('should feed discovery with instance IDs and synced fields', async () => {
+    const { instances } = await provider.getInstances();
+
+    expect(toInstanceFields(instances[0], { regionId: 'cn-shenzhen' })).toEqual(expect.objectContaining({
+      instance_id: 'rm-source',
+      instance_name: 'orders-prod',
+      status: 'Running',
+      instance_class: 'mysql.n2.medium.1',
+      zone: 'cn-shenzhen-e'
+    }));
+  });
+
+  it('should clone with SDK field names and return the new instance ID', async () => {
+    const result = await provider.cloneInstance({
+      sourceInstanceId: 'rm-source',
+      targetInstanceName: 'verify-clone',
+      backupId: '1001',
+      instanceClass: 'mysql.n2.small.1',
+      storageSize: 20
+    });
+
+    expect(provider.client.cloneDBInstance.mock.calls[0][0].toMap()).toEqual(expect.objectContaining({
+      DBInstanceId: 'rm-source',
+      DBInstanceClass: 'mysql.n2.small.1',
+      DBInstanceStorage: 20,
+      BackupId: '1001'
+    }));
+    expect(result).toEqual({ taskId: 'rm-clone', orderId: 'order-1', requestId: 'req-1' });
+  });
+});
\ No newline at end of file
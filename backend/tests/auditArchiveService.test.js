@@ -0,0 +1,282 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Op } = require('sequelize');
+
+const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-archive-test-'));
+process.env.AUDIT_ARCHIVE_DIR = archiveDir;
+
+const { AuditLog, AuditCheckpoint, AuditArchive } = require('../src/models');
+const auditArchiveService = require('../src/services/auditArchiveService');
+const { GENESIS_HASH, computeHash } = require('../src/utils/auditChain');
+const { logAudit } = require('../src/utils/audit');
+
+// 按时间顺序生成的哈希链
+const buildChain = (dates) => {
+  let prevHash = GENESIS_HASH;
+  return dates.map((date, index) => {
+    const record = {
+      id: `log-${index + 1}`,
+      sequence: index + 1,
+      username: index % 2 ? 'auditor' : 'admin',
+      action: index % 2 ? '查看审计日志' : '更新RDS实例',
+      resource_type: index % 2 ? 'AuditLog' : 'RDSInstance',
+      resource_name: index % 2 ? null : `prod-db-${index + 1}`,
+      operation_type: index % 2 ? 'Read' : 'Update',
+      status: 'Success',
+      created_at: date,
+      deleted_at: null,
+      prev_hash: prevHash
+    };
+    record.hash = computeHash(prevHash, record);
+    prevHash = record.hash;
+    return record;
+  });
+};
+
+// 模拟在线表：按序号与时间条件查询、删除
+let rows = [];
+let archives = [];
+
+const matchRange = (value, condition) => {
+  if (condition === undefined) return true;
+  if (condition[Op.gt] !== undefined && !(value > condition[Op.gt])) return false;
+  if (condition[Op.gte] !== undefined && !(value >= condition[Op.gte])) return false;
+  if (condition[Op.lt] !== undefined && !(value < condition[Op.lt])) return false;
+  if (condition[Op.lte] !== undefined && !(value <= condition[Op.lte])) return false;
+  return true;
+};
+
+const selectRows = (where) => rows
+  .filter(row => matchRange(row.sequence, where.sequence) && matchRange(row.created_at, where.created_at))
+  .sort((a, b) => a.sequence - b.sequence);
+
+const setupStore = () => {
+  AuditLog.findOne.mockImplementation(async ({ where, order }) => {
+    const matched = selectRows(where);
+    return (order[0][1] === 'DESC' ? matched[matched.length - 1] : matched[0]) || null;
+  });
+  AuditLog.count.mockImplementation(async ({ where }) => selectRows(where).length);
+  AuditLog.findAll.mockImplementation(async ({ where, limit }) => selectRows(where).slice(0, limit));
+  AuditLog.destroy.mockImplementation(async ({ where, limit }) => {
+    const removed = selectRows(where).slice(0, limit);
+    rows = rows.filter(row => !removed.includes(row));
+    return removed.length;
+  });
+  AuditCheckpoint.findAll.mockResolvedValue([]);
+
+  AuditArchive.create.mockImplementation(async (values) => {
+    const archive = {
+      id: `archive-${archives.length + 1}`,
+      verify_status: 'Unverified',
+      ...values,
+      update: jest.fn(async (changes) => Object.assign(archive, changes))
+    };
+    archives.push(archive);
+    return archive;
+  });
+  AuditArchive.findByPk.mockImplementation(async (id) => archives.find(archive => archive.id === id) || null);
+  AuditArchive.findOne.mockImplementation(async ({ where }) => archives.find(archive => archive.last_sequence === where.last_sequence) || null);
+  AuditArchive.findAll.mockImplementation(async () => [...archives]);
+};
+
+describe('审计日志归档', () => {
+  const cutoff = new Date(Date.UTC(2026, 2, 1));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(path.join(archiveDir, '2026'), { recursive: true, force: true });
+    archives = [];
+    rows = buildChain([
+      new Date(Date.UTC(2026, 0, 5)),
+      new Date(Date.UTC(2026, 0, 20)),
+      new Date(Date.UTC(2026, 0, 31, 23, 59, 59)),
+      new Date(Date.UTC(2026, 1, 10)),
+      new Date(Date.UTC(2026, 1, 28)),
+      new Date(Date.UTC(2026, 2, 2))
+    ]);
+    setupStore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  test('按月归档保留期之前的记录并从在线表删除', async () => {
+    const created = await auditArchiveService.archiveDue({ id: 'user-uuid', username: 'admin' }, cutoff);
+
+    expect(created.map(archive => archive.month)).toEqual(['2026-01', '2026-02']);
+    expect(rows.map(row => row.sequence)).toEqual([6]);
+
+    const [january, february] = created;
+    expect(january).toEqual(expect.objectContaining({
+      storage: 'local',
+      record_count: 3,
+      first_sequence: 1,
+      last_sequence: 3,
+      first_prev_hash: GENESIS_HASH,
+      created_by: 'user-uuid'
+    }));
+    expect(february.first_prev_hash).toBe(january.last_hash);
+
+    const lines = zlib.gunzipSync(fs.readFileSync(path.join(archiveDir, january.object_key)))
+      .toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.sequence)).toEqual([1, 2, 3]);
+    expect(lines[0]).toEqual(expect.objectContaining({ prev_hash: GENESIS_HASH, deleted_at: null }));
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(archiveDir, january.manifest_key), 'utf8'));
+    expect(manifest).toEqual(expect.objectContaining({ recordCount: 3, lastHash: january.last_hash, file: expect.objectContaining({ sha256: january.file_sha256 }) }));
+    expect(logAudit).toHaveBeenCalledTimes(2);
+  });
+
+  test('哈希链不完整时不归档也不删除记录', async () => {
+    rows[1].action = '篡改后的操作';
+
+    await expect(auditArchiveService.archiveDue(null, cutoff)).rejects.toMatchObject({ statusCode: 409 });
+    expect(AuditArchive.create).not.toHaveBeenCalled();
+    expect(rows).toHaveLength(6);
+    expect(fs.existsSync(path.join(archiveDir, '2026'))).toBe(false);
+  });
+
+  test('序号段内混有保留期内的记录时暂不归档', async () => {
+    rows[1].created_at = new Date(Date.UTC(2026, 2, 3));
+    rows[1].hash = computeHash(rows[1].prev_hash, rows[1]);
+    for (let index = 2; index < rows.length; index++) {
+      rows[index].prev_hash = rows[index - 1].hash;
+      rows[index].hash = computeHash(rows[index].prev_hash, rows[index]);
+    }
+
+    const created = await auditArchiveService.archiveDue(null, cutoff);
+
+    expect(created).toEqual([]);
+    expect(rows).toHaveLength(6);
+  });
+
+  test('校验归档并发现被修改的归档文件', async () => {
+    const [january, february] = await auditArchiveService.archiveDue(null, cutoff);
+
+    const result = await auditArchiveService.verifyArchive(february.id);
+    expect(result).toEqual(expect.objectContaining({
+      valid: true,
+      fileHashValid: true,
+      linkValid: true,
+      recordCount: 2,
+      breakCount: 0
+    }));
+    expect(february.verify_status).toBe('Valid');
+
+    const file = path.join(archiveDir, january.object_key);
+    const lines = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').trim().split('\n').map(line => JSON.parse(line));
+    lines[1].username = 'someone-else';
+    fs.writeFileSync(file, zlib.gzipSync(lines.map(line => `${JSON.stringify(line)}\n`).join('')));
+
+    const tampered = await auditArchiveService.verifyArchive(january.id);
+    expect(tampered.valid).toBe(false);
+    expect(tampered.fileHashValid).toBe(false);
+    expect(tampered.breaks).toEqual([expect.objectContaining({ type: 'HashMismatch', sequence: 2 })]);
+    expect(january.verify_status).toBe('Invalid');
+  });
+
+  test('前一段归档缺失时链接校验不通过', async () => {
+    const [january, february] = await auditArchiveService.archiveDue(null, cutoff);
+    archives.splice(archives.indexOf(january), 1);
+
+    const result = await auditArchiveService.verifyArchive(february.id);
+
+    expect(result).toEqual(expect.objectContaining({
+      valid: false,
+      fileHashValid: true,
+      linkValid: false,
+      previousArchiveMissing: true,
+      breakCount: 0
+    }));
+    expect(february.verify_status).toBe('Invalid');
+  });
+
+  test('按条件检索归档记录', async () => {
+    await auditArchiveService.archiveDue(null, cutoff);
+
+    const result = await auditArchiveService.search({
+      startDate: new Date(Date.UTC(2026, 0, 10)),
+      endDate: new Date(Date.UTC(2026, 1, 28, 23, 59, 59)),
+      keyword: 'prod-db'
+    });
+
+    expect(result.records.map(record => record.sequence)).toEqual([3, 5]);
+    expect(result.records[0].archive_month).toBe('2026-01');
+    expect(result.scanned).toBe(5);
+    expect(result.truncated).toBe(false);
+
+    const limited = await auditArchiveService.search({
+      startDate: new Date(Date.UTC(2026, 0, 1)),
+      endDate: new Date(Date.UTC(2026, 1, 28, 23, 59, 59)),
+      username: 'auditor',
+      limit: 1
+    });
+    expect(limited.records.map(record => record.sequence)).toEqual([2]);
+    expect(limited.truncated).toBe(true);
+  });
+
+  test('检索时间范围过大时拒绝执行', async () => {
+    await auditArchiveService.archiveDue(null, cutoff);
+    AuditArchive.findAll.mockClear();
+
+    await expect(auditArchiveService.search({
+      startDate: new Date(Date.UTC(2021, 0, 1)),
+      endDate: new Date(Date.UTC(2026, 1, 28))
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(AuditArchive.findAll).not.toHaveBeenCalled();
+  });
+});
+
+jest.mock('../src/models', () => ({
+  AuditLog: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    count: jest.fn(),
+    destroy: jest.fn()
+  },
+  AuditCheckpoint: {
+    findAll: jest.fn()
+  },
+  AuditArchive: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/auditChainService', () => {
+  const { toCanonicalRecord } = jest.requireActual('../src/utils/auditChain');
+  const { AuditArchive } = require('../src/models');
+  return {
+    exclusive: jest.fn((name, job) => job()),
+    getArchiveBoundary: jest.fn(async () => {
+      const archives = await AuditArchive.findAll();
+      const last = archives[archives.length - 1];
+      return last ? { sequence: last.last_sequence, hash: last.last_hash } : null;
+    }),
+    toEvidenceRecord: jest.fn(log => ({ ...toCanonicalRecord(log), prev_hash: log.prev_hash, hash: log.hash })),
+    signExport: jest.fn(() => null),
+    getTrustedKeyIds: jest.fn(() => []),
+    getSignedSupersessions: jest.fn(async () => new Set())
+  };
+});
+
+jest.mock('../src/utils/audit', () => ({
+  logAudit: jest.fn()
+}));
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  validate: jest.fn(() => true)
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
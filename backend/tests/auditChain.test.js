@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const {
+  GENESIS_HASH,
+  canonicalize,
+  computeHash,
+  verifyRecords,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  keyFingerprint
+} = require('../src/utils/auditChain');
+
+const buildChain = (count) => {
+  const records = [];
+  let prevHash = GENESIS_HASH;
+  for (let sequence = 1; sequence <= count; sequence++) {
+    const record = {
+      id: `log-${sequence}`,
+      sequence,
+      username: 'admin',
+      action: 'UPDATE_RDS_INSTANCE',
+      resource_type: 'RDSInstance',
+      operation_type: 'Update',
+      status: 'Success',
+      new_values: { port: 3306, instance_name: `db-${sequence}` },
+      created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, sequence)),
+      prev_hash: prevHash
+    };
+    record.hash = computeHash(prevHash, record);
+    prevHash = record.hash;
+    records.push(record);
+  }
+  return records;
+};
+
+describe('Audit Chain', () => {
+  it('should canonicalize objects independent of key order', () => {
+    expect(canonicalize({ b: 1, a: { d: [1, null], c: 'x' } }))
+      .toBe(canonicalize({ a: { c: 'x', d: [1, undefined] }, b: 1 }));
+    expect(canonicalize({ a: undefined, b: 2 })).toBe('{"b":2}');
+  });
+
+  it('should chain each hash over the previous hash', () => {
+    const [first, second] = buildChain(2);
+
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(computeHash('f'.repeat(64), second)).not.toBe(second.hash);
+    expect(computeHash(first.hash, { ...second, created_at: second.created_at.toISOString() })).toBe(second.hash);
+  });
+
+  it('should verify an intact chain from genesis or from a previous record', () => {
+    const records = buildChain(5);
+
+    expect(verifyRecords(records)).toEqual([]);
+    expect(verifyRecords(records.slice(2), records[1])).toEqual([]);
+  });
+
+  it('should report modified content at the exact sequence', () => {
+    const records = buildChain(5);
+    records[2].new_values = { port: 3307, instance_name: 'db-3' };
+
+    const breaks = verifyRecords(records);
+
+    expect(breaks).toHaveLength(1);
+    expect(breaks[0]).toMatchObject({ type: 'HashMismatch', sequence: 3, id: 'log-3', actual: records[2].hash });
+  });
+
+  it('should report removed records and rewritten links', () => {
+    const records = buildChain(5);
+    const withGap = [records[0], records[1], records[3], records[4]];
+
+    expect(verifyRecords(withGap)).toEqual([
+      expect.objectContaining({ type: 'MissingRecords', sequence: 4, expected: 3, actual: 4 })
+    ]);
+
+    records[3].prev_hash = GENESIS_HASH;
+    records[3].hash = computeHash(GENESIS_HASH, records[3]);
+    const breaks = verifyRecords(records);
+
+    expect(breaks.map(item => [item.type, item.sequence])).toEqual([['BrokenLink', 4], ['BrokenLink', 5]]);
+  });
+
+  it('should report soft-deleted records', () => {
+    const records = buildChain(2);
+    records[1].deleted_at = new Date();
+
+    expect(verifyRecords(records)).toEqual([expect.objectContaining({ type: 'Deleted', sequence: 2 })]);
+  });
+
+  it('should sign checkpoints and reject tampered checkpoints or other keys', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const other = crypto.generateKeyPairSync('ed25519');
+    const checkpoint = {
+      sequence: 5,
+      hash: buildChain(5)[4].hash,
+      record_count: 5,
+      created_at: new Date('2026-01-01T01:00:00Z')
+    };
+    checkpoint.signature = signCheckpoint(checkpoint, privateKey);
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+
+    expect(verifyCheckpointSignature(checkpoint, pem)).toBe(true);
+    expect(verifyCheckpointSignature({ ...checkpoint, hash: GENESIS_HASH }, pem)).toBe(false);
+    expect(verifyCheckpointSignature(checkpoint, other.publicKey)).toBe(false);
+    expect(keyFingerprint(publicKey)).toMatch(/^[0-9a-f]{16}$/);
+    expect(keyFingerprint(publicKey)).not.toBe(keyFingerprint(other.publicKey));
+  });
+
+  it('should sign checkpoints with RSA keys', () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const checkpoint = { sequence: 1, hash: GENESIS_HASH, record_count: 1, created_at: '2026-01-01T00:00:00.000Z' };
+    checkpoint.signature = signCheckpoint(checkpoint, privateKey);
+
+    expect(verifyCheckpointSignature(checkpoint, publicKey)).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { Op } = require('sequelize');
+const { AuditLog, AuditExport } = require('../src/models');
+const auditChainService = require('../src/services/auditChainService');
+const auditExportService = require('../src/services/auditExportService');
+const { canonicalize, toCanonicalRecord } = require('../src/utils/auditChain');
+const { encodeText } = require('../src/utils/pdf');
+
+const createLog = (sequence, overrides = {}) => ({
+  id: `log-${String(sequence).padStart(6, '0')}`,
+  sequence,
+  username: 'auditor',
+  action: '更新RDS实例',
+  resource_type: 'RDSInstance',
+  resource_name: 'prod-db',
+  operation_type: 'Update',
+  status: 'Success',
+  risk_level: 'Medium',
+  created_at: new Date(Date.UTC(2026, 2, 1, 0, 0, sequence)),
+  prev_hash: 'a'.repeat(64),
+  hash: 'b'.repeat(64),
+  ...overrides
+});
+
+// 按导出顺序计算的内容哈希
+const contentHashOf = (logs) => {
+  const hash = crypto.createHash('sha256');
+  logs.forEach(log => hash.update(`${canonicalize(toCanonicalRecord(log))}\n`));
+  return hash.digest('hex');
+};
+
+// 模拟分批查询：按条件中的资源类型筛选，按游标返回下一批
+const mockLogs = (logs) => {
+  AuditLog.findAll.mockImplementation(async (options) => {
+    if (options.group) {
+      const counts = {};
+      logs.forEach(log => { counts[log.resource_type] = (counts[log.resource_type] || 0) + 1; });
+      return Object.keys(counts).sort().map(type => ({ resource_type: type, count: counts[type] }));
+    }
+    const [where, cursor] = options.where[Op.and];
+    const start = cursor?.[Op.or] ? logs.findIndex(log => log.id === cursor[Op.or][1].id[Op.gt]) + 1 : 0;
+    return logs
+      .slice(start)
+      .filter(log => !where.resource_type || log.resource_type === where.resource_type)
+      .slice(0, options.limit);
+  });
+};
+
+// 写出到内存并返回内容
+const exportTo = async (format, filters) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => stream.on('end', resolve));
+  const result = await auditExportService.write(format, filters, stream, { exportedBy: 'auditor' });
+  await ended;
+  return { result, output: Buffer.concat(chunks) };
+};
+
+const filters = { startDate: '2026-03-01', endDate: '2026-03-31' };
+
+describe('Audit Export Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should quote CSV fields with commas, quotes and line breaks per RFC 4180', async () => {
+    const logs = [
+      createLog(1, { description: '修改端口, 由 "3306" 改为 "3307"\n已确认' }),
+      createLog(2, { description: null, resource_name: null, resource_id: 'instance-uuid' })
+    ];
+    mockLogs(logs);
+
+    const { result, output } = await exportTo('csv', filters);
+    const records = output.toString('utf8').split('\r\n');
+
+    expect(records[0]).toBe('序号,时间,用户,操作,资源类型,资源,操作类型,状态,风险级别,IP地址,请求,追踪ID,描述,哈希');
+    expect(output.toString('utf8')).toContain(',"修改端口, 由 ""3306"" 改为 ""3307""\n已确认",');
+    expect(records[records.length - 1]).toBe('');
+    expect(result).toEqual({ recordCount: 2, contentHash: contentHashOf(logs) });
+  });
+
+  it('should page through logs with a keyset cursor instead of loading them all', async () => {
+    const logs = Array.from({ length: 2500 }, (_, index) => createLog(index + 1));
+    mockLogs(logs);
+
+    const { result } = await exportTo('csv', filters);
+
+    expect(result.recordCount).toBe(2500);
+    expect(AuditLog.findAll).toHaveBeenCalledTimes(3);
+    const [, cursor] = AuditLog.findAll.mock.calls[1][0].where[Op.and];
+    expect(cursor[Op.or][0]).toEqual({ created_at: { [Op.gt]: logs[999].created_at } });
+  });
+
+  it('should write one worksheet per resource type after the summary sheet', async () => {
+    mockLogs([
+      createLog(1),
+      createLog(2, { resource_type: 'User', resource_name: 'operator', action: '创建用户' }),
+      createLog(3)
+    ]);
+
+    const { result, output } = await exportTo('excel', filters);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(output);
+
+    expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['导出信息', 'RDS实例', '用户']);
+    expect(workbook.getWorksheet('RDS实例').rowCount).toBe(3);
+    expect(workbook.getWorksheet('用户').getRow(2).getCell(4).value).toBe('创建用户');
+    expect(result.recordCount).toBe(3);
+  });
+
+  it('should put the filters, record count, content hash and signature on the PDF cover', async () => {
+    const logs = [createLog(7), createLog(8)];
+    mockLogs(logs);
+    auditChainService.signExport.mockReturnValue({
+      algorithm: 'ed25519',
+      keyId: '0123456789abcdef',
+      publicKey: '-----BEGIN PUBLIC KEY-----',
+      signature: 'c2lnbmF0dXJl'
+    });
+
+    const { result, output } = await exportTo('pdf', { ...filters, riskLevel: 'Medium' });
+    const text = output.toString('latin1');
+
+    const manifest = JSON.parse(auditChainService.signExport.mock.calls[0][0]);
+    expect(manifest).toEqual(expect.objectContaining({
+      format: 'pdf',
+      exportedBy: 'auditor',
+      filters: { ...filters, riskLevel: 'Medium' },
+      recordCount: 2,
+      contentHash: contentHashOf(logs)
+    }));
+    expect(text).toContain(encodeText(`记录数：2`));
+    expect(text).toContain(encodeText(`风险级别：Medium`));
+    expect(text).toContain(encodeText(`内容哈希(SHA-256)：${result.contentHash}`));
+    expect(text).toContain(encodeText('哈希链序号：7 - 8'));
+    expect(text).toContain(encodeText('签名(Base64)：c2lnbmF0dXJl'));
+  });
+
+  it('should stream chained records in sequence order into the JSON evidence', async () => {
+    mockLogs([createLog(1), createLog(2)]);
+
+    const { output } = await exportTo('json', { ...filters, status: 'Success' });
+    const evidence = JSON.parse(output.toString('utf8'));
+
+    expect(evidence.filtered).toBe(true);
+    expect(evidence.records.map(record => record.sequence)).toEqual([1, 2]);
+    expect(evidence.checkpoints).toEqual([{ sequence: 2 }]);
+    expect(AuditLog.findAll.mock.calls[0][0]).toEqual(expect.objectContaining({ order: [['sequence', 'ASC']] }));
+  });
+
+  it('should write large exports to a file in the background', async () => {
+    const exportsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-exports-'));
+    auditExportService.exportsDir = exportsDir;
+    mockLogs([createLog(1), createLog(2)]);
+    const job = {
+      id: 'export-uuid',
+      format: 'csv',
+      filters,
+      creator: { username: 'auditor' },
+      update: jest.fn(async function (values) { Object.assign(this, values); })
+    };
+    AuditExport.create.mockResolvedValue(job);
+    AuditExport.findByPk.mockResolvedValue(job);
+
+    await auditExportService.startJob({ ...filters, format: 'csv' }, { id: 'user-uuid' });
+    await auditExportService.queue;
+
+    expect(AuditExport.create).toHaveBeenCalledWith(expect.objectContaining({ format: 'csv', filters, created_by: 'user-uuid' }));
+    expect(job.status).toBe('Completed');
+    expect(job.record_count).toBe(2);
+    expect(job.file_name).toBe('audit_logs_2026-03-01_2026-03-31.csv');
+    expect(fs.readFileSync(job.file_path, 'utf8').split('\r\n')).toHaveLength(4);
+
+    fs.rmSync(exportsDir, { recursive: true, force: true });
+  });
+});
+
+jest.mock('../src/models', () => ({
+  AuditLog: {
+    count: jest.fn(),
+    findAll: jest.fn()
+  },
+  AuditExport: {
+    create: jest.fn(),
+    findByPk: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/auditChainService', () => ({
+  getEvidenceContext: jest.fn(async () => ({ algorithm: {}, checkpoints: [{ sequence: 2 }] })),
+  toEvidenceRecord: jest.fn(log => ({ sequence: log.sequence, hash: log.hash })),
+  signExport: jest.fn(() => null)
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
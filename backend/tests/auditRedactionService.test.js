@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { AuditLog, AuditCheckpoint } = require('../src/models');
+const auditChainService = require('../src/services/auditChainService');
+const auditRedactionService = require('../src/services/auditRedactionService');
+const { GENESIS_HASH, computeHash, verifyRecords, signCheckpoint, verifyCheckpointSignature, keyFingerprint } = require('../src/utils/auditChain');
+
+// 构造已接入哈希链的审计日志，set/update 直接修改字段
+const createLog = (attributes) => ({
+  ...attributes,
+  get(field) {
+    return this[field];
+  },
+  set(values) {
+    Object.assign(this, values);
+  },
+  update: jest.fn(async function (values) {
+    Object.assign(this, values);
+  })
+});
+
+const buildChain = (entries) => {
+  let prevHash = GENESIS_HASH;
+  return entries.map((entry, index) => {
+    const log = createLog({
+      id: `log-${index + 1}`,
+      sequence: index + 1,
+      action: '更新云账号凭据配置',
+      request_method: 'PUT',
+      request_path: '/api/credential-profiles/profile-uuid',
+      request_params: null,
+      old_values: null,
+      new_values: null,
+      description: '用户执行了更新操作',
+      created_at: new Date(Date.UTC(2026, 0, 1, 0, 0, index + 1)),
+      ...entry,
+      prev_hash: prevHash
+    });
+    log.hash = computeHash(prevHash, log);
+    prevHash = log.hash;
+    return log;
+  });
+};
+
+// findAll 按序号游标分批返回
+const mockChain = (logs) => {
+  AuditLog.findAll.mockImplementation(async ({ where }) => {
+    const cursor = Object.getOwnPropertySymbols(where.sequence).map(symbol => where.sequence[symbol])[0];
+    return logs.filter(log => log.sequence > cursor);
+  });
+};
+
+describe('Audit Redaction Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AuditCheckpoint.count.mockResolvedValue(0);
+    AuditCheckpoint.findAll.mockResolvedValue([]);
+    auditChainService.head = null;
+    auditChainService.signingKey = null;
+    auditRedactionService.lastRun = null;
+  });
+
+  it('should return only the fields that violate the current policy', () => {
+    const [clean, dirty] = buildChain([
+      { request_params: { body: { description: '生产账号' } } },
+      {
+        request_params: { body: { accessKeyId: 'LTAI5tQ9sEcReT3xYz', accessKeySecret: 'sEcReTsEcReT9876' } },
+        old_values: { access_key_hint: 'LTAI****3xYz' }
+      }
+    ]);
+
+    expect(auditRedactionService.scrubLog(clean)).toBeNull();
+    expect(auditRedactionService.scrubLog(dirty)).toEqual({
+      request_params: { body: { accessKeyId: '****', accessKeySecret: '****' } },
+      old_values: { access_key_hint: '****' }
+    });
+  });
+
+  it('should rewrite sensitive rows, rechain the following rows and supersede checkpoints', async () => {
+    const logs = buildChain([
+      { request_params: { body: { description: '生产账号' } } },
+      { request_params: { body: { accessKeySecret: 'sEcReTsEcReT9876' } } },
+      { request_params: { body: { description: '备注' } } }
+    ]);
+    const originalThirdHash = logs[2].hash;
+    mockChain(logs);
+    AuditLog.findOne.mockImplementation(async () => logs[logs.length - 1]);
+    AuditCheckpoint.findAll.mockResolvedValue([{ sequence: 3, hash: originalThirdHash }]);
+    AuditCheckpoint.update.mockResolvedValue([1]);
+    auditChainService.signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+    const result = await auditRedactionService.scrub({ id: 'admin-uuid', username: 'admin' });
+
+    expect(result).toMatchObject({ scanned: 3, changed: 1, rechained: 1, firstSequence: 2, checkpointSequence: 3 });
+    expect(logs[0].update).not.toHaveBeenCalled();
+    expect(logs[1].request_params).toEqual({ body: { accessKeySecret: '****' } });
+    expect(logs[2].hash).not.toBe(originalThirdHash);
+    expect(verifyRecords(logs)).toEqual([]);
+    expect(AuditCheckpoint.update).toHaveBeenCalledWith(
+      { superseded_at: expect.any(Date) },
+      { where: { sequence: expect.anything(), superseded_at: null } }
+    );
+
+    // 新检查点在签名中列出被取代的检查点
+    const [replacement] = AuditCheckpoint.create.mock.calls[0];
+    expect(replacement).toMatchObject({ sequence: 3, hash: logs[2].hash, supersedes: [{ sequence: 3, hash: originalThirdHash }] });
+    expect(verifyCheckpointSignature(replacement, replacement.public_key)).toBe(true);
+    expect(verifyCheckpointSignature({ ...replacement, supersedes: [{ sequence: 2, hash: originalThirdHash }] }, replacement.public_key)).toBe(false);
+
+    // 迁移结果记入审计日志并接在重写后的链尾
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: '审计日志脱敏迁移',
+      sequence: 4,
+      prev_hash: logs[2].hash
+    }));
+  });
+
+  it('should refuse to rewrite a chain that has already been tampered with', async () => {
+    const logs = buildChain([
+      { request_params: { body: { accessKeySecret: 'sEcReTsEcReT9876' } } },
+      { description: '原始描述' }
+    ]);
+    logs[1].description = '被修改的描述';
+    mockChain(logs);
+
+    await expect(auditRedactionService.scrub()).rejects.toMatchObject({ statusCode: 409 });
+    expect(logs[0].update).not.toHaveBeenCalled();
+    expect(AuditCheckpoint.update).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to rewrite without a signing key, with or without checkpoints', async () => {
+    const logs = buildChain([{ request_params: { body: { accessKeySecret: 'sEcReTsEcReT9876' } } }]);
+    mockChain(logs);
+
+    for (const checkpoints of [1, 0]) {
+      AuditCheckpoint.count.mockResolvedValue(checkpoints);
+
+      await expect(auditRedactionService.startScrub({ id: 'admin-uuid' })).rejects.toMatchObject({ statusCode: 400 });
+      await expect(auditChainService.rewrite(log => auditRedactionService.scrubLog(log))).rejects.toMatchObject({ statusCode: 400 });
+    }
+    expect(logs[0].update).not.toHaveBeenCalled();
+    expect(AuditCheckpoint.update).not.toHaveBeenCalled();
+  });
+
+  it('should only treat checkpoints named by a signed replacement as superseded', async () => {
+    const privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    const publicKey = crypto.createPublicKey(privateKey);
+    const sign = (fields) => {
+      const checkpoint = {
+        record_count: 1,
+        algorithm: 'ed25519',
+        key_id: keyFingerprint(publicKey),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        created_at: new Date(Date.UTC(2026, 0, 2)),
+        ...fields
+      };
+      return { ...checkpoint, signature: signCheckpoint(checkpoint, privateKey) };
+    };
+
+    // 记录被重新计算哈希后，两个旧检查点都被标记为已取代，只有一个由新检查点签名确认
+    const [log] = buildChain([{ description: '重写后的描述' }]);
+    const confirmed = sign({ sequence: 1, hash: 'a'.repeat(64), superseded_at: new Date() });
+    const forged = sign({ sequence: 1, hash: 'b'.repeat(64), superseded_at: new Date() });
+    const replacement = sign({ sequence: 1, hash: log.hash, supersedes: [{ sequence: 1, hash: 'a'.repeat(64) }] });
+    AuditCheckpoint.findAll.mockResolvedValue([replacement]);
+    AuditLog.findOne.mockResolvedValue(log);
+
+    const trusted = [keyFingerprint(publicKey)];
+    const supersessions = await auditChainService.getSignedSupersessions(trusted);
+    const results = await Promise.all([confirmed, forged, replacement]
+      .map(checkpoint => auditChainService.verifyCheckpoint(checkpoint, trusted, supersessions)));
+
+    expect(results.map(result => result.status)).toEqual(['Superseded', 'HashMismatch', 'Valid']);
+
+    // 篡改取代检查点的签名内容后不再确认取代关系
+    AuditCheckpoint.findAll.mockResolvedValue([{ ...replacement, supersedes: [{ sequence: 1, hash: 'b'.repeat(64) }] }]);
+    const tampered = await auditChainService.getSignedSupersessions(trusted);
+    expect((await auditChainService.verifyCheckpoint(forged, trusted, tampered)).status).toBe('HashMismatch');
+  });
+
+  it('should neither trust nor accept supersessions from checkpoints when no key is trusted', async () => {
+    const privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    const publicKey = crypto.createPublicKey(privateKey);
+    const sign = (fields) => {
+      const checkpoint = {
+        record_count: 1,
+        algorithm: 'ed25519',
+        key_id: keyFingerprint(publicKey),
+        public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+        created_at: new Date(Date.UTC(2026, 0, 2)),
+        ...fields
+      };
+      return { ...checkpoint, signature: signCheckpoint(checkpoint, privateKey) };
+    };
+
+    // 任何人都能生成密钥对并把公钥写入检查点
+    const [log] = buildChain([{ description: '重写后的描述' }]);
+    const original = sign({ sequence: 1, hash: 'a'.repeat(64), superseded_at: new Date() });
+    const replacement = sign({ sequence: 1, hash: log.hash, supersedes: [{ sequence: 1, hash: 'a'.repeat(64) }] });
+    AuditCheckpoint.findAll.mockResolvedValue([replacement]);
+    AuditLog.findOne.mockResolvedValue(log);
+
+    const supersessions = await auditChainService.getSignedSupersessions([]);
+    expect(supersessions.size).toBe(0);
+
+    const results = await Promise.all([original, replacement]
+      .map(checkpoint => auditChainService.verifyCheckpoint(checkpoint, [], supersessions)));
+    expect(results.map(result => result.status)).toEqual(['HashMismatch', 'Unverified']);
+    expect(results[1].keyTrusted).toBeNull();
+  });
+
+  it('should reload the head and retry when another process advanced the chain', async () => {
+    const [first, second] = buildChain([{ description: '其他进程写入' }, { description: '其他进程写入' }]);
+    AuditLog.findOne
+      .mockResolvedValueOnce(first)
+      .mockResolvedValueOnce(second);
+    AuditLog.create.mockRejectedValueOnce(Object.assign(new Error('Duplicate entry for key sequence'), { name: 'SequelizeUniqueConstraintError' }));
+
+    const log = await auditChainService.append({ action: '登录', description: '用户登录' });
+
+    expect(AuditLog.create).toHaveBeenCalledTimes(2);
+    expect(log).toMatchObject({ sequence: 3, prev_hash: second.hash });
+    expect(auditChainService.head).toEqual({ sequence: 3, hash: log.hash });
+  });
+
+  it('should report that no rows changed when the chain already complies', async () => {
+    mockChain(buildChain([{ request_params: { body: { description: '生产账号' } } }]));
+    auditChainService.signingKey = crypto.generateKeyPairSync('ed25519').privateKey;
+
+    const result = await auditRedactionService.scrub();
+
+    expect(result).toMatchObject({ scanned: 1, changed: 0, firstSequence: null });
+    expect(AuditCheckpoint.update).not.toHaveBeenCalled();
+  });
+});
+
+jest.mock('../src/models', () => ({
+  AuditLog: {
+    findAll: jest.fn(),
+    findOne: jest.fn(async () => null),
+    create: jest.fn(async (values) => values),
+    rawAttributes: {}
+  },
+  AuditCheckpoint: {
+    findOne: jest.fn(),
+    findAll: jest.fn(async () => []),
+    count: jest.fn(async () => 0),
+    create: jest.fn(async (values) => values),
+    update: jest.fn()
+  },
+  AuditArchive: {
+    findOne: jest.fn(async () => null)
+  }
+}));
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  validate: jest.fn(() => true)
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
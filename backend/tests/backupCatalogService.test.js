@@ -0,0 +1,128 @@
+const { BackupRecord } = require('../src/models');
+const rdsService = require('../src/services/rdsService');
+const backupCatalogService = require('../src/services/backupCatalogService');
+
+// 构造已登记实例，update 直接修改字段
+const createInstance = (attributes = {}) => ({
+  id: 'instance-uuid',
+  instance_id: 'rm-catalog',
+  backup_retention_period: 7,
+  backup_catalog_refreshed_at: null,
+  ...attributes,
+  update: jest.fn(async function (data) {
+    Object.assign(this, data);
+  })
+});
+
+const cloudBackup = (backupId, attributes = {}) => ({
+  backupId,
+  backupType: 'FullBackup',
+  backupMethod: 'Physical',
+  backupMode: 'Automated',
+  backupStatus: 'Success',
+  backupSize: 2048,
+  backupStartTime: '2024-03-01T02:00:00Z',
+  backupEndTime: '2024-03-01T02:10:00Z',
+  consistentTime: 1709259000,
+  ...attributes
+});
+
+describe('Backup Catalog Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    BackupRecord.findAll.mockResolvedValue([]);
+  });
+
+  it('should add new backups and only update records whose cloud fields changed', async () => {
+    const unchanged = {
+      backup_id: '100',
+      status: 'Success',
+      backup_size: '2048',
+      ended_at: new Date('2024-03-01T02:10:00Z'),
+      duration_seconds: 600,
+      consistent_time: new Date(1709259000 * 1000),
+      update: jest.fn()
+    };
+    const running = { ...unchanged, backup_id: '101', status: 'Failed', update: jest.fn() };
+    BackupRecord.findAll.mockResolvedValue([unchanged, running]);
+    rdsService.getAllBackups.mockResolvedValue([
+      cloudBackup(100),
+      cloudBackup(101),
+      cloudBackup(102, { backupStatus: 'Failed', backupEndTime: undefined })
+    ]);
+    const instance = createInstance();
+
+    const result = await backupCatalogService.refreshInstance(instance);
+
+    expect(result).toEqual({ fetched: 3, added: 1, updated: 1 });
+    expect(BackupRecord.bulkCreate).toHaveBeenCalledWith([expect.objectContaining({
+      rds_instance_id: 'instance-uuid',
+      backup_id: '102',
+      status: 'Failed',
+      ended_at: null,
+      duration_seconds: null
+    })]);
+    expect(unchanged.update).toHaveBeenCalledWith({ last_seen_at: expect.any(Date) });
+    expect(running.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'Success', duration_seconds: 600 }));
+    expect(instance.backup_catalog_refreshed_at).toBeInstanceOf(Date);
+  });
+
+  it('should fetch the retention period first and overlap later refreshes', async () => {
+    rdsService.getAllBackups.mockResolvedValue([]);
+    const refreshedAt = new Date('2024-03-10T00:00:00Z');
+
+    await backupCatalogService.refreshInstance(createInstance({ backup_catalog_refreshed_at: refreshedAt }));
+
+    expect(rdsService.getAllBackups).toHaveBeenCalledWith('rm-catalog', {
+      startTime: new Date('2024-03-08T00:00:00Z'),
+      endTime: expect.any(Date)
+    });
+  });
+
+  it('should record the refresh error on the instance', async () => {
+    rdsService.getAllBackups.mockRejectedValue(new Error('获取备份列表失败'));
+    const instance = createInstance();
+
+    await expect(backupCatalogService.refreshInstance(instance)).rejects.toThrow('获取备份列表失败');
+    expect(instance.backup_catalog_error).toBe('获取备份列表失败');
+  });
+
+  it('should refuse health analysis before the first refresh', async () => {
+    await expect(backupCatalogService.getHealth(createInstance())).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  validate: jest.fn(() => true)
+}));
+
+jest.mock('../src/models', () => ({
+  RDSInstance: {
+    findAll: jest.fn()
+  },
+  BackupRecord: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn(),
+    min: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/rdsService', () => {
+  const service = {
+    getAllBackups: jest.fn()
+  };
+  service.forInstance = jest.fn(async () => service);
+  return service;
+});
+
+jest.mock('../src/services/instanceSyncService', () => ({
+  callCloud: jest.fn(call => call())
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { countWeeklyBackups, toBackupConfig, evaluateBackupPolicy } = require('../src/utils/backupCompliance');
+
+const policy = (attributes = {}) => ({
+  id: 'policy-uuid',
+  policy_name: '生产库',
+  min_retention_days: 30,
+  require_log_backup: true,
+  min_backups_per_week: 3,
+  require_encryption: true,
+  ...attributes
+});
+
+const config = (attributes = {}) => ({
+  retentionDays: 30,
+  backupsPerWeek: 7,
+  logBackupEnabled: true,
+  encrypted: true,
+  ...attributes
+});
+
+describe('Backup Compliance', () => {
+  it('should count distinct weekdays in the backup period', () => {
+    expect(countWeeklyBackups('Monday,Wednesday,Friday')).toBe(3);
+    expect(countWeeklyBackups('Monday, Monday,Holiday')).toBe(1);
+    expect(countWeeklyBackups('')).toBeNull();
+    expect(countWeeklyBackups(undefined)).toBeNull();
+  });
+
+  it('should normalize the cloud backup policy and encryption status', () => {
+    const result = toBackupConfig(
+      { backupRetentionPeriod: '14', preferredBackupPeriod: 'Monday,Tuesday', enableBackupLog: false },
+      null
+    );
+
+    expect(result).toEqual(expect.objectContaining({
+      retentionDays: 14,
+      backupsPerWeek: 2,
+      logBackupEnabled: false,
+      encrypted: null
+    }));
+  });
+
+  it('should be compliant when every rule is met', () => {
+    expect(evaluateBackupPolicy(policy(), config())).toEqual({ status: 'Compliant', violations: [], unverified: [] });
+  });
+
+  it('should report each violated rule', () => {
+    const result = evaluateBackupPolicy(policy(), config({
+      retentionDays: 7,
+      backupsPerWeek: 1,
+      logBackupEnabled: false,
+      encrypted: false
+    }));
+
+    expect(result.status).toBe('NonCompliant');
+    expect(result.violations.map(violation => violation.rule)).toEqual(['MinRetention', 'LogBackup', 'BackupFrequency', 'Encryption']);
+    expect(result.violations[0]).toEqual({
+      rule: 'MinRetention',
+      expected: 30,
+      actual: 7,
+      message: '备份保留 7 天，低于要求的 30 天'
+    });
+  });
+
+  it('should be unverified when a required setting cannot be read', () => {
+    const result = evaluateBackupPolicy(policy(), config({ encrypted: null }));
+
+    expect(result.status).toBe('Unverified');
+    expect(result.unverified).toEqual([{ rule: 'Encryption', message: '无法获取加密状态' }]);
+  });
+
+  it('should prefer violations over unverified settings', () => {
+    const result = evaluateBackupPolicy(policy(), config({ retentionDays: 7, encrypted: null }));
+
+    expect(result.status).toBe('NonCompliant');
+    expect(result.unverified).toHaveLength(1);
+  });
+
+  it('should skip rules the policy does not enable', () => {
+    const result = evaluateBackupPolicy(
+      policy({ min_retention_days: null, require_log_backup: false, min_backups_per_week: null, require_encryption: false }),
+      null
+    );
+
+    expect(result).toEqual({ status: 'Compliant', violations: [], unverified: [] });
+  });
+
+  it('should report instances without an applicable policy', () => {
+    expect(evaluateBackupPolicy(null, config()).status).toBe('NoPolicy');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { findMissedBackups, findSizeAnomalies, summarizeDurations, analyzeBackupHealth } = require('../src/utils/backupHealth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 构造每日 02:00(UTC) 开始的全量备份
+const backup = (day, attributes = {}) => ({
+  backup_id: `b-${day}`,
+  backup_type: 'FullBackup',
+  status: 'Success',
+  backup_size: 1000,
+  started_at: new Date(`${day}T02:00:00Z`),
+  duration_seconds: 600,
+  ...attributes
+});
+
+const days = (from, count) => Array.from({ length: count }, (_, index) =>
+  new Date(new Date(`${from}T00:00:00Z`).getTime() + index * DAY_MS).toISOString().slice(0, 10));
+
+describe('Backup Health', () => {
+  it('should report scheduled days without a successful full backup', () => {
+    const records = [
+      backup('2024-03-04'),
+      backup('2024-03-05', { status: 'Failed' }),
+      backup('2024-03-06', { backup_type: 'IncrementalBackup' }),
+      backup('2024-03-07')
+    ];
+
+    const missed = findMissedBackups(records, {
+      since: new Date('2024-03-04T00:00:00Z'),
+      until: new Date('2024-03-08T10:00:00Z')
+    });
+
+    expect(missed).toEqual(['2024-03-05', '2024-03-06']);
+  });
+
+  it('should only expect backups on the configured weekdays', () => {
+    // 2024-03-04 为周一
+    const missed = findMissedBackups([backup('2024-03-04')], {
+      since: new Date('2024-03-04T00:00:00Z'),
+      until: new Date('2024-03-11T00:00:00Z'),
+      backupDays: ['Monday', 'Thursday']
+    });
+
+    expect(missed).toEqual(['2024-03-07']);
+  });
+
+  it('should flag a sudden shrink against the recent median', () => {
+    const records = days('2024-03-01', 6).map((day, index) => backup(day, {
+      backup_size: index === 5 ? '400' : String(1000 + index * 10)
+    }));
+
+    const anomalies = findSizeAnomalies(records, {
+      since: new Date('2024-03-01T00:00:00Z'),
+      until: new Date('2024-03-07T00:00:00Z')
+    });
+
+    expect(anomalies).toEqual([expect.objectContaining({
+      backupId: 'b-2024-03-06',
+      backupSize: 400,
+      baselineSize: 1020,
+      type: 'Shrink'
+    })]);
+    expect(anomalies[0].changePercent).toBeCloseTo(-60.78, 2);
+  });
+
+  it('should compare recent backup durations with the previous ones', () => {
+    const records = days('2024-03-01', 14).map((day, index) => backup(day, {
+      duration_seconds: index < 7 ? 600 : 900
+    }));
+
+    const trend = summarizeDurations(records);
+
+    expect(trend.points).toHaveLength(14);
+    expect(trend.previousAverageSeconds).toBe(600);
+    expect(trend.recentAverageSeconds).toBe(900);
+    expect(trend.changePercent).toBe(50);
+  });
+
+  it('should summarize health for the period', () => {
+    const records = [
+      ...days('2024-03-01', 7).map(day => backup(day)),
+      backup('2024-03-03', { backup_id: 'b-failed', status: 'Failed' })
+    ];
+
+    const health = analyzeBackupHealth(records, {
+      since: new Date('2024-03-01T00:00:00Z'),
+      until: new Date('2024-03-07T12:00:00Z')
+    });
+
+    expect(health.status).toBe('Warning');
+    expect(health.totals).toEqual({ total: 8, success: 7, failed: 1 });
+    expect(health.missedBackups).toEqual([]);
+    expect(health.failedBackups).toEqual([expect.objectContaining({ backupId: 'b-failed' })]);
+  });
+
+  it('should be critical when backups are missed', () => {
+    const health = analyzeBackupHealth([backup('2024-03-01')], {
+      since: new Date('2024-03-01T00:00:00Z'),
+      until: new Date('2024-03-03T12:00:00Z')
+    });
+
+    expect(health.status).toBe('Critical');
+    expect(health.missedBackups).toEqual(['2024-03-02']);
+  });
+});
\ No newline at end of file
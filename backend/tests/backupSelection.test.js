@@ -0,0 +1,67 @@
+const { normalizeBackup, selectBackup } = require('../src/utils/backupSelection');
+
+const now = new Date('2024-06-30T00:00:00Z');
+
+// 构造 DescribeBackups 返回的备份条目
+const rawBackup = (backupId, endTime, fields = {}) => ({
+  backupId,
+  backupType: 'FullBackup',
+  backupStatus: 'Success',
+  backupSize: 1024,
+  backupStartTime: endTime,
+  backupEndTime: endTime,
+  ...fields
+});
+
+const backups = [
+  rawBackup('b1', '2024-06-01T02:00:00Z'),
+  rawBackup('b2', '2024-06-10T02:00:00Z'),
+  rawBackup('b3', '2024-06-20T02:00:00Z'),
+  rawBackup('b4', '2024-06-29T02:00:00Z'),
+  rawBackup('inc', '2024-06-29T12:00:00Z', { backupType: 'IncrementalBackup' }),
+  rawBackup('failed', '2024-06-29T18:00:00Z', { backupStatus: 'Failed' })
+].map(normalizeBackup);
+
+describe('Backup Selection', () => {
+  describe('normalizeBackup', () => {
+    it('should parse sizes and second-based consistent times', () => {
+      const backup = normalizeBackup(rawBackup('b9', '2024-06-01T02:00:00Z', { consistentTime: 1717207200 }));
+
+      expect(backup.size).toBe(1024);
+      expect(backup.consistentTime.toISOString()).toBe('2024-06-01T02:00:00.000Z');
+    });
+  });
+
+  describe('selectBackup', () => {
+    it('should pick the latest successful full backup', () => {
+      expect(selectBackup(backups, 'LatestFull').backupId).toBe('b4');
+    });
+
+    it('should pick the oldest backup that is not about to expire', () => {
+      // 保留30天时 b1 距过期仍超过24小时；保留29天时 b1 将在24小时内过期
+      expect(selectBackup(backups, 'OldestInRetention', { retentionDays: 30, now }).backupId).toBe('b1');
+      expect(selectBackup(backups, 'OldestInRetention', { retentionDays: 29, now }).backupId).toBe('b2');
+    });
+
+    it('should pick a random backup within the window', () => {
+      const backup = selectBackup(backups, 'RandomInWindow', {
+        windowStart: '2024-06-05T00:00:00Z',
+        windowEnd: '2024-06-25T00:00:00Z',
+        now,
+        random: () => 0.99
+      });
+
+      expect(backup.backupId).toBe('b3');
+    });
+
+    it('should pick the backup closest to the target date', () => {
+      expect(selectBackup(backups, 'ClosestToDate', { targetDate: '2024-06-14T00:00:00Z' }).backupId).toBe('b2');
+      expect(() => selectBackup(backups, 'ClosestToDate')).toThrow('目标日期');
+    });
+
+    it('should return null when no backup qualifies and reject unknown policies', () => {
+      expect(selectBackup(backups.slice(4), 'LatestFull')).toBeNull();
+      expect(() => selectBackup(backups, 'Newest')).toThrow('不支持的备份集选择策略');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,198 @@
+const { RDSInstance, RecoveryTask, User } = require('../src/models');
+const { logAudit } = require('../src/utils/audit');
+const { runWithContext } = require('../src/middleware/requestContext');
+require('../src/services/changeTrackingService');
+
+// 取注册的模型钩子
+const hook = (model, type) => model.addHook.mock.calls.find(([name]) => name === type)[2];
+
+// 构造模型实例，previous 为更新前的值
+const createInstance = (values, previous = {}) => ({
+  ...values,
+  get(field) {
+    return typeof field === 'string' ? this[field] : { ...values };
+  },
+  previous(field) {
+    return field in previous ? previous[field] : this[field];
+  },
+  changed() {
+    return Object.keys(previous);
+  }
+});
+
+const requestContext = () => ({
+  traceId: 'trace-1',
+  req: {
+    user: { id: 'user-uuid', username: 'operator' },
+    ip: '10.0.0.8',
+    method: 'PUT',
+    originalUrl: '/api/rds/instances/instance-uuid',
+    get: () => 'jest'
+  }
+});
+
+describe('Change Tracking Service', () => {
+  beforeEach(() => {
+    logAudit.mockClear();
+  });
+
+  it('should record field-level diffs of an update with the request user and trace id', () => {
+    const instance = createInstance(
+      { id: 'instance-uuid', instance_name: 'prod-db', port: 3307, description: '生产库', last_synced_at: new Date() },
+      { port: 3306, description: '生产库', last_synced_at: new Date('2026-01-01T00:00:00Z') }
+    );
+
+    runWithContext(requestContext(), () => hook(RDSInstance, 'afterUpdate')(instance, {}));
+
+    expect(logAudit).toHaveBeenCalledTimes(1);
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-uuid',
+      username: 'operator',
+      action: '更新RDS实例记录',
+      resourceType: 'RDSInstance',
+      resourceId: 'instance-uuid',
+      resourceName: 'prod-db',
+      operationType: 'Update',
+      oldValues: { port: 3306 },
+      newValues: { port: 3307 },
+      traceId: 'trace-1',
+      requestPath: '/api/rds/instances/instance-uuid',
+      tags: ['DataChange']
+    }));
+  });
+
+  it('should attribute changes in a background task context to the task executor', () => {
+    const instance = createInstance({ id: 'instance-uuid', instance_name: 'prod-db', port: 3307 }, { port: 3306 });
+
+    runWithContext({ user: { id: 'executor-uuid', username: 'executor' }, traceId: 'trace-task' },
+      () => hook(RDSInstance, 'afterUpdate')(instance, {}));
+
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'executor-uuid',
+      username: 'executor',
+      ipAddress: null,
+      requestPath: undefined,
+      traceId: 'trace-task'
+    }));
+  });
+
+  it('should skip updates that only touch ignored fields', () => {
+    const task = createInstance({ id: 'task-uuid', task_name: '年度验证', progress: 50 }, { progress: 40 });
+
+    hook(RecoveryTask, 'afterUpdate')(task, {});
+
+    expect(logAudit).not.toHaveBeenCalled();
+  });
+
+  it('should record digests instead of the content of large JSON columns', () => {
+    const snapshot = { tables: { 'shop.orders': { rowEstimate: 1000 } } };
+    const task = createInstance(
+      { id: 'task-uuid', task_name: '年度验证', status: 'Running', source_snapshot: snapshot, verification_result: null },
+      { status: 'Queued', source_snapshot: null }
+    );
+
+    hook(RecoveryTask, 'afterUpdate')(task, {});
+
+    const { oldValues, newValues } = logAudit.mock.calls[0][0];
+    expect(oldValues).toEqual({ status: 'Queued', source_snapshot: null });
+    expect(newValues).toEqual({ status: 'Running', source_snapshot: expect.stringMatching(/^sha256:[0-9a-f]{64}$/) });
+    expect(JSON.stringify(newValues)).not.toContain('shop.orders');
+
+    logAudit.mockClear();
+    hook(RecoveryTask, 'afterUpdate')(createInstance(
+      { id: 'task-uuid', task_name: '年度验证', source_snapshot: snapshot },
+      { source_snapshot: { tables: { 'shop.orders': { rowEstimate: 1000 } } } }
+    ), {});
+    expect(logAudit).not.toHaveBeenCalled();
+  });
+
+  it('should attribute changes outside a request to the system', () => {
+    const user = createInstance({ id: 'user-uuid', username: 'auditor', role: 'auditor', created_at: new Date() });
+
+    hook(User, 'afterCreate')(user, {});
+
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      username: 'system',
+      operationType: 'Create',
+      oldValues: null,
+      newValues: { username: 'auditor', role: 'auditor' },
+      traceId: undefined
+    }));
+  });
+
+  it('should diff bulk updates against the rows read before the update', async () => {
+    RecoveryTask.findAll.mockResolvedValue([
+      { id: 'task-uuid', task_name: '年度验证', status: 'Queued', started_at: null }
+    ]);
+    const startedAt = new Date('2026-03-01T08:00:00Z');
+    const options = {
+      where: { id: 'task-uuid', status: 'Queued' },
+      attributes: { status: 'Running', started_at: startedAt, progress: 0 }
+    };
+
+    await hook(RecoveryTask, 'beforeBulkUpdate')(options);
+    hook(RecoveryTask, 'afterBulkUpdate')(options);
+
+    expect(RecoveryTask.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      attributes: ['id', 'task_name', 'status'],
+      where: options.where,
+      raw: true
+    }));
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      resourceId: 'task-uuid',
+      oldValues: { status: 'Queued' },
+      newValues: { status: 'Running' }
+    }));
+  });
+
+  it('should not read or audit bulk updates of task execution bookkeeping', async () => {
+    RecoveryTask.findAll.mockClear();
+    const options = {
+      where: { id: 'task-uuid' },
+      attributes: { current_phase: 'Verification', attempt_count: 2, teardown_status: 'Pending', clone_expires_at: new Date() }
+    };
+
+    await hook(RecoveryTask, 'beforeBulkUpdate')(options);
+    hook(RecoveryTask, 'afterBulkUpdate')(options);
+
+    expect(RecoveryTask.findAll).not.toHaveBeenCalled();
+    expect(logAudit).not.toHaveBeenCalled();
+  });
+
+  it('should record deletes after the transaction commits', () => {
+    const callbacks = [];
+    const instance = createInstance({ id: 'instance-uuid', instance_name: 'prod-db', port: 3306 });
+
+    hook(RDSInstance, 'afterDestroy')(instance, { transaction: { afterCommit: callback => callbacks.push(callback) } });
+    expect(logAudit).not.toHaveBeenCalled();
+
+    callbacks.forEach(callback => callback());
+    expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({
+      operationType: 'Delete',
+      riskLevel: 'Medium',
+      oldValues: { instance_name: 'prod-db', port: 3306 },
+      newValues: null
+    }));
+  });
+});
+
+jest.mock('../src/models', () => {
+  const model = (fields) => ({
+    addHook: jest.fn(),
+    findAll: jest.fn(),
+    rawAttributes: Object.fromEntries(['id', ...fields, 'created_at', 'updated_at', 'deleted_at'].map(field => [field, {}]))
+  });
+  return {
+    User: model(['username', 'password_hash', 'role', 'last_login_at']),
+    RDSInstance: model(['instance_name', 'port', 'description', 'last_synced_at']),
+    RecoveryTask: model([
+      'task_name', 'status', 'started_at', 'progress', 'progress_message', 'current_phase', 'attempt_count',
+      'teardown_status', 'clone_expires_at', 'source_snapshot', 'verification_result'
+    ]),
+    ComplianceReport: model(['report_name', 'status'])
+  };
+});
+
+jest.mock('../src/utils/audit', () => ({
+  logAudit: jest.fn()
+}));
\ No newline at end of file
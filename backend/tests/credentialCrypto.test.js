@@ -0,0 +1,48 @@
+const { encryptSecret, decryptSecret, maskSecret } = require('../src/utils/credentialCrypto');
+
+describe('Credential Crypto', () => {
+  const originalKey = process.env.CREDENTIAL_ENCRYPTION_KEY;
+
+  beforeEach(() => {
+    process.env.CREDENTIAL_ENCRYPTION_KEY = 'test-credential-key';
+  });
+
+  afterAll(() => {
+    process.env.CREDENTIAL_ENCRYPTION_KEY = originalKey;
+  });
+
+  it('should round-trip secrets with a random IV', () => {
+    const first = encryptSecret('LTAI5tExampleKeyId');
+    const second = encryptSecret('LTAI5tExampleKeyId');
+
+    expect(first).toMatch(/^v1:/);
+    expect(first).not.toContain('LTAI5tExampleKeyId');
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe('LTAI5tExampleKeyId');
+  });
+
+  it('should reject tampered ciphertext and a wrong key', () => {
+    const encrypted = encryptSecret('secret-value');
+    const parts = encrypted.split(':');
+    const data = Buffer.from(parts[3], 'base64');
+    data[0] ^= 0xff;
+    parts[3] = data.toString('base64');
+
+    expect(() => decryptSecret(parts.join(':'))).toThrow('凭据解密失败');
+    expect(() => decryptSecret('plain-text')).toThrow('凭据密文格式无效');
+
+    process.env.CREDENTIAL_ENCRYPTION_KEY = 'another-key';
+    expect(() => decryptSecret(encrypted)).toThrow('凭据解密失败');
+  });
+
+  it('should require the encryption key', () => {
+    delete process.env.CREDENTIAL_ENCRYPTION_KEY;
+
+    expect(() => encryptSecret('secret-value')).toThrow('CREDENTIAL_ENCRYPTION_KEY');
+  });
+
+  it('should mask secrets for display', () => {
+    expect(maskSecret('LTAI5tExampleKeyId')).toBe('LTAI****eyId');
+    expect(maskSecret('short')).toBe('****');
+  });
+});
\ No newline at end of file
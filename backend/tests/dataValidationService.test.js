@@ -0,0 +1,113 @@
+const dataValidationService = require('../src/services/dataValidationService');
+
+// 构造一个按SQL返回预设结果的连接句柄
+const createConnection = (driver, responder) => ({
+  driver,
+  quote: (identifier) => identifier.split('.').map(part => `"${part}"`).join('.'),
+  query: jest.fn(async (sql) => responder(sql)),
+  readOnly: jest.fn(job => job())
+});
+
+describe('Data Validation Service', () => {
+  describe('runRules', () => {
+    it('should pass rowCount rules within bounds', async () => {
+      const connection = createConnection('postgres', () => [{ row_count: '120' }]);
+
+      const result = await dataValidationService.runRules(connection, [
+        { type: 'rowCount', table: 'orders', min: 100 }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.rules[0].evidence.rowCount).toBe(120);
+      expect(result.rules[0].durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should fail freshness rules when data lags the restore point', async () => {
+      const connection = createConnection('mysql', () => [{ latest: new Date('2024-01-01T10:00:00Z') }]);
+
+      const result = await dataValidationService.runRules(connection, [
+        { type: 'freshness', table: 'orders', maxLagMinutes: 30 }
+      ], { restoreTime: '2024-01-01T12:00:00Z' });
+
+      expect(result.success).toBe(false);
+      expect(result.rules[0].evidence.lagMinutes).toBe(120);
+    });
+
+    it('should compare custom SQL results with operators', async () => {
+      const connection = createConnection('mysql', () => [{ total: 5 }]);
+
+      const result = await dataValidationService.runRules(connection, {
+        rules: [{ type: 'sql', sql: 'SELECT COUNT(*) AS total FROM users', expected: 3, operator: 'gte' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.rules[0].evidence.actual).toBe(5);
+    });
+
+    it('should run each rule read-only and reject stacked statements', async () => {
+      const connection = createConnection('postgres', () => [{ row_count: 1, total: 1 }]);
+
+      const result = await dataValidationService.runRules(connection, [
+        { type: 'rowCount', table: 'orders', where: "status = 'paid'" },
+        { type: 'rowCount', table: 'orders', where: '1 = 1; DROP TABLE orders' },
+        { type: 'checksum', table: 'orders', columns: ['id'], where: "note = ';'" },
+        { type: 'sql', sql: 'SELECT 1 AS total; DELETE FROM orders', expected: 1 },
+        { type: 'sql', sql: "SELECT COUNT(*) AS total FROM orders WHERE note <> ';';", expected: 1 }
+      ]);
+
+      expect(result.rules.map(rule => rule.passed)).toEqual([true, false, true, false, true]);
+      expect(result.rules[1].error).toBe('过滤条件不能包含多条语句');
+      expect(result.rules[3].error).toBe('自定义SQL只能包含一条语句');
+      expect(connection.readOnly).toHaveBeenCalledTimes(5);
+      expect(connection.query).toHaveBeenCalledTimes(3);
+      expect(connection.query.mock.calls.map(([sql]) => sql).join('\n')).not.toMatch(/DROP|DELETE/);
+    });
+
+    it('should refuse to run rules on a connection without read-only support', async () => {
+      const connection = { ...createConnection('mysql', () => [{ row_count: 1 }]), readOnly: undefined };
+
+      const result = await dataValidationService.runRules(connection, [{ type: 'rowCount', table: 'orders' }]);
+
+      expect(result.success).toBe(false);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    it('should treat warning rules as non-blocking', async () => {
+      const connection = createConnection('mysql', () => [{ checksum: '42', row_count: 10 }]);
+
+      const result = await dataValidationService.runRules(connection, [
+        { type: 'checksum', table: 'orders', columns: ['id'], expected: '41', severity: 'warning' }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.summary.warnings).toBe(1);
+    });
+
+    it('should not report success when no rules ran', async () => {
+      const connection = createConnection('mysql', () => []);
+
+      for (const rules of [[], { rules: [] }, undefined]) {
+        const result = await dataValidationService.runRules(connection, rules);
+
+        expect(result).toMatchObject({ success: false, verified: false, summary: { total: 0 } });
+      }
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    it('should record errors for unknown rule types', async () => {
+      const connection = createConnection('mysql', () => []);
+
+      const result = await dataValidationService.runRules(connection, [{ type: 'unknown' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.rules[0].error).toContain('未知的验证规则类型');
+    });
+  });
+});
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
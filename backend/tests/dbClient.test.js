@@ -0,0 +1,61 @@
+const { classifyConnectionError, quoteIdentifier, getDriver, isSingleStatement } = require('../src/utils/dbClient');
+
+describe('DB Client Utils', () => {
+  describe('classifyConnectionError', () => {
+    it('should classify DNS failures', () => {
+      expect(classifyConnectionError({ code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND rm-xxx' })).toBe('DNS');
+    });
+
+    it('should classify refused connections', () => {
+      expect(classifyConnectionError({ code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' })).toBe('Refused');
+    });
+
+    it('should classify authentication failures for each engine', () => {
+      expect(classifyConnectionError({ code: 'ER_ACCESS_DENIED_ERROR', message: 'Access denied' })).toBe('Auth');
+      expect(classifyConnectionError({ code: '28P01', message: 'password authentication failed' })).toBe('Auth');
+      expect(classifyConnectionError({ code: 'ELOGIN', message: "Login failed for user 'sa'" })).toBe('Auth');
+    });
+
+    it('should classify timeouts', () => {
+      expect(classifyConnectionError({ code: 'ETIMEDOUT', message: 'connect ETIMEDOUT' })).toBe('Timeout');
+      expect(classifyConnectionError({ message: 'Connection terminated due to connection timeout' })).toBe('Timeout');
+    });
+
+    it('should fall back to Unknown', () => {
+      expect(classifyConnectionError({ message: 'something else' })).toBe('Unknown');
+    });
+  });
+
+  describe('quoteIdentifier', () => {
+    it('should quote identifiers per dialect', () => {
+      expect(quoteIdentifier('mysql', 'db.orders')).toBe('`db`.`orders`');
+      expect(quoteIdentifier('postgres', 'public.orders')).toBe('"public"."orders"');
+      expect(quoteIdentifier('mssql', 'dbo.orders')).toBe('[dbo].[orders]');
+    });
+  });
+
+  describe('isSingleStatement', () => {
+    it('should ignore separators inside literals, identifiers and comments', () => {
+      expect(isSingleStatement('postgres', "SELECT ';' AS a, $$;$$ AS b /* ; */ FROM t;")).toBe(true);
+      expect(isSingleStatement('mysql', 'SELECT `a;b` FROM t # ;\n')).toBe(true);
+      expect(isSingleStatement('mssql', 'SELECT [a;b] FROM t')).toBe(true);
+    });
+
+    it('should detect stacked statements with each dialect\'s escaping rules', () => {
+      expect(isSingleStatement('postgres', 'SELECT 1; DROP TABLE t')).toBe(false);
+      // PostgreSQL 普通字符串中反斜杠不转义
+      expect(isSingleStatement('postgres', "SELECT '\\'; DROP TABLE t")).toBe(false);
+      // MySQL 字符串中反斜杠转义引号，--后不跟空白不是注释
+      expect(isSingleStatement('mysql', "SELECT '\\''; DROP TABLE t")).toBe(false);
+      expect(isSingleStatement('mysql', 'SELECT 1--1; DROP TABLE t')).toBe(false);
+    });
+  });
+
+  describe('getDriver', () => {
+    it('should map engines to drivers', () => {
+      expect(getDriver('MariaDB')).toBe('mysql');
+      expect(getDriver('PPAS')).toBe('postgres');
+      expect(() => getDriver('Oracle')).toThrow('不支持的数据库引擎');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,207 @@
+const { RDSInstance, RDSInstanceChange, BackupPolicy } = require('../src/models');
+const rdsService = require('../src/services/rdsService');
+const instanceSyncService = require('../src/services/instanceSyncService');
+const { createRateLimiter } = require('../src/utils/rateLimiter');
+
+// 构造已登记实例，update 直接修改字段
+const createInstance = (attributes = {}) => ({
+  id: 'instance-uuid',
+  instance_id: 'rm-sync',
+  status: 'Running',
+  instance_class: 'mysql.n2.medium.1',
+  storage_size: 100,
+  backup_retention_period: 30,
+  backup_time: '02:00Z-03:00Z',
+  backup_compliance_status: 'NoPolicy',
+  last_sync_error: null,
+  ...attributes,
+  update: jest.fn(async function (data) {
+    Object.assign(this, data);
+  })
+});
+
+const cloudInstance = (attributes = {}) => ({
+  dbInstanceId: 'rm-sync',
+  dbInstanceStatus: 'Running',
+  dbInstanceClass: 'mysql.n2.medium.1',
+  dbInstanceStorage: 100,
+  ...attributes
+});
+
+describe('Instance Sync Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    instanceSyncService.limiter = createRateLimiter(0);
+    instanceSyncService.throttleBackoffMs = 1;
+    rdsService.getInstance.mockResolvedValue(cloudInstance());
+    rdsService.getBackupPolicy.mockResolvedValue({ backupRetentionPeriod: '30', preferredBackupTime: '02:00Z-03:00Z' });
+    rdsService.getEncryption.mockResolvedValue({ encrypted: false, mode: null });
+    BackupPolicy.findOne.mockResolvedValue(null);
+  });
+
+  it('should record a history entry for each changed field', async () => {
+    const instance = createInstance();
+    rdsService.getInstance.mockResolvedValue(cloudInstance({ dbInstanceClass: 'mysql.n4.large.1', dbInstanceStorage: '200' }));
+    rdsService.getBackupPolicy.mockResolvedValue({ backupRetentionPeriod: '7', preferredBackupTime: '02:00Z-03:00Z' });
+
+    const changes = await instanceSyncService.syncInstance(instance);
+
+    expect(changes).toEqual([
+      { field: 'instance_class', old_value: 'mysql.n2.medium.1', new_value: 'mysql.n4.large.1' },
+      { field: 'storage_size', old_value: '100', new_value: '200' },
+      { field: 'backup_retention_period', old_value: '30', new_value: '7' }
+    ]);
+    expect(RDSInstanceChange.bulkCreate).toHaveBeenCalledWith(changes.map(change => expect.objectContaining({
+      ...change,
+      rds_instance_id: 'instance-uuid',
+      source: 'Sync',
+      changed_by: null
+    })));
+    expect(instance.backup_retention_period).toBe(7);
+    expect(instance.last_synced_at).toBeInstanceOf(Date);
+  });
+
+  it('should not record history when nothing changed', async () => {
+    const instance = createInstance();
+
+    const changes = await instanceSyncService.syncInstance(instance, { source: 'Manual', userId: 'user-1' });
+
+    expect(changes).toEqual([]);
+    expect(RDSInstanceChange.bulkCreate).not.toHaveBeenCalled();
+  });
+
+  it('should map unknown cloud status and keep fields the provider does not return', async () => {
+    const instance = createInstance();
+    rdsService.getInstance.mockResolvedValue({ dbInstanceId: 'rm-sync', dbInstanceStatus: 'Restoring' });
+    rdsService.getBackupPolicy.mockResolvedValue(null);
+
+    await instanceSyncService.syncInstance(instance);
+
+    expect(instance.status).toBe('Unknown');
+    expect(instance.instance_class).toBe('mysql.n2.medium.1');
+    expect(instance.backup_retention_period).toBe(30);
+  });
+
+  it('should retry throttled cloud calls', async () => {
+    const throttled = Object.assign(new Error('Request was denied due to request throttling.'), { code: 'Throttling.User' });
+    rdsService.getInstance
+      .mockRejectedValueOnce(throttled)
+      .mockResolvedValueOnce(cloudInstance({ dbInstanceStatus: 'Stopped' }));
+    const instance = createInstance();
+
+    await instanceSyncService.syncInstance(instance);
+
+    expect(rdsService.getInstance).toHaveBeenCalledTimes(2);
+    expect(instance.status).toBe('Stopped');
+  });
+
+  it('should check the live backup configuration against the default policy', async () => {
+    BackupPolicy.findOne.mockResolvedValue({
+      id: 'policy-uuid',
+      policy_name: '生产库',
+      min_retention_days: 30,
+      require_log_backup: true,
+      min_backups_per_week: 7,
+      require_encryption: true
+    });
+    rdsService.getBackupPolicy.mockResolvedValue({
+      backupRetentionPeriod: 30,
+      preferredBackupPeriod: 'Monday,Thursday',
+      enableBackupLog: true
+    });
+    rdsService.getEncryption.mockRejectedValue(new Error('InvalidEngine.NotSupport'));
+    const instance = createInstance();
+
+    const changes = await instanceSyncService.syncInstance(instance);
+
+    expect(changes).toEqual([
+      { field: 'backup_compliance_status', old_value: 'NoPolicy', new_value: 'NonCompliant' }
+    ]);
+    expect(instance.backup_config).toEqual(expect.objectContaining({
+      retentionDays: 30,
+      backupsPerWeek: 2,
+      logBackupEnabled: true,
+      encrypted: null
+    }));
+    expect(instance.backup_compliance_violations).toEqual(expect.objectContaining({
+      policyName: '生产库',
+      violations: [expect.objectContaining({ rule: 'BackupFrequency', expected: 7, actual: 2 })],
+      unverified: [expect.objectContaining({ rule: 'Encryption' })]
+    }));
+    expect(instance.last_sync_error).toBeNull();
+  });
+
+  it('should sync all monitored instances and continue after failures', async () => {
+    const missing = createInstance({ id: 'missing-uuid', instance_id: 'rm-missing' });
+    const healthy = createInstance();
+    RDSInstance.findAll.mockResolvedValue([missing, healthy]);
+    rdsService.getInstance.mockImplementation(async (instanceId) => (instanceId === 'rm-missing' ? null : cloudInstance()));
+
+    const result = await instanceSyncService.syncAll();
+
+    expect(RDSInstance.findAll).toHaveBeenCalledWith({ where: { is_monitored: true, archived_at: null } });
+    expect(result).toEqual(expect.objectContaining({ total: 2, synced: 1, failed: 1 }));
+    expect(missing.last_sync_error).toBe('云端实例不存在');
+    expect(instanceSyncService.getStatus().lastRun).toBe(result);
+  });
+});
+
+describe('Rate Limiter', () => {
+  it('should space calls evenly and honour pauses', async () => {
+    let clock = 0;
+    const waits = [];
+    const limiter = createRateLimiter(4, {
+      now: () => clock,
+      sleep: async (ms) => {
+        waits.push(ms);
+        clock += ms;
+      }
+    });
+
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+    limiter.pause(1000);
+    await limiter.acquire();
+
+    expect(waits).toEqual([250, 250, 1000]);
+  });
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(),
+  validate: jest.fn(() => true)
+}));
+
+jest.mock('../src/models', () => ({
+  RDSInstance: {
+    findAll: jest.fn(),
+    rawAttributes: {
+      status: { values: ['Running', 'Creating', 'Stopped', 'Deleting', 'Rebooting', 'Unknown'] }
+    }
+  },
+  RDSInstanceChange: {
+    bulkCreate: jest.fn()
+  },
+  BackupPolicy: {
+    findByPk: jest.fn(),
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/rdsService', () => {
+  const service = {
+    getInstance: jest.fn(),
+    getBackupPolicy: jest.fn(),
+    getEncryption: jest.fn()
+  };
+  service.forInstance = jest.fn(async () => service);
+  return service;
+});
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { toInstanceFields, diffInventory } = require('../src/utils/inventoryDiff');
+
+// 构造云端实例
+const cloud = (instanceId, attributes = {}) => ({
+  dbInstanceId: instanceId,
+  dbInstanceDescription: `${instanceId}-desc`,
+  dbInstanceStatus: 'Running',
+  engine: 'MySQL',
+  engineVersion: '8.0',
+  dbInstanceClass: 'mysql.n2.medium.1',
+  regionId: 'cn-hangzhou',
+  zoneId: 'cn-hangzhou-h',
+  port: '3306',
+  ...attributes
+});
+
+// 构造已登记实例
+const registered = (instanceId, attributes = {}) => ({
+  id: `uuid-${instanceId}`,
+  instance_id: instanceId,
+  region: 'cn-hangzhou',
+  credential_profile_id: null,
+  status: 'Running',
+  engine_version: '8.0',
+  instance_class: 'mysql.n2.medium.1',
+  zone: 'cn-hangzhou-h',
+  port: 3306,
+  archived_at: null,
+  ...attributes
+});
+
+const defaultScope = { profileId: null, regionId: 'cn-hangzhou' };
+
+describe('Inventory Diff', () => {
+  it('should map cloud attributes to instance fields', () => {
+    const fields = toInstanceFields(cloud('rm-a', { dbInstanceStorage: '200' }), { profileId: 'profile-b', regionId: 'cn-beijing' });
+
+    expect(fields).toEqual(expect.objectContaining({
+      instance_id: 'rm-a',
+      instance_name: 'rm-a-desc',
+      region: 'cn-hangzhou',
+      credential_profile_id: 'profile-b',
+      storage_size: 200,
+      port: 3306
+    }));
+    expect(fields).not.toHaveProperty('vpc_id');
+  });
+
+  it('should classify new, changed, unchanged and disappeared instances', () => {
+    const { items, unchanged } = diffInventory({
+      cloudInstances: [
+        { scope: defaultScope, instance: cloud('rm-new') },
+        { scope: defaultScope, instance: cloud('rm-same') },
+        { scope: defaultScope, instance: cloud('rm-resized', { dbInstanceClass: 'mysql.n4.large.1' }) }
+      ],
+      registered: [registered('rm-same'), registered('rm-resized'), registered('rm-gone')],
+      scannedScopes: [defaultScope]
+    });
+
+    expect(unchanged).toBe(1);
+    expect(items.map(item => [item.changeType, item.instanceId])).toEqual([
+      ['New', 'rm-new'],
+      ['Changed', 'rm-resized'],
+      ['Disappeared', 'rm-gone']
+    ]);
+    expect(items[1].changes).toEqual([{ field: 'instance_class', from: 'mysql.n2.medium.1', to: 'mysql.n4.large.1' }]);
+  });
+
+  it('should only flag disappeared instances in scopes that were scanned', () => {
+    const { items } = diffInventory({
+      cloudInstances: [],
+      registered: [
+        registered('rm-hangzhou'),
+        registered('rm-beijing', { region: 'cn-beijing' }),
+        registered('rm-other-account', { credential_profile_id: 'profile-b' })
+      ],
+      scannedScopes: [defaultScope]
+    });
+
+    expect(items.map(item => item.instanceId)).toEqual(['rm-hangzhou']);
+  });
+
+  it('should skip recovery clones and archived instances', () => {
+    const { items, unchanged } = diffInventory({
+      cloudInstances: [
+        { scope: defaultScope, instance: cloud('rm-clone') },
+        { scope: defaultScope, instance: cloud('rm-archived', { dbInstanceClass: 'mysql.n4.large.1' }) }
+      ],
+      registered: [
+        registered('rm-archived', { archived_at: new Date() }),
+        registered('rm-archived-gone', { archived_at: new Date() })
+      ],
+      scannedScopes: [defaultScope],
+      excludeIds: ['rm-clone']
+    });
+
+    expect(items).toEqual([]);
+    expect(unchanged).toBe(0);
+  });
+});
\ No newline at end of file
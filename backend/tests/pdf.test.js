@@ -0,0 +1,73 @@
+const { PassThrough } = require('stream');
+const { PdfDocument, encodeText, wrapText } = require('../src/utils/pdf');
+
+// 写出文档并收集输出
+const render = async (build) => {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const pdf = new PdfDocument(stream);
+  await pdf.begin();
+  await build(pdf);
+  await new Promise(resolve => stream.on('end', resolve));
+  return Buffer.concat(chunks).toString('latin1');
+};
+
+describe('PDF Writer', () => {
+  it('should encode text as UCS-2 hex for the CJK font', () => {
+    expect(encodeText('审计A')).toBe('5BA18BA10041');
+    expect(encodeText('a\tb')).toBe('006100200062');
+    expect(encodeText('😀')).toBe('003F');
+  });
+
+  it('should wrap text with full-width CJK and half-width ASCII characters', () => {
+    expect(wrapText('abcd', 10, 10)).toEqual(['ab', 'cd']);
+    expect(wrapText('审计日志', 10, 25)).toEqual(['审计', '日志']);
+    expect(wrapText('第一行\n第二行', 10, 100)).toEqual(['第一行', '第二行']);
+  });
+
+  it('should write a cover page before the body pages with a valid cross-reference table', async () => {
+    const output = await render(async (pdf) => {
+      for (let index = 0; index < 120; index++) {
+        await pdf.text(`记录 ${index}`);
+      }
+      await pdf.addCover([{ text: '审计日志导出证据' }]);
+      await pdf.end({ title: '审计日志导出证据' });
+    });
+
+    expect(output.startsWith('%PDF-1.4')).toBe(true);
+    expect(output.trimEnd().endsWith('%%EOF')).toBe(true);
+
+    // 交叉引用表中每个偏移都指向对应的对象
+    const xrefOffset = Number(output.match(/startxref\n(\d+)/)[1]);
+    const xref = output.slice(xrefOffset).split('\n');
+    const count = Number(xref[1].split(' ')[1]);
+    for (let id = 1; id < count; id++) {
+      const offset = Number(xref[2 + id].slice(0, 10));
+      expect(output.startsWith(`${id} 0 obj`, offset)).toBe(true);
+    }
+
+    const [, kids, pageCount] = output.match(/\/Type \/Pages \/Kids \[([^\]]+)\] \/Count (\d+)/);
+    const pageIds = kids.split(' 0 R').map(id => id.trim()).filter(Boolean);
+    expect(Number(pageCount)).toBeGreaterThan(2);
+    expect(pageIds).toHaveLength(Number(pageCount));
+
+    // 封面在正文之后写出，但位于页面树首位
+    const contentOf = (pageId) => {
+      const contentId = output.match(new RegExp(`\\n${pageId} 0 obj\\n<< /Type /Page [^\\n]*/Contents (\\d+) 0 R`))[1];
+      return output.slice(output.indexOf(`\n${contentId} 0 obj\n`)).split('endstream')[0];
+    };
+    expect(contentOf(pageIds[0])).toContain(encodeText('审计日志导出证据'));
+    expect(contentOf(pageIds[1])).toContain(encodeText('记录 0'));
+  });
+
+  it('should stop writing when the output stream is closed', async () => {
+    const stream = new PassThrough({ highWaterMark: 16 });
+    const pdf = new PdfDocument(stream);
+    const writing = pdf.begin();
+    stream.destroy();
+
+    await expect(writing).rejects.toThrow('输出流已关闭');
+    await expect(pdf.end()).rejects.toThrow('输出流已关闭');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+jest.mock('../src/services/credentialProfileService', () => ({
+  getCredentials: jest.fn()
+}));
+
+const credentialProfileService = require('../src/services/credentialProfileService');
+const rdsService = require('../src/services/rdsService');
+const SimulatorProvider = require('../src/services/providers/simulatorProvider');
+const { classifyError } = require('../src/utils/retryPolicy');
+
+describe('RDS Service routing', () => {
+  beforeEach(() => {
+    rdsService.providers.clear();
+    credentialProfileService.getCredentials.mockReset();
+    credentialProfileService.getCredentials.mockResolvedValue({
+      accessKeyId: 'LTAI-account-b',
+      accessKeySecret: 'secret-b',
+      regionId: 'cn-hangzhou'
+    });
+  });
+
+  it('should use the default client for instances in the default region and account', async () => {
+    const defaultRegion = rdsService.provider.regionId;
+
+    expect(await rdsService.forInstance({ provider: 'aliyun', region: defaultRegion })).toBe(rdsService);
+    expect(credentialProfileService.getCredentials).not.toHaveBeenCalled();
+  });
+
+  it('should route instances to a client per credential profile and region', async () => {
+    const instance = { provider: 'aliyun', credential_profile_id: 'profile-b', region: 'cn-beijing' };
+
+    const rds = await rdsService.forInstance(instance);
+    expect(rds.provider.name).toBe('aliyun');
+    expect(rds.provider.regionId).toBe('cn-beijing');
+    expect(rds.provider.config.accessKeyId).toBe('LTAI-account-b');
+    expect(credentialProfileService.getCredentials).toHaveBeenCalledWith('profile-b');
+
+    // 同一账号和地域复用客户端
+    expect((await rdsService.forInstance(instance)).provider).toBe(rds.provider);
+    expect(credentialProfileService.getCredentials).toHaveBeenCalledTimes(1);
+
+    // 跨地域恢复的目标地域使用独立客户端
+    const target = await rdsService.forInstance(instance, { regionId: 'cn-shanghai' });
+    expect(target.provider.regionId).toBe('cn-shanghai');
+    expect(target.provider.config.accessKeyId).toBe('LTAI-account-b');
+  });
+
+  it('should share one client between concurrent requests', async () => {
+    const instance = { provider: 'aliyun', credential_profile_id: 'profile-b', region: 'cn-beijing' };
+
+    const [first, second] = await Promise.all([
+      rdsService.forInstance(instance),
+      rdsService.forInstance(instance)
+    ]);
+
+    expect(second.provider).toBe(first.provider);
+    expect(credentialProfileService.getCredentials).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create the client again after a failed attempt', async () => {
+    const instance = { provider: 'aliyun', credential_profile_id: 'profile-b', region: 'cn-beijing' };
+    credentialProfileService.getCredentials.mockRejectedValueOnce(new Error('凭据配置不存在'));
+
+    await expect(rdsService.forInstance(instance)).rejects.toThrow('凭据配置不存在');
+
+    const rds = await rdsService.forInstance(instance);
+    expect(rds.provider.config.accessKeyId).toBe('LTAI-account-b');
+    expect(credentialProfileService.getCredentials).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop cached clients when a credential profile changes', async () => {
+    const instance = { provider: 'aliyun', credential_profile_id: 'profile-b', region: 'cn-beijing' };
+    const first = await rdsService.forInstance(instance);
+
+    rdsService.evictProfile('profile-b');
+
+    expect((await rdsService.forInstance(instance)).provider).not.toBe(first.provider);
+    expect(credentialProfileService.getCredentials).toHaveBeenCalledTimes(2);
+  });
+
+  it('should report missing connection parameters as a configuration failure', async () => {
+    const openConnection = jest.spyOn(rdsService, 'openConnection');
+
+    const result = await rdsService.validateConnection({ engine: 'MySQL', host: undefined, port: 3306 });
+
+    expect(result).toMatchObject({ success: false, category: 'Configuration', errorType: 'Configuration' });
+    expect(openConnection).not.toHaveBeenCalled();
+    expect(classifyError({ verificationResult: { connection: result } })).toMatchObject({ category: 'Permanent', retryable: false });
+    openConnection.mockRestore();
+  });
+
+  it('should clone simulator instances into the target region', async () => {
+    const provider = new SimulatorProvider({ random: () => 0.5, cloneDelayMs: 0, faultRates: {} });
+    const { backups } = await provider.getBackups('rm-source');
+
+    const { taskId } = await provider.cloneInstance({
+      sourceInstanceId: 'rm-source',
+      targetInstanceName: 'dr-check',
+      backupId: backups[0].backupId,
+      targetRegionId: 'cn-shanghai'
+    });
+
+    const clone = await provider.getInstance(taskId);
+    expect(clone.regionId).toBe('cn-shanghai');
+  });
+});
\ No newline at end of file
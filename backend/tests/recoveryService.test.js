@@ -0,0 +1,766 @@
+const { RecoveryTask, RecoveryTaskStep } = require('../src/models');
+const rdsService = require('../src/services/rdsService');
+const { logAudit } = require('../src/utils/audit');
+const taskLogService = require('../src/services/taskLogService');
+const taskEventService = require('../src/services/taskEventService');
+const schemaComparisonService = require('../src/services/schemaComparisonService');
+const recoveryService = require('../src/services/recoveryService');
+const { runWithContext, getRequestContext } = require('../src/middleware/requestContext');
+const { recoverySchemas } = require('../src/utils/validation');
+
+// 构造一个数据库中处于运行状态的任务
+const createTask = (fields = {}) => {
+  const task = {
+    id: 'task-1',
+    task_name: 'orders-restore',
+    status: 'Running',
+    current_phase: 'InstanceReady',
+    target_instance_id: 'rm-clone-1',
+    started_at: new Date(),
+    executor: { id: 'user-1', username: 'operator' },
+    ...fields
+  };
+  task.update = jest.fn(async (values) => Object.assign(task, values));
+  task.reload = jest.fn(async () => task);
+  return task;
+};
+
+describe('Recovery Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    recoveryService.runningTasks.clear();
+    RecoveryTask.update.mockResolvedValue([0]);
+    jest.spyOn(recoveryService, 'performRecovery').mockResolvedValue();
+    jest.spyOn(recoveryService, 'dispatchQueue').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    recoveryService.performRecovery.mockRestore();
+    recoveryService.dispatchQueue.mockRestore();
+  });
+
+  describe('recoverInterruptedTasks', () => {
+    it('should resume tasks whose clone instance still exists', async () => {
+      const task = createTask();
+      RecoveryTask.findAll.mockResolvedValue([task]);
+      rdsService.getInstance.mockResolvedValue({ dbInstanceStatus: 'Creating' });
+      rdsService.getTaskStatus.mockResolvedValue({ status: 'Creating', progress: 50 });
+
+      await recoveryService.recoverInterruptedTasks();
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        { teardown_status: 'Pending' },
+        { where: { teardown_status: 'Deleting' } }
+      );
+      expect(recoveryService.runningTasks.has('task-1')).toBe(true);
+      expect(recoveryService.performRecovery).toHaveBeenCalledWith(
+        task,
+        task.executor,
+        expect.objectContaining({ resumed: true, cloudState: expect.objectContaining({ instanceStatus: 'Creating' }) })
+      );
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '恢复中断任务', status: 'Success' }));
+    });
+
+    it('should fail tasks whose clone instance is gone', async () => {
+      const task = createTask();
+      RecoveryTask.findAll.mockResolvedValue([task]);
+      rdsService.getInstance.mockRejectedValue(new Error('获取实例详情失败: InvalidDBInstanceId.NotFound'));
+      rdsService.getTaskStatus.mockRejectedValue(new Error('not found'));
+
+      await recoveryService.recoverInterruptedTasks();
+
+      expect(task.status).toBe('Failed');
+      expect(RecoveryTaskStep.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'Failed', resumed: true }));
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ level: 'Error', event: 'TaskFailed' }));
+      expect(recoveryService.performRecovery).not.toHaveBeenCalled();
+    });
+
+    it('should restart tasks that never requested a clone without probing the cloud', async () => {
+      const task = createTask({ current_phase: 'Pending', target_instance_id: null });
+      RecoveryTask.findAll.mockResolvedValue([task]);
+
+      await recoveryService.recoverInterruptedTasks();
+
+      expect(rdsService.getInstance).not.toHaveBeenCalled();
+      expect(recoveryService.performRecovery).toHaveBeenCalledWith(task, task.executor, expect.objectContaining({ resumed: true }));
+    });
+
+    it('should skip tasks already driven by this process', async () => {
+      const task = createTask();
+      RecoveryTask.findAll.mockResolvedValue([task]);
+      recoveryService.runningTasks.set('task-1', { task });
+
+      await recoveryService.recoverInterruptedTasks();
+
+      expect(recoveryService.performRecovery).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('waitForInstanceReady', () => {
+    it('should log instance status and cloud task request ids to the execution log', async () => {
+      const task = createTask({ attempt_count: 2 });
+      recoveryService.runningTasks.set('task-1', { task });
+      RecoveryTask.findByPk.mockResolvedValue({ id: 'task-1', status: 'Running' });
+      rdsService.getInstance.mockResolvedValue({ dbInstanceStatus: 'Running' });
+      rdsService.getTaskStatus.mockResolvedValue({ taskId: 'clone-task', taskAction: 'CloneDBInstance', status: 'Success', progress: 100, requestId: 'req-1' });
+
+      const instance = await recoveryService.waitForInstanceReady('rm-clone-1', 'task-1', rdsService);
+
+      expect(instance.dbInstanceStatus).toBe('Running');
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ progress_message: '实例状态: Running' }),
+        { where: { id: 'task-1' } }
+      );
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ event: 'Progress', message: '实例状态: Running' }));
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({
+        event: 'CloudTaskStatus',
+        requestId: 'req-1',
+        message: '云端任务 CloneDBInstance 状态: Success (100%)'
+      }));
+    });
+
+    it('should keep waiting when the cloud task query fails', async () => {
+      RecoveryTask.findByPk.mockResolvedValue({ id: 'task-1', status: 'Running' });
+      rdsService.getInstance.mockResolvedValue({ dbInstanceStatus: 'Running' });
+      rdsService.getTaskStatus.mockRejectedValue(new Error('Throttling'));
+
+      await expect(recoveryService.waitForInstanceReady('rm-clone-1', 'task-1', rdsService)).resolves.toBeTruthy();
+      expect(taskLogService.append).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ event: 'CloudTaskStatus' }));
+    });
+  });
+
+  describe('updateTaskProgress', () => {
+    it('should skip the execution log when asked to', async () => {
+      await recoveryService.updateTaskProgress('task-1', 50, '实例状态: Creating', { log: false });
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        { progress: 50, progress_message: '实例状态: Creating' },
+        { where: { id: 'task-1' } }
+      );
+      expect(taskLogService.append).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hasReachedPhase', () => {
+    it('should compare phases in execution order', () => {
+      expect(recoveryService.hasReachedPhase({ current_phase: 'Verifying' }, 'CloneRequested')).toBe(true);
+      expect(recoveryService.hasReachedPhase({ current_phase: 'SnapshotSource' }, 'InstanceReady')).toBe(false);
+    });
+  });
+
+  describe('resolveBackupSet', () => {
+    const rdsInstance = { backup_retention_period: 7 };
+    const backup = (backupId, backupEndTime) => ({ backupId, backupEndTime, backupType: 'FullBackup', backupStatus: 'Success', backupSize: 2048 });
+
+    it('should select a backup by policy and record its metadata', async () => {
+      rdsService.getAllBackups.mockResolvedValue([
+        backup('b1', '2024-01-01T00:00:00Z'),
+        backup('b2', '2024-01-02T00:00:00Z')
+      ]);
+
+      const metadata = await recoveryService.resolveBackupSet({ sourceInstanceId: 'rm-1' }, rdsInstance);
+
+      expect(metadata).toMatchObject({ backupId: 'b2', size: 2048, policy: 'LatestFull' });
+      expect(rdsService.getAllBackups).toHaveBeenCalledWith('rm-1', expect.objectContaining({ status: 'Success' }));
+    });
+
+    it('should fail when no backup matches the policy', async () => {
+      rdsService.getAllBackups.mockResolvedValue([]);
+
+      await expect(recoveryService.resolveBackupSet({ sourceInstanceId: 'rm-1' }, rdsInstance))
+        .rejects.toThrow('未找到符合策略 LatestFull 的可用备份集');
+    });
+
+    it('should look up metadata for an explicit backup', async () => {
+      rdsService.getBackups.mockResolvedValue({ backups: [backup('123', '2024-01-01T00:00:00Z')] });
+
+      const metadata = await recoveryService.resolveBackupSet({ sourceInstanceId: 'rm-1', backupId: '123' }, rdsInstance);
+
+      expect(metadata).toMatchObject({ backupId: '123', policy: 'Explicit' });
+    });
+  });
+
+  describe('resolveRestorePoint', () => {
+    const rdsInstance = { backup_retention_period: 7 };
+
+    beforeEach(() => {
+      rdsService.getRecoveryWindow.mockResolvedValue({
+        window: { start: new Date('2024-01-01T00:00:00Z'), end: new Date('2024-01-03T00:00:00Z') },
+        backups: [{ backupId: 'b1', backupType: 'FullBackup', status: 'Success', endTime: new Date('2024-01-01T00:00:00Z') }]
+      });
+    });
+
+    it('should record the window and base backup for a valid restore time', async () => {
+      const restorePoint = await recoveryService.resolveRestorePoint(
+        { sourceInstanceId: 'rm-1', restoreTime: '2024-01-02T00:00:00Z' },
+        rdsInstance
+      );
+
+      expect(restorePoint).toMatchObject({ corrected: false, baseBackupId: 'b1' });
+      expect(restorePoint.restoreTime.toISOString()).toBe('2024-01-02T00:00:00.000Z');
+    });
+
+    it('should reject or clamp a restore time outside the window', async () => {
+      const taskData = { sourceInstanceId: 'rm-1', restoreTime: '2024-01-05T00:00:00Z' };
+
+      await expect(recoveryService.resolveRestorePoint(taskData, rdsInstance))
+        .rejects.toMatchObject({ statusCode: 400 });
+
+      const restorePoint = await recoveryService.resolveRestorePoint({ ...taskData, restoreTimePolicy: 'Clamp' }, rdsInstance);
+      expect(restorePoint.corrected).toBe(true);
+      expect(restorePoint.restoreTime.toISOString()).toBe('2024-01-03T00:00:00.000Z');
+    });
+  });
+
+  describe('planRetry', () => {
+    const policy = { maxAttempts: 3, initialDelaySeconds: 60, backoffMultiplier: 2, jitter: false };
+
+    it('should back off exponentially for retryable errors', () => {
+      const retry = recoveryService.planRetry({ retry_count: 1, retry_policy: policy }, { retryable: true });
+
+      expect(retry.retryNumber).toBe(2);
+      expect(retry.delaySeconds).toBe(120);
+    });
+
+    it('should stop once max attempts are used or the error is permanent', () => {
+      expect(recoveryService.planRetry({ retry_count: 2, retry_policy: policy }, { retryable: true })).toBeNull();
+      expect(recoveryService.planRetry({ retry_count: 0, retry_policy: policy }, { retryable: false })).toBeNull();
+    });
+  });
+
+  describe('scheduleRetry', () => {
+    const classification = { category: 'Retryable', code: 'Throttling', reason: '云端或网络暂时性错误' };
+    const retry = { retryNumber: 1, delaySeconds: 60, nextRetryAt: new Date() };
+
+    it('should requeue the task after releasing the failed clone', async () => {
+      const task = createTask({ attempt_count: 1, retry_count: 0 });
+      jest.spyOn(recoveryService, 'teardownClone').mockImplementation(async (target) => target.update({ teardown_status: 'Deleted' }));
+      RecoveryTask.update.mockResolvedValue([1]);
+
+      const scheduled = await recoveryService.scheduleRetry(task, task.executor, new Error('Throttling'), classification, retry);
+
+      expect(scheduled).toBe(true);
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'Queued', retry_count: 1, target_instance_id: null, next_retry_at: retry.nextRetryAt }),
+        { where: { id: 'task-1', status: 'Running' } }
+      );
+      expect(taskEventService.publishUpdate).toHaveBeenCalledWith('task-1', expect.objectContaining({ status: 'Queued' }));
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '恢复任务自动重试' }));
+      recoveryService.teardownClone.mockRestore();
+    });
+
+    it('should not requeue a task cancelled while the attempt was running', async () => {
+      const task = createTask({ attempt_count: 1, retry_count: 0, target_instance_id: null });
+      task.reload = jest.fn(async () => Object.assign(task, { status: 'Cancelled' }));
+      RecoveryTask.update.mockResolvedValue([0]);
+
+      await expect(recoveryService.scheduleRetry(task, task.executor, new Error('Throttling'), classification, retry))
+        .rejects.toMatchObject({ aborted: true });
+      expect(task.status).toBe('Cancelled');
+      expect(taskEventService.publishUpdate).not.toHaveBeenCalled();
+      expect(logAudit).not.toHaveBeenCalled();
+    });
+
+    it('should give up when the failed clone cannot be released', async () => {
+      const task = createTask({ attempt_count: 1, retry_count: 0 });
+      jest.spyOn(recoveryService, 'teardownClone').mockImplementation(async (target) => target.update({ teardown_status: 'Failed' }));
+
+      const scheduled = await recoveryService.scheduleRetry(task, task.executor, new Error('Throttling'), classification, retry);
+
+      expect(scheduled).toBe(false);
+      expect(task.status).toBe('Running');
+      recoveryService.teardownClone.mockRestore();
+    });
+  });
+
+  describe('validateRecoveredData', () => {
+    const consistencyPoint = new Date('2024-01-03T00:00:00Z');
+    const ruleResult = (total, success) => ({ success, verified: total > 0, summary: { total, passed: success ? total : 0, failed: success ? 0 : total, warnings: 0 }, rules: [] });
+
+    beforeEach(() => {
+      rdsService.getInstance.mockResolvedValue({ connectionString: 'rm-clone-1.mysql.rds.aliyuncs.com', port: '3306', engine: 'MySQL' });
+      rdsService.validateConnection.mockResolvedValue({ success: true });
+      jest.spyOn(recoveryService, 'updateTaskProgress').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      recoveryService.updateTaskProgress.mockRestore();
+    });
+
+    it('should measure freshness against the consistency point of a backup set restore', async () => {
+      const task = createTask({
+        restore_type: 'BackupSet',
+        restore_time: null,
+        consistency_point: consistencyPoint,
+        config: { validationRules: [{ type: 'freshness', table: 'orders', maxLagMinutes: 30 }] }
+      });
+      rdsService.validateData.mockResolvedValue(ruleResult(1, true));
+
+      await recoveryService.validateRecoveredData(task);
+
+      expect(rdsService.validateData).toHaveBeenCalledWith(expect.objectContaining({ restoreTime: consistencyPoint }));
+    });
+
+    it('should fail when no validation rule ran', async () => {
+      const task = createTask({ restore_type: 'BackupSet', consistency_point: consistencyPoint, config: {} });
+      rdsService.validateData.mockResolvedValue(ruleResult(0, false));
+
+      await expect(recoveryService.validateRecoveredData(task)).rejects.toMatchObject({
+        message: expect.stringContaining('未配置验证规则'),
+        verificationResult: expect.objectContaining({ verified: false })
+      });
+    });
+  });
+
+  describe('connection credentials', () => {
+    const savedPassword = process.env.RECOVERY_DB_PASSWORD;
+
+    afterEach(() => {
+      process.env.RECOVERY_DB_PASSWORD = savedPassword;
+    });
+
+    it('should take the clone password from the environment, never from the task config', () => {
+      process.env.RECOVERY_DB_PASSWORD = 'env-secret';
+      const task = createTask({
+        rdsInstance: { engine: 'MySQL' },
+        config: { connection: { username: 'dr_check', password: 'saved-secret', database: 'shop' } }
+      });
+
+      const connectionInfo = recoveryService.buildConnectionInfo(task, { connectionString: 'rm-clone-1.mysql.rds.aliyuncs.com', port: '3306' });
+
+      expect(connectionInfo).toMatchObject({ engine: 'MySQL', username: 'dr_check', password: 'env-secret', database: 'shop', port: 3306 });
+    });
+
+    it('should reject a password in the task config and strip previously saved ones', () => {
+      const base = { taskName: 'orders-restore', rdsInstanceId: '6f1c2f5e-8a4b-4c7d-9e0f-1a2b3c4d5e6f', sourceInstanceId: 'rm-orders', targetInstanceName: 'orders-check' };
+
+      expect(recoverySchemas.create.validate({ ...base, config: { connection: { username: 'dr_check' } } }).error).toBeUndefined();
+      expect(recoverySchemas.create.validate({ ...base, config: { connection: { password: 'secret' } } }).error).toBeDefined();
+      expect(recoverySchemas.update.validate({ config: { connection: { password: 'secret' } } }).error).toBeDefined();
+
+      const config = { validationRules: [], connection: { username: 'dr_check', password: 'secret' } };
+      expect(recoveryService.withoutConnectionPassword(config)).toEqual({ validationRules: [], connection: { username: 'dr_check' } });
+      expect(config.connection.password).toBe('secret');
+      expect(recoveryService.withoutConnectionPassword(null)).toBeNull();
+    });
+  });
+
+  describe('compareWithSource', () => {
+    it('should compare against the consistency point the clone was restored to', async () => {
+      const consistencyPoint = new Date('2024-01-03T00:00:00Z');
+      const task = createTask({
+        consistency_point: consistencyPoint,
+        source_snapshot: { capturedAt: '2024-01-05T08:00:00.000Z', tables: {} },
+        config: { comparison: { enabled: true, rowCountTolerancePercent: 5, driftTolerancePercent: 20 } }
+      });
+      const connection = { close: jest.fn(async () => {}) };
+      rdsService.openConnection.mockResolvedValue(connection);
+      schemaComparisonService.captureSnapshot.mockResolvedValue({ tables: {} });
+      schemaComparisonService.diffSnapshots.mockReturnValue({
+        passed: true, missingTables: [], columnTypeChanges: [], rowCountDeltas: [], snapshotDrift: { driftSeconds: 201600 }
+      });
+
+      await recoveryService.compareWithSource(task, { engine: 'MySQL' });
+
+      expect(schemaComparisonService.diffSnapshots).toHaveBeenCalledWith(task.source_snapshot, { tables: {} }, expect.objectContaining({
+        rowCountTolerancePercent: 5,
+        driftTolerancePercent: 20,
+        consistencyPoint
+      }));
+      expect(connection.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('dispatchQueue', () => {
+    it('should start tasks in their executor context rather than the dispatching request', async () => {
+      const requester = { id: 'user-a', username: 'alice' };
+      const executor = { id: 'user-b', username: 'bob' };
+      const task = createTask({ status: 'Queued', priority: 5, queued_at: new Date(), executor, reload: jest.fn() });
+      jest.spyOn(recoveryService, 'loadQueueState')
+        .mockResolvedValueOnce({ queued: [recoveryService.toQueueEntry(task)], running: [] });
+      RecoveryTask.update.mockResolvedValue([1]);
+      let recoveryContext = null;
+      recoveryService.performRecovery.mockImplementation(async () => {
+        recoveryContext = getRequestContext();
+      });
+
+      // 用户 A 的请求触发调度，启动用户 B 的任务
+      await runWithContext({ traceId: 'trace-a', req: { user: requester } },
+        () => Object.getPrototypeOf(recoveryService).dispatchQueue.call(recoveryService));
+
+      expect(recoveryService.performRecovery).toHaveBeenCalledWith(task, executor);
+      expect(recoveryContext.user).toBe(executor);
+      expect(recoveryContext.req).toBeUndefined();
+      expect(recoveryContext.traceId).not.toBe('trace-a');
+      recoveryService.loadQueueState.mockRestore();
+    });
+  });
+
+  describe('executeTask', () => {
+    const user = { id: 'user-2', username: 'reviewer' };
+
+    it('should release the previous clone and reset clone fields before requeueing', async () => {
+      const task = createTask({
+        status: 'Failed',
+        teardown_status: 'Pending',
+        teardown_attempts: 1,
+        clone_expires_at: new Date(Date.now() + 3600 * 1000),
+        reload: jest.fn()
+      });
+      RecoveryTask.findByPk.mockResolvedValue(task);
+      rdsService.deleteInstance.mockResolvedValue({ requestId: 'req-delete' });
+
+      await recoveryService.executeTask('task-1', user);
+
+      expect(rdsService.deleteInstance).toHaveBeenCalledWith('rm-clone-1');
+      expect(task).toMatchObject({
+        status: 'Queued',
+        target_instance_id: null,
+        teardown_status: 'NotRequired',
+        teardown_attempts: 0,
+        clone_expires_at: null,
+        executed_by: 'user-2'
+      });
+      expect(recoveryService.dispatchQueue).toHaveBeenCalled();
+    });
+
+    it('should refuse to rerun while the previous clone is retained or being deleted', async () => {
+      for (const teardownStatus of ['Retained', 'Deleting']) {
+        const task = createTask({ status: 'Cancelled', teardown_status: teardownStatus });
+        RecoveryTask.findByPk.mockResolvedValue(task);
+
+        await expect(recoveryService.executeTask('task-1', user)).rejects.toThrow();
+        expect(task).toMatchObject({ status: 'Cancelled', target_instance_id: 'rm-clone-1' });
+      }
+      expect(rdsService.deleteInstance).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to rerun when the previous clone cannot be released', async () => {
+      const task = createTask({ status: 'Failed', teardown_status: 'Failed', teardown_attempts: 2 });
+      RecoveryTask.findByPk.mockResolvedValue(task);
+      rdsService.deleteInstance.mockRejectedValue(new Error('OperationDenied'));
+
+      await expect(recoveryService.executeTask('task-1', user)).rejects.toThrow('OperationDenied');
+      expect(task).toMatchObject({ status: 'Failed', target_instance_id: 'rm-clone-1', teardown_status: 'Failed', teardown_attempts: 3 });
+      expect(recoveryService.dispatchQueue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('performRecovery', () => {
+    const user = { id: 'user-1', username: 'operator' };
+    // beforeEach 中 performRecovery 被替换，这里直接调用原实现
+    const performRecovery = (task) => Object.getPrototypeOf(recoveryService).performRecovery.call(recoveryService, task, user);
+    let spies;
+
+    beforeEach(() => {
+      spies = [
+        jest.spyOn(recoveryService, 'enterPhase').mockImplementation(async (task, phase) => ({ phase, details: {}, update: jest.fn(async () => {}) })),
+        jest.spyOn(recoveryService, 'completePhase').mockResolvedValue(),
+        jest.spyOn(recoveryService, 'updateTaskProgress').mockResolvedValue(),
+        jest.spyOn(recoveryService, 'waitForInstanceReady').mockResolvedValue({ dbInstanceStatus: 'Running' }),
+        jest.spyOn(recoveryService, 'validateRecoveredData').mockResolvedValue({ success: true, verified: true }),
+        jest.spyOn(recoveryService, 'measureSla').mockResolvedValue({}),
+        jest.spyOn(recoveryService, 'finishAttempt').mockResolvedValue(),
+        jest.spyOn(recoveryService, 'finishWithTeardown').mockResolvedValue(),
+        jest.spyOn(recoveryService, 'scheduleTeardown').mockResolvedValue()
+      ];
+    });
+
+    afterEach(() => {
+      spies.forEach(spy => spy.mockRestore());
+    });
+
+    it('should not overwrite a task cancelled during verification with success', async () => {
+      const task = createTask({ teardown_status: 'NotRequired' });
+      task.reload = jest.fn(async () => Object.assign(task, { status: 'Cancelled', teardown_status: 'Pending' }));
+      RecoveryTask.update.mockResolvedValue([0]);
+
+      await performRecovery(task);
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'Success' }),
+        { where: { id: 'task-1', status: 'Running' } }
+      );
+      expect(task.status).toBe('Cancelled');
+      expect(recoveryService.finishAttempt).not.toHaveBeenCalled();
+      expect(logAudit).not.toHaveBeenCalled();
+      expect(recoveryService.scheduleTeardown).not.toHaveBeenCalled();
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ event: 'TaskAborted' }));
+    });
+
+    it('should record success only while the task is still running', async () => {
+      const task = createTask();
+      task.reload = jest.fn(async () => Object.assign(task, { status: 'Success' }));
+      RecoveryTask.update.mockResolvedValue([1]);
+
+      await performRecovery(task);
+
+      expect(recoveryService.finishAttempt).toHaveBeenCalledWith(task, 'Success');
+      expect(recoveryService.finishWithTeardown).toHaveBeenCalledWith(task);
+    });
+
+    it('should keep a task cancelled during a failing cloud call out of the retry queue', async () => {
+      const task = createTask({ teardown_status: 'NotRequired', retry_count: 0 });
+      task.reload = jest.fn(async () => Object.assign(task, { status: 'Cancelled' }));
+      recoveryService.waitForInstanceReady.mockRejectedValue(Object.assign(new Error('Throttling'), { code: 'Throttling' }));
+      RecoveryTask.update.mockResolvedValue([0]);
+      jest.spyOn(recoveryService, 'teardownClone').mockImplementation(async (target) => target.update({ teardown_status: 'Deleted' }));
+
+      await performRecovery(task);
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'Queued' }),
+        { where: { id: 'task-1', status: 'Running' } }
+      );
+      expect(task.status).toBe('Cancelled');
+      expect(logAudit).not.toHaveBeenCalled();
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ event: 'TaskAborted' }));
+      recoveryService.teardownClone.mockRestore();
+    });
+
+    it('should not replace a timed out status with failed', async () => {
+      const task = createTask({ teardown_status: 'NotRequired' });
+      task.reload = jest.fn(async () => Object.assign(task, { status: 'Timeout' }));
+      recoveryService.validateRecoveredData.mockRejectedValue(new Error('Access denied for user'));
+      RecoveryTask.update.mockResolvedValue([0]);
+
+      await performRecovery(task);
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'Failed' }),
+        { where: { id: 'task-1', status: 'Running' } }
+      );
+      expect(task.status).toBe('Timeout');
+      expect(recoveryService.scheduleTeardown).toHaveBeenCalledWith(task);
+      expect(recoveryService.finishWithTeardown).not.toHaveBeenCalled();
+    });
+
+    it('should release the clone when its ID cannot be saved', async () => {
+      const task = createTask({ current_phase: 'Pending', target_instance_id: null, restore_type: 'BackupSet', backup_id: 'backup-1' });
+      task.update = jest.fn(async (values) => {
+        if ('target_instance_id' in values) {
+          throw new Error('Deadlock found when trying to get lock');
+        }
+        return Object.assign(task, values);
+      });
+      rdsService.cloneInstance.mockResolvedValue({ taskId: 'rm-clone-2', requestId: 'req-clone' });
+      rdsService.deleteInstance.mockResolvedValue({ requestId: 'req-delete' });
+      RecoveryTask.update.mockResolvedValue([1]);
+
+      await expect(performRecovery(task)).rejects.toThrow('Deadlock');
+
+      expect(rdsService.deleteInstance).toHaveBeenCalledWith('rm-clone-2');
+      expect(recoveryService.waitForInstanceReady).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('checkRunningTasks', () => {
+    beforeEach(() => {
+      jest.spyOn(recoveryService, 'finishAttempt').mockResolvedValue();
+      jest.spyOn(recoveryService, 'scheduleTeardown').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      recoveryService.finishAttempt.mockRestore();
+      recoveryService.scheduleTeardown.mockRestore();
+    });
+
+    it('should time out tasks still running past the limit', async () => {
+      const task = createTask({ started_at: new Date(Date.now() - 3 * 60 * 60 * 1000) });
+      RecoveryTask.findAll.mockResolvedValue([task]);
+      RecoveryTask.update.mockResolvedValue([1]);
+      recoveryService.runningTasks.set('task-1', { task });
+
+      await recoveryService.checkRunningTasks();
+
+      expect(RecoveryTask.update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'Timeout' }),
+        { where: { id: 'task-1', status: 'Running' } }
+      );
+      expect(recoveryService.finishAttempt).toHaveBeenCalledWith(task, 'Timeout', expect.any(Object));
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ event: 'TaskTimeout' }));
+      expect(recoveryService.scheduleTeardown).toHaveBeenCalledWith(task);
+      expect(recoveryService.runningTasks.has('task-1')).toBe(false);
+    });
+
+    it('should leave tasks that finished after the query untouched', async () => {
+      const task = createTask({ started_at: new Date(Date.now() - 3 * 60 * 60 * 1000) });
+      RecoveryTask.findAll.mockResolvedValue([task]);
+      recoveryService.runningTasks.set('task-1', { task });
+
+      await recoveryService.checkRunningTasks();
+
+      expect(task.update).not.toHaveBeenCalled();
+      expect(recoveryService.finishAttempt).not.toHaveBeenCalled();
+      expect(taskLogService.append).not.toHaveBeenCalled();
+      expect(recoveryService.scheduleTeardown).not.toHaveBeenCalled();
+      expect(recoveryService.runningTasks.has('task-1')).toBe(true);
+    });
+  });
+
+  describe('scheduleTeardown', () => {
+    it('should delete the clone immediately by default', async () => {
+      const task = createTask({ status: 'Success' });
+      rdsService.deleteInstance.mockResolvedValue({ requestId: 'req-delete' });
+
+      await recoveryService.scheduleTeardown(task);
+
+      expect(rdsService.deleteInstance).toHaveBeenCalledWith('rm-clone-1');
+      expect(task.teardown_status).toBe('Deleted');
+    });
+
+    it('should keep the clone until it expires under KeepHours', async () => {
+      const task = createTask({ status: 'Success', clone_retention_policy: 'KeepHours', clone_retention_hours: 6 });
+
+      await recoveryService.scheduleTeardown(task);
+
+      expect(task.teardown_status).toBe('Pending');
+      expect(task.clone_expires_at.getTime()).toBeGreaterThan(Date.now() + 5.9 * 3600 * 1000);
+      expect(rdsService.deleteInstance).not.toHaveBeenCalled();
+    });
+
+    it('should retain the clone under the instance Manual policy', async () => {
+      const task = createTask({ status: 'Success', rdsInstance: { clone_retention_policy: 'Manual' } });
+
+      await recoveryService.scheduleTeardown(task);
+
+      expect(task).toMatchObject({ teardown_status: 'Retained', clone_expires_at: null });
+      expect(rdsService.deleteInstance).not.toHaveBeenCalled();
+    });
+
+    it('should mark teardown as not required when no clone was created', async () => {
+      const task = createTask({ status: 'Failed', target_instance_id: null });
+
+      await recoveryService.scheduleTeardown(task);
+
+      expect(task.teardown_status).toBe('NotRequired');
+    });
+  });
+
+  describe('teardownClone', () => {
+    it('should delete the clone and audit the release', async () => {
+      const task = createTask({ status: 'Success', teardown_status: 'Pending', teardown_attempts: 0 });
+      rdsService.deleteInstance.mockResolvedValue({ requestId: 'req-delete' });
+
+      await recoveryService.teardownClone(task, { id: 'user-1', username: 'operator' });
+
+      expect(task).toMatchObject({ teardown_status: 'Deleted', teardown_attempts: 1, teardown_error: null });
+      expect(task.torn_down_at).toBeInstanceOf(Date);
+      expect(taskLogService.append).toHaveBeenCalledWith(task, expect.objectContaining({ phase: 'Teardown', requestId: 'req-delete' }));
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '释放克隆实例', status: 'Success', username: 'operator' }));
+    });
+
+    it('should mark the teardown as failed for the reaper to retry', async () => {
+      const task = createTask({ status: 'Success', teardown_status: 'Pending', teardown_attempts: 1 });
+      rdsService.deleteInstance.mockRejectedValue(new Error('IncorrectDBInstanceState'));
+
+      await recoveryService.teardownClone(task);
+
+      expect(task).toMatchObject({ teardown_status: 'Failed', teardown_attempts: 2, teardown_error: 'IncorrectDBInstanceState' });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '释放克隆实例', status: 'Failed', riskLevel: 'High' }));
+    });
+  });
+
+  describe('reapCloneInstances', () => {
+    it('should release expired and previously failed clones', async () => {
+      const expired = createTask({ id: 'task-1', status: 'Success', teardown_status: 'Pending', teardown_attempts: 0 });
+      const failed = createTask({ id: 'task-2', status: 'Failed', target_instance_id: 'rm-clone-2', teardown_status: 'Failed', teardown_attempts: 2 });
+      RecoveryTask.findAll.mockResolvedValue([expired, failed]);
+      rdsService.deleteInstance.mockResolvedValue({});
+
+      await recoveryService.reapCloneInstances();
+
+      expect(RecoveryTask.findAll).toHaveBeenCalledWith({
+        where: expect.objectContaining({ teardown_status: ['Pending', 'Failed'], clone_expires_at: expect.anything() })
+      });
+      expect(rdsService.deleteInstance.mock.calls).toEqual([['rm-clone-1'], ['rm-clone-2']]);
+      expect([expired.teardown_status, failed.teardown_status]).toEqual(['Deleted', 'Deleted']);
+    });
+  });
+
+  describe('releaseClone', () => {
+    const user = { id: 'user-1', username: 'operator' };
+
+    it('should release a retained clone on request', async () => {
+      const task = createTask({ status: 'Success', teardown_status: 'Retained', clone_expires_at: null });
+      RecoveryTask.findByPk.mockResolvedValue(task);
+      rdsService.deleteInstance.mockResolvedValue({});
+
+      await recoveryService.releaseClone('task-1', user);
+
+      expect(task.clone_expires_at).toBeInstanceOf(Date);
+      expect(task.teardown_status).toBe('Deleted');
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '释放克隆实例', userId: 'user-1' }));
+    });
+
+    it('should reject tasks without a releasable clone', async () => {
+      RecoveryTask.findByPk.mockResolvedValue(createTask({ status: 'Failed', target_instance_id: null }));
+      await expect(recoveryService.releaseClone('task-1', user)).rejects.toThrow('任务没有关联的克隆实例');
+
+      RecoveryTask.findByPk.mockResolvedValue(createTask({ status: 'Success', teardown_status: 'Deleted' }));
+      await expect(recoveryService.releaseClone('task-1', user)).rejects.toThrow('克隆实例当前状态不允许释放');
+      expect(rdsService.deleteInstance).not.toHaveBeenCalled();
+    });
+  });
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn()
+}));
+
+jest.mock('../src/models', () => ({
+  RecoveryTask: {
+    findAll: jest.fn(),
+    findByPk: jest.fn(),
+    update: jest.fn()
+  },
+  RecoveryTaskStep: {
+    create: jest.fn()
+  },
+  RecoveryTaskAttempt: {
+    create: jest.fn(),
+    findOne: jest.fn()
+  },
+  RDSInstance: {}
+}));
+
+jest.mock('../src/services/rdsService', () => {
+  const service = {
+    getInstance: jest.fn(),
+    getTaskStatus: jest.fn(),
+    getBackups: jest.fn(),
+    getAllBackups: jest.fn(),
+    getRecoveryWindow: jest.fn(),
+    cloneInstance: jest.fn(),
+    deleteInstance: jest.fn(),
+    openConnection: jest.fn(),
+    validateConnection: jest.fn(),
+    validateData: jest.fn()
+  };
+  service.forInstance = jest.fn(async () => service);
+  return service;
+});
+
+jest.mock('../src/services/schemaComparisonService', () => ({
+  captureSnapshot: jest.fn(),
+  diffSnapshots: jest.fn()
+}));
+
+jest.mock('../src/services/taskEventService', () => ({
+  publishUpdate: jest.fn()
+}));
+
+jest.mock('../src/services/taskLogService', () => ({
+  append: jest.fn()
+}));
+
+jest.mock('../src/utils/audit', () => ({
+  logAudit: jest.fn()
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { normalizeBackup } = require('../src/utils/backupSelection');
+const { normalizeBinlog, computeRecoveryWindow, findBaseBackup, resolveRestoreTime } = require('../src/utils/recoveryWindow');
+
+// 构造 DescribeBackups 返回的全量备份
+const fullBackup = (backupId, endTime) => normalizeBackup({
+  backupId,
+  backupType: 'FullBackup',
+  backupStatus: 'Success',
+  backupStartTime: endTime,
+  backupEndTime: endTime
+});
+
+// 构造 DescribeBinlogFiles 返回的日志文件
+const binlog = (logBeginTime, logEndTime) => normalizeBinlog({
+  logFileName: `mysql-bin.${logBeginTime}`,
+  logBeginTime,
+  logEndTime
+});
+
+const backups = [
+  fullBackup('b1', '2024-06-01T02:00:00Z'),
+  fullBackup('b2', '2024-06-02T02:00:00Z'),
+  fullBackup('b3', '2024-06-03T02:00:00Z')
+];
+
+describe('Recovery Window', () => {
+  describe('computeRecoveryWindow', () => {
+    it('should span from the earliest bridged backup to the latest log', () => {
+      const window = computeRecoveryWindow(backups, [
+        binlog('2024-06-01T00:00:00Z', '2024-06-02T00:00:00Z'),
+        binlog('2024-06-02T00:00:00Z', '2024-06-03T12:00:00Z')
+      ]);
+
+      expect(window.start.toISOString()).toBe('2024-06-01T02:00:00.000Z');
+      expect(window.end.toISOString()).toBe('2024-06-03T12:00:00.000Z');
+      expect(window.earliestBackupId).toBe('b1');
+    });
+
+    it('should start after a gap in the log backups', () => {
+      const window = computeRecoveryWindow(backups, [
+        binlog('2024-06-01T00:00:00Z', '2024-06-01T12:00:00Z'),
+        binlog('2024-06-02T01:00:00Z', '2024-06-03T12:00:00Z')
+      ]);
+
+      expect(window.earliestBackupId).toBe('b2');
+      expect(window.start.toISOString()).toBe('2024-06-02T02:00:00.000Z');
+    });
+
+    it('should fall back to the latest full backup without log backups', () => {
+      const window = computeRecoveryWindow(backups, []);
+
+      expect(window.start).toEqual(window.end);
+      expect(window.latestBackupId).toBe('b3');
+      expect(computeRecoveryWindow([], [])).toBeNull();
+    });
+  });
+
+  describe('resolveRestoreTime', () => {
+    const window = {
+      start: new Date('2024-06-01T02:00:00Z'),
+      end: new Date('2024-06-03T12:00:00Z')
+    };
+
+    it('should accept a time inside the window and default to the window end', () => {
+      expect(resolveRestoreTime(window, '2024-06-02T10:00:00Z').corrected).toBe(false);
+      expect(resolveRestoreTime(window).restoreTime).toEqual(window.end);
+    });
+
+    it('should reject a time outside the window', () => {
+      expect(() => resolveRestoreTime(window, '2024-05-30T00:00:00Z')).toThrow('不在可恢复窗口');
+      expect(() => resolveRestoreTime(null, '2024-06-02T10:00:00Z')).toThrow('没有可用的全量备份');
+    });
+
+    it('should clamp a time outside the window when requested', () => {
+      const resolved = resolveRestoreTime(window, '2024-06-04T00:00:00Z', 'Clamp');
+
+      expect(resolved.corrected).toBe(true);
+      expect(resolved.restoreTime).toEqual(window.end);
+    });
+  });
+
+  describe('findBaseBackup', () => {
+    it('should find the latest full backup before the restore time', () => {
+      expect(findBaseBackup(backups, new Date('2024-06-02T12:00:00Z')).backupId).toBe('b2');
+      expect(findBaseBackup(backups, new Date('2024-05-01T00:00:00Z'))).toBeNull();
+    });
+  });
+});
\ No newline at end of file
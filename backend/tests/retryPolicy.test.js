@@ -0,0 +1,64 @@
+const { classifyError, computeBackoffSeconds, normalizeRetryPolicy } = require('../src/utils/retryPolicy');
+
+// 构造带错误码的云端错误
+const cloudError = (code, message = code) => Object.assign(new Error(message), { code });
+
+describe('Retry Policy', () => {
+  describe('classifyError', () => {
+    it('should treat throttling and transient cloud errors as retryable', () => {
+      expect(classifyError(cloudError('Throttling.User')).category).toBe('Retryable');
+      expect(classifyError(cloudError('ServiceUnavailable')).retryable).toBe(true);
+      expect(classifyError(new Error('创建克隆实例失败: connect ETIMEDOUT 1.2.3.4:443')).retryable).toBe(true);
+    });
+
+    it('should treat bad backups and instance classes as permanent', () => {
+      const result = classifyError(cloudError('InvalidBackupSetID.NotFound', '创建克隆实例失败: backup not found'));
+
+      expect(result.category).toBe('Permanent');
+      expect(result.code).toBe('InvalidBackupSetID.NotFound');
+      expect(classifyError(cloudError('InvalidDBInstanceClass.NotFound')).retryable).toBe(false);
+    });
+
+    it('should classify verification failures by their connection error type', () => {
+      const timeout = Object.assign(new Error('恢复实例连接失败'), {
+        verificationResult: { connection: { success: false, errorType: 'Timeout' } }
+      });
+      const mismatch = Object.assign(new Error('数据验证未通过'), {
+        verificationResult: { connection: { success: true }, validation: { success: false } }
+      });
+
+      expect(classifyError(timeout).category).toBe('Retryable');
+      expect(classifyError(mismatch).category).toBe('Permanent');
+    });
+
+    it('should not retry unrecognized errors', () => {
+      expect(classifyError(new Error('boom')).category).toBe('Unknown');
+    });
+  });
+
+  describe('computeBackoffSeconds', () => {
+    it('should grow exponentially up to the maximum delay', () => {
+      const policy = { initialDelaySeconds: 30, backoffMultiplier: 2, maxDelaySeconds: 100, jitter: false };
+
+      expect(computeBackoffSeconds(policy, 1)).toBe(30);
+      expect(computeBackoffSeconds(policy, 2)).toBe(60);
+      expect(computeBackoffSeconds(policy, 3)).toBe(100);
+    });
+
+    it('should add at most 20% jitter', () => {
+      const delay = computeBackoffSeconds({ initialDelaySeconds: 100, maxDelaySeconds: 1000, jitter: true }, 1);
+
+      expect(delay).toBeGreaterThanOrEqual(100);
+      expect(delay).toBeLessThanOrEqual(120);
+    });
+  });
+
+  describe('normalizeRetryPolicy', () => {
+    it('should merge task policy with defaults', () => {
+      const policy = normalizeRetryPolicy({ maxAttempts: 5 });
+
+      expect(policy.maxAttempts).toBe(5);
+      expect(policy.backoffMultiplier).toBe(2);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { validateRule, nextRuns, nextRun } = require('../src/utils/scheduleRule');
+
+describe('Schedule Rule', () => {
+  describe('validateRule', () => {
+    it('should reject invalid cron expressions and incomplete interval rules', () => {
+      expect(validateRule({ scheduleType: 'Cron', cronExpression: '61 * * * *' })).toContain('无效的cron表达式');
+      expect(validateRule({ scheduleType: 'Interval', intervalDays: 0, startAt: new Date() })).toContain('间隔天数');
+      expect(validateRule({ scheduleType: 'Interval', intervalDays: 7 })).toContain('起始时间');
+      expect(validateRule({ scheduleType: 'Cron', cronExpression: '0 2 1 * *' })).toBeNull();
+    });
+  });
+
+  describe('nextRuns', () => {
+    it('should compute quarterly cron runs in the configured timezone', () => {
+      const runs = nextRuns(
+        { scheduleType: 'Cron', cronExpression: '0 2 1 */3 *', timezone: 'Asia/Shanghai' },
+        new Date('2024-02-10T00:00:00Z'),
+        2
+      );
+
+      expect(runs.map(run => run.toISOString())).toEqual([
+        '2024-03-31T18:00:00.000Z',
+        '2024-06-30T18:00:00.000Z'
+      ]);
+    });
+
+    it('should anchor interval runs on the start time', () => {
+      const rule = { scheduleType: 'Interval', intervalDays: 30, startAt: '2024-01-01T02:00:00Z' };
+
+      expect(nextRun(rule, new Date('2023-12-01T00:00:00Z')).toISOString()).toBe('2024-01-01T02:00:00.000Z');
+      expect(nextRuns(rule, new Date('2024-02-10T00:00:00Z'), 2).map(run => run.toISOString())).toEqual([
+        '2024-03-01T02:00:00.000Z',
+        '2024-03-31T02:00:00.000Z'
+      ]);
+    });
+
+    it('should return the following run when called exactly at a run time', () => {
+      const rule = { scheduleType: 'Interval', intervalDays: 1, startAt: '2024-01-01T00:00:00Z' };
+
+      expect(nextRun(rule, new Date('2024-01-02T00:00:00Z')).toISOString()).toBe('2024-01-03T00:00:00.000Z');
+    });
+
+    it('should throw for invalid rules', () => {
+      expect(() => nextRuns({ scheduleType: 'Weekly' })).toThrow('不支持的调度类型');
+    });
+  });
+});
\ No newline at end of file
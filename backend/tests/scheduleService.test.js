@@ -0,0 +1,270 @@
+const { RecoverySchedule, RecoveryTask, RDSInstance } = require('../src/models');
+const recoveryService = require('../src/services/recoveryService');
+const { logAudit } = require('../src/utils/audit');
+const { scheduleSchemas } = require('../src/utils/validation');
+const scheduleService = require('../src/services/scheduleService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 构造一个数据库中的调度记录，默认每7天一次
+const createSchedule = (fields = {}) => {
+  const schedule = {
+    id: 'schedule-1',
+    schedule_name: '订单库月度演练',
+    rds_instance_id: 'instance-uuid',
+    schedule_type: 'Interval',
+    cron_expression: null,
+    interval_days: 7,
+    start_at: new Date('2024-01-01T02:00:00Z'),
+    timezone: 'Asia/Shanghai',
+    task_template: { restoreType: 'BackupSet', priority: 'High' },
+    status: 'Active',
+    next_run_at: new Date(Date.now() - 60 * 1000),
+    run_count: 3,
+    created_by: 'user-1',
+    creator: { id: 'user-1', username: 'operator' },
+    rdsInstance: { id: 'instance-uuid', instance_id: 'rm-orders', instance_name: 'orders' },
+    ...fields
+  };
+  schedule.update = jest.fn(async (values) => Object.assign(schedule, values));
+  schedule.toJSON = () => ({ ...schedule });
+  return schedule;
+};
+
+describe('Schedule Service', () => {
+  const user = { id: 'user-1', username: 'operator' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RecoverySchedule.update.mockResolvedValue([1]);
+    RecoveryTask.findOne.mockResolvedValue(null);
+  });
+
+  describe('materializeSchedule', () => {
+    it('should create a task from the template and advance the next run', async () => {
+      const schedule = createSchedule();
+      const runAt = schedule.next_run_at;
+      recoveryService.createTask.mockResolvedValue({ id: 'task-1' });
+
+      const task = await scheduleService.materializeSchedule(schedule);
+
+      expect(task).toEqual({ id: 'task-1' });
+      expect(recoveryService.createTask).toHaveBeenCalledWith(expect.objectContaining({
+        rdsInstanceId: 'instance-uuid',
+        sourceInstanceId: 'rm-orders',
+        taskType: 'Scheduled',
+        priority: 'High',
+        restoreType: 'BackupSet',
+        scheduledAt: runAt,
+        scheduleId: 'schedule-1'
+      }), schedule.creator);
+
+      const [values, options] = RecoverySchedule.update.mock.calls[0];
+      expect(options).toEqual({ where: { id: 'schedule-1', status: 'Active', next_run_at: runAt } });
+      expect(Object.keys(values)).toEqual(['next_run_at']);
+      expect(values.next_run_at.getTime()).toBeGreaterThan(Date.now());
+      expect((values.next_run_at.getTime() - schedule.start_at.getTime()) % (7 * DAY_MS)).toBe(0);
+      expect(RecoverySchedule.update).toHaveBeenCalledWith(
+        { last_task_id: 'task-1', last_run_at: runAt, run_count: 4, last_error: null },
+        { where: { id: 'schedule-1' } }
+      );
+    });
+
+    it('should skip the run while a previously generated task is still active', async () => {
+      const schedule = createSchedule();
+      RecoveryTask.findOne.mockResolvedValue({ id: 'task-0', status: 'Running' });
+
+      const task = await scheduleService.materializeSchedule(schedule);
+
+      expect(task).toBeNull();
+      expect(RecoveryTask.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: { schedule_id: 'schedule-1', status: ['Pending', 'Queued', 'Running'] }
+      }));
+      expect(recoveryService.createTask).not.toHaveBeenCalled();
+
+      const [values, options] = RecoverySchedule.update.mock.calls[0];
+      expect(values.next_run_at.getTime()).toBeGreaterThan(Date.now());
+      expect(values.last_error).toContain('task-0');
+      expect(values).not.toHaveProperty('run_count');
+      expect(options.where).toMatchObject({ id: 'schedule-1', status: 'Active' });
+    });
+
+    it('should not generate a run already claimed by another pass', async () => {
+      RecoverySchedule.update.mockResolvedValue([0]);
+
+      expect(await scheduleService.materializeSchedule(createSchedule())).toBeNull();
+      expect(recoveryService.createTask).not.toHaveBeenCalled();
+    });
+
+    it('should record the failed run without counting it when the task cannot be created', async () => {
+      const schedule = createSchedule();
+      const runAt = schedule.next_run_at;
+      recoveryService.createTask.mockRejectedValue(new Error('没有符合策略的备份'));
+
+      expect(await scheduleService.materializeSchedule(schedule)).toBeNull();
+      expect(RecoverySchedule.update).toHaveBeenCalledWith(
+        { last_error: `${runAt.toISOString()} 的运行未能生成任务: 没有符合策略的备份` },
+        { where: { id: 'schedule-1' } }
+      );
+      RecoverySchedule.update.mock.calls.forEach(([values]) => {
+        expect(values).not.toHaveProperty('run_count');
+        expect(values).not.toHaveProperty('last_run_at');
+      });
+      expect(logAudit).toHaveBeenCalledWith(expect.objectContaining({ action: '恢复调度生成任务', status: 'Failed' }));
+    });
+  });
+
+  describe('materializeDueSchedules', () => {
+    it('should queue newly generated tasks', async () => {
+      const due = [createSchedule(), createSchedule({ id: 'schedule-2' })];
+      RecoverySchedule.findAll.mockResolvedValue(due);
+      RecoveryTask.findOne.mockImplementation(async ({ where }) => (
+        where.schedule_id === 'schedule-2' ? { id: 'task-0', status: 'Queued' } : null
+      ));
+      recoveryService.createTask.mockResolvedValue({ id: 'task-1' });
+
+      await scheduleService.materializeDueSchedules();
+
+      expect(RecoverySchedule.findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ status: 'Active' })
+      }));
+      expect(recoveryService.createTask).toHaveBeenCalledTimes(1);
+      expect(recoveryService.processScheduledTasks).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not touch the queue when nothing was generated', async () => {
+      RecoverySchedule.findAll.mockResolvedValue([]);
+
+      await scheduleService.materializeDueSchedules();
+
+      expect(recoveryService.processScheduledTasks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pause and resume', () => {
+    it('should clear the next run on pause and reject pausing twice', async () => {
+      const schedule = createSchedule();
+
+      await scheduleService.pauseSchedule(schedule);
+
+      expect(schedule).toMatchObject({ status: 'Paused', next_run_at: null });
+      await expect(scheduleService.pauseSchedule(schedule)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should resume from now without replaying missed runs', async () => {
+      const schedule = createSchedule({ status: 'Paused', next_run_at: null });
+
+      await scheduleService.resumeSchedule(schedule);
+
+      expect(schedule.status).toBe('Active');
+      expect(schedule.next_run_at.getTime()).toBeGreaterThan(Date.now());
+      expect(schedule.next_run_at.getTime() - Date.now()).toBeLessThanOrEqual(7 * DAY_MS);
+      await expect(scheduleService.resumeSchedule(schedule)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('createSchedule', () => {
+    it('should compute the first run from a future start time', async () => {
+      const startAt = new Date(Date.now() + 3 * DAY_MS);
+      RDSInstance.findByPk.mockResolvedValue({ id: 'instance-uuid' });
+      RecoverySchedule.create.mockImplementation(async (values) => ({ id: 'schedule-1', ...values }));
+
+      const schedule = await scheduleService.createSchedule({
+        scheduleName: '季度演练',
+        rdsInstanceId: 'instance-uuid',
+        scheduleType: 'Interval',
+        intervalDays: 90,
+        startAt,
+        taskTemplate: { restoreType: 'BackupSet' }
+      }, user);
+
+      expect(schedule).toMatchObject({ status: 'Active', created_by: 'user-1', timezone: 'Asia/Shanghai' });
+      expect(schedule.next_run_at.getTime()).toBe(startAt.getTime());
+    });
+
+    it('should reject unknown instances and invalid rules', async () => {
+      const data = { scheduleName: '月度演练', rdsInstanceId: 'instance-uuid', scheduleType: 'Cron', cronExpression: '0 2 1 * *' };
+
+      RDSInstance.findByPk.mockResolvedValue(null);
+      await expect(scheduleService.createSchedule(data, user)).rejects.toMatchObject({ statusCode: 400 });
+
+      RDSInstance.findByPk.mockResolvedValue({ id: 'instance-uuid' });
+      await expect(scheduleService.createSchedule({ ...data, cronExpression: '0 25 * * *' }, user))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(RecoverySchedule.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should recompute the next run when the rule of an active schedule changes', async () => {
+      const schedule = createSchedule({ next_run_at: new Date(Date.now() + DAY_MS) });
+
+      await scheduleService.updateSchedule(schedule, { scheduleType: 'Cron', cronExpression: '0 3 * * *', intervalDays: null, startAt: null });
+
+      expect(schedule.update).toHaveBeenCalledWith(expect.objectContaining({ schedule_type: 'Cron', cron_expression: '0 3 * * *' }));
+      expect(schedule.next_run_at.getTime()).toBeGreaterThan(Date.now());
+      expect(schedule.next_run_at.getTime() - Date.now()).toBeLessThanOrEqual(DAY_MS);
+    });
+
+    it('should keep a paused schedule without a next run', async () => {
+      const schedule = createSchedule({ status: 'Paused', next_run_at: null });
+
+      await scheduleService.updateSchedule(schedule, { intervalDays: 14 });
+
+      expect(schedule).toMatchObject({ interval_days: 14, next_run_at: null });
+    });
+
+    it('should reject a rule that becomes invalid after merging', async () => {
+      const schedule = createSchedule();
+
+      await expect(scheduleService.updateSchedule(schedule, { scheduleType: 'Cron' })).rejects.toMatchObject({ statusCode: 400 });
+      expect(schedule.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('request validation', () => {
+    it('should require the rule fields matching the schedule type', () => {
+      const base = { scheduleName: '月度演练', rdsInstanceId: '6f1c2f5e-8a4b-4c7d-9e0f-1a2b3c4d5e6f' };
+
+      expect(scheduleSchemas.create.validate({ ...base, scheduleType: 'Cron', cronExpression: '0 2 1 * *' }).error).toBeUndefined();
+      expect(scheduleSchemas.create.validate({ ...base, scheduleType: 'Cron' }).error).toBeDefined();
+      expect(scheduleSchemas.create.validate({ ...base, scheduleType: 'Interval', intervalDays: 7 }).error).toBeDefined();
+      expect(scheduleSchemas.create.validate({ ...base, scheduleType: 'Interval', intervalDays: 7, startAt: new Date(), cronExpression: '0 2 * * *' }).error).toBeDefined();
+      expect(scheduleSchemas.create.validate({ scheduleType: 'Cron', cronExpression: '0 2 1 * *' }).error).toBeDefined();
+    });
+  });
+});
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn()
+}));
+
+jest.mock('../src/models', () => ({
+  RecoverySchedule: {
+    create: jest.fn(),
+    update: jest.fn(),
+    findAll: jest.fn()
+  },
+  RecoveryTask: {
+    findOne: jest.fn()
+  },
+  RDSInstance: {
+    findByPk: jest.fn()
+  }
+}));
+
+jest.mock('../src/services/recoveryService', () => ({
+  createTask: jest.fn(),
+  processScheduledTasks: jest.fn()
+}));
+
+jest.mock('../src/utils/audit', () => ({
+  logAudit: jest.fn()
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,161 @@
+const schemaComparisonService = require('../src/services/schemaComparisonService');
+
+const snapshot = (tables) => ({ capturedAt: new Date().toISOString(), tables });
+
+describe('Schema Comparison Service', () => {
+  const source = snapshot({
+    'shop.orders': {
+      rowEstimate: 1000,
+      columns: { id: { type: 'bigint', nullable: false }, amount: { type: 'decimal(10,2)', nullable: true } },
+      indexes: { PRIMARY: 'id' }
+    },
+    'shop.users': {
+      rowEstimate: 50,
+      columns: { id: { type: 'int', nullable: false } },
+      indexes: {}
+    }
+  });
+
+  it('should pass when the clone matches the source', () => {
+    const result = schemaComparisonService.diffSnapshots(source, source);
+
+    expect(result.passed).toBe(true);
+    expect(result.missingTables).toHaveLength(0);
+  });
+
+  it('should fail on missing tables and changed column types', () => {
+    const clone = snapshot({
+      'shop.orders': {
+        rowEstimate: 1000,
+        columns: { id: { type: 'int', nullable: false }, amount: { type: 'decimal(10,2)', nullable: true } },
+        indexes: {}
+      }
+    });
+
+    const result = schemaComparisonService.diffSnapshots(source, clone);
+
+    expect(result.passed).toBe(false);
+    expect(result.missingTables).toEqual(['shop.users']);
+    expect(result.columnTypeChanges[0]).toMatchObject({ column: 'id', sourceType: 'bigint', cloneType: 'int' });
+    expect(result.missingIndexes).toEqual([{ table: 'shop.orders', index: 'PRIMARY' }]);
+  });
+
+  it('should only flag row-count deltas beyond the tolerance', () => {
+    const clone = snapshot({
+      ...source.tables,
+      'shop.orders': { ...source.tables['shop.orders'], rowEstimate: 950 }
+    });
+
+    expect(schemaComparisonService.diffSnapshots(source, clone, { rowCountTolerancePercent: 10 }).passed).toBe(true);
+    expect(schemaComparisonService.diffSnapshots(source, clone, { rowCountTolerancePercent: 1 }).rowCountDeltas[0].deltaPercent).toBe(5);
+  });
+
+  describe('captureSnapshot', () => {
+    // 新恢复的PostgreSQL实例：表统计尚未累积，pg_class 中保留了恢复时建立索引写入的行数
+    const postgresConnection = (tables) => ({
+      driver: 'postgres',
+      engine: 'PostgreSQL',
+      query: jest.fn(async (sql) => {
+        if (sql.includes('pg_class')) {
+          return tables.map(([table, reltuples]) => ({ schema_name: 'public', table_name: table, row_estimate: reltuples }));
+        }
+        if (sql.includes('pg_stat_user_tables')) {
+          return tables.map(([table]) => ({ schema_name: 'public', table_name: table, row_estimate: 0 }));
+        }
+        return [];
+      })
+    });
+
+    it('should estimate PostgreSQL rows from pg_class on a clone without table statistics', async () => {
+      const sourceSnapshot = await schemaComparisonService.captureSnapshot(postgresConnection([['orders', 1000], ['users', 50]]));
+      const cloneSnapshot = await schemaComparisonService.captureSnapshot(postgresConnection([['orders', 1000], ['users', 50]]));
+
+      expect(cloneSnapshot.tables['public.orders'].rowEstimate).toBe(1000);
+      expect(schemaComparisonService.diffSnapshots(sourceSnapshot, cloneSnapshot).passed).toBe(true);
+    });
+
+    it('should skip the row-count check for tables that were never analyzed', async () => {
+      const sourceSnapshot = await schemaComparisonService.captureSnapshot(postgresConnection([['orders', 1000]]));
+      const cloneSnapshot = await schemaComparisonService.captureSnapshot(postgresConnection([['orders', null]]));
+
+      const result = schemaComparisonService.diffSnapshots(sourceSnapshot, cloneSnapshot);
+
+      expect(result.passed).toBe(true);
+      expect(result.rowCountUnavailable).toEqual(['public.orders']);
+    });
+  });
+
+  it('should record a clone restored under another database name by its source schema', async () => {
+    const connection = {
+      driver: 'mysql',
+      engine: 'MySQL',
+      query: jest.fn(async (sql) => (sql.includes('information_schema.TABLES')
+        ? [{ schema_name: 'restore_1a2b', table_name: 'orders', row_estimate: 1000 }]
+        : []))
+    };
+
+    const cloneSnapshot = await schemaComparisonService.captureSnapshot(connection, {
+      schemas: ['shop'],
+      renameSchemas: { restore_1a2b: 'shop' }
+    });
+
+    expect(Object.keys(cloneSnapshot.tables)).toEqual(['shop.orders']);
+  });
+
+  describe('snapshot drift', () => {
+    const capturedAt = '2024-01-05T08:00:00.000Z';
+    const drifted = { ...source, capturedAt };
+    const cloneWithOrders = (rowEstimate) => snapshot({
+      ...source.tables,
+      'shop.orders': { ...source.tables['shop.orders'], rowEstimate }
+    });
+    const hoursBefore = (hours) => new Date(new Date(capturedAt).getTime() - hours * 3600 * 1000);
+
+    it('should still fail a large row loss when the drift is small', () => {
+      const result = schemaComparisonService.diffSnapshots(drifted, cloneWithOrders(700), {
+        rowCountTolerancePercent: 10,
+        consistencyPoint: hoursBefore(0.5)
+      });
+
+      expect(result.passed).toBe(false);
+      expect(result.rowCountTolerancePercent).toBe(10.5);
+      expect(result.rowCountDeltas).toEqual([expect.objectContaining({ table: 'shop.orders', deltaPercent: 30 })]);
+      expect(result.snapshotDrift).toMatchObject({ driftSeconds: 1800, baseTolerancePercent: 10, sourceCapturedAt: capturedAt });
+    });
+
+    it('should widen the tolerance with the measured drift up to the cap', () => {
+      const clone = cloneWithOrders(850);
+
+      const sixHours = schemaComparisonService.diffSnapshots(drifted, clone, { rowCountTolerancePercent: 10, consistencyPoint: hoursBefore(6) });
+      expect(sixHours.passed).toBe(true);
+      expect(sixHours.rowCountTolerancePercent).toBe(16);
+
+      const fourDays = schemaComparisonService.diffSnapshots(drifted, cloneWithOrders(600), {
+        rowCountTolerancePercent: 10,
+        driftTolerancePercentPerHour: 2,
+        driftTolerancePercent: 25,
+        consistencyPoint: hoursBefore(96)
+      });
+      expect(fourDays.rowCountTolerancePercent).toBe(25);
+      expect(fourDays.passed).toBe(false);
+    });
+
+    it('should keep the configured tolerance when the snapshot is not newer than the consistency point', () => {
+      const result = schemaComparisonService.diffSnapshots(drifted, cloneWithOrders(850), {
+        rowCountTolerancePercent: 10,
+        consistencyPoint: new Date(new Date(capturedAt).getTime() + 1000)
+      });
+
+      expect(result.passed).toBe(false);
+      expect(result.rowCountTolerancePercent).toBe(10);
+      expect(result.snapshotDrift).toBeNull();
+    });
+  });
+});
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
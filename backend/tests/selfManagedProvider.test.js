@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const SelfManagedProvider = require('../src/services/providers/selfManagedProvider');
+const rdsService = require('../src/services/rdsService');
+
+describe('Self-managed Provider', () => {
+  let root;
+  let backupRoot;
+  let workDir;
+  let connect;
+  let runCommand;
+  let queries;
+
+  const createProvider = () => new SelfManagedProvider({
+    backupRoot,
+    workDir,
+    scratchServers: {
+      mysql: { host: 'scratch.local', port: 3306, username: 'restorer', password: 'secret' }
+    },
+    readonlyAccounts: {
+      mysql: { username: 'verifier', password: 'readonly' }
+    },
+    runCommand,
+    connect
+  });
+
+  // 等待后台恢复流程推进到满足条件，默认等待恢复结束
+  const flush = async (provider, taskId, done = record => record.status !== 'Creating') => {
+    for (let i = 0; i < 100 && !done(provider.restores.get(taskId)); i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'self-managed-'));
+    backupRoot = path.join(root, 'backups');
+    workDir = path.join(root, 'work');
+
+    const instanceDir = path.join(backupRoot, 'erp-db');
+    const xtrabackupDir = path.join(instanceDir, 'xb-20240602');
+    fs.mkdirSync(xtrabackupDir, { recursive: true });
+    fs.writeFileSync(path.join(instanceDir, 'instance.json'), JSON.stringify({ engine: 'MySQL', engineVersion: '8.0' }));
+    fs.writeFileSync(path.join(instanceDir, 'full-20240601.sql.gz'), zlib.gzipSync(
+      '-- Host: 10.0.0.5    Database: erp\nCREATE TABLE `orders` (`id` int);\nINSERT INTO `orders` VALUES (1);\n'
+    ));
+    fs.writeFileSync(path.join(instanceDir, 'notes.txt'), 'ignored');
+    fs.writeFileSync(path.join(xtrabackupDir, 'xtrabackup_checkpoints'), 'backup_type = full-backuped');
+    fs.writeFileSync(path.join(xtrabackupDir, 'xtrabackup_info'),
+      'start_time = 2024-06-02T02:00:00Z\nend_time = 2024-06-02T02:30:00Z\n');
+
+    queries = [];
+    connect = jest.fn(async (engine, info) => ({
+      info,
+      query: async (sql) => queries.push(sql),
+      close: async () => {}
+    }));
+    runCommand = jest.fn().mockResolvedValue();
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should list dump files and xtrabackup directories as backup sets', async () => {
+    const provider = createProvider();
+    const { backups, totalCount } = await provider.getBackups('erp-db');
+    const byId = Object.fromEntries(backups.map(backup => [backup.backupId, backup]));
+
+    expect(totalCount).toBe(2);
+    expect(byId['full-20240601.sql.gz']).toMatchObject({ backupMethod: 'Logical', backupFormat: 'sql', backupStatus: 'Success' });
+    expect(byId['xb-20240602']).toMatchObject({
+      backupMethod: 'Physical',
+      backupFormat: 'xtrabackup',
+      backupStartTime: '2024-06-02T02:00:00Z',
+      backupEndTime: '2024-06-02T02:30:00Z'
+    });
+    expect(byId['xb-20240602'].filePath).toBeUndefined();
+  });
+
+  it('should reject unknown instances and point-in-time restores', async () => {
+    const provider = createProvider();
+
+    await expect(provider.getInstance('../etc')).rejects.toMatchObject({ code: 'InvalidDBInstanceId.NotFound' });
+    await expect(provider.cloneInstance({ sourceInstanceId: 'erp-db', restoreType: 'PointInTime' }))
+      .rejects.toMatchObject({ code: 'InvalidParameter.RestoreType' });
+    await expect(provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'missing.sql' }))
+      .rejects.toMatchObject({ code: 'InvalidBackupSetID.NotFound' });
+  });
+
+  it('should import logical dumps into a new database on the scratch server and drop it on delete', async () => {
+    const provider = createProvider();
+    const { taskId } = await provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'full-20240601.sql.gz' });
+
+    expect((await provider.getInstance(taskId)).dbInstanceStatus).toBe('Creating');
+    await flush(provider, taskId);
+
+    const instance = await provider.getInstance(taskId);
+    expect(instance).toMatchObject({ dbInstanceStatus: 'Running', connectionString: 'scratch.local', port: '3306' });
+    expect(queries[0]).toBe(`CREATE DATABASE \`${instance.dbName}\``);
+    expect(runCommand).toHaveBeenCalledWith('mysql', expect.arrayContaining(['--one-database', instance.dbName]),
+      expect.objectContaining({ env: { MYSQL_PWD: 'secret' }, inputFile: expect.stringMatching(/full-20240601\.sql\.gz$/) }));
+    // 文件头记录的源库名映射到恢复库
+    expect(instance.schemaMap).toEqual({ erp: instance.dbName });
+
+    // 连接恢复库时使用临时服务器的只读账号
+    await provider.openConnection('MySQL', {
+      host: 'scratch.local', port: 3306, database: instance.dbName, username: 'checker', password: 'x'
+    });
+    expect(connect).toHaveBeenLastCalledWith('MySQL', expect.objectContaining({ username: 'verifier', password: 'readonly' }));
+
+    await provider.deleteInstance(taskId);
+    expect(queries[1]).toBe(`DROP DATABASE IF EXISTS \`${instance.dbName}\``);
+    await expect(provider.getInstance(taskId)).rejects.toMatchObject({ code: 'InvalidDBInstanceId.NotFound' });
+  });
+
+  it('should reject dumps that create or switch to another database', async () => {
+    fs.writeFileSync(path.join(backupRoot, 'erp-db', 'all-20240603.sql'),
+      '-- Host: 10.0.0.5    Database: erp\nCREATE DATABASE /*!32312 IF NOT EXISTS*/ `erp`;\nUSE `erp`;\nCREATE TABLE `orders` (`id` int);\n');
+    const provider = createProvider();
+
+    const { taskId } = await provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'all-20240603.sql' });
+    await flush(provider, taskId);
+
+    await expect(provider.getInstance(taskId)).rejects.toMatchObject({ code: 'InvalidBackupSet.RestoreFailed' });
+    expect((await provider.getTaskStatus(taskId)).errorMessage).toContain('InvalidBackupSet.MultiDatabaseDump');
+    expect(queries).toHaveLength(0);
+    expect(runCommand).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to connect to a restored database without a read-only account', async () => {
+    const provider = new SelfManagedProvider({
+      backupRoot,
+      workDir,
+      scratchServers: { mysql: { host: 'scratch.local', port: 3306, username: 'restorer', password: 'secret' } },
+      readonlyAccounts: {},
+      runCommand,
+      connect
+    });
+    const { taskId } = await provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'full-20240601.sql.gz' });
+    await flush(provider, taskId);
+    const instance = await provider.getInstance(taskId);
+
+    expect(() => provider.openConnection('MySQL', { host: 'scratch.local', port: 3306, database: instance.dbName }))
+      .toThrow('只读账号');
+  });
+
+  it('should surface failed restores and mark interrupted restores as failed after restart', async () => {
+    runCommand.mockRejectedValueOnce(new Error('mysql 执行失败(退出码 1): ERROR 1064'));
+    const provider = createProvider();
+
+    const failed = await provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'full-20240601.sql.gz' });
+    await flush(provider, failed.taskId);
+    await expect(provider.getInstance(failed.taskId)).rejects.toMatchObject({ code: 'InvalidBackupSet.RestoreFailed' });
+
+    runCommand.mockReturnValueOnce(new Promise(() => {}));
+    const interrupted = await provider.cloneInstance({ sourceInstanceId: 'erp-db', backupId: 'full-20240601.sql.gz' });
+    await flush(provider, interrupted.taskId, () => runCommand.mock.calls.length === 2);
+
+    const restarted = createProvider();
+    expect((await restarted.getTaskStatus(interrupted.taskId)).status).toBe('Failed');
+  });
+
+  it('should route instances to their provider', async () => {
+    expect(await rdsService.forInstance({ provider: 'aliyun' })).toBe(rdsService);
+    expect(await rdsService.forInstance(null)).toBe(rdsService);
+    expect((await rdsService.forInstance({ provider: 'selfManaged' })).provider.name).toBe('selfManaged');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,136 @@
+const SimulatorProvider = require('../src/services/providers/simulatorProvider');
+const { createProvider } = require('../src/services/providers');
+const { rdsSchemas } = require('../src/utils/validation');
+const dataValidationService = require('../src/services/dataValidationService');
+
+describe('Simulator Provider', () => {
+  let clock;
+  let provider;
+
+  // 推进模拟时钟
+  const advance = (ms) => {
+    clock += ms;
+  };
+
+  beforeEach(() => {
+    clock = new Date('2024-06-10T12:00:00Z').getTime();
+    provider = new SimulatorProvider({
+      now: () => clock,
+      random: () => 0.5,
+      cloneDelayMs: 60000,
+      deleteDelayMs: 10000,
+      faultRates: {}
+    });
+  });
+
+  it('should auto-provision source instances with daily backups and continuous logs', async () => {
+    const instance = await provider.getInstance('rm-source');
+    const { backups, totalCount } = await provider.getBackups('rm-source', { pageSize: 100 });
+    const { binlogs } = await provider.getBinlogs('rm-source', { pageSize: 1000 });
+
+    expect(instance.dbInstanceStatus).toBe('Running');
+    expect(totalCount).toBe(7);
+    expect(backups[0].backupEndTime).toBe('2024-06-10T02:20:00Z');
+    expect(binlogs[binlogs.length - 1].logEndTime).toBe('2024-06-10T11:55:00Z');
+  });
+
+  it('should move clones from Creating to Running and remove deleted instances', async () => {
+    const { backups } = await provider.getBackups('rm-source');
+    const { taskId } = await provider.cloneInstance({
+      sourceInstanceId: 'rm-source',
+      targetInstanceName: 'drill',
+      backupId: backups[0].backupId
+    });
+
+    expect((await provider.getInstance(taskId)).dbInstanceStatus).toBe('Creating');
+    advance(60000);
+    expect((await provider.getInstance(taskId)).dbInstanceStatus).toBe('Running');
+    expect((await provider.getTaskStatus(taskId)).status).toBe('Success');
+
+    await provider.deleteInstance(taskId);
+    expect((await provider.getInstance(taskId)).dbInstanceStatus).toBe('Deleting');
+    advance(10000);
+    await expect(provider.getInstance(taskId)).rejects.toMatchObject({ code: 'InvalidDBInstanceId.NotFound' });
+  });
+
+  it('should reject unknown backup sets and unrecoverable restore times', async () => {
+    await expect(provider.cloneInstance({ sourceInstanceId: 'rm-source', backupId: '1' }))
+      .rejects.toMatchObject({ code: 'InvalidBackupSetID.NotFound' });
+
+    await expect(provider.cloneInstance({
+      sourceInstanceId: 'rm-source',
+      restoreType: 'PointInTime',
+      restoreTime: '2024-06-10T11:59:00Z'
+    })).rejects.toMatchObject({ code: 'InvalidRestoreTime' });
+  });
+
+  it('should inject quota errors and stuck clones', async () => {
+    provider.injectFault('Quota');
+    provider.injectFault('StuckCreating');
+    const params = { sourceInstanceId: 'rm-source', restoreType: 'PointInTime', restoreTime: '2024-06-10T10:00:00Z' };
+
+    await expect(provider.cloneInstance(params)).rejects.toMatchObject({ code: 'QuotaExceeded.DBInstance' });
+
+    const { taskId } = await provider.cloneInstance(params);
+    advance(24 * 60 * 60 * 1000);
+    expect((await provider.getInstance(taskId)).dbInstanceStatus).toBe('Creating');
+    expect(() => provider.injectFault('Unknown')).toThrow('不支持的模拟故障类型');
+  });
+
+  it('should serve simulated data so validation rules detect partial restores', async () => {
+    provider.injectFault('PartialRestore');
+    const params = { sourceInstanceId: 'rm-source', restoreType: 'PointInTime', restoreTime: '2024-06-10T10:00:00Z' };
+    const rules = [{ type: 'rowCount', table: 'orders', min: 10000 }];
+
+    const partial = await provider.cloneInstance(params);
+    const complete = await provider.cloneInstance(params);
+    advance(60000);
+
+    const run = async (instanceId) => {
+      const instance = await provider.getInstance(instanceId);
+      const connection = await provider.openConnection('MySQL', { host: instance.connectionString });
+      return dataValidationService.runRules(connection, rules);
+    };
+
+    expect((await run(partial.taskId)).success).toBe(false);
+    expect((await run(complete.taskId)).success).toBe(true);
+  });
+
+  describe('enablement', () => {
+    const originalEnv = { RDS_PROVIDER: process.env.RDS_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+    const instance = { instanceId: 'rm-sim', instanceName: 'sim', engine: 'MySQL', engineVersion: '8.0', provider: 'simulator' };
+
+    afterEach(() => {
+      Object.entries(originalEnv).forEach(([key, value]) => {
+        if (value === undefined) {
+          delete process.env[key];
+        } else {
+          process.env[key] = value;
+        }
+      });
+    });
+
+    it('should refuse simulator instances unless selected by configuration', () => {
+      process.env.RDS_PROVIDER = 'aliyun';
+
+      expect(rdsSchemas.create.validate(instance).error).toBeTruthy();
+      expect(() => createProvider('simulator')).toThrow('本地模拟器未启用');
+    });
+
+    it('should refuse the simulator in production', () => {
+      process.env.RDS_PROVIDER = 'simulator';
+      process.env.NODE_ENV = 'production';
+
+      expect(rdsSchemas.create.validate(instance).error).toBeTruthy();
+      expect(() => createProvider('simulator')).toThrow('本地模拟器未启用');
+    });
+
+    it('should accept simulator instances when configured outside production', () => {
+      process.env.RDS_PROVIDER = 'simulator';
+
+      expect(rdsSchemas.create.validate(instance).error).toBeUndefined();
+      expect(rdsSchemas.create.validate({ ...instance, provider: 'azure' }).error).toBeTruthy();
+      expect(createProvider('simulator', { faultRates: {} }).name).toBe('simulator');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { getSlaTargets, measureRecovery, evaluateSla, summarizeSla } = require('../src/utils/sla');
+
+// 构造执行阶段记录
+const step = (phase, startedAt, completedAt, status = 'Completed') => ({
+  phase,
+  status,
+  started_at: new Date(startedAt),
+  completed_at: completedAt ? new Date(completedAt) : null
+});
+
+describe('SLA', () => {
+  describe('measureRecovery', () => {
+    const task = {
+      requested_at: new Date('2024-06-01T10:00:00Z'),
+      consistency_point: new Date('2024-06-01T09:30:00Z')
+    };
+
+    it('should measure RTO to the verified clone and RPO to the restore point', () => {
+      const measurement = measureRecovery(task, [
+        step('CloneRequested', '2024-06-01T10:01:00Z', '2024-06-01T10:02:00Z'),
+        step('InstanceReady', '2024-06-01T10:02:00Z', '2024-06-01T10:20:00Z'),
+        step('Verifying', '2024-06-01T10:20:00Z', '2024-06-01T10:25:00Z')
+      ]);
+
+      expect(measurement.achievedRtoSeconds).toBe(25 * 60);
+      expect(measurement.achievedRpoSeconds).toBe(31 * 60);
+      expect(measurement.rtoBreakdown).toEqual({
+        CloneRequested: 60,
+        InstanceReady: 18 * 60,
+        Verifying: 5 * 60,
+        Waiting: 60
+      });
+    });
+
+    it('should include failed attempts and ignore steps from earlier runs', () => {
+      const measurement = measureRecovery(task, [
+        step('Verifying', '2024-05-01T10:00:00Z', '2024-05-01T10:05:00Z'),
+        step('CloneRequested', '2024-06-01T10:00:00Z', '2024-06-01T10:01:00Z', 'Failed'),
+        step('CloneRequested', '2024-06-01T10:10:00Z', '2024-06-01T10:11:00Z'),
+        step('Verifying', '2024-06-01T10:30:00Z', '2024-06-01T10:31:00Z')
+      ]);
+
+      expect(measurement.achievedRtoSeconds).toBe(31 * 60);
+      expect(measurement.achievedRpoSeconds).toBe(40 * 60);
+      expect(measurement.rtoBreakdown.CloneRequested).toBe(120);
+    });
+
+    it('should not measure RTO before the clone is verified', () => {
+      const measurement = measureRecovery(task, [step('CloneRequested', '2024-06-01T10:01:00Z', '2024-06-01T10:02:00Z')]);
+
+      expect(measurement.achievedRtoSeconds).toBeNull();
+      expect(measurement.rtoBreakdown.Waiting).toBeUndefined();
+    });
+  });
+
+  describe('evaluateSla', () => {
+    it('should pass only when every configured target is met', () => {
+      const measurement = { achievedRtoSeconds: 1800, achievedRpoSeconds: 600 };
+
+      expect(evaluateSla(measurement, { rtoMinutes: 30, rpoMinutes: 15 }).status).toBe('Met');
+      expect(evaluateSla(measurement, { rtoMinutes: 20, rpoMinutes: 15 })).toMatchObject({ status: 'Breached', rtoMet: false, rpoMet: true });
+      expect(evaluateSla(measurement, { rtoMinutes: null, rpoMinutes: null }).status).toBe('NoTarget');
+      expect(evaluateSla({ achievedRtoSeconds: null, achievedRpoSeconds: null }, { rtoMinutes: 30 }).status).toBe('Unmeasured');
+    });
+
+    it('should fall back to default targets', () => {
+      process.env.SLA_DEFAULT_RTO_MINUTES = '120';
+
+      expect(getSlaTargets({ target_rto_minutes: null, target_rpo_minutes: 10 })).toEqual({ rtoMinutes: 120, rpoMinutes: 10 });
+
+      delete process.env.SLA_DEFAULT_RTO_MINUTES;
+    });
+  });
+
+  describe('summarizeSla', () => {
+    it('should evaluate each instance by its latest successful task', () => {
+      const instances = [
+        { id: 'i1', instance_name: 'orders', target_rto_minutes: 60, target_rpo_minutes: 30 },
+        { id: 'i2', instance_name: 'users', target_rto_minutes: 60, target_rpo_minutes: null },
+        { id: 'i3', instance_name: 'logs', target_rto_minutes: 60, target_rpo_minutes: null },
+        { id: 'i4', instance_name: 'tmp', target_rto_minutes: null, target_rpo_minutes: null }
+      ];
+      const tasks = [
+        { id: 't1', rds_instance_id: 'i1', status: 'Success', completed_at: '2024-01-01', achieved_rto_seconds: 7200, achieved_rpo_seconds: 60 },
+        { id: 't2', rds_instance_id: 'i1', status: 'Success', completed_at: '2024-02-01', achieved_rto_seconds: 1800, achieved_rpo_seconds: 60 },
+        { id: 't3', rds_instance_id: 'i2', status: 'Success', completed_at: '2024-02-01', achieved_rto_seconds: 5400, achieved_rpo_seconds: 60 },
+        { id: 't4', rds_instance_id: 'i3', status: 'Failed', completed_at: '2024-02-01' }
+      ];
+
+      const summary = summarizeSla(instances, tasks);
+
+      expect(summary.instances.map(result => result.status)).toEqual(['Met', 'Breached', 'Untested', 'NoTarget']);
+      expect(summary.instances[0].taskId).toBe('t2');
+      expect(summary.slaComplianceRate).toBe(33.33);
+      expect(summary.averageAchievedRto).toBe(4800);
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { RecoveryTask } = require('../src/models');
+const taskEventService = require('../src/services/taskEventService');
+
+// 取出服务注册的模型钩子
+const getHook = (name) => RecoveryTask.addHook.mock.calls.find(call => call[0] === name)[2];
+
+// 构造已更新的任务实例，changed 返回变化的字段
+const updatedTask = (values, changed) => ({
+  id: 'task-uuid',
+  changed: () => changed,
+  get: (field) => values[field]
+});
+
+describe('Task Event Service', () => {
+  let events;
+  let unsubscribe;
+
+  beforeEach(() => {
+    events = [];
+    unsubscribe = taskEventService.subscribe(event => events.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+  });
+
+  it('should register create and update hooks on recovery tasks', () => {
+    const hooks = RecoveryTask.addHook.mock.calls.map(call => call[0]);
+    expect(hooks).toEqual(['afterCreate', 'afterUpdate', 'afterBulkUpdate']);
+  });
+
+  it('should publish only tracked fields that changed on update', () => {
+    getHook('afterUpdate')(updatedTask(
+      { status: 'Running', current_phase: 'CloneRequested', started_at: new Date() },
+      ['status', 'current_phase', 'started_at']
+    ));
+    getHook('afterUpdate')(updatedTask({ started_at: new Date() }, ['started_at']));
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      type: 'task.updated',
+      taskId: 'task-uuid',
+      fields: { status: 'Running', current_phase: 'CloneRequested' }
+    });
+  });
+
+  it('should publish progress and phase message from single task bulk updates', () => {
+    getHook('afterBulkUpdate')({
+      where: { id: 'task-uuid' },
+      attributes: { progress: 70, progress_message: '正在验证数据完整性...', updated_at: new Date() }
+    });
+    // 按条件批量更新多个任务时不发布
+    getHook('afterBulkUpdate')({
+      where: { status: 'Running' },
+      attributes: { status: 'Timeout' }
+    });
+    // 带状态条件的更新可能未命中，由调用方确认后发布
+    getHook('afterBulkUpdate')({
+      where: { id: 'task-uuid', status: 'Queued' },
+      attributes: { status: 'Running' }
+    });
+
+    expect(events).toHaveLength(1);
+    expect(events[0].fields).toEqual({ progress: 70, progress_message: '正在验证数据完整性...' });
+  });
+
+  it('should publish only tracked fields of confirmed updates', () => {
+    taskEventService.publishUpdate('task-uuid', { status: 'Running', started_at: new Date() });
+    taskEventService.publishUpdate('task-uuid', { started_at: new Date() });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'task.updated', taskId: 'task-uuid', fields: { status: 'Running' } });
+  });
+
+  it('should publish created tasks', () => {
+    getHook('afterCreate')({
+      id: 'new-task',
+      get: () => ({ id: 'new-task', status: 'Pending', progress: 0, task_name: '年度恢复验证' })
+    });
+
+    expect(events[0]).toMatchObject({
+      type: 'task.created',
+      taskId: 'new-task',
+      fields: { status: 'Pending', progress: 0 }
+    });
+  });
+
+  it('should replay buffered events after the last event id', () => {
+    const first = taskEventService.publish('task.updated', 'task-uuid', { progress: 10 });
+    taskEventService.publish('task.updated', 'task-uuid', { progress: 20 });
+    taskEventService.publish('task.updated', 'task-uuid', { progress: 30 });
+
+    const replayed = [];
+    const stop = taskEventService.subscribe(event => replayed.push(event), { lastEventId: String(first.id) });
+    stop();
+
+    expect(replayed.map(event => event.fields.progress)).toEqual([20, 30]);
+  });
+
+  it('should stop delivering events after unsubscribe', () => {
+    unsubscribe();
+    taskEventService.publish('task.updated', 'task-uuid', { progress: 40 });
+
+    expect(events).toHaveLength(0);
+    expect(taskEventService.getSubscriberCount()).toBe(0);
+  });
+});
+
+jest.mock('../src/models', () => ({
+  RecoveryTask: {
+    addHook: jest.fn()
+  }
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,73 @@
+const { RecoveryTaskLog } = require('../src/models');
+const taskLogService = require('../src/services/taskLogService');
+
+describe('Task Log Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should append entries with the task attempt and current phase', async () => {
+    RecoveryTaskLog.create.mockImplementation(async (values) => values);
+
+    const log = await taskLogService.append(
+      { id: 'task-1', attempt_count: 2, current_phase: 'CloneRequested' },
+      { event: 'CloudRequest', message: '已请求创建克隆实例 rm-clone', requestId: 'req-1', details: { orderId: 'order-1' } }
+    );
+
+    expect(log).toMatchObject({
+      task_id: 'task-1',
+      attempt_number: 2,
+      phase: 'CloneRequested',
+      level: 'Info',
+      event: 'CloudRequest',
+      request_id: 'req-1',
+      details: { orderId: 'order-1' }
+    });
+    expect(log.logged_at).toBeInstanceOf(Date);
+  });
+
+  it('should prefer the entry phase and truncate long messages', async () => {
+    RecoveryTaskLog.create.mockImplementation(async (values) => values);
+
+    const log = await taskLogService.append(
+      { id: 'task-1', current_phase: 'Completed' },
+      { event: 'PhaseFailed', phase: 'Verifying', level: 'Error', message: 'x'.repeat(1200) }
+    );
+
+    expect(log.phase).toBe('Verifying');
+    expect(log.attempt_number).toBeNull();
+    expect(log.message).toHaveLength(1000);
+  });
+
+  it('should not throw when the log cannot be written', async () => {
+    RecoveryTaskLog.create.mockRejectedValue(new Error('connection lost'));
+
+    await expect(taskLogService.append({ id: 'task-1' }, { event: 'Progress', message: '正在验证数据完整性...' }))
+      .resolves.toBeNull();
+  });
+
+  it('should list logs in time order with optional filters', async () => {
+    RecoveryTaskLog.findAll.mockResolvedValue([]);
+
+    await taskLogService.list('task-1', { attempt: 2, level: 'Error' });
+
+    expect(RecoveryTaskLog.findAll).toHaveBeenCalledWith({
+      where: { task_id: 'task-1', attempt_number: 2, level: 'Error' },
+      order: [['logged_at', 'ASC'], ['created_at', 'ASC']]
+    });
+  });
+});
+
+jest.mock('../src/models', () => ({
+  RecoveryTaskLog: {
+    create: jest.fn(),
+    findAll: jest.fn()
+  }
+}));
+
+jest.mock('../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { sortQueue, planDispatch, parseRegionLimits } = require('../src/utils/taskQueue');
+
+const limits = { global: 3, perRegion: 2, perSource: 1, regions: {} };
+
+// 构造队列条目
+const entry = (id, fields = {}) => ({
+  id,
+  priority: 'Normal',
+  region: 'cn-shenzhen',
+  sourceInstanceId: `rm-${id}`,
+  ...fields
+});
+
+describe('Task Queue', () => {
+  describe('sortQueue', () => {
+    it('should order by priority and then by scheduled time', () => {
+      const sorted = sortQueue([
+        entry('a', { priority: 'Low', scheduledAt: '2024-01-01T00:00:00Z' }),
+        entry('b', { priority: 'Critical', scheduledAt: '2024-01-03T00:00:00Z' }),
+        entry('c', { priority: 'Normal', scheduledAt: '2024-01-02T00:00:00Z' }),
+        entry('d', { priority: 'Normal', scheduledAt: '2024-01-01T00:00:00Z' }),
+        entry('e', { priority: 'Normal' })
+      ]);
+
+      expect(sorted.map(item => item.id)).toEqual(['b', 'd', 'c', 'e', 'a']);
+    });
+  });
+
+  describe('planDispatch', () => {
+    it('should respect the global concurrency limit', () => {
+      const { dispatch, blocked } = planDispatch(
+        [entry('a', { region: 'r1' }), entry('b', { region: 'r2' }), entry('c', { region: 'r3' })],
+        [entry('x', { region: 'r4' })],
+        limits
+      );
+
+      expect(dispatch.map(item => item.id)).toEqual(['a', 'b']);
+      expect(blocked).toEqual([{ entry: expect.objectContaining({ id: 'c' }), reason: 'GlobalLimit' }]);
+    });
+
+    it('should let lower priority tasks in other regions bypass a saturated region', () => {
+      const { dispatch, blocked } = planDispatch(
+        [entry('a', { priority: 'High' }), entry('b', { priority: 'Low', region: 'cn-hangzhou' })],
+        [entry('x'), entry('y')],
+        limits
+      );
+
+      expect(dispatch.map(item => item.id)).toEqual(['b']);
+      expect(blocked[0].reason).toBe('RegionLimit');
+    });
+
+    it('should run one task per source instance at a time', () => {
+      const { dispatch, blocked } = planDispatch(
+        [entry('a', { sourceInstanceId: 'rm-1' }), entry('b', { sourceInstanceId: 'rm-1' })],
+        [],
+        limits
+      );
+
+      expect(dispatch.map(item => item.id)).toEqual(['a']);
+      expect(blocked[0]).toEqual({ entry: expect.objectContaining({ id: 'b' }), reason: 'SourceLimit' });
+    });
+
+    it('should hold back tasks that are still in retry backoff', () => {
+      const now = new Date('2024-01-01T00:00:00Z');
+      const { dispatch, blocked } = planDispatch(
+        [entry('a', { notBefore: '2024-01-01T00:05:00Z' }), entry('b', { notBefore: '2023-12-31T23:55:00Z' })],
+        [],
+        limits,
+        now
+      );
+
+      expect(dispatch.map(item => item.id)).toEqual(['b']);
+      expect(blocked[0].reason).toBe('RetryBackoff');
+    });
+
+    it('should apply region specific limits', () => {
+      const { dispatch } = planDispatch(
+        [entry('a'), entry('b')],
+        [],
+        { ...limits, regions: { 'cn-shenzhen': 1 } }
+      );
+
+      expect(dispatch.map(item => item.id)).toEqual(['a']);
+    });
+  });
+
+  describe('parseRegionLimits', () => {
+    it('should parse region limits and ignore invalid items', () => {
+      expect(parseRegionLimits('cn-shenzhen:2, cn-hangzhou:4,bad,cn-beijing:0')).toEqual({
+        'cn-shenzhen': 2,
+        'cn-hangzhou': 4
+      });
+    });
+  });
+});
\ No newline at end of file
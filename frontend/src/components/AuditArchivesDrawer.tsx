@@ -0,0 +1,285 @@
+import React, { useState } from 'react';
+import { Drawer, Table, Button, Tag, Typography, Space, Input, DatePicker, Alert, Divider, message } from 'antd';
+import { SafetyCertificateOutlined, DownloadOutlined, InboxOutlined, SearchOutlined } from '@ant-design/icons';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Dayjs } from 'dayjs';
+import api, { saveBlob } from '../services/api';
+
+const { RangePicker } = DatePicker;
+
+interface AuditArchivesDrawerProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const verifyStatusConfig: Record<string, { color: string; text: string }> = {
+  'Unverified': { color: 'default', text: '未校验' },
+  'Valid': { color: 'success', text: '完整' },
+  'Invalid': { color: 'error', text: '校验未通过' },
+};
+
+const formatSize = (size: number) => {
+  if (size >= 1024 * 1024) return `${(size / 1024 / 1024).toFixed(1)} MB`;
+  if (size >= 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${size} B`;
+};
+
+const AuditArchivesDrawer: React.FC<AuditArchivesDrawerProps> = ({ open, onClose }) => {
+  const [range, setRange] = useState<[Dayjs, Dayjs] | null>(null);
+  const [keyword, setKeyword] = useState('');
+  const queryClient = useQueryClient();
+
+  // 归档运行中时轮询
+  const { data, isLoading } = useQuery('audit-archives', async () => {
+    const response = await api.get('/audit/archives');
+    return response.data;
+  }, {
+    enabled: open,
+    refetchInterval: (result: any) => (result?.status?.running ? 5000 : false),
+  });
+
+  const archiveMutation = useMutation(() => api.post('/audit/archives'), {
+    onSuccess: () => {
+      message.success('归档已开始，完成后列表自动更新');
+      queryClient.invalidateQueries('audit-archives');
+    },
+    onError: (error: any) => {
+      message.error(error.response?.data?.message || '发起归档失败');
+    },
+  });
+
+  const verifyMutation = useMutation(async (id: string) => {
+    const response = await api.post(`/audit/archives/${id}/verify`, undefined, { timeout: 0 });
+    return response.data;
+  }, {
+    onSuccess: (result: any) => {
+      if (result.valid) {
+        message.success(`${result.month} 归档完整：已校验 ${result.recordCount} 条记录`);
+      } else {
+        message.error(`${result.month} 归档校验未通过` + (result.breakCount > 0 ? `：发现 ${result.breakCount} 处断点` : ''));
+      }
+      queryClient.invalidateQueries('audit-archives');
+    },
+    onError: () => {
+      message.error('校验归档失败');
+    },
+  });
+
+  const searchMutation = useMutation(async () => {
+    const response = await api.get('/audit/archives/search', {
+      params: {
+        startDate: range![0].startOf('day').toISOString(),
+        endDate: range![1].endOf('day').toISOString(),
+        keyword: keyword || undefined,
+      },
+      timeout: 0,
+    });
+    return response.data;
+  }, {
+    onError: (error: any) => {
+      message.error(error.response?.data?.message || '检索归档失败');
+    },
+  });
+
+  const download = async (archive: any, type: 'data' | 'manifest') => {
+    try {
+      const response = await api.get(`/audit/archives/${archive.id}/download`, { params: { type }, responseType: 'blob', timeout: 0 });
+      const key: string = type === 'manifest' ? archive.manifest_key : archive.object_key;
+      saveBlob(response.data, key.split('/').pop() as string);
+    } catch (error) {
+      message.error('下载归档失败');
+    }
+  };
+
+  const status = data?.status;
+
+  const columns = [
+    {
+      title: '月份',
+      dataIndex: 'month',
+      key: 'month',
+      width: 90,
+    },
+    {
+      title: '记录数',
+      dataIndex: 'record_count',
+      key: 'record_count',
+      width: 90,
+    },
+    {
+      title: '序号范围',
+      key: 'sequence',
+      width: 150,
+      render: (_: unknown, record: any) => `${record.first_sequence} - ${record.last_sequence}`,
+    },
+    {
+      title: '存储',
+      dataIndex: 'storage',
+      key: 'storage',
+      width: 80,
+      render: (storage: string) => (storage === 's3' ? '对象存储' : '本地磁盘'),
+    },
+    {
+      title: '大小',
+      dataIndex: 'file_size',
+      key: 'file_size',
+      width: 90,
+      render: (size: number) => formatSize(Number(size)),
+    },
+    {
+      title: '文件哈希',
+      dataIndex: 'file_sha256',
+      key: 'file_sha256',
+      ellipsis: true,
+      render: (hash: string) => <Typography.Text copyable={{ text: hash }}>{hash.slice(0, 16)}…</Typography.Text>,
+    },
+    {
+      title: '校验状态',
+      dataIndex: 'verify_status',
+      key: 'verify_status',
+      width: 110,
+      render: (verifyStatus: string, record: any) => {
+        const config = verifyStatusConfig[verifyStatus] || { color: 'default', text: verifyStatus };
+        return (
+          <Tag color={config.color} title={record.verified_at ? new Date(record.verified_at).toLocaleString() : undefined}>
+            {config.text}
+          </Tag>
+        );
+      },
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 200,
+      render: (_: unknown, record: any) => (
+        <Space size={0}>
+          <Button
+            type="link"
+            size="small"
+            icon={<SafetyCertificateOutlined />}
+            loading={verifyMutation.isLoading && verifyMutation.variables === record.id}
+            onClick={() => verifyMutation.mutate(record.id)}
+          >
+            校验
+          </Button>
+          <Button type="link" size="small" icon={<DownloadOutlined />} onClick={() => download(record, 'data')}>
+            文件
+          </Button>
+          <Button type="link" size="small" onClick={() => download(record, 'manifest')}>
+            清单
+          </Button>
+        </Space>
+      ),
+    },
+  ];
+
+  const resultColumns = [
+    {
+      title: '时间',
+      dataIndex: 'created_at',
+      key: 'created_at',
+      width: 160,
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '序号',
+      dataIndex: 'sequence',
+      key: 'sequence',
+      width: 90,
+    },
+    {
+      title: '用户',
+      dataIndex: 'username',
+      key: 'username',
+      width: 100,
+    },
+    {
+      title: '操作',
+      dataIndex: 'action',
+      key: 'action',
+      width: 140,
+    },
+    {
+      title: '资源',
+      key: 'resource',
+      ellipsis: true,
+      render: (_: unknown, record: any) => [record.resource_type, record.resource_name].filter(Boolean).join(' / '),
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 80,
+    },
+  ];
+
+  return (
+    <Drawer
+      title="审计日志归档"
+      width={1100}
+      open={open}
+      onClose={onClose}
+      extra={
+        <Button
+          icon={<InboxOutlined />}
+          loading={archiveMutation.isLoading || status?.running}
+          onClick={() => archiveMutation.mutate()}
+        >
+          立即归档
+        </Button>
+      }
+    >
+      {status && (
+        <Alert
+          style={{ marginBottom: 16 }}
+          type={status.lastRun?.error ? 'warning' : 'info'}
+          message={`在线表保留当月及之前 ${status.hotMonths} 个月的记录，${new Date(status.cutoff).toLocaleDateString()} 之前的记录按月归档`}
+          description={status.lastRun && (status.lastRun.error
+            ? `最近一次归档失败：${status.lastRun.error}`
+            : `最近一次归档于 ${new Date(status.lastRun.completedAt).toLocaleString()} 完成，新增 ${status.lastRun.archives.length} 个月度归档`)}
+        />
+      )}
+      <Table
+        columns={columns}
+        dataSource={data?.archives || []}
+        rowKey="id"
+        loading={isLoading}
+        size="small"
+        pagination={{ pageSize: 12 }}
+      />
+
+      <Divider orientation="left">检索归档</Divider>
+      <Space style={{ marginBottom: 16 }}>
+        <RangePicker value={range} onChange={(values) => setRange(values as [Dayjs, Dayjs] | null)} />
+        <Input
+          placeholder="操作、用户、资源或描述"
+          style={{ width: 220 }}
+          value={keyword}
+          onChange={(event) => setKeyword(event.target.value)}
+        />
+        <Button
+          type="primary"
+          icon={<SearchOutlined />}
+          disabled={!range}
+          loading={searchMutation.isLoading}
+          onClick={() => searchMutation.mutate()}
+        >
+          检索
+        </Button>
+      </Space>
+      {searchMutation.data && (
+        <Table
+          columns={resultColumns}
+          dataSource={searchMutation.data.records}
+          rowKey="id"
+          size="small"
+          pagination={{ pageSize: 20 }}
+          footer={() => `扫描 ${searchMutation.data.archives} 个归档共 ${searchMutation.data.scanned} 条记录` +
+            (searchMutation.data.truncated ? `，结果已达上限，仅显示前 ${searchMutation.data.records.length} 条` : '')}
+        />
+      )}
+    </Drawer>
+  );
+};
+
+export default AuditArchivesDrawer;
\ No newline at end of file
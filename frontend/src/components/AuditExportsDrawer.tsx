@@ -0,0 +1,128 @@
+import React from 'react';
+import { Drawer, Table, Button, Tag, Typography, message } from 'antd';
+import { DownloadOutlined } from '@ant-design/icons';
+import { useQuery } from 'react-query';
+import api, { saveBlob } from '../services/api';
+
+interface AuditExportsDrawerProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const statusConfig: Record<string, { color: string; text: string }> = {
+  'Queued': { color: 'default', text: '排队中' },
+  'Running': { color: 'processing', text: '导出中' },
+  'Completed': { color: 'success', text: '已完成' },
+  'Failed': { color: 'error', text: '失败' },
+};
+
+const formatText: Record<string, string> = {
+  'csv': 'CSV',
+  'excel': 'Excel',
+  'pdf': 'PDF 证据',
+  'json': 'JSON 校验证据',
+};
+
+const AuditExportsDrawer: React.FC<AuditExportsDrawerProps> = ({ open, onClose }) => {
+  // 有未完成的导出时轮询
+  const { data: exports, isLoading } = useQuery('audit-exports', async () => {
+    const response = await api.get('/audit/exports');
+    return response.data.exports;
+  }, {
+    enabled: open,
+    refetchInterval: (jobs: any) => ((jobs || []).some((job: any) => ['Queued', 'Running'].includes(job.status)) ? 5000 : false),
+  });
+
+  const download = async (job: any) => {
+    try {
+      const response = await api.get(`/audit/exports/${job.id}/download`, { responseType: 'blob', timeout: 0 });
+      saveBlob(response.data, job.file_name);
+    } catch (error) {
+      message.error('下载导出文件失败');
+    }
+  };
+
+  const columns = [
+    {
+      title: '创建时间',
+      dataIndex: 'created_at',
+      key: 'created_at',
+      width: 160,
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '发起人',
+      key: 'creator',
+      width: 100,
+      render: (_: unknown, record: any) => record.creator?.real_name || record.creator?.username || '-',
+    },
+    {
+      title: '格式',
+      dataIndex: 'format',
+      key: 'format',
+      width: 110,
+      render: (format: string) => formatText[format] || format,
+    },
+    {
+      title: '时间范围',
+      key: 'range',
+      width: 190,
+      render: (_: unknown, record: any) => `${record.filters.startDate} 至 ${record.filters.endDate}`,
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 90,
+      render: (status: string, record: any) => {
+        const config = statusConfig[status] || { color: 'default', text: status };
+        return <Tag color={config.color} title={record.error_message || undefined}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: '记录数',
+      dataIndex: 'record_count',
+      key: 'record_count',
+      width: 90,
+      render: (count: number | null) => count ?? '-',
+    },
+    {
+      title: '内容哈希',
+      dataIndex: 'content_hash',
+      key: 'content_hash',
+      ellipsis: true,
+      render: (hash: string | null) => (hash ? <Typography.Text copyable={{ text: hash }}>{hash.slice(0, 16)}…</Typography.Text> : '-'),
+    },
+    {
+      title: '操作',
+      key: 'actions',
+      width: 80,
+      render: (_: unknown, record: any) => (
+        <Button
+          type="link"
+          size="small"
+          icon={<DownloadOutlined />}
+          disabled={record.status !== 'Completed'}
+          onClick={() => download(record)}
+        >
+          下载
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <Drawer title="后台导出任务" width={1000} open={open} onClose={onClose}>
+      <Table
+        columns={columns}
+        dataSource={exports || []}
+        rowKey="id"
+        loading={isLoading}
+        size="small"
+        pagination={false}
+      />
+    </Drawer>
+  );
+};
+
+export default AuditExportsDrawer;
\ No newline at end of file
@@ -0,0 +1,148 @@
+import React from 'react';
+import { Drawer, Descriptions, Table, Tag, Space, Empty, Spin, Typography } from 'antd';
+import { useQuery } from 'react-query';
+import api from '../services/api';
+
+interface AuditLogDetailDrawerProps {
+  logId: string | null;
+  onClose: () => void;
+}
+
+const operationText: Record<string, string> = {
+  'Create': '创建',
+  'Read': '查看',
+  'Update': '更新',
+  'Delete': '删除',
+  'Execute': '执行',
+  'Login': '登录',
+  'Logout': '登出',
+};
+
+const operationColor: Record<string, string> = {
+  'Create': 'green',
+  'Update': 'orange',
+  'Delete': 'red',
+};
+
+const formatValue = (value: any) => {
+  if (value === null || value === undefined) {
+    return <Typography.Text type="secondary">-</Typography.Text>;
+  }
+  if (typeof value === 'object') {
+    return (
+      <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', margin: 0, fontSize: 12 }}>
+        {JSON.stringify(value, null, 2)}
+      </pre>
+    );
+  }
+  return String(value);
+};
+
+/**
+ * 修改前后值的字段级对比，仅列出发生变化的字段
+ */
+const ChangeTable: React.FC<{ oldValues: any; newValues: any }> = ({ oldValues, newValues }) => {
+  const before = oldValues || {};
+  const after = newValues || {};
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+  if (fields.length === 0) {
+    return <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="无字段变化" />;
+  }
+
+  return (
+    <Table
+      size="small"
+      pagination={false}
+      rowKey="field"
+      dataSource={fields.map(field => ({ field, before: before[field], after: after[field] }))}
+      columns={[
+        { title: '字段', dataIndex: 'field', key: 'field', width: 180 },
+        {
+          title: '修改前',
+          dataIndex: 'before',
+          key: 'before',
+          render: (value: any) => <span style={{ color: value === undefined ? undefined : '#cf1322' }}>{formatValue(value)}</span>,
+        },
+        {
+          title: '修改后',
+          dataIndex: 'after',
+          key: 'after',
+          render: (value: any) => <span style={{ color: value === undefined ? undefined : '#389e0d' }}>{formatValue(value)}</span>,
+        },
+      ]}
+    />
+  );
+};
+
+const AuditLogDetailDrawer: React.FC<AuditLogDetailDrawerProps> = ({ logId, onClose }) => {
+  const { data, isLoading } = useQuery(
+    ['audit-log', logId],
+    async () => {
+      const response = await api.get(`/audit/logs/${logId}`);
+      return response.data;
+    },
+    { enabled: Boolean(logId) }
+  );
+
+  const log = data?.log;
+  const relatedChanges: any[] = data?.relatedChanges || [];
+  const hasValues = log && (log.old_values || log.new_values);
+
+  return (
+    <Drawer title="审计日志详情" width={820} open={Boolean(logId)} onClose={onClose}>
+      {isLoading && <Spin />}
+      {log && (
+        <Space direction="vertical" style={{ width: '100%' }} size="large">
+          <Descriptions column={2} size="small" bordered>
+            <Descriptions.Item label="时间">{new Date(log.created_at).toLocaleString()}</Descriptions.Item>
+            <Descriptions.Item label="用户">{log.username || '-'}</Descriptions.Item>
+            <Descriptions.Item label="操作">{log.action}</Descriptions.Item>
+            <Descriptions.Item label="操作类型">{operationText[log.operation_type] || log.operation_type}</Descriptions.Item>
+            <Descriptions.Item label="资源">{log.resource_type} {log.resource_name || log.resource_id || ''}</Descriptions.Item>
+            <Descriptions.Item label="状态">{log.status}</Descriptions.Item>
+            <Descriptions.Item label="请求" span={2}>
+              {log.request_method ? `${log.request_method} ${log.request_path}` : '-'}
+            </Descriptions.Item>
+            <Descriptions.Item label="追踪ID" span={2}>
+              {log.trace_id ? <Typography.Text copyable>{log.trace_id}</Typography.Text> : '-'}
+            </Descriptions.Item>
+            <Descriptions.Item label="描述" span={2}>{log.description || '-'}</Descriptions.Item>
+            <Descriptions.Item label="哈希链" span={2}>
+              {log.sequence ? `序号 ${log.sequence}，哈希 ${log.hash}` : '未接入'}
+            </Descriptions.Item>
+          </Descriptions>
+
+          {hasValues && (
+            <div>
+              <h4>字段变化</h4>
+              <ChangeTable oldValues={log.old_values} newValues={log.new_values} />
+            </div>
+          )}
+
+          {relatedChanges.length > 0 && (
+            <div>
+              <h4>本次请求引起的数据变更</h4>
+              <Space direction="vertical" style={{ width: '100%' }}>
+                {relatedChanges.map((change: any) => (
+                  <div key={change.id}>
+                    <Space style={{ marginBottom: 8 }}>
+                      <Tag color={operationColor[change.operation_type]}>{operationText[change.operation_type] || change.operation_type}</Tag>
+                      <span>{change.description}</span>
+                    </Space>
+                    <ChangeTable oldValues={change.old_values} newValues={change.new_values} />
+                  </div>
+                ))}
+              </Space>
+            </div>
+          )}
+
+          {!hasValues && relatedChanges.length === 0 && <Empty description="该操作未记录数据变更" />}
+        </Space>
+      )}
+    </Drawer>
+  );
+};
+
+export default AuditLogDetailDrawer;
\ No newline at end of file
@@ -0,0 +1,256 @@
+import React, { useState } from 'react';
+import { Table, Button, Space, Tag, Alert, Select, Row, Col, Statistic, Empty, message } from 'antd';
+import { ReloadOutlined } from '@ant-design/icons';
+import ReactECharts from 'echarts-for-react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../services/api';
+
+interface BackupHealthPanelProps {
+  instances: any[];
+  instanceId?: string;
+  onInstanceChange: (id: string) => void;
+}
+
+const healthConfig: Record<string, { color: string; text: string }> = {
+  'Healthy': { color: 'green', text: '健康' },
+  'Warning': { color: 'orange', text: '需关注' },
+  'Critical': { color: 'red', text: '异常' },
+};
+
+const backupTypeText: Record<string, string> = {
+  'FullBackup': '全量',
+  'IncrementalBackup': '增量',
+};
+
+const formatSize = (bytes: number | string | null) => {
+  if (bytes === null || bytes === undefined) return '-';
+  const value = Number(bytes);
+  if (value >= 1024 ** 3) return `${(value / 1024 ** 3).toFixed(2)} GB`;
+  if (value >= 1024 ** 2) return `${(value / 1024 ** 2).toFixed(2)} MB`;
+  return `${(value / 1024).toFixed(2)} KB`;
+};
+
+const formatDuration = (seconds: number | null) => {
+  if (seconds === null || seconds === undefined) return '-';
+  return seconds >= 60 ? `${Math.round(seconds / 60)} 分钟` : `${seconds} 秒`;
+};
+
+const BackupHealthPanel: React.FC<BackupHealthPanelProps> = ({ instances, instanceId, onInstanceChange }) => {
+  const queryClient = useQueryClient();
+  const [days, setDays] = useState(30);
+  const [status, setStatus] = useState<string | undefined>();
+  const [page, setPage] = useState(1);
+
+  const { data: health, error: healthError } = useQuery(
+    ['backup-health', instanceId, days],
+    async () => {
+      const response = await api.get(`/rds/instances/${instanceId}/backups/health`, { params: { days } });
+      return response.data.health;
+    },
+    { enabled: Boolean(instanceId), retry: false }
+  );
+
+  const { data: backupsData, isLoading } = useQuery(
+    ['backup-records', instanceId, status, page],
+    async () => {
+      const response = await api.get(`/rds/instances/${instanceId}/backups`, { params: { status, page, limit: 20 } });
+      return response.data;
+    },
+    { enabled: Boolean(instanceId) }
+  );
+
+  const refreshMutation = useMutation(
+    () => api.post(`/rds/instances/${instanceId}/backups/refresh`),
+    {
+      onSuccess: (response: any) => {
+        message.success(response.data.message);
+        queryClient.invalidateQueries('backup-health');
+        queryClient.invalidateQueries('backup-records');
+      },
+      onError: (error: any) => {
+        message.error(error.response?.data?.message || '刷新备份目录失败');
+      }
+    }
+  );
+
+  const columns = [
+    {
+      title: '备份ID',
+      dataIndex: 'backup_id',
+      key: 'backup_id',
+    },
+    {
+      title: '类型',
+      dataIndex: 'backup_type',
+      key: 'backup_type',
+      render: (type: string) => backupTypeText[type] || type || '-',
+    },
+    {
+      title: '方式',
+      dataIndex: 'backup_method',
+      key: 'backup_method',
+      render: (method: string) => method || '-',
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      render: (value: string) => <Tag color={value === 'Success' ? 'green' : 'red'}>{value === 'Success' ? '成功' : '失败'}</Tag>,
+    },
+    {
+      title: '大小',
+      dataIndex: 'backup_size',
+      key: 'backup_size',
+      render: (size: number) => formatSize(size),
+    },
+    {
+      title: '开始时间',
+      dataIndex: 'started_at',
+      key: 'started_at',
+      render: (date: string) => (date ? new Date(date).toLocaleString() : '-'),
+    },
+    {
+      title: '结束时间',
+      dataIndex: 'ended_at',
+      key: 'ended_at',
+      render: (date: string) => (date ? new Date(date).toLocaleString() : '-'),
+    },
+    {
+      title: '耗时',
+      dataIndex: 'duration_seconds',
+      key: 'duration_seconds',
+      render: (seconds: number) => formatDuration(seconds),
+    },
+  ];
+
+  const points = health?.durationTrend?.points || [];
+  const chartOption = {
+    tooltip: { trigger: 'axis' },
+    legend: { data: ['耗时(分钟)', '大小(MB)'] },
+    xAxis: { type: 'category', data: points.map((point: any) => new Date(point.startedAt).toLocaleDateString()) },
+    yAxis: [
+      { type: 'value', name: '分钟' },
+      { type: 'value', name: 'MB' },
+    ],
+    series: [
+      {
+        name: '耗时(分钟)',
+        type: 'line',
+        data: points.map((point: any) => Math.round(point.durationSeconds / 6) / 10),
+      },
+      {
+        name: '大小(MB)',
+        type: 'line',
+        yAxisIndex: 1,
+        data: points.map((point: any) => (point.backupSize !== null ? Math.round(point.backupSize / 1024 / 1024) : null)),
+      },
+    ],
+  };
+
+  const healthErrorMessage = (healthError as any)?.response?.data?.message;
+  const config = health ? (healthConfig[health.status] || { color: 'default', text: health.status }) : null;
+
+  return (
+    <Space direction="vertical" style={{ width: '100%' }}>
+      <Space>
+        <Select
+          showSearch
+          placeholder="选择实例"
+          style={{ width: 320 }}
+          value={instanceId}
+          onChange={(value) => {
+            setPage(1);
+            onInstanceChange(value);
+          }}
+          optionFilterProp="label"
+          options={instances.map((instance: any) => ({ value: instance.id, label: `${instance.instance_name} (${instance.instance_id})` }))}
+        />
+        <Select
+          style={{ width: 120 }}
+          value={days}
+          onChange={(value) => setDays(value)}
+          options={[7, 30, 90, 180].map(value => ({ value, label: `最近 ${value} 天` }))}
+        />
+        <Button
+          icon={<ReloadOutlined />}
+          disabled={!instanceId}
+          loading={refreshMutation.isLoading}
+          onClick={() => refreshMutation.mutate()}
+        >
+          刷新备份目录
+        </Button>
+      </Space>
+
+      {!instanceId && <Empty description="请选择实例查看备份目录与健康分析" />}
+
+      {instanceId && healthErrorMessage && <Alert type="info" message={healthErrorMessage} />}
+
+      {health && config && (
+        <>
+          {health.catalogError && <Alert type="warning" message={`最近一次刷新备份目录失败: ${health.catalogError}`} />}
+          <Row gutter={16}>
+            <Col span={4}>
+              <div>健康状态</div>
+              <Tag color={config.color} style={{ marginTop: 8 }}>{config.text}</Tag>
+            </Col>
+            <Col span={4}><Statistic title="备份总数" value={health.totals.total} /></Col>
+            <Col span={4}><Statistic title="失败备份" value={health.totals.failed} /></Col>
+            <Col span={4}><Statistic title="漏备份天数" value={health.missedBackups.length} /></Col>
+            <Col span={4}><Statistic title="大小异常" value={health.sizeAnomalies.length} /></Col>
+            <Col span={4}>
+              <Statistic
+                title="近期耗时变化"
+                value={health.durationTrend.changePercent ?? '-'}
+                suffix={health.durationTrend.changePercent !== null ? '%' : undefined}
+              />
+            </Col>
+          </Row>
+          {health.missedBackups.length > 0 && (
+            <Alert type="error" message={`以下计划备份日没有成功的全量备份: ${health.missedBackups.join('、')}`} />
+          )}
+          {health.sizeAnomalies.map((anomaly: any) => (
+            <Alert
+              key={anomaly.backupId}
+              type={anomaly.type === 'Shrink' ? 'error' : 'warning'}
+              message={`${new Date(anomaly.startedAt).toLocaleString()} 备份 ${anomaly.backupId} 大小 ${formatSize(anomaly.backupSize)}，` +
+                `较近期中位数 ${formatSize(anomaly.baselineSize)} ${anomaly.type === 'Shrink' ? '缩小' : '增长'} ${Math.abs(anomaly.changePercent)}%` +
+                (anomaly.type === 'Shrink' ? '，请确认是否有数据丢失' : '')}
+            />
+          ))}
+          {points.length > 0 && <ReactECharts option={chartOption} style={{ height: 280 }} />}
+        </>
+      )}
+
+      {instanceId && (
+        <>
+          <Select
+            allowClear
+            placeholder="备份状态"
+            style={{ width: 160 }}
+            value={status}
+            onChange={(value) => {
+              setPage(1);
+              setStatus(value);
+            }}
+            options={[{ value: 'Success', label: '成功' }, { value: 'Failed', label: '失败' }]}
+          />
+          <Table
+            columns={columns}
+            dataSource={backupsData?.backups || []}
+            rowKey="id"
+            loading={isLoading}
+            pagination={{
+              current: page,
+              pageSize: 20,
+              total: backupsData?.pagination?.total || 0,
+              onChange: (value) => setPage(value),
+              showTotal: (total) => `共 ${total} 个备份`,
+            }}
+          />
+        </>
+      )}
+    </Space>
+  );
+};
+
+export default BackupHealthPanel;
\ No newline at end of file
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Drawer, Table, Button, Space, Tag, Alert, Select, message } from 'antd';
+import { SearchOutlined } from '@ant-design/icons';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import api from '../services/api';
+
+interface DiscoveryDrawerProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const changeTypeConfig: Record<string, { color: string; text: string }> = {
+  'New': { color: 'red', text: '未登记' },
+  'Changed': { color: 'orange', text: '属性变化' },
+  'Disappeared': { color: 'default', text: '云端已不存在' },
+};
+
+const resolutionText: Record<string, string> = {
+  'Pending': '待处理',
+  'Imported': '已导入',
+  'Updated': '已更新',
+  'Archived': '已归档',
+  'Ignored': '已忽略',
+};
+
+const DiscoveryDrawer: React.FC<DiscoveryDrawerProps> = ({ open, onClose }) => {
+  const queryClient = useQueryClient();
+  const [changeType, setChangeType] = useState<string | undefined>();
+  const [selectedIds, setSelectedIds] = useState<React.Key[]>([]);
+
+  // 运行中时轮询最近一次发现
+  const { data: latestRun } = useQuery('discovery-latest', async () => {
+    const response = await api.get('/rds/discovery', { params: { page: 1, limit: 1 } });
+    return response.data.runs?.[0] || null;
+  }, {
+    enabled: open,
+    refetchInterval: (run: any) => (run?.status === 'Running' ? 3000 : false),
+  });
+
+  const { data: detail, isLoading } = useQuery(
+    ['discovery-items', latestRun?.id, latestRun?.status, changeType],
+    async () => {
+      const response = await api.get(`/rds/discovery/${latestRun.id}`, { params: { changeType } });
+      return response.data;
+    },
+    { enabled: open && Boolean(latestRun?.id) && latestRun?.status !== 'Running' }
+  );
+
+  const startMutation = useMutation(
+    () => api.post('/rds/discovery', {}),
+    {
+      onSuccess: () => {
+        message.success('实例发现已开始');
+        setSelectedIds([]);
+        queryClient.invalidateQueries('discovery-latest');
+      },
+      onError: (error: any) => {
+        message.error(error.response?.data?.message || '发起实例发现失败');
+      }
+    }
+  );
+
+  const applyMutation = useMutation(
+    (action: string) => api.post(`/rds/discovery/${latestRun.id}/apply`, { action, itemIds: selectedIds }),
+    {
+      onSuccess: (response: any) => {
+        message.success(response.data.message);
+        setSelectedIds([]);
+        queryClient.invalidateQueries('discovery-items');
+        queryClient.invalidateQueries('rds-instances');
+      },
+      onError: (error: any) => {
+        message.error(error.response?.data?.message || '处理差异失败');
+      }
+    }
+  );
+
+  const columns = [
+    {
+      title: '差异',
+      dataIndex: 'change_type',
+      key: 'change_type',
+      render: (type: string) => {
+        const config = changeTypeConfig[type] || { color: 'default', text: type };
+        return <Tag color={config.color}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: '实例',
+      key: 'instance',
+      render: (_: unknown, record: any) => (
+        <div>
+          <div>{record.cloud_attributes?.instance_name || record.rdsInstance?.instance_name || record.instance_id}</div>
+          <div style={{ color: '#999' }}>{record.instance_id}</div>
+        </div>
+      ),
+    },
+    {
+      title: '账号 / 地区',
+      key: 'scope',
+      render: (_: unknown, record: any) => `${record.credentialProfile?.profile_name || '默认账号'} / ${record.region || '-'}`,
+    },
+    {
+      title: '变化',
+      key: 'changes',
+      render: (_: unknown, record: any) => {
+        if (!record.changes?.length) return '-';
+        return record.changes.map((change: any) => (
+          <div key={change.field}>{change.field}: {String(change.from ?? '-')} → {String(change.to)}</div>
+        ));
+      },
+    },
+    {
+      title: '处理状态',
+      dataIndex: 'resolution',
+      key: 'resolution',
+      render: (resolution: string) => resolutionText[resolution] || resolution,
+    },
+  ];
+
+  const summary = latestRun?.summary;
+
+  return (
+    <Drawer title="实例发现" width={960} open={open} onClose={onClose}>
+      <Space direction="vertical" style={{ width: '100%' }}>
+        <Space>
+          <Button
+            type="primary"
+            icon={<SearchOutlined />}
+            onClick={() => startMutation.mutate()}
+            loading={startMutation.isLoading || latestRun?.status === 'Running'}
+          >
+            开始发现
+          </Button>
+          <Select
+            allowClear
+            placeholder="差异类型"
+            style={{ width: 160 }}
+            value={changeType}
+            onChange={(value) => setChangeType(value)}
+            options={Object.entries(changeTypeConfig).map(([value, config]) => ({ value, label: config.text }))}
+          />
+        </Space>
+
+        {latestRun?.status === 'Failed' && (
+          <Alert type="error" message={`实例发现失败: ${latestRun.error_message}`} />
+        )}
+        {summary && (
+          <Alert
+            type={summary.new > 0 ? 'warning' : 'info'}
+            message={`${new Date(latestRun.completed_at).toLocaleString()} 扫描云端实例 ${summary.cloudInstances} 个：` +
+              `未登记 ${summary.new}，属性变化 ${summary.changed}，云端已不存在 ${summary.disappeared}，无变化 ${summary.unchanged}` +
+              (summary.failedScopes > 0 ? `，${summary.failedScopes} 个账号/地域扫描失败` : '')}
+            description={summary.new > 0 ? '未登记的云端实例未纳入恢复验证，将作为合规覆盖缺口计入报告' : undefined}
+          />
+        )}
+
+        <Space>
+          <Button disabled={!selectedIds.length} onClick={() => applyMutation.mutate('import')}>导入</Button>
+          <Button disabled={!selectedIds.length} onClick={() => applyMutation.mutate('update')}>应用变化</Button>
+          <Button disabled={!selectedIds.length} danger onClick={() => applyMutation.mutate('archive')}>归档</Button>
+          <Button disabled={!selectedIds.length} onClick={() => applyMutation.mutate('ignore')}>忽略</Button>
+        </Space>
+
+        <Table
+          columns={columns}
+          dataSource={detail?.items || []}
+          rowKey="id"
+          loading={isLoading || applyMutation.isLoading}
+          rowSelection={{
+            selectedRowKeys: selectedIds,
+            onChange: (keys) => setSelectedIds(keys),
+            getCheckboxProps: (record: any) => ({ disabled: record.resolution !== 'Pending' }),
+          }}
+          pagination={{ pageSize: 20 }}
+        />
+      </Space>
+    </Drawer>
+  );
+};
+
+export default DiscoveryDrawer;
\ No newline at end of file
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import { Drawer, Timeline, Tag, Select, Space, Empty, Spin, Typography } from 'antd';
+import { useQuery, useQueryClient } from 'react-query';
+import api from '../services/api';
+import { subscribeTaskEvents } from '../services/taskEvents';
+
+interface TaskDetailDrawerProps {
+  task: any | null;
+  onClose: () => void;
+}
+
+const phaseText: Record<string, string> = {
+  'Pending': '待执行',
+  'SnapshotSource': '采集源快照',
+  'CloneRequested': '请求克隆',
+  'InstanceReady': '实例就绪',
+  'Verifying': '数据验证',
+  'Teardown': '释放克隆实例',
+  'Completed': '已结束',
+};
+
+const levelColor: Record<string, string> = {
+  'Info': 'blue',
+  'Warn': 'orange',
+  'Error': 'red',
+};
+
+const slaStatusText: Record<string, string> = {
+  'Met': '达标',
+  'Breached': '未达标',
+  'NoTarget': '未设目标',
+  'Unmeasured': '无法度量',
+};
+
+const TaskDetailDrawer: React.FC<TaskDetailDrawerProps> = ({ task, onClose }) => {
+  const queryClient = useQueryClient();
+  const [attempt, setAttempt] = useState<number | undefined>();
+  const taskId = task?.id;
+  const active = ['Queued', 'Running'].includes(task?.status);
+
+  useEffect(() => {
+    setAttempt(undefined);
+  }, [taskId]);
+
+  const { data: logs, isLoading } = useQuery(
+    ['task-logs', taskId, attempt],
+    async () => {
+      const response = await api.get(`/recovery/tasks/${taskId}/logs`, { params: { attempt } });
+      return response.data.logs;
+    },
+    { enabled: Boolean(taskId) }
+  );
+
+  // 执行中的任务随任务事件刷新日志
+  useEffect(() => {
+    if (!taskId || !active) return undefined;
+    return subscribeTaskEvents(() => queryClient.invalidateQueries(['task-logs', taskId]), taskId);
+  }, [taskId, active, queryClient]);
+
+  const attempts = Array.from({ length: task?.attempt_count || 0 }, (_, index) => index + 1);
+
+  return (
+    <Drawer title={task ? `任务详情 - ${task.task_name}` : '任务详情'} width={760} open={Boolean(task)} onClose={onClose}>
+      {task && (
+        <Space direction="vertical" style={{ width: '100%' }}>
+          <div>
+            <p>任务ID: {task.id}</p>
+            {task.target_region && (
+              <p>跨地域恢复: {task.rdsInstance?.region || '-'} → {task.target_region}</p>
+            )}
+            {task.consistency_point && (
+              <p>一致性时间点: {new Date(task.consistency_point).toLocaleString()}</p>
+            )}
+            {task.achieved_rto_seconds !== null && task.achieved_rto_seconds !== undefined && (
+              <p>实际RTO: {task.achieved_rto_seconds}秒，实际RPO: {task.achieved_rpo_seconds ?? '-'}秒</p>
+            )}
+            {task.sla_status && (
+              <p>RTO/RPO目标: {slaStatusText[task.sla_status] || task.sla_status}</p>
+            )}
+            {task.recovery_window?.corrected && (
+              <p>请求时间点 {new Date(task.recovery_window.requestedTime).toLocaleString()} 超出可恢复窗口，已校正</p>
+            )}
+          </div>
+
+          <Space>
+            <h4 style={{ margin: 0 }}>执行日志</h4>
+            {attempts.length > 1 && (
+              <Select
+                allowClear
+                placeholder="全部尝试"
+                style={{ width: 140 }}
+                value={attempt}
+                onChange={(value) => setAttempt(value)}
+                options={attempts.map(value => ({ value, label: `第 ${value} 次尝试` }))}
+              />
+            )}
+          </Space>
+
+          {isLoading && <Spin />}
+          {!isLoading && !logs?.length && <Empty description="暂无执行日志" />}
+          {logs?.length > 0 && (
+            <Timeline
+              mode="left"
+              items={logs.map((log: any) => ({
+                key: log.id,
+                color: log.event === 'PhaseCompleted' || log.event === 'TaskSucceeded' ? 'green' : levelColor[log.level],
+                label: new Date(log.logged_at).toLocaleString(),
+                children: (
+                  <div>
+                    <div>{log.message}</div>
+                    <Space size={4} wrap style={{ marginTop: 4 }}>
+                      {log.phase && <Tag>{phaseText[log.phase] || log.phase}</Tag>}
+                      {log.attempt_number && <Tag>第 {log.attempt_number} 次尝试</Tag>}
+                      <Tag color={levelColor[log.level]}>{log.event}</Tag>
+                    </Space>
+                    {log.request_id && (
+                      <div style={{ color: '#999', fontSize: 12 }}>
+                        请求ID: <Typography.Text copyable style={{ fontSize: 12 }}>{log.request_id}</Typography.Text>
+                      </div>
+                    )}
+                    {log.details && (
+                      <details style={{ fontSize: 12 }}>
+                        <summary style={{ cursor: 'pointer', color: '#999' }}>详情</summary>
+                        <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all', margin: 0 }}>
+                          {JSON.stringify(log.details, null, 2)}
+                        </pre>
+                      </details>
+                    )}
+                  </div>
+                ),
+              }))}
+            />
+          )}
+        </Space>
+      )}
+    </Drawer>
+  );
+};
+
+export default TaskDetailDrawer;
\ No newline at end of file
@@ -1,157 +1,300 @@
-import React from 'react';
-import { Card, Table, Tag, DatePicker, Button, Space, Input } from 'antd';
-import { SearchOutlined, ExportOutlined, ReloadOutlined } from '@ant-design/icons';
-import { useQuery } from 'react-query';
-import api from '../services/api';
-
-const { RangePicker } = DatePicker;
-
-const AuditLogs: React.FC = () => {
-  const { data: logsData, isLoading } = useQuery('audit-logs', async () => {
-    const response = await api.get('/audit/logs');
-    return response.data;
-  });
-
-  const columns = [
-    {
-      title: '时间',
-      dataIndex: 'created_at',
-      key: 'created_at',
-      width: 160,
-      render: (date: string) => new Date(date).toLocaleString(),
-    },
-    {
-      title: '用户',
-      dataIndex: 'username',
-      key: 'username',
-      width: 120,
-    },
-    {
-      title: '操作',
-      dataIndex: 'action',
-      key: 'action',
-      width: 200,
-    },
-    {
-      title: '资源类型',
-      dataIndex: 'resource_type',
-      key: 'resource_type',
-      width: 120,
-      render: (type: string) => {
-        const typeConfig = {
-          'User': { color: 'blue', text: '用户' },
-          'RDSInstance': { color: 'green', text: 'RDS实例' },
-          'RecoveryTask': { color: 'orange', text: '恢复任务' },
-          'Report': { color: 'purple', text: '报告' },
-          'System': { color: 'default', text: '系统' },
-        };
-        const config = typeConfig[type] || { color: 'default', text: type };
-        return <Tag color={config.color}>{config.text}</Tag>;
-      },
-    },
-    {
-      title: '操作类型',
-      dataIndex: 'operation_type',
-      key: 'operation_type',
-      width: 100,
-      render: (type: string) => {
-        const typeConfig = {
-          'Create': { color: 'green', text: '创建' },
-          'Read': { color: 'blue', text: '查看' },
-          'Update': { color: 'orange', text: '更新' },
-          'Delete': { color: 'red', text: '删除' },
-          'Execute': { color: 'purple', text: '执行' },
-          'Login': { color: 'cyan', text: '登录' },
-          'Logout': { color: 'default', text: '登出' },
-        };
-        const config = typeConfig[type] || { color: 'default', text: type };
-        return <Tag color={config.color}>{config.text}</Tag>;
-      },
-    },
-    {
-      title: '状态',
-      dataIndex: 'status',
-      key: 'status',
-      width: 80,
-      render: (status: string) => {
-        const statusConfig = {
-          'Success': { color: 'green', text: '成功' },
-          'Failed': { color: 'red', text: '失败' },
-          'Warning': { color: 'orange', text: '警告' },
-        };
-        const config = statusConfig[status] || { color: 'default', text: status };
-        return <Tag color={config.color}>{config.text}</Tag>;
-      },
-    },
-    {
-      title: '风险级别',
-      dataIndex: 'risk_level',
-      key: 'risk_level',
-      width: 100,
-      render: (level: string) => {
-        const levelConfig = {
-          'Critical': { color: 'red', text: '严重' },
-          'High': { color: 'orange', text: '高' },
-          'Medium': { color: 'yellow', text: '中' },
-          'Low': { color: 'green', text: '低' },
-        };
-        const config = levelConfig[level] || { color: 'default', text: level };
-        return <Tag color={config.color}>{config.text}</Tag>;
-      },
-    },
-    {
-      title: 'IP地址',
-      dataIndex: 'ip_address',
-      key: 'ip_address',
-      width: 120,
-    },
-    {
-      title: '描述',
-      dataIndex: 'description',
-      key: 'description',
-      ellipsis: true,
-    },
-  ];
-
-  return (
-    <div>
-      <Card 
-        title="审计日志"
-        extra={
-          <Space>
-            <Input.Search
-              placeholder="搜索操作或用户"
-              style={{ width: 200 }}
-              onSearch={() => {}}
-            />
-            <RangePicker />
-            <Button icon={<ExportOutlined />}>
-              导出
-            </Button>
-            <Button icon={<ReloadOutlined />}>
-              刷新
-            </Button>
-          </Space>
-        }
-      >
-        <Table
-          columns={columns}
-          dataSource={logsData?.logs || []}
-          rowKey="id"
-          loading={isLoading}
-          size="small"
-          scroll={{ x: 1200 }}
-          pagination={{
-            total: logsData?.pagination?.total || 0,
-            pageSize: 20,
-            showSizeChanger: true,
-            showQuickJumper: true,
-            showTotal: (total) => `共 ${total} 条记录`,
-          }}
-        />
-      </Card>
-    </div>
-  );
-};
-
+import React, { useState } from 'react';
+import { Card, Table, Tag, DatePicker, Button, Space, Input, Alert, Dropdown, message } from 'antd';
+import { SearchOutlined, ExportOutlined, ReloadOutlined, SafetyCertificateOutlined, CloudDownloadOutlined, InboxOutlined } from '@ant-design/icons';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import dayjs, { Dayjs } from 'dayjs';
+import api, { saveBlob } from '../services/api';
+import AuditLogDetailDrawer from '../components/AuditLogDetailDrawer';
+import AuditExportsDrawer from '../components/AuditExportsDrawer';
+import AuditArchivesDrawer from '../components/AuditArchivesDrawer';
+
+const { RangePicker } = DatePicker;
+
+const breakTypeText: Record<string, string> = {
+  'MissingRecords': '记录缺失',
+  'BrokenLink': '链接断开',
+  'HashMismatch': '内容被修改',
+  'Deleted': '记录被删除',
+};
+
+const checkpointStatusText: Record<string, string> = {
+  'Valid': '有效',
+  'InvalidSignature': '签名无效',
+  'UntrustedKey': '签名公钥不受信任',
+  'Unverified': '未配置受信任公钥，无法确认签名',
+  'RecordMissing': '对应记录缺失',
+  'HashMismatch': '对应记录哈希不一致',
+  'Superseded': '已被脱敏迁移取代',
+  'Archived': '对应记录已归档',
+};
+
+const exportFormats = [
+  { key: 'excel', label: 'Excel（按资源类型分表）' },
+  { key: 'csv', label: 'CSV' },
+  { key: 'pdf', label: 'PDF 证据（含内容哈希与签名）' },
+  { key: 'json', label: 'JSON 校验证据' },
+];
+
+const AuditLogs: React.FC = () => {
+  const [range, setRange] = useState<[Dayjs, Dayjs] | null>(null);
+  const [detailLogId, setDetailLogId] = useState<string | null>(null);
+  const [exportsOpen, setExportsOpen] = useState(false);
+  const [archivesOpen, setArchivesOpen] = useState(false);
+  const queryClient = useQueryClient();
+
+  const { data: logsData, isLoading } = useQuery('audit-logs', async () => {
+    const response = await api.get('/audit/logs');
+    return response.data;
+  });
+
+  // 未选择时间范围时校验最近7天
+  const verifyMutation = useMutation(
+    async () => {
+      const [start, end] = range || [dayjs().subtract(6, 'day'), dayjs()];
+      const response = await api.get('/audit/verify', {
+        params: { startDate: start.startOf('day').toISOString(), endDate: end.endOf('day').toISOString() },
+      });
+      return response.data.verification;
+    },
+    {
+      onError: (error: any) => {
+        message.error(error.response?.data?.message || '校验审计日志哈希链失败');
+      }
+    }
+  );
+  // 记录较多时服务端转为后台导出，返回 202
+  const exportMutation = useMutation(
+    async (format: string) => {
+      const [start, end] = range || [dayjs().subtract(6, 'day'), dayjs()];
+      const response = await api.get('/audit/export', {
+        params: { startDate: start.format('YYYY-MM-DD'), endDate: end.format('YYYY-MM-DD'), format },
+        responseType: 'blob',
+        timeout: 0,
+      });
+
+      if (response.status === 202) {
+        const result = JSON.parse(await response.data.text());
+        message.info(result.message);
+        queryClient.invalidateQueries('audit-exports');
+        setExportsOpen(true);
+        return;
+      }
+
+      const fileName = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '')?.[1] || `audit_logs.${format}`;
+      saveBlob(response.data, fileName);
+    },
+    {
+      onError: () => {
+        message.error('导出审计日志失败');
+      }
+    }
+  );
+
+  const verification = verifyMutation.data;
+  const invalidCheckpoints = (verification?.checkpoints || []).filter((checkpoint: any) => !['Valid', 'Superseded', 'Archived'].includes(checkpoint.status));
+
+  const columns = [
+    {
+      title: '时间',
+      dataIndex: 'created_at',
+      key: 'created_at',
+      width: 160,
+      render: (date: string) => new Date(date).toLocaleString(),
+    },
+    {
+      title: '用户',
+      dataIndex: 'username',
+      key: 'username',
+      width: 120,
+    },
+    {
+      title: '操作',
+      dataIndex: 'action',
+      key: 'action',
+      width: 200,
+    },
+    {
+      title: '资源类型',
+      dataIndex: 'resource_type',
+      key: 'resource_type',
+      width: 120,
+      render: (type: string) => {
+        const typeConfig = {
+          'User': { color: 'blue', text: '用户' },
+          'RDSInstance': { color: 'green', text: 'RDS实例' },
+          'RecoveryTask': { color: 'orange', text: '恢复任务' },
+          'RecoverySchedule': { color: 'gold', text: '恢复调度' },
+          'CredentialProfile': { color: 'magenta', text: '云账号凭据' },
+          'BackupPolicy': { color: 'lime', text: '备份策略' },
+          'Report': { color: 'purple', text: '报告' },
+          'AuditLog': { color: 'geekblue', text: '审计日志' },
+          'System': { color: 'default', text: '系统' },
+        };
+        const config = typeConfig[type] || { color: 'default', text: type };
+        return <Tag color={config.color}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: '操作类型',
+      dataIndex: 'operation_type',
+      key: 'operation_type',
+      width: 100,
+      render: (type: string) => {
+        const typeConfig = {
+          'Create': { color: 'green', text: '创建' },
+          'Read': { color: 'blue', text: '查看' },
+          'Update': { color: 'orange', text: '更新' },
+          'Delete': { color: 'red', text: '删除' },
+          'Execute': { color: 'purple', text: '执行' },
+          'Login': { color: 'cyan', text: '登录' },
+          'Logout': { color: 'default', text: '登出' },
+        };
+        const config = typeConfig[type] || { color: 'default', text: type };
+        return <Tag color={config.color}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: '状态',
+      dataIndex: 'status',
+      key: 'status',
+      width: 80,
+      render: (status: string) => {
+        const statusConfig = {
+          'Success': { color: 'green', text: '成功' },
+          'Failed': { color: 'red', text: '失败' },
+          'Warning': { color: 'orange', text: '警告' },
+        };
+        const config = statusConfig[status] || { color: 'default', text: status };
+        return <Tag color={config.color}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: '风险级别',
+      dataIndex: 'risk_level',
+      key: 'risk_level',
+      width: 100,
+      render: (level: string) => {
+        const levelConfig = {
+          'Critical': { color: 'red', text: '严重' },
+          'High': { color: 'orange', text: '高' },
+          'Medium': { color: 'yellow', text: '中' },
+          'Low': { color: 'green', text: '低' },
+        };
+        const config = levelConfig[level] || { color: 'default', text: level };
+        return <Tag color={config.color}>{config.text}</Tag>;
+      },
+    },
+    {
+      title: 'IP地址',
+      dataIndex: 'ip_address',
+      key: 'ip_address',
+      width: 120,
+    },
+    {
+      title: '描述',
+      dataIndex: 'description',
+      key: 'description',
+      ellipsis: true,
+    },
+    {
+      title: '操作',
+      key: 'detail',
+      width: 80,
+      render: (_: unknown, record: any) => (
+        <Button type="link" size="small" onClick={() => setDetailLogId(record.id)}>
+          详情
+        </Button>
+      ),
+    },
+  ];
+
+  return (
+    <div>
+      <Card 
+        title="审计日志"
+        extra={
+          <Space>
+            <Input.Search
+              placeholder="搜索操作或用户"
+              style={{ width: 200 }}
+              onSearch={() => {}}
+            />
+            <RangePicker value={range} onChange={(values) => setRange(values as [Dayjs, Dayjs] | null)} />
+            <Button
+              icon={<SafetyCertificateOutlined />}
+              loading={verifyMutation.isLoading}
+              onClick={() => verifyMutation.mutate()}
+            >
+              校验哈希链
+            </Button>
+            <Dropdown menu={{ items: exportFormats, onClick: ({ key }) => exportMutation.mutate(key) }}>
+              <Button icon={<ExportOutlined />} loading={exportMutation.isLoading}>
+                导出
+              </Button>
+            </Dropdown>
+            <Button icon={<CloudDownloadOutlined />} onClick={() => setExportsOpen(true)}>
+              导出任务
+            </Button>
+            <Button icon={<InboxOutlined />} onClick={() => setArchivesOpen(true)}>
+              归档
+            </Button>
+            <Button icon={<ReloadOutlined />}>
+              刷新
+            </Button>
+          </Space>
+        }
+      >
+        {verification && (
+          <Alert
+            style={{ marginBottom: 16 }}
+            type={verification.valid ? 'success' : 'error'}
+            closable
+            message={verification.valid
+              ? `哈希链完整：已校验 ${verification.checked} 条记录（序号 ${verification.firstSequence ?? '-'} - ${verification.lastSequence ?? '-'}），${verification.checkpoints.length} 个检查点有效` +
+                (verification.archives?.length ? `；范围内另有 ${verification.archives.length} 个月度归档，请在归档中校验` : '')
+              : `哈希链校验未通过：发现 ${verification.breakCount} 处断点` +
+                (verification.firstBreak ? `，首个断点位于序号 ${verification.firstBreak.sequence}` : '')}
+            description={!verification.valid && (
+              <div>
+                {verification.breaks.map((item: any) => (
+                  <div key={`${item.type}-${item.sequence}`}>
+                    <Tag color="red">{breakTypeText[item.type] || item.type}</Tag>
+                    {item.createdAt ? `${new Date(item.createdAt).toLocaleString()} ` : ''}{item.message}
+                  </div>
+                ))}
+                {invalidCheckpoints.map((checkpoint: any) => (
+                  <div key={checkpoint.id}>
+                    <Tag color="orange">检查点</Tag>
+                    序号 {checkpoint.sequence}（{new Date(checkpoint.createdAt).toLocaleString()}）: {checkpointStatusText[checkpoint.status] || checkpoint.status}
+                  </div>
+                ))}
+                {verification.unchained > 0 && <div>{verification.unchained} 条记录未接入哈希链</div>}
+              </div>
+            )}
+          />
+        )}
+        <Table
+          columns={columns}
+          dataSource={logsData?.logs || []}
+          rowKey="id"
+          loading={isLoading}
+          size="small"
+          scroll={{ x: 1200 }}
+          pagination={{
+            total: logsData?.pagination?.total || 0,
+            pageSize: 20,
+            showSizeChanger: true,
+            showQuickJumper: true,
+            showTotal: (total) => `共 ${total} 条记录`,
+          }}
+        />
+      </Card>
+
+      <AuditLogDetailDrawer logId={detailLogId} onClose={() => setDetailLogId(null)} />
+      <AuditExportsDrawer open={exportsOpen} onClose={() => setExportsOpen(false)} />
+      <AuditArchivesDrawer open={archivesOpen} onClose={() => setArchivesOpen(false)} />
+    </div>
+  );
+};
+
 export default AuditLogs;
\ No newline at end of file
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Row, Col, Card, Statistic, Progress, Table, Tag } from 'antd';
+import { Row, Col, Card, Statistic, Progress, Table, Tag, Tooltip } from 'antd';
 import {
   DatabaseOutlined,
   CheckCircleOutlined,
@@ -8,6 +8,7 @@ import {
 } from '@ant-design/icons';
 import { useQuery } from 'react-query';
 import api from '../services/api';
+import { useTaskEvents } from '../services/taskEvents';
 
 const Dashboard: React.FC = () => {
   // 获取统计数据
@@ -33,6 +34,9 @@ const Dashboard: React.FC = () => {
     return response.data.pagination;
   });
 
+  // 最新任务与统计随任务事件实时更新
+  useTaskEvents();
+
   const taskColumns = [
     {
       title: '任务名称',
@@ -48,12 +52,26 @@ const Dashboard: React.FC = () => {
           'Success': { color: 'green', text: '成功' },
           'Failed': { color: 'red', text: '失败' },
           'Running': { color: 'blue', text: '运行中' },
+          'Queued': { color: 'cyan', text: '排队中' },
           'Pending': { color: 'orange', text: '待执行' },
         };
         const config = statusConfig[status] || { color: 'default', text: status };
         return <Tag color={config.color}>{config.text}</Tag>;
       },
     },
+    {
+      title: '进度',
+      dataIndex: 'progress',
+      key: 'progress',
+      render: (progress: number, record: any) => {
+        if (record.status !== 'Running') return '-';
+        return (
+          <Tooltip title={record.progress_message}>
+            <Progress percent={progress} size="small" style={{ width: 160 }} />
+          </Tooltip>
+        );
+      },
+    },
     {
       title: '创建时间',
       dataIndex: 'created_at',
@@ -1,11 +1,16 @@
-import React from 'react';
-import { Card, Table, Button, Space, Tag, Modal, message } from 'antd';
-import { PlusOutlined, ReloadOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import React, { useState } from 'react';
+import { Card, Table, Button, Space, Tag, Modal, Tooltip, Tabs, message } from 'antd';
+import { PlusOutlined, ReloadOutlined, EditOutlined, DeleteOutlined, FieldTimeOutlined, SearchOutlined, HistoryOutlined, SyncOutlined, DatabaseOutlined } from '@ant-design/icons';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../services/api';
+import DiscoveryDrawer from '../components/DiscoveryDrawer';
+import BackupHealthPanel from '../components/BackupHealthPanel';
 
 const RDSInstances: React.FC = () => {
   const queryClient = useQueryClient();
+  const [discoveryOpen, setDiscoveryOpen] = useState(false);
+  const [activeTab, setActiveTab] = useState('instances');
+  const [backupInstanceId, setBackupInstanceId] = useState<string | undefined>();
 
   const { data: instancesData, isLoading } = useQuery('rds-instances', async () => {
     const response = await api.get('/rds/instances');
@@ -25,6 +30,100 @@ const RDSInstances: React.FC = () => {
     }
   );
 
+  const syncAllMutation = useMutation(
+    () => api.post('/rds/sync'),
+    {
+      onSuccess: () => {
+        message.success('已开始同步全部受监控实例');
+      },
+      onError: (error: any) => {
+        message.error(error.response?.data?.message || '发起同步失败');
+      }
+    }
+  );
+
+  const fieldLabels: Record<string, string> = {
+    'status': '状态',
+    'instance_class': '实例规格',
+    'storage_size': '存储大小(GB)',
+    'backup_retention_period': '备份保留天数',
+    'backup_time': '备份时间窗口',
+    'is_monitored': '是否监控',
+    'archived_at': '归档时间',
+  };
+
+  const sourceText: Record<string, string> = {
+    'Sync': '定时同步',
+    'Manual': '手动',
+    'Discovery': '实例发现',
+  };
+
+  const showHistory = async (record: any) => {
+    try {
+      const response = await api.get(`/rds/instances/${record.id}/history`, { params: { limit: 100 } });
+      Modal.info({
+        title: `${record.instance_name} 变更历史`,
+        width: 800,
+        content: (
+          <Table
+            size="small"
+            rowKey="id"
+            dataSource={response.data.changes}
+            pagination={false}
+            columns={[
+              {
+                title: '时间',
+                dataIndex: 'created_at',
+                key: 'created_at',
+                render: (date: string) => new Date(date).toLocaleString(),
+              },
+              {
+                title: '字段',
+                dataIndex: 'field',
+                key: 'field',
+                render: (field: string) => fieldLabels[field] || field,
+              },
+              {
+                title: '变更',
+                key: 'values',
+                render: (_: unknown, change: any) => {
+                  const shortened = change.field === 'backup_retention_period' && Number(change.new_value) < Number(change.old_value);
+                  return (
+                    <span style={shortened ? { color: '#cf1322' } : undefined}>
+                      {change.old_value ?? '-'} → {change.new_value ?? '-'}
+                    </span>
+                  );
+                },
+              },
+              {
+                title: '来源',
+                key: 'source',
+                render: (_: unknown, change: any) => `${sourceText[change.source] || change.source}${change.changer ? ` (${change.changer.real_name || change.changer.username})` : ''}`,
+              },
+            ]}
+          />
+        ),
+      });
+    } catch (error) {
+      message.error('获取变更历史失败');
+    }
+  };
+
+  const showRecoveryWindow = async (record: any) => {
+    try {
+      const response = await api.get(`/rds/instances/${record.id}/recovery-window`);
+      const { window } = response.data;
+      Modal.info({
+        title: `${record.instance_name} 可恢复时间窗口`,
+        content: window
+          ? `${new Date(window.start).toLocaleString()} ~ ${new Date(window.end).toLocaleString()}`
+          : '暂无可用的全量备份，无法进行时间点恢复',
+      });
+    } catch (error) {
+      message.error('获取可恢复时间窗口失败');
+    }
+  };
+
   const columns = [
     {
       title: '实例名称',
@@ -41,18 +140,36 @@ const RDSInstances: React.FC = () => {
       dataIndex: 'engine',
       key: 'engine',
     },
+    {
+      title: '服务提供方',
+      dataIndex: 'provider',
+      key: 'provider',
+      render: (provider: string) => {
+        const providerText: Record<string, string> = {
+          'aliyun': '阿里云RDS',
+          'selfManaged': '自建数据库',
+          'simulator': '本地模拟',
+        };
+        return providerText[provider] || provider || '阿里云RDS';
+      },
+    },
     {
       title: '状态',
       dataIndex: 'status',
       key: 'status',
-      render: (status: string) => {
+      render: (status: string, record: any) => {
         const statusConfig = {
           'Running': { color: 'green', text: '运行中' },
           'Stopped': { color: 'red', text: '已停止' },
           'Creating': { color: 'blue', text: '创建中' },
         };
         const config = statusConfig[status] || { color: 'default', text: status };
-        return <Tag color={config.color}>{config.text}</Tag>;
+        return (
+          <Space size={4}>
+            <Tag color={config.color}>{config.text}</Tag>
+            {record.last_sync_error && <Tag color="orange" title={record.last_sync_error}>同步失败</Tag>}
+          </Space>
+        );
       },
     },
     {
@@ -60,6 +177,51 @@ const RDSInstances: React.FC = () => {
       dataIndex: 'region',
       key: 'region',
     },
+    {
+      title: '云账号',
+      key: 'credential_profile',
+      render: (_: unknown, record: any) => {
+        if (record.provider && record.provider !== 'aliyun') return '-';
+        return record.credentialProfile?.profile_name || '默认账号';
+      },
+    },
+    {
+      title: 'RTO/RPO目标',
+      key: 'sla_targets',
+      render: (_: unknown, record: any) => {
+        if (!record.target_rto_minutes && !record.target_rpo_minutes) return '-';
+        return `${record.target_rto_minutes ?? '-'} / ${record.target_rpo_minutes ?? '-'} 分钟`;
+      },
+    },
+    {
+      title: '备份合规',
+      dataIndex: 'backup_compliance_status',
+      key: 'backup_compliance_status',
+      render: (status: string, record: any) => {
+        const complianceConfig: Record<string, { color: string; text: string }> = {
+          'Compliant': { color: 'green', text: '合规' },
+          'NonCompliant': { color: 'red', text: '不合规' },
+          'Unverified': { color: 'orange', text: '无法确认' },
+          'NoPolicy': { color: 'default', text: '未配置策略' },
+        };
+        if (!status) return '-';
+        const config = complianceConfig[status] || { color: 'default', text: status };
+        const details = record.backup_compliance_violations;
+        const items = [...(details?.violations || []), ...(details?.unverified || [])];
+        return (
+          <Tooltip
+            title={(
+              <div>
+                <div>策略: {details?.policyName || '-'}</div>
+                {items.map((item: any) => <div key={item.rule}>{item.message}</div>)}
+              </div>
+            )}
+          >
+            <Tag color={config.color}>{config.text}</Tag>
+          </Tooltip>
+        );
+      },
+    },
     {
       title: '创建时间',
       dataIndex: 'created_at',
@@ -79,6 +241,30 @@ const RDSInstances: React.FC = () => {
           >
             同步
           </Button>
+          <Button 
+            type="link" 
+            icon={<FieldTimeOutlined />}
+            onClick={() => showRecoveryWindow(record)}
+          >
+            恢复窗口
+          </Button>
+          <Button 
+            type="link" 
+            icon={<HistoryOutlined />}
+            onClick={() => showHistory(record)}
+          >
+            变更历史
+          </Button>
+          <Button 
+            type="link" 
+            icon={<DatabaseOutlined />}
+            onClick={() => {
+              setBackupInstanceId(record.id);
+              setActiveTab('backups');
+            }}
+          >
+            备份
+          </Button>
           <Button type="link" icon={<EditOutlined />}>
             编辑
           </Button>
@@ -103,6 +289,19 @@ const RDSInstances: React.FC = () => {
             >
               添加实例
             </Button>
+            <Button 
+              icon={<SearchOutlined />}
+              onClick={() => setDiscoveryOpen(true)}
+            >
+              实例发现
+            </Button>
+            <Button 
+              icon={<SyncOutlined />}
+              onClick={() => syncAllMutation.mutate()}
+              loading={syncAllMutation.isLoading}
+            >
+              同步全部
+            </Button>
             <Button 
               icon={<ReloadOutlined />}
               onClick={() => queryClient.invalidateQueries('rds-instances')}
@@ -112,20 +311,44 @@ const RDSInstances: React.FC = () => {
           </Space>
         }
       >
-        <Table
-          columns={columns}
-          dataSource={instancesData?.instances || []}
-          rowKey="id"
-          loading={isLoading}
-          pagination={{
-            total: instancesData?.pagination?.total || 0,
-            pageSize: 20,
-            showSizeChanger: true,
-            showQuickJumper: true,
-            showTotal: (total) => `共 ${total} 条记录`,
-          }}
+        <Tabs
+          activeKey={activeTab}
+          onChange={(key) => setActiveTab(key)}
+          items={[
+            {
+              key: 'instances',
+              label: '实例列表',
+              children: (
+                <Table
+                  columns={columns}
+                  dataSource={instancesData?.instances || []}
+                  rowKey="id"
+                  loading={isLoading}
+                  pagination={{
+                    total: instancesData?.pagination?.total || 0,
+                    pageSize: 20,
+                    showSizeChanger: true,
+                    showQuickJumper: true,
+                    showTotal: (total) => `共 ${total} 条记录`,
+                  }}
+                />
+              ),
+            },
+            {
+              key: 'backups',
+              label: '备份目录与健康',
+              children: (
+                <BackupHealthPanel
+                  instances={instancesData?.instances || []}
+                  instanceId={backupInstanceId}
+                  onInstanceChange={(id) => setBackupInstanceId(id)}
+                />
+              ),
+            },
+          ]}
         />
       </Card>
+      <DiscoveryDrawer open={discoveryOpen} onClose={() => setDiscoveryOpen(false)} />
     </div>
   );
 };
@@ -1,15 +1,37 @@
-import React from 'react';
-import { Card, Table, Button, Space, Tag, Progress, Modal } from 'antd';
-import { PlusOutlined, PlayCircleOutlined, StopOutlined, ReloadOutlined } from '@ant-design/icons';
-import { useQuery } from 'react-query';
+import React, { useState } from 'react';
+import { Card, Table, Button, Space, Tag, Progress, Modal, message } from 'antd';
+import { PlusOutlined, PlayCircleOutlined, StopOutlined, ReloadOutlined, DeleteOutlined } from '@ant-design/icons';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import api from '../services/api';
+import { useTaskEvents } from '../services/taskEvents';
+import TaskDetailDrawer from '../components/TaskDetailDrawer';
 
 const RecoveryTasks: React.FC = () => {
+  const queryClient = useQueryClient();
+  const [detailTaskId, setDetailTaskId] = useState<string | null>(null);
+
   const { data: tasksData, isLoading } = useQuery('recovery-tasks', async () => {
     const response = await api.get('/recovery/tasks');
     return response.data;
   });
 
+  // 任务状态与进度通过事件流实时更新
+  useTaskEvents();
+
+  const releaseMutation = useMutation(
+    (id: string) => api.post(`/recovery/tasks/${id}/release`),
+    {
+      onSuccess: () => {
+        message.success('克隆实例已释放');
+        queryClient.invalidateQueries('recovery-tasks');
+      },
+      onError: () => {
+        message.error('克隆实例释放失败');
+        queryClient.invalidateQueries('recovery-tasks');
+      }
+    }
+  );
+
   const columns = [
     {
       title: '任务名称',
@@ -44,6 +66,7 @@ const RecoveryTasks: React.FC = () => {
           'Success': { color: 'green', text: '成功' },
           'Failed': { color: 'red', text: '失败' },
           'Running': { color: 'blue', text: '运行中' },
+          'Queued': { color: 'cyan', text: '排队中' },
           'Pending': { color: 'orange', text: '待执行' },
           'Cancelled': { color: 'default', text: '已取消' },
         };
@@ -57,11 +80,44 @@ const RecoveryTasks: React.FC = () => {
       key: 'progress',
       render: (progress: number, record: any) => {
         if (record.status === 'Running') {
-          return <Progress percent={progress} size="small" />;
+          return (
+            <div>
+              <Progress percent={progress} size="small" />
+              {record.progress_message && <div style={{ color: '#999', fontSize: 12 }}>{record.progress_message}</div>}
+            </div>
+          );
         }
         return record.status === 'Success' ? '100%' : '-';
       },
     },
+    {
+      title: '尝试次数',
+      dataIndex: 'attempt_count',
+      key: 'attempt_count',
+      render: (attemptCount: number, record: any) => {
+        if (record.status === 'Queued' && record.next_retry_at) {
+          return <Tag color="gold" title={record.error_message || undefined}>{`等待重试 ${new Date(record.next_retry_at).toLocaleTimeString()}`}</Tag>;
+        }
+        return attemptCount || '-';
+      },
+    },
+    {
+      title: '克隆实例',
+      dataIndex: 'teardown_status',
+      key: 'teardown_status',
+      render: (teardownStatus: string, record: any) => {
+        const teardownConfig: Record<string, { color: string; text: string }> = {
+          'Pending': { color: 'orange', text: '待释放' },
+          'Retained': { color: 'blue', text: '保留中' },
+          'Deleting': { color: 'processing', text: '释放中' },
+          'Deleted': { color: 'default', text: '已释放' },
+          'Failed': { color: 'red', text: '释放失败' },
+        };
+        const config = teardownConfig[teardownStatus];
+        if (!config) return '-';
+        return <Tag color={config.color} title={record.teardown_error || undefined}>{config.text}</Tag>;
+      },
+    },
     {
       title: '创建时间',
       dataIndex: 'created_at',
@@ -92,10 +148,18 @@ const RecoveryTasks: React.FC = () => {
               取消
             </Button>
           )}
-          <Button 
-            type="link"
-            onClick={() => Modal.info({ title: '任务详情', content: `任务ID: ${record.id}` })}
-          >
+          {['Retained', 'Failed'].includes(record.teardown_status) && (
+            <Button 
+              type="link" 
+              danger 
+              icon={<DeleteOutlined />}
+              onClick={() => releaseMutation.mutate(record.id)}
+              loading={releaseMutation.isLoading}
+            >
+              释放实例
+            </Button>
+          )}
+          <Button type="link" onClick={() => setDetailTaskId(record.id)}>
             详情
           </Button>
         </Space>
@@ -138,6 +202,11 @@ const RecoveryTasks: React.FC = () => {
           }}
         />
       </Card>
+
+      <TaskDetailDrawer
+        task={tasksData?.tasks?.find((task: any) => task.id === detailTaskId) || null}
+        onClose={() => setDetailTaskId(null)}
+      />
     </div>
   );
 };
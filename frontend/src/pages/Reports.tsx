@@ -117,6 +117,12 @@ const Reports: React.FC = () => {
                   <p>总实例数: {record.total_instances || 0}</p>
                   <p>已测试实例: {record.tested_instances || 0}</p>
                   <p>任务成功率: {record.task_success_rate || 0}%</p>
+                  {record.sla_compliance_rate !== null && record.sla_compliance_rate !== undefined && (
+                    <p>RTO/RPO达标率: {record.sla_compliance_rate}%（未达标实例 {record.sla_summary?.breachedInstances || 0} 个）</p>
+                  )}
+                  {record.backup_compliance_summary && (
+                    <p>备份策略合规率: {record.backup_compliance_rate ?? 'N/A'}{record.backup_compliance_rate !== null && record.backup_compliance_rate !== undefined ? '%' : ''}（不合规实例 {record.backup_compliance_summary.nonCompliant || 0} 个）</p>
+                  )}
                   {record.recommendations && (
                     <div>
                       <p>建议事项:</p>
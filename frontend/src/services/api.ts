@@ -36,4 +36,14 @@ api.interceptors.response.use(
   }
 );
 
+// 保存以 blob 形式下载的文件
+export const saveBlob = (blob: Blob, fileName: string) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { useEffect } from 'react';
+import { useQueryClient } from 'react-query';
+import { useAuthStore } from '../stores/authStore';
+
+export interface TaskEvent {
+  id: string;
+  type: 'task.created' | 'task.updated';
+  taskId: string;
+  fields: Record<string, any>;
+  occurredAt: string;
+}
+
+// 断线重连间隔上限
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * 订阅恢复任务实时事件(Server-Sent Events)
+ * 使用 fetch 读取事件流以便携带认证头，断线后按退避间隔重连并通过 Last-Event-ID 补发
+ * @returns 取消订阅
+ */
+export const subscribeTaskEvents = (onEvent: (event: TaskEvent) => void, taskId?: string) => {
+  let controller: AbortController | null = null;
+  let lastEventId: string | undefined;
+  let retryDelay = 1000;
+  let stopped = false;
+  let retryTimer: ReturnType<typeof setTimeout> | undefined;
+
+  const dispatch = (frame: string) => {
+    let id: string | undefined;
+    let type = 'message';
+    const data: string[] = [];
+
+    frame.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+      const index = line.indexOf(':');
+      const field = index === -1 ? line : line.slice(0, index);
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+      if (field === 'id') id = value;
+      if (field === 'event') type = value;
+      if (field === 'data') data.push(value);
+    });
+
+    if (id) lastEventId = id;
+    if (data.length === 0) return;
+    onEvent({ ...JSON.parse(data.join('\n')), id, type });
+  };
+
+  const connect = async () => {
+    controller = new AbortController();
+    const { token } = useAuthStore.getState();
+    const headers: Record<string, string> = { Accept: 'text/event-stream' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+
+    try {
+      const query = taskId ? `?taskId=${encodeURIComponent(taskId)}` : '';
+      const response = await fetch(`/api/recovery/events${query}`, { headers, signal: controller.signal });
+      if (response.status === 401) {
+        // Token过期或无效，清除认证信息
+        useAuthStore.getState().clearAuth();
+        window.location.href = '/login';
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`事件流连接失败: ${response.status}`);
+      }
+
+      retryDelay = 1000;
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          dispatch(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+        }
+      }
+    } catch (error) {
+      if (stopped) return;
+    }
+
+    if (!stopped) {
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+    }
+  };
+
+  connect();
+
+  return () => {
+    stopped = true;
+    if (retryTimer) clearTimeout(retryTimer);
+    controller?.abort();
+  };
+};
+
+/**
+ * 将任务事件合并到恢复任务列表与最新任务的查询缓存，页面无需轮询即可实时更新
+ * 新建任务时重新拉取列表，状态变化时刷新任务统计
+ */
+export const useTaskEvents = () => {
+  const queryClient = useQueryClient();
+
+  useEffect(() => {
+    const staleKeys = new Set<string>();
+    let refreshTimer: ReturnType<typeof setTimeout> | undefined;
+
+    // 年度批量任务创建与状态变化密集，重新拉取合并进行
+    const scheduleRefresh = (...keys: string[]) => {
+      keys.forEach(key => staleKeys.add(key));
+      if (refreshTimer) return;
+      refreshTimer = setTimeout(() => {
+        refreshTimer = undefined;
+        staleKeys.forEach(key => queryClient.invalidateQueries(key));
+        staleKeys.clear();
+      }, 2000);
+    };
+
+    const patchTasks = (tasks: any[] | undefined, event: TaskEvent) => {
+      if (!tasks?.some(task => task.id === event.taskId)) return undefined;
+      return tasks.map(task => (task.id === event.taskId ? { ...task, ...event.fields } : task));
+    };
+
+    const unsubscribe = subscribeTaskEvents((event) => {
+      if (event.type === 'task.created') {
+        scheduleRefresh('recovery-tasks', 'recent-tasks', 'recovery-statistics');
+        return;
+      }
+
+      // 不在当前列表中的任务无需处理
+      const list = queryClient.getQueryData<any>('recovery-tasks');
+      const listTasks = patchTasks(list?.tasks, event);
+      if (listTasks) {
+        queryClient.setQueryData('recovery-tasks', { ...list, tasks: listTasks });
+      }
+
+      const recentTasks = patchTasks(queryClient.getQueryData<any[]>('recent-tasks'), event);
+      if (recentTasks) {
+        queryClient.setQueryData('recent-tasks', recentTasks);
+      }
+
+      if (event.fields.status) {
+        scheduleRefresh('recovery-statistics');
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      if (refreshTimer) clearTimeout(refreshTimer);
+    };
+  }, [queryClient]);
+};
\ No newline at end of file